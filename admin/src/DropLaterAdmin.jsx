@@ -3,19 +3,52 @@ import React, { useState, useEffect } from 'react';
 const API_BASE = 'http://localhost:3000/api';
 const ADMIN_TOKEN = 'super-secret-admin-token-2024';
 
+const emptyForm = {
+    title: '',
+    body: '',
+    releaseAt: '',
+    releaseMode: 'at',
+    delay: 'PT15M',
+    windowStart: '',
+    windowEnd: '',
+    webhookUrl: 'http://sink:4000/sink',
+    topic: '',
+    tags: '',
+    repeatType: 'none',
+    repeatExpression: '',
+    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC',
+    repeatEndAt: '',
+    maxOccurrences: '',
+    method: 'POST',
+    data: '',
+    template: '',
+    cloudEventsMode: '',
+    channelType: 'webhook',
+    emailTo: '',
+    emailSubject: ''
+};
+
 function App() {
     const [notes, setNotes] = useState([]);
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState('');
     const [success, setSuccess] = useState('');
     const [animatingRows, setAnimatingRows] = useState(new Set());
+    const [occurrences, setOccurrences] = useState({});
+    const [expandedAttempts, setExpandedAttempts] = useState(new Set());
+    const [deliveries, setDeliveries] = useState({});
+    const [rateLimits, setRateLimits] = useState([]);
+    const [circuits, setCircuits] = useState([]);
+    const [statusFilter, setStatusFilter] = useState('');
+    const [search, setSearch] = useState('');
+    const [selected, setSelected] = useState(new Set());
+    const [bulkOperations, setBulkOperations] = useState([]);
+    const [live, setLive] = useState(false);
+    const [deadLetterGroups, setDeadLetterGroups] = useState([]);
+    const [deadLetterReasons, setDeadLetterReasons] = useState([]);
+    const [purgeDays, setPurgeDays] = useState('30');
 
-    const [formData, setFormData] = useState({
-        title: '',
-        body: '',
-        releaseAt: '',
-        webhookUrl: 'http://sink:4000/sink'
-    });
+    const [formData, setFormData] = useState(emptyForm);
 
     const formatDateForInput = (date) => {
         if (!date) return '';
@@ -36,7 +69,15 @@ function App() {
     const fetchNotes = async () => {
         try {
             setLoading(true);
-            const response = await fetch(`${API_BASE}/notes?page=1`, {
+            const params = new URLSearchParams({ pageSize: '50' });
+            if (statusFilter) params.set('status', statusFilter);
+            // "#tag" searches tags, anything else titles and bodies.
+            if (search.startsWith('#')) {
+                params.set('tag', search.slice(1));
+            } else if (search) {
+                params.set('q', search);
+            }
+            const response = await fetch(`${API_BASE}/notes?${params}`, {
                 headers: {
                     'Authorization': `Bearer ${ADMIN_TOKEN}`
                 }
@@ -56,10 +97,80 @@ function App() {
         e.preventDefault();
 
         const submitData = {
-            ...formData,
-            releaseAt: formatDateForAPI(formData.releaseAt)
+            title: formData.title,
+            body: formData.body
         };
 
+        if (formData.channelType === 'email') {
+            submitData.channel = {
+                type: 'email',
+                to: formData.emailTo.split(',').map(address => address.trim()).filter(Boolean)
+            };
+            if (formData.emailSubject.trim()) {
+                submitData.channel.subject = formData.emailSubject.trim();
+            }
+        } else if (formData.topic) {
+            submitData.topic = formData.topic;
+        } else {
+            submitData.webhookUrl = formData.webhookUrl;
+            if (formData.channelType !== 'webhook') {
+                submitData.channel = { type: formData.channelType };
+            }
+        }
+
+        // releaseAt goes as local time; the API reads it in the timezone.
+        if (formData.releaseMode === 'delay') {
+            submitData.delay = formData.delay.trim();
+        } else if (formData.releaseAt) {
+            submitData.releaseAt = formData.releaseAt;
+        }
+        if (formData.timezone) {
+            submitData.timezone = formData.timezone;
+        }
+
+        if (formData.windowStart && formData.windowEnd) {
+            submitData.deliveryWindow = { start: formData.windowStart, end: formData.windowEnd };
+        }
+
+        const tags = formData.tags.split(',').map(tag => tag.trim()).filter(Boolean);
+        if (tags.length > 0) {
+            submitData.tags = tags;
+        }
+
+        if (formData.data.trim()) {
+            try {
+                submitData.data = JSON.parse(formData.data);
+            } catch (parseError) {
+                setError(`Data is not valid JSON: ${parseError.message}`);
+                return;
+            }
+        }
+
+        if (formData.method !== 'POST') {
+            submitData.method = formData.method;
+        }
+
+        if (formData.template.trim()) {
+            submitData.template = formData.template;
+        }
+
+        if (formData.cloudEventsMode) {
+            submitData.cloudEvents = { mode: formData.cloudEventsMode };
+        }
+
+        if (formData.repeatType !== 'none') {
+            submitData.schedule = {
+                [formData.repeatType]: formData.repeatExpression,
+                timezone: formData.timezone
+            };
+            if (formData.repeatEndAt) {
+                submitData.schedule.endAt = formatDateForAPI(formData.repeatEndAt);
+            }
+            if (formData.maxOccurrences) {
+                submitData.schedule.maxOccurrences = parseInt(formData.maxOccurrences);
+            }
+        }
+
         console.log('Submitting data:', submitData); 
 
         setLoading(true);
@@ -77,12 +188,7 @@ function App() {
             .then(({ status, data }) => {
                 if (status === 201) {
                     setSuccess('Note created successfully!');
-                    setFormData({
-                        title: '',
-                        body: '',
-                        releaseAt: '',
-                        webhookUrl: 'http://sink:4000/sink'
-                    });
+                    setFormData(emptyForm);
                     setTimeout(() => setSuccess(''), 3000);
                     fetchNotes();
                 } else {
@@ -156,19 +262,466 @@ function App() {
             });
     };
 
+    const runNoteAction = (noteId, action, successMessage, onSuccess) => {
+        setLoading(true);
+        setError('');
+
+        fetch(`${API_BASE}/notes/${noteId}/${action}`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${ADMIN_TOKEN}`,
+                'Content-Type': 'application/json'
+            }
+        })
+            .then(response => response.json().then(data => ({ status: response.status, data })))
+            .then(({ status, data }) => {
+                if (status === 200) {
+                    setSuccess(successMessage);
+                    setTimeout(() => setSuccess(''), 3000);
+                    fetchNotes();
+                    if (onSuccess) onSuccess();
+                } else {
+                    setError(data.error || data.message || `Failed to ${action} note`);
+                    setTimeout(() => setError(''), 5000);
+                }
+            })
+            .catch(err => {
+                setError('Network error: ' + err.message);
+                setTimeout(() => setError(''), 5000);
+            })
+            .finally(() => {
+                setLoading(false);
+            });
+    };
+
+    const toggleOccurrences = (noteId) => {
+        if (occurrences[noteId]) {
+            setOccurrences(prev => {
+                const next = { ...prev };
+                delete next[noteId];
+                return next;
+            });
+            return;
+        }
+
+        fetch(`${API_BASE}/notes/${noteId}/occurrences?limit=5`, {
+            headers: {
+                'Authorization': `Bearer ${ADMIN_TOKEN}`
+            }
+        })
+            .then(response => response.json())
+            .then(data => {
+                setOccurrences(prev => ({ ...prev, [noteId]: data }));
+            })
+            .catch(err => {
+                setError('Failed to load occurrences: ' + err.message);
+                setTimeout(() => setError(''), 5000);
+            });
+    };
+
+    const loadDeliveries = (noteId) => {
+        fetch(`${API_BASE}/notes/${noteId}/deliveries`, {
+            headers: {
+                'Authorization': `Bearer ${ADMIN_TOKEN}`
+            }
+        })
+            .then(response => response.json())
+            .then(data => {
+                setDeliveries(prev => ({ ...prev, [noteId]: data.deliveries || [] }));
+            })
+            .catch(err => {
+                setError('Failed to load deliveries: ' + err.message);
+                setTimeout(() => setError(''), 5000);
+            });
+    };
+
+    const toggleDeliveries = (noteId) => {
+        if (deliveries[noteId]) {
+            setDeliveries(prev => {
+                const next = { ...prev };
+                delete next[noteId];
+                return next;
+            });
+            return;
+        }
+
+        loadDeliveries(noteId);
+    };
+
+    const replayDelivery = (noteId, deliveryId) => {
+        runNoteAction(noteId, `deliveries/${deliveryId}/replay`, 'Delivery replayed successfully!', () => loadDeliveries(noteId));
+    };
+
+    const fetchRateLimits = () => {
+        fetch(`${API_BASE}/rate-limits`, {
+            headers: {
+                'Authorization': `Bearer ${ADMIN_TOKEN}`
+            }
+        })
+            .then(response => response.json())
+            .then(data => {
+                setRateLimits(data.limits || []);
+            })
+            .catch(err => {
+                console.error('Failed to load rate limits:', err);
+            });
+    };
+
+    const removeRateLimit = (limitId) => {
+        fetch(`${API_BASE}/rate-limits/${limitId}`, {
+            method: 'DELETE',
+            headers: {
+                'Authorization': `Bearer ${ADMIN_TOKEN}`
+            }
+        })
+            .then(response => response.json().then(data => ({ status: response.status, data })))
+            .then(({ status, data }) => {
+                if (status === 200) {
+                    setSuccess('Rate limit removed');
+                    setTimeout(() => setSuccess(''), 3000);
+                    fetchRateLimits();
+                } else {
+                    setError(data.error || 'Failed to remove rate limit');
+                    setTimeout(() => setError(''), 5000);
+                }
+            })
+            .catch(err => {
+                setError('Network error: ' + err.message);
+                setTimeout(() => setError(''), 5000);
+            });
+    };
+
+    const fetchCircuits = () => {
+        fetch(`${API_BASE}/circuits`, {
+            headers: {
+                'Authorization': `Bearer ${ADMIN_TOKEN}`
+            }
+        })
+            .then(response => response.json())
+            .then(data => {
+                setCircuits(data.circuits || []);
+            })
+            .catch(err => {
+                console.error('Failed to load circuits:', err);
+            });
+    };
+
+    const resetCircuit = (host) => {
+        fetch(`${API_BASE}/circuits/${encodeURIComponent(host)}/reset`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${ADMIN_TOKEN}`
+            }
+        })
+            .then(response => response.json().then(data => ({ status: response.status, data })))
+            .then(({ status, data }) => {
+                if (status === 200) {
+                    setSuccess(`Circuit for ${host} reset; held notes will be released`);
+                    setTimeout(() => setSuccess(''), 3000);
+                    fetchCircuits();
+                } else {
+                    setError(data.error || 'Failed to reset circuit');
+                    setTimeout(() => setError(''), 5000);
+                }
+            })
+            .catch(err => {
+                setError('Network error: ' + err.message);
+                setTimeout(() => setError(''), 5000);
+            });
+    };
+
+    const fetchBulkOperations = () => {
+        fetch(`${API_BASE}/bulk-operations`, {
+            headers: {
+                'Authorization': `Bearer ${ADMIN_TOKEN}`
+            }
+        })
+            .then(response => response.json())
+            .then(data => {
+                setBulkOperations(data.operations || []);
+            })
+            .catch(err => {
+                console.error('Failed to load bulk operations:', err);
+            });
+    };
+
+    const postBulkOperation = (body) => fetch(`${API_BASE}/bulk-operations`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${ADMIN_TOKEN}`
+        },
+        body: JSON.stringify(body)
+    }).then(response => response.json().then(data => ({ status: response.status, data })));
+
+    // Counts the notes first (dry run) and asks before starting.
+    const startBulkOperation = (action, selection, description) => {
+        postBulkOperation({ action, ...selection, dryRun: true })
+            .then(({ status, data }) => {
+                if (status !== 200) {
+                    throw new Error(data.details?.[0] || data.error || 'Failed to count notes');
+                }
+                if (data.eligible === 0) {
+                    setError(`No notes to ${action}`);
+                    setTimeout(() => setError(''), 5000);
+                    return;
+                }
+                if (!window.confirm(`${action} ${data.eligible} ${description}?`)) {
+                    return;
+                }
+                return postBulkOperation({ action, ...selection }).then(({ status, data }) => {
+                    if (status !== 202) {
+                        throw new Error(data.details?.[0] || data.error || 'Failed to start bulk operation');
+                    }
+                    setSuccess(`Bulk ${action} of ${data.total} notes started`);
+                    setTimeout(() => setSuccess(''), 3000);
+                    setSelected(new Set());
+                    fetchBulkOperations();
+                });
+            })
+            .catch(err => {
+                setError(err.message);
+                setTimeout(() => setError(''), 5000);
+            });
+    };
+
+    const abortBulkOperation = (operationId) => {
+        fetch(`${API_BASE}/bulk-operations/${operationId}/abort`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${ADMIN_TOKEN}`
+            }
+        })
+            .then(() => fetchBulkOperations())
+            .catch(err => {
+                setError('Network error: ' + err.message);
+                setTimeout(() => setError(''), 5000);
+            });
+    };
+
+    const fetchDeadLetters = () => {
+        const headers = { 'Authorization': `Bearer ${ADMIN_TOKEN}` };
+        Promise.all([
+            fetch(`${API_BASE}/dead-letters/groups?limit=20`, { headers }).then(response => response.json()),
+            fetch(`${API_BASE}/dead-letters/reasons`, { headers }).then(response => response.json())
+        ])
+            .then(([groupsData, reasonsData]) => {
+                setDeadLetterGroups(groupsData.groups || []);
+                setDeadLetterReasons(reasonsData.reasons || []);
+            })
+            .catch(err => {
+                console.error('Failed to load dead letters:', err);
+            });
+    };
+
+    // The export needs the Authorization header, so it is fetched and then
+    // saved from a blob rather than linked to.
+    const exportDeadLetters = (format) => {
+        fetch(`${API_BASE}/dead-letters/export?format=${format}`, {
+            headers: {
+                'Authorization': `Bearer ${ADMIN_TOKEN}`
+            }
+        })
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error('Failed to export dead letters');
+                }
+                return response.blob();
+            })
+            .then(blob => {
+                const url = URL.createObjectURL(blob);
+                const link = document.createElement('a');
+                link.href = url;
+                link.download = `dead-letters.${format}`;
+                link.click();
+                URL.revokeObjectURL(url);
+            })
+            .catch(err => {
+                setError(err.message);
+                setTimeout(() => setError(''), 5000);
+            });
+    };
+
+    const postPurge = (body) => fetch(`${API_BASE}/dead-letters/purge`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${ADMIN_TOKEN}`
+        },
+        body: JSON.stringify(body)
+    }).then(response => response.json().then(data => ({ status: response.status, data })));
+
+    // Counts first (dry run) and asks before deleting anything.
+    const purgeDeadLetters = () => {
+        const olderThanDays = parseFloat(purgeDays);
+        postPurge({ olderThanDays, dryRun: true })
+            .then(({ status, data }) => {
+                if (status !== 200) {
+                    throw new Error(data.details?.[0] || data.error || 'Failed to count dead letters');
+                }
+                if (data.matched === 0) {
+                    setError(`No dead letters older than ${olderThanDays} days`);
+                    setTimeout(() => setError(''), 5000);
+                    return;
+                }
+                if (!window.confirm(`Permanently delete ${data.matched} dead letters older than ${olderThanDays} days?`)) {
+                    return;
+                }
+                return postPurge({ olderThanDays }).then(({ status, data }) => {
+                    if (status !== 200) {
+                        throw new Error(data.details?.[0] || data.error || 'Failed to purge dead letters');
+                    }
+                    setSuccess(`Purged ${data.purged} dead letters`);
+                    setTimeout(() => setSuccess(''), 3000);
+                    fetchDeadLetters();
+                    fetchNotes();
+                });
+            })
+            .catch(err => {
+                setError(err.message);
+                setTimeout(() => setError(''), 5000);
+            });
+    };
+
+    const toggleSelected = (noteId) => {
+        setSelected(prev => {
+            const next = new Set(prev);
+            if (next.has(noteId)) {
+                next.delete(noteId);
+            } else {
+                next.add(noteId);
+            }
+            return next;
+        });
+    };
+
+    const toggleAllSelected = () => {
+        setSelected(prev => prev.size === notes.length
+            ? new Set()
+            : new Set(notes.map(note => String(note._id || note.id))));
+    };
+
+    const getCircuitColor = (state) => {
+        switch (state) {
+            case 'open': return '#ef4444';
+            case 'half-open': return '#f59e0b';
+            default: return '#10b981';
+        }
+    };
+
+    const isDeferred = (item) => item.deferredUntil && new Date(item.deferredUntil) > new Date();
+
+    const toggleAttempts = (noteId) => {
+        setExpandedAttempts(prev => {
+            const next = new Set(prev);
+            if (next.has(noteId)) {
+                next.delete(noteId);
+            } else {
+                next.add(noteId);
+            }
+            return next;
+        });
+    };
+
     useEffect(() => {
-        fetchNotes();
+        fetchRateLimits();
+        fetchCircuits();
+        fetchBulkOperations();
+        fetchDeadLetters();
 
-        const interval = setInterval(fetchNotes, 5000);
+        const interval = setInterval(() => {
+            fetchRateLimits();
+            fetchCircuits();
+            fetchBulkOperations();
+            fetchDeadLetters();
+        }, 5000);
         return () => clearInterval(interval);
     }, []);
 
+    // Notes follow /api/events instead of polling. EventSource can't send the
+    // Authorization header, so the stream is read with fetch; reconnects send
+    // Last-Event-ID to pick up what was missed.
+    useEffect(() => {
+        fetchNotes();
+
+        const controller = new AbortController();
+        let lastEventId = null;
+        let retryMs = 1000;
+        let refetchTimer = null;
+
+        // Statuses change in place straight away; attempts, new notes and
+        // filter membership come with a refetch, at most every 2 seconds.
+        const refetchSoon = () => {
+            if (refetchTimer) return;
+            refetchTimer = setTimeout(() => {
+                refetchTimer = null;
+                fetchNotes();
+            }, 2000);
+        };
+
+        const applyEvent = (event) => {
+            const status = event.deliveryId ? event.noteStatus : event.status;
+            if (status && event.type !== 'reset') {
+                setNotes(prev => prev.map(note => (
+                    String(note._id || note.id) === event.noteId ? { ...note, status } : note
+                )));
+            }
+            refetchSoon();
+        };
+
+        const readEvents = async () => {
+            while (!controller.signal.aborted) {
+                try {
+                    const headers = { 'Authorization': `Bearer ${ADMIN_TOKEN}` };
+                    if (lastEventId) headers['Last-Event-ID'] = lastEventId;
+                    const response = await fetch(`${API_BASE}/events`, { headers, signal: controller.signal });
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+                    setLive(true);
+                    retryMs = 1000;
+                    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+                    let buffer = '';
+                    for (;;) {
+                        const { value, done } = await reader.read();
+                        if (done) break;
+                        buffer += value;
+                        const frames = buffer.split('\n\n');
+                        buffer = frames.pop();
+                        frames.forEach(frame => {
+                            const data = frame.split('\n').find(line => line.startsWith('data: '));
+                            if (!data) return;
+                            const event = JSON.parse(data.slice(6));
+                            lastEventId = event.id;
+                            applyEvent(event);
+                        });
+                    }
+                } catch (err) {
+                    if (controller.signal.aborted) return;
+                    console.error('Event stream error:', err);
+                }
+                setLive(false);
+                await new Promise(resolve => setTimeout(resolve, retryMs));
+                retryMs = Math.min(retryMs * 2, 30000);
+            }
+        };
+        readEvents();
+
+        return () => {
+            controller.abort();
+            clearTimeout(refetchTimer);
+            setLive(false);
+        };
+    }, [statusFilter, search]);
+
     const getStatusColor = (status) => {
         switch (status) {
             case 'pending': return '#fbbf24';
             case 'delivered': return '#10b981';
+            case 'partially_delivered': return '#14b8a6';
             case 'failed': return '#f59e0b';
             case 'dead': return '#ef4444';
+            case 'recurring': return '#8b5cf6';
+            case 'cancelled': return '#9ca3af';
             default: return '#6b7280';
         }
     };
@@ -182,6 +735,15 @@ function App() {
         }
     };
 
+    // The time as it reads in the note's own timezone.
+    const formatDateIn = (dateStr, timeZone) => {
+        try {
+            return new Date(dateStr).toLocaleString(undefined, { timeZone, timeZoneName: 'short' });
+        } catch (e) {
+            return 'Invalid Date';
+        }
+    };
+
     return (
         <div style={{ padding: '20px', fontFamily: 'Arial, sans-serif', maxWidth: '1200px', margin: '0 auto' }}>
             <h1 style={{ margin: '0 0 30px 0', color: '#1f2937' }}>DropLater Admin</h1>
@@ -259,20 +821,222 @@ function App() {
                         <label style={{ display: 'block', marginBottom: '5px', fontWeight: 'bold' }}>
                             Release At
                         </label>
-                        <input
-                            type="datetime-local"
-                            value={formData.releaseAt}
-                            onChange={(e) => setFormData(prev => ({ ...prev, releaseAt: e.target.value }))}
+                        <div style={{ display: 'flex', gap: '10px' }}>
+                            <select
+                                value={formData.releaseMode}
+                                onChange={(e) => setFormData(prev => ({ ...prev, releaseMode: e.target.value }))}
+                                style={{
+                                    padding: '8px',
+                                    border: '1px solid #d1d5db',
+                                    borderRadius: '4px'
+                                }}
+                            >
+                                <option value="at">At</option>
+                                <option value="delay">After</option>
+                            </select>
+                            {formData.releaseMode === 'at' ? (
+                                <input
+                                    type="datetime-local"
+                                    value={formData.releaseAt}
+                                    onChange={(e) => setFormData(prev => ({ ...prev, releaseAt: e.target.value }))}
+                                    style={{
+                                        flex: 1,
+                                        padding: '8px',
+                                        border: '1px solid #d1d5db',
+                                        borderRadius: '4px'
+                                    }}
+                                    required={formData.repeatType === 'none'}
+                                />
+                            ) : (
+                                <input
+                                    type="text"
+                                    value={formData.delay}
+                                    onChange={(e) => setFormData(prev => ({ ...prev, delay: e.target.value }))}
+                                    style={{
+                                        flex: 1,
+                                        padding: '8px',
+                                        border: '1px solid #d1d5db',
+                                        borderRadius: '4px',
+                                        fontFamily: 'monospace'
+                                    }}
+                                    placeholder="PT15M"
+                                    title="ISO 8601 duration"
+                                    required
+                                />
+                            )}
+                            <input
+                                type="text"
+                                value={formData.timezone}
+                                onChange={(e) => setFormData(prev => ({ ...prev, timezone: e.target.value }))}
+                                style={{
+                                    width: '180px',
+                                    padding: '8px',
+                                    border: '1px solid #d1d5db',
+                                    borderRadius: '4px'
+                                }}
+                                placeholder="Europe/Berlin"
+                                title="IANA timezone"
+                            />
+                        </div>
+                        <small style={{ color: '#6b7280', fontSize: '12px', marginTop: '4px', display: 'block' }}>
+                            {formData.releaseMode === 'delay'
+                                ? 'An ISO 8601 duration from now, e.g. PT15M or P1DT2H'
+                                : formData.repeatType === 'none'
+                                    ? 'Local time in the timezone on the right (or a past time for immediate testing)'
+                                    : 'Optional: the schedule starts from this time (defaults to now)'}
+                        </small>
+                    </div>
+
+                    <div style={{ marginBottom: '15px' }}>
+                        <label style={{ display: 'block', marginBottom: '5px', fontWeight: 'bold' }}>
+                            Delivery Window
+                        </label>
+                        <div style={{ display: 'flex', gap: '10px', alignItems: 'center' }}>
+                            <input
+                                type="time"
+                                value={formData.windowStart}
+                                onChange={(e) => setFormData(prev => ({ ...prev, windowStart: e.target.value }))}
+                                style={{
+                                    padding: '8px',
+                                    border: '1px solid #d1d5db',
+                                    borderRadius: '4px'
+                                }}
+                            />
+                            <span>to</span>
+                            <input
+                                type="time"
+                                value={formData.windowEnd}
+                                onChange={(e) => setFormData(prev => ({ ...prev, windowEnd: e.target.value }))}
+                                style={{
+                                    padding: '8px',
+                                    border: '1px solid #d1d5db',
+                                    borderRadius: '4px'
+                                }}
+                            />
+                        </div>
+                        <small style={{ color: '#6b7280', fontSize: '12px', marginTop: '4px', display: 'block' }}>
+                            Optional: sends and retries outside these local hours wait for the next window
+                        </small>
+                    </div>
+
+                    <div style={{ marginBottom: '15px' }}>
+                        <label style={{ display: 'block', marginBottom: '5px', fontWeight: 'bold' }}>
+                            Repeat
+                        </label>
+                        <div style={{ display: 'flex', gap: '10px' }}>
+                            <select
+                                value={formData.repeatType}
+                                onChange={(e) => setFormData(prev => ({ ...prev, repeatType: e.target.value }))}
+                                style={{
+                                    padding: '8px',
+                                    border: '1px solid #d1d5db',
+                                    borderRadius: '4px'
+                                }}
+                            >
+                                <option value="none">Does not repeat</option>
+                                <option value="cron">Cron expression</option>
+                                <option value="rrule">iCal RRULE</option>
+                            </select>
+                            {formData.repeatType !== 'none' && (
+                                <input
+                                    type="text"
+                                    value={formData.repeatExpression}
+                                    onChange={(e) => setFormData(prev => ({ ...prev, repeatExpression: e.target.value }))}
+                                    style={{
+                                        flex: 1,
+                                        padding: '8px',
+                                        border: '1px solid #d1d5db',
+                                        borderRadius: '4px',
+                                        fontFamily: 'monospace'
+                                    }}
+                                    placeholder={formData.repeatType === 'cron' ? '0 9 * * 1-5' : 'FREQ=WEEKLY;BYDAY=MO;BYHOUR=9;BYMINUTE=0'}
+                                    required
+                                />
+                            )}
+                        </div>
+                        {formData.repeatType !== 'none' && (
+                            <div style={{ display: 'flex', gap: '10px', marginTop: '10px' }}>
+                                <input
+                                    type="datetime-local"
+                                    value={formData.repeatEndAt}
+                                    onChange={(e) => setFormData(prev => ({ ...prev, repeatEndAt: e.target.value }))}
+                                    style={{
+                                        flex: 1,
+                                        padding: '8px',
+                                        border: '1px solid #d1d5db',
+                                        borderRadius: '4px'
+                                    }}
+                                    title="End date (optional)"
+                                />
+                                <input
+                                    type="number"
+                                    min="1"
+                                    value={formData.maxOccurrences}
+                                    onChange={(e) => setFormData(prev => ({ ...prev, maxOccurrences: e.target.value }))}
+                                    style={{
+                                        width: '140px',
+                                        padding: '8px',
+                                        border: '1px solid #d1d5db',
+                                        borderRadius: '4px'
+                                    }}
+                                    placeholder="Max runs"
+                                />
+                            </div>
+                        )}
+                        <small style={{ color: '#6b7280', fontSize: '12px', marginTop: '4px', display: 'block' }}>
+                            Recurring notes deliver once per occurrence, each with its own attempts, in the timezone above
+                        </small>
+                    </div>
+
+                    <div style={{ marginBottom: '20px' }}>
+                        <label style={{ display: 'block', marginBottom: '5px', fontWeight: 'bold' }}>
+                            Channel
+                        </label>
+                        <select
+                            value={formData.channelType}
+                            onChange={(e) => setFormData(prev => ({ ...prev, channelType: e.target.value }))}
                             style={{
-                                width: '100%',
                                 padding: '8px',
                                 border: '1px solid #d1d5db',
                                 borderRadius: '4px'
                             }}
-                            required
-                        />
+                        >
+                            <option value="webhook">Webhook</option>
+                            <option value="slack">Slack</option>
+                            <option value="discord">Discord</option>
+                            <option value="email">Email</option>
+                        </select>
+                        {formData.channelType === 'email' && (
+                            <div style={{ display: 'flex', gap: '10px', marginTop: '10px' }}>
+                                <input
+                                    type="text"
+                                    value={formData.emailTo}
+                                    onChange={(e) => setFormData(prev => ({ ...prev, emailTo: e.target.value }))}
+                                    style={{
+                                        flex: 1,
+                                        padding: '8px',
+                                        border: '1px solid #d1d5db',
+                                        borderRadius: '4px'
+                                    }}
+                                    placeholder="ops@example.com, oncall@example.com"
+                                    required
+                                />
+                                <input
+                                    type="text"
+                                    value={formData.emailSubject}
+                                    onChange={(e) => setFormData(prev => ({ ...prev, emailSubject: e.target.value }))}
+                                    style={{
+                                        flex: 1,
+                                        padding: '8px',
+                                        border: '1px solid #d1d5db',
+                                        borderRadius: '4px'
+                                    }}
+                                    placeholder="Subject (defaults to the title)"
+                                />
+                            </div>
+                        )}
                         <small style={{ color: '#6b7280', fontSize: '12px', marginTop: '4px', display: 'block' }}>
-                            Select a future date and time (or past date for immediate testing)
+                            Slack and Discord post to the incoming webhook URL below; email goes to the recipients
                         </small>
                     </div>
 
@@ -291,13 +1055,134 @@ function App() {
                                 borderRadius: '4px'
                             }}
                             placeholder="http://sink:4000/sink"
-                            required
+                            required={!formData.topic && formData.channelType !== 'email'}
+                            disabled={Boolean(formData.topic) || formData.channelType === 'email'}
                         />
                         <small style={{ color: '#6b7280', fontSize: '12px', marginTop: '4px', display: 'block' }}>
                             URL where the note will be delivered via POST request
                         </small>
                     </div>
 
+                    <div style={{ marginBottom: '20px' }}>
+                        <label style={{ display: 'block', marginBottom: '5px', fontWeight: 'bold' }}>
+                            Topic (optional)
+                        </label>
+                        <input
+                            type="text"
+                            value={formData.topic}
+                            onChange={(e) => setFormData(prev => ({ ...prev, topic: e.target.value }))}
+                            style={{
+                                width: '100%',
+                                padding: '8px',
+                                border: '1px solid #d1d5db',
+                                borderRadius: '4px'
+                            }}
+                            placeholder="announcements"
+                        />
+                        <small style={{ color: '#6b7280', fontSize: '12px', marginTop: '4px', display: 'block' }}>
+                            Publish to every endpoint subscribed to this topic instead of a single URL
+                        </small>
+                    </div>
+
+                    <div style={{ marginBottom: '20px' }}>
+                        <label style={{ display: 'block', marginBottom: '5px', fontWeight: 'bold' }}>
+                            Tags (optional)
+                        </label>
+                        <input
+                            type="text"
+                            value={formData.tags}
+                            onChange={(e) => setFormData(prev => ({ ...prev, tags: e.target.value }))}
+                            style={{
+                                width: '100%',
+                                padding: '8px',
+                                border: '1px solid #d1d5db',
+                                borderRadius: '4px'
+                            }}
+                            placeholder="billing, eu"
+                        />
+                    </div>
+
+                    <div style={{ marginBottom: '20px' }}>
+                        <label style={{ display: 'block', marginBottom: '5px', fontWeight: 'bold' }}>
+                            Data (optional)
+                        </label>
+                        <textarea
+                            value={formData.data}
+                            onChange={(e) => setFormData(prev => ({ ...prev, data: e.target.value }))}
+                            style={{
+                                width: '100%',
+                                padding: '8px',
+                                border: '1px solid #d1d5db',
+                                borderRadius: '4px',
+                                minHeight: '60px',
+                                fontFamily: 'monospace'
+                            }}
+                            placeholder='{"invoiceId": "inv_123", "amount": 42}'
+                        />
+                        <small style={{ color: '#6b7280', fontSize: '12px', marginTop: '4px', display: 'block' }}>
+                            Any JSON; sent as "data" in the body and available to the template
+                        </small>
+                    </div>
+
+                    <div style={{ marginBottom: '20px' }}>
+                        <label style={{ display: 'block', marginBottom: '5px', fontWeight: 'bold' }}>
+                            Format
+                        </label>
+                        <select
+                            value={formData.cloudEventsMode}
+                            onChange={(e) => setFormData(prev => ({ ...prev, cloudEventsMode: e.target.value }))}
+                            style={{
+                                padding: '8px',
+                                border: '1px solid #d1d5db',
+                                borderRadius: '4px'
+                            }}
+                        >
+                            <option value="">Plain webhook</option>
+                            <option value="binary">CloudEvents (binary)</option>
+                            <option value="structured">CloudEvents (structured)</option>
+                            <option value="batch">CloudEvents (batched)</option>
+                        </select>
+                        <small style={{ color: '#6b7280', fontSize: '12px', marginTop: '4px', display: 'block' }}>
+                            Batched notes share a request with others due for the same URL
+                        </small>
+                    </div>
+
+                    <div style={{ marginBottom: '20px' }}>
+                        <label style={{ display: 'block', marginBottom: '5px', fontWeight: 'bold' }}>
+                            Method and Template (optional)
+                        </label>
+                        <select
+                            value={formData.method}
+                            onChange={(e) => setFormData(prev => ({ ...prev, method: e.target.value }))}
+                            style={{
+                                padding: '8px',
+                                border: '1px solid #d1d5db',
+                                borderRadius: '4px',
+                                marginBottom: '8px'
+                            }}
+                        >
+                            <option value="POST">POST</option>
+                            <option value="PUT">PUT</option>
+                            <option value="PATCH">PATCH</option>
+                        </select>
+                        <textarea
+                            value={formData.template}
+                            onChange={(e) => setFormData(prev => ({ ...prev, template: e.target.value }))}
+                            style={{
+                                width: '100%',
+                                padding: '8px',
+                                border: '1px solid #d1d5db',
+                                borderRadius: '4px',
+                                minHeight: '60px',
+                                fontFamily: 'monospace'
+                            }}
+                            placeholder='{"text": "{{title}}: {{body}}", "amount": {{data.amount}}}'
+                        />
+                        <small style={{ color: '#6b7280', fontSize: '12px', marginTop: '4px', display: 'block' }}>
+                            Mustache template for the JSON body; leave empty to send the note as is
+                        </small>
+                    </div>
+
                     <button
                         onClick={createNote}
                         disabled={loading}
@@ -316,25 +1201,451 @@ function App() {
                 </div>
             </div>
 
-           
+            {circuits.some(circuit => circuit.state !== 'closed' || circuit.held > 0 || circuit.failures > 0) && (
+                <div style={{ marginBottom: '30px' }}>
+                    <h2 style={{ margin: '0 0 20px 0', color: '#374151' }}>Circuit Breakers</h2>
+                    {circuits
+                        .filter(circuit => circuit.state !== 'closed' || circuit.held > 0 || circuit.failures > 0)
+                        .map(circuit => (
+                            <div
+                                key={circuit.host}
+                                style={{
+                                    display: 'flex',
+                                    justifyContent: 'space-between',
+                                    alignItems: 'flex-start',
+                                    padding: '12px',
+                                    marginBottom: '8px',
+                                    backgroundColor: 'white',
+                                    border: '1px solid #e5e7eb',
+                                    borderLeft: `4px solid ${getCircuitColor(circuit.state)}`,
+                                    borderRadius: '4px',
+                                    fontSize: '13px'
+                                }}
+                            >
+                                <div>
+                                    <div>
+                                        <span style={{ fontFamily: 'monospace', fontWeight: 'bold' }}>{circuit.host}</span>
+                                        <span style={{ marginLeft: '10px', color: getCircuitColor(circuit.state), fontWeight: 'bold' }}>
+                                            {circuit.state}
+                                        </span>
+                                    </div>
+                                    <div style={{ fontSize: '11px', color: '#6b7280', marginTop: '4px' }}>
+                                        {circuit.failures} consecutive failures · {circuit.held} held
+                                        {circuit.nextProbeAt && ` · next probe ${formatDate(circuit.nextProbeAt)}`}
+                                    </div>
+                                    {circuit.lastError && (
+                                        <div style={{ fontSize: '11px', color: '#ef4444' }}>
+                                            Last error {formatDate(circuit.lastFailureAt)}: {circuit.lastError}
+                                        </div>
+                                    )}
+                                    {circuit.transitions.map((transition, index) => (
+                                        <div key={index} style={{ fontSize: '11px', color: '#6b7280' }}>
+                                            {formatDate(transition.at)}: {transition.from} → {transition.to} ({transition.reason})
+                                        </div>
+                                    ))}
+                                </div>
+                                {(circuit.state !== 'closed' || circuit.held > 0) && (
+                                    <button
+                                        onClick={() => resetCircuit(circuit.host)}
+                                        style={{
+                                            backgroundColor: '#3b82f6',
+                                            color: 'white',
+                                            padding: '6px 12px',
+                                            border: 'none',
+                                            borderRadius: '4px',
+                                            cursor: 'pointer',
+                                            fontSize: '12px'
+                                        }}
+                                    >
+                                        Reset
+                                    </button>
+                                )}
+                            </div>
+                        ))}
+                </div>
+            )}
+
+            {rateLimits.length > 0 && (
+                <div style={{ marginBottom: '30px' }}>
+                    <h2 style={{ margin: '0 0 20px 0', color: '#374151' }}>Rate Limits</h2>
+                    <table style={{
+                        width: '100%',
+                        borderCollapse: 'collapse',
+                        backgroundColor: 'white',
+                        border: '1px solid #e5e7eb',
+                        fontSize: '13px'
+                    }}>
+                        <thead>
+                            <tr style={{ backgroundColor: '#f3f4f6' }}>
+                                <th style={{ padding: '10px', textAlign: 'left', borderBottom: '1px solid #e5e7eb' }}>Destination</th>
+                                <th style={{ padding: '10px', textAlign: 'left', borderBottom: '1px solid #e5e7eb' }}>Limit</th>
+                                <th style={{ padding: '10px', textAlign: 'left', borderBottom: '1px solid #e5e7eb' }}>State</th>
+                                <th style={{ padding: '10px', textAlign: 'left', borderBottom: '1px solid #e5e7eb' }}>Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {rateLimits.map(limit => (
+                                <tr key={limit.id} style={{ borderBottom: '1px solid #e5e7eb' }}>
+                                    <td style={{ padding: '10px' }}>
+                                        {limit.host
+                                            ? <span style={{ fontFamily: 'monospace' }}>{limit.host}</span>
+                                            : `Endpoint ${limit.endpoint?.name || limit.endpoint?.id}`}
+                                    </td>
+                                    <td style={{ padding: '10px' }}>
+                                        {limit.perSecond && <div>{limit.perSecond}/s (burst {limit.burst})</div>}
+                                        {limit.maxInFlight && <div>{limit.maxInFlight} in flight</div>}
+                                    </td>
+                                    <td style={{ padding: '10px' }}>
+                                        {limit.state ? (
+                                            <>
+                                                <span style={{
+                                                    padding: '4px 8px',
+                                                    borderRadius: '12px',
+                                                    fontSize: '12px',
+                                                    fontWeight: 'bold',
+                                                    backgroundColor: limit.state.throttled ? '#fef3c7' : '#d1fae5',
+                                                    color: limit.state.throttled ? '#d97706' : '#059669'
+                                                }}>
+                                                    {limit.state.throttled ? 'throttling' : 'ok'}
+                                                </span>
+                                                <div style={{ fontSize: '11px', color: '#6b7280', marginTop: '4px' }}>
+                                                    {limit.state.inFlight} in flight · {limit.state.queued} waiting
+                                                    {limit.state.nextSlotAt && ` · next slot ${formatDate(limit.state.nextSlotAt)}`}
+                                                </div>
+                                                {limit.state.deferred > 0 && (
+                                                    <div style={{ fontSize: '11px', color: '#6b7280' }}>
+                                                        {limit.state.deferred} deferred, last {formatDate(limit.state.lastDeferredAt)}
+                                                    </div>
+                                                )}
+                                            </>
+                                        ) : (
+                                            <span style={{ color: '#9ca3af' }}>unavailable</span>
+                                        )}
+                                    </td>
+                                    <td style={{ padding: '10px' }}>
+                                        <button
+                                            onClick={() => removeRateLimit(limit.id)}
+                                            style={{
+                                                backgroundColor: '#ef4444',
+                                                color: 'white',
+                                                padding: '6px 12px',
+                                                border: 'none',
+                                                borderRadius: '4px',
+                                                cursor: 'pointer',
+                                                fontSize: '12px'
+                                            }}
+                                        >
+                                            Remove
+                                        </button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+
+            {bulkOperations.length > 0 && (
+                <div style={{ marginBottom: '30px' }}>
+                    <h2 style={{ margin: '0 0 20px 0', color: '#374151' }}>Bulk Operations</h2>
+                    {bulkOperations.slice(0, 5).map(operation => (
+                        <div
+                            key={operation.id}
+                            style={{
+                                display: 'flex',
+                                justifyContent: 'space-between',
+                                alignItems: 'center',
+                                padding: '12px',
+                                marginBottom: '8px',
+                                backgroundColor: 'white',
+                                border: '1px solid #e5e7eb',
+                                borderRadius: '4px',
+                                fontSize: '13px'
+                            }}
+                        >
+                            <div style={{ flex: 1, marginRight: '12px' }}>
+                                <div>
+                                    <span style={{ fontWeight: 'bold' }}>{operation.action}</span>
+                                    {' '}
+                                    {operation.ids
+                                        ? `${operation.ids} selected notes`
+                                        : [
+                                            operation.filter.status && operation.filter.status.join(', '),
+                                            operation.filter.host,
+                                            operation.filter.from && `from ${formatDate(operation.filter.from)}`,
+                                            operation.filter.to && `to ${formatDate(operation.filter.to)}`
+                                        ].filter(Boolean).join(' · ')}
+                                    <span style={{ marginLeft: '10px', color: '#6b7280' }}>{operation.status}</span>
+                                </div>
+                                <div style={{ height: '6px', backgroundColor: '#e5e7eb', borderRadius: '3px', margin: '6px 0' }}>
+                                    <div style={{
+                                        height: '6px',
+                                        width: `${operation.total ? Math.min(100, Math.round(100 * operation.counts.processed / operation.total)) : 100}%`,
+                                        backgroundColor: operation.status === 'aborted' ? '#9ca3af' : '#10b981',
+                                        borderRadius: '3px'
+                                    }} />
+                                </div>
+                                <div style={{ fontSize: '11px', color: '#6b7280' }}>
+                                    {operation.counts.processed}/{operation.total} processed · {operation.counts.succeeded} done
+                                    {operation.counts.skipped > 0 && ` · ${operation.counts.skipped} skipped`}
+                                    {operation.counts.failed > 0 && ` · ${operation.counts.failed} failed`}
+                                    {operation.perSecond && ` · ${operation.perSecond}/s`}
+                                    {` · started ${formatDate(operation.startedAt || operation.createdAt)}`}
+                                </div>
+                            </div>
+                            {['queued', 'running'].includes(operation.status) && !operation.abortRequested && (
+                                <button
+                                    onClick={() => abortBulkOperation(operation.id)}
+                                    style={{
+                                        backgroundColor: '#ef4444',
+                                        color: 'white',
+                                        padding: '6px 12px',
+                                        border: 'none',
+                                        borderRadius: '4px',
+                                        cursor: 'pointer',
+                                        fontSize: '12px'
+                                    }}
+                                >
+                                    Abort
+                                </button>
+                            )}
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            <div style={{ marginBottom: '30px' }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' }}>
+                    <h2 style={{ margin: 0, color: '#374151' }}>Dead Letters</h2>
+                    <div style={{ display: 'flex', gap: '8px', alignItems: 'center', fontSize: '13px' }}>
+                        <button
+                            onClick={() => exportDeadLetters('ndjson')}
+                            style={{
+                                backgroundColor: '#6b7280',
+                                color: 'white',
+                                padding: '6px 12px',
+                                border: 'none',
+                                borderRadius: '4px',
+                                cursor: 'pointer',
+                                fontSize: '12px'
+                            }}
+                        >
+                            Export NDJSON
+                        </button>
+                        <button
+                            onClick={() => exportDeadLetters('csv')}
+                            style={{
+                                backgroundColor: '#6b7280',
+                                color: 'white',
+                                padding: '6px 12px',
+                                border: 'none',
+                                borderRadius: '4px',
+                                cursor: 'pointer',
+                                fontSize: '12px'
+                            }}
+                        >
+                            Export CSV
+                        </button>
+                        <span style={{ marginLeft: '8px' }}>Older than</span>
+                        <input
+                            type="number"
+                            min="1"
+                            value={purgeDays}
+                            onChange={(e) => setPurgeDays(e.target.value)}
+                            style={{ width: '60px', padding: '5px', border: '1px solid #d1d5db', borderRadius: '4px' }}
+                        />
+                        <span>days</span>
+                        <button
+                            onClick={purgeDeadLetters}
+                            disabled={!(parseFloat(purgeDays) > 0)}
+                            style={{
+                                backgroundColor: '#ef4444',
+                                color: 'white',
+                                padding: '6px 12px',
+                                border: 'none',
+                                borderRadius: '4px',
+                                cursor: 'pointer',
+                                fontSize: '12px'
+                            }}
+                        >
+                            Purge
+                        </button>
+                    </div>
+                </div>
+
+                {deadLetterGroups.length === 0 ? (
+                    <div style={{ color: '#6b7280', fontSize: '13px' }}>No dead letters</div>
+                ) : (
+                    <>
+                        <div style={{ marginBottom: '16px' }}>
+                            {deadLetterReasons.map(reason => (
+                                <div key={reason.reason} style={{ display: 'flex', alignItems: 'center', fontSize: '12px', marginBottom: '4px' }}>
+                                    <span style={{ width: '140px', fontFamily: 'monospace' }}>{reason.reason}</span>
+                                    <div style={{ flex: 1, height: '10px', backgroundColor: '#f3f4f6', borderRadius: '3px', marginRight: '8px' }}>
+                                        <div style={{
+                                            height: '10px',
+                                            width: `${Math.round(100 * reason.count / deadLetterReasons[0].count)}%`,
+                                            backgroundColor: '#ef4444',
+                                            borderRadius: '3px'
+                                        }} />
+                                    </div>
+                                    <span style={{ width: '50px', textAlign: 'right' }}>{reason.count}</span>
+                                </div>
+                            ))}
+                        </div>
+
+                        <table style={{
+                            width: '100%',
+                            borderCollapse: 'collapse',
+                            backgroundColor: 'white',
+                            border: '1px solid #e5e7eb',
+                            fontSize: '13px'
+                        }}>
+                            <thead>
+                                <tr style={{ backgroundColor: '#f3f4f6' }}>
+                                    <th style={{ padding: '10px', textAlign: 'left', borderBottom: '1px solid #e5e7eb' }}>Destination</th>
+                                    <th style={{ padding: '10px', textAlign: 'left', borderBottom: '1px solid #e5e7eb' }}>Last Error</th>
+                                    <th style={{ padding: '10px', textAlign: 'left', borderBottom: '1px solid #e5e7eb' }}>Dead</th>
+                                    <th style={{ padding: '10px', textAlign: 'left', borderBottom: '1px solid #e5e7eb' }}>Died</th>
+                                    <th style={{ padding: '10px', textAlign: 'left', borderBottom: '1px solid #e5e7eb' }}>Actions</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {deadLetterGroups.map(group => (
+                                    <tr key={`${group.destination} ${group.reason}`} style={{ borderBottom: '1px solid #e5e7eb' }}>
+                                        <td style={{ padding: '10px', fontFamily: 'monospace' }}>{group.destination}</td>
+                                        <td style={{ padding: '10px' }}>
+                                            <div style={{ fontWeight: 'bold' }}>{group.reason}</div>
+                                            {group.exampleError && group.exampleError !== group.reason && (
+                                                <div style={{ fontSize: '11px', color: '#6b7280' }}>{group.exampleError}</div>
+                                            )}
+                                        </td>
+                                        <td style={{ padding: '10px' }}>{group.count}</td>
+                                        <td style={{ padding: '10px', fontSize: '11px', color: '#6b7280' }}>
+                                            <div>{formatDate(group.firstDiedAt)}</div>
+                                            {group.count > 1 && <div>to {formatDate(group.lastDiedAt)}</div>}
+                                        </td>
+                                        <td style={{ padding: '10px' }}>
+                                            {/* Bulk replays select by host, so this replays every dead note to it. */}
+                                            {!group.destination.startsWith('topic:') && (
+                                                <button
+                                                    onClick={() => startBulkOperation(
+                                                        'replay',
+                                                        { filter: { status: 'dead', host: group.destination } },
+                                                        `dead notes to ${group.destination}`
+                                                    )}
+                                                    style={{
+                                                        backgroundColor: '#8b5cf6',
+                                                        color: 'white',
+                                                        padding: '6px 12px',
+                                                        border: 'none',
+                                                        borderRadius: '4px',
+                                                        cursor: 'pointer',
+                                                        fontSize: '12px'
+                                                    }}
+                                                >
+                                                    Replay host
+                                                </button>
+                                            )}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </>
+                )}
+            </div>
+
             <div>
                 <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' }}>
                     <h2 style={{ margin: 0, color: '#374151' }}>Notes</h2>
-                    <button
-                        onClick={fetchNotes}
-                        disabled={loading}
-                        style={{
-                            backgroundColor: '#6b7280',
-                            color: 'white',
-                            padding: '8px 16px',
-                            border: 'none',
-                            borderRadius: '4px',
-                            cursor: loading ? 'not-allowed' : 'pointer',
-                            opacity: loading ? 0.6 : 1
-                        }}
-                    >
-                        {loading ? 'Loading...' : 'Refresh'}
-                    </button>
+                    <div>
+                        {selected.size > 0 && ['replay', 'cancel', 'delete'].map(action => (
+                            <button
+                                key={action}
+                                onClick={() => startBulkOperation(action, { ids: [...selected] }, 'selected notes')}
+                                style={{
+                                    backgroundColor: action === 'delete' ? '#ef4444' : action === 'cancel' ? '#f59e0b' : '#10b981',
+                                    color: 'white',
+                                    padding: '8px 16px',
+                                    border: 'none',
+                                    borderRadius: '4px',
+                                    cursor: 'pointer',
+                                    marginRight: '8px'
+                                }}
+                            >
+                                {action.charAt(0).toUpperCase() + action.slice(1)} selected ({selected.size})
+                            </button>
+                        ))}
+                        <input
+                            type="search"
+                            placeholder="Search, or #tag"
+                            defaultValue={search}
+                            onKeyDown={(e) => {
+                                if (e.key === 'Enter') {
+                                    setSearch(e.target.value.trim());
+                                    setSelected(new Set());
+                                }
+                            }}
+                            style={{ padding: '7px', marginRight: '8px', border: '1px solid #d1d5db', borderRadius: '4px' }}
+                        />
+                        <select
+                            value={statusFilter}
+                            onChange={(e) => {
+                                setStatusFilter(e.target.value);
+                                setSelected(new Set());
+                            }}
+                            style={{ padding: '7px', marginRight: '8px', border: '1px solid #d1d5db', borderRadius: '4px' }}
+                        >
+                            <option value="">All statuses</option>
+                            {['pending', 'delivered', 'partially_delivered', 'failed', 'dead', 'recurring', 'cancelled'].map(status => (
+                                <option key={status} value={status}>{status}</option>
+                            ))}
+                        </select>
+                        <button
+                            onClick={() => startBulkOperation(
+                                'replay',
+                                { filter: { status: statusFilter || ['failed', 'dead', 'partially_delivered'] } },
+                                `${statusFilter || 'failed and dead'} notes`
+                            )}
+                            style={{
+                                backgroundColor: '#10b981',
+                                color: 'white',
+                                padding: '8px 16px',
+                                border: 'none',
+                                borderRadius: '4px',
+                                cursor: 'pointer',
+                                marginRight: '8px'
+                            }}
+                        >
+                            Replay all matching
+                        </button>
+                        <span
+                            title={live ? 'Receiving live updates' : 'Reconnecting to live updates'}
+                            style={{
+                                color: live ? '#10b981' : '#9ca3af',
+                                fontSize: '12px',
+                                marginRight: '8px'
+                            }}
+                        >
+                            {live ? '● Live' : '○ Reconnecting'}
+                        </span>
+                        <button
+                            onClick={fetchNotes}
+                            disabled={loading}
+                            style={{
+                                backgroundColor: '#6b7280',
+                                color: 'white',
+                                padding: '8px 16px',
+                                border: 'none',
+                                borderRadius: '4px',
+                                cursor: loading ? 'not-allowed' : 'pointer',
+                                opacity: loading ? 0.6 : 1
+                            }}
+                        >
+                            {loading ? 'Loading...' : 'Refresh'}
+                        </button>
+                    </div>
                 </div>
 
                 <div style={{ overflowX: 'auto' }}>
@@ -346,6 +1657,13 @@ function App() {
                     }}>
                         <thead>
                             <tr style={{ backgroundColor: '#f3f4f6' }}>
+                                <th style={{ padding: '12px', textAlign: 'left', borderBottom: '1px solid #e5e7eb' }}>
+                                    <input
+                                        type="checkbox"
+                                        checked={notes.length > 0 && selected.size === notes.length}
+                                        onChange={toggleAllSelected}
+                                    />
+                                </th>
                                 <th style={{ padding: '12px', textAlign: 'left', borderBottom: '1px solid #e5e7eb' }}>
                                     ID
                                 </th>
@@ -370,19 +1688,46 @@ function App() {
                             {notes.map(note => {
                                 const noteId = note._id || note.id;
                                 return (
+                                    <React.Fragment key={noteId}>
                                     <tr
-                                        key={noteId}
                                         style={{
                                             borderBottom: '1px solid #e5e7eb',
                                             backgroundColor: animatingRows.has(noteId) ? '#dbeafe' : 'white',
                                             transition: 'background-color 1s ease'
                                         }}
                                     >
+                                        <td style={{ padding: '12px' }}>
+                                            <input
+                                                type="checkbox"
+                                                checked={selected.has(String(noteId))}
+                                                onChange={() => toggleSelected(String(noteId))}
+                                            />
+                                        </td>
                                         <td style={{ padding: '12px', fontSize: '12px', fontFamily: 'monospace' }}>
                                             {noteId ? noteId.toString().slice(-8) : 'N/A'}
                                         </td>
                                         <td style={{ padding: '12px' }}>
                                             {note.title || 'N/A'}
+                                            {note.tags?.length > 0 && (
+                                                <div style={{ marginTop: '4px' }}>
+                                                    {note.tags.map(tag => (
+                                                        <span
+                                                            key={tag}
+                                                            style={{
+                                                                display: 'inline-block',
+                                                                padding: '1px 6px',
+                                                                marginRight: '4px',
+                                                                borderRadius: '8px',
+                                                                fontSize: '11px',
+                                                                backgroundColor: '#e5e7eb',
+                                                                color: '#374151'
+                                                            }}
+                                                        >
+                                                            {tag}
+                                                        </span>
+                                                    ))}
+                                                </div>
+                                            )}
                                         </td>
                                         <td style={{ padding: '12px' }}>
                                             <span style={{
@@ -394,19 +1739,67 @@ function App() {
                                                 color: getStatusColor(note.status)
                                             }}>
                                                 {note.status || 'unknown'}
+                                                {note.schedule?.paused ? ' (paused)' : ''}
                                             </span>
+                                            {note.channel && note.channel.type !== 'webhook' && (
+                                                <div style={{ fontSize: '11px', color: '#6b7280', marginTop: '4px' }}>
+                                                    {note.channel.type === 'email' ? `Email to ${note.channel.to.join(', ')}` : `Via ${note.channel.type}`}
+                                                </div>
+                                            )}
+                                            {note.topic && (
+                                                <div style={{ fontSize: '11px', color: '#6b7280', marginTop: '4px' }}>
+                                                    Topic {note.topic}
+                                                    {note.deliveries?.total > 0 && ` · ${note.deliveries.delivered || 0}/${note.deliveries.total} delivered`}
+                                                </div>
+                                            )}
                                         </td>
                                         <td style={{ padding: '12px' }}>
                                             {note.attempts?.length > 0
                                                 ? note.attempts[note.attempts.length - 1].statusCode || 'N/A'
                                                 : 'N/A'
                                             }
+                                            {note.attempts?.[note.attempts.length - 1]?.rule && (
+                                                <div style={{ fontSize: '11px', color: '#6b7280' }}>
+                                                    {note.attempts[note.attempts.length - 1].rule}
+                                                </div>
+                                            )}
+                                            {note.retryPolicy && note.attemptCount > 0 && (
+                                                <div style={{ fontSize: '11px', color: '#6b7280' }}>
+                                                    {note.attemptCount}/{note.retryPolicy.maxAttempts} attempts
+                                                </div>
+                                            )}
+                                            {note.status === 'failed' && note.nextRetryAt && (
+                                                <div style={{ fontSize: '11px', color: '#6b7280' }}>
+                                                    Retry at {formatDate(note.nextRetryAt)}
+                                                </div>
+                                            )}
+                                            {isDeferred(note) && (
+                                                <div style={{ fontSize: '11px', color: '#d97706' }}>
+                                                    {note.deliveryWindow ? 'Deferred' : 'Throttled'} until {formatDate(note.deferredUntil)}
+                                                </div>
+                                            )}
+                                            {note.heldBy && (
+                                                <div style={{ fontSize: '11px', color: '#ef4444' }}>
+                                                    Held: circuit for {note.heldBy} is open
+                                                </div>
+                                            )}
                                         </td>
                                         <td style={{ padding: '12px', fontSize: '12px' }}>
-                                            {formatDate(note.releaseAt)}
+                                            {note.timezone ? formatDateIn(note.releaseAt, note.timezone) : formatDate(note.releaseAt)}
+                                            {note.timezone && (
+                                                <div style={{ fontSize: '11px', color: '#6b7280' }}>
+                                                    {note.timezone}
+                                                </div>
+                                            )}
+                                            {note.deliveryWindow && (
+                                                <div style={{ fontSize: '11px', color: '#6b7280' }}>
+                                                    Window {note.deliveryWindow.start}–{note.deliveryWindow.end}
+                                                    {note.deliveryWindow.days && ` ${note.deliveryWindow.days.join(', ')}`}
+                                                </div>
+                                            )}
                                         </td>
                                         <td style={{ padding: '12px' }}>
-                                            {(note.status === 'failed' || note.status === 'dead') && (
+                                            {['failed', 'dead', 'partially_delivered'].includes(note.status) && (
                                                 <button
                                                     onClick={() => replayNote(noteId)}
                                                     disabled={loading}
@@ -424,8 +1817,208 @@ function App() {
                                                     Replay
                                                 </button>
                                             )}
+                                            {note.status === 'recurring' && !note.schedule?.completedAt && (
+                                                <button
+                                                    onClick={() => note.schedule?.paused
+                                                        ? runNoteAction(noteId, 'resume', 'Schedule resumed')
+                                                        : runNoteAction(noteId, 'pause', 'Schedule paused')}
+                                                    disabled={loading}
+                                                    style={{
+                                                        backgroundColor: note.schedule?.paused ? '#10b981' : '#f59e0b',
+                                                        color: 'white',
+                                                        padding: '6px 12px',
+                                                        border: 'none',
+                                                        borderRadius: '4px',
+                                                        cursor: loading ? 'not-allowed' : 'pointer',
+                                                        fontSize: '12px',
+                                                        opacity: loading ? 0.6 : 1,
+                                                        marginRight: '6px'
+                                                    }}
+                                                >
+                                                    {note.schedule?.paused ? 'Resume' : 'Pause'}
+                                                </button>
+                                            )}
+                                            {note.attempts?.length > 0 && (
+                                                <button
+                                                    onClick={() => toggleAttempts(noteId)}
+                                                    style={{
+                                                        backgroundColor: '#6b7280',
+                                                        color: 'white',
+                                                        padding: '6px 12px',
+                                                        border: 'none',
+                                                        borderRadius: '4px',
+                                                        cursor: 'pointer',
+                                                        fontSize: '12px',
+                                                        marginRight: '6px'
+                                                    }}
+                                                >
+                                                    {expandedAttempts.has(noteId) ? 'Hide attempts' : `Attempts (${note.attempts.length})`}
+                                                </button>
+                                            )}
+                                            {note.fannedOutAt && (
+                                                <button
+                                                    onClick={() => toggleDeliveries(noteId)}
+                                                    style={{
+                                                        backgroundColor: '#14b8a6',
+                                                        color: 'white',
+                                                        padding: '6px 12px',
+                                                        border: 'none',
+                                                        borderRadius: '4px',
+                                                        cursor: 'pointer',
+                                                        fontSize: '12px',
+                                                        marginRight: '6px'
+                                                    }}
+                                                >
+                                                    {deliveries[noteId] ? 'Hide deliveries' : 'Deliveries'}
+                                                </button>
+                                            )}
+                                            {note.status === 'recurring' && (
+                                                <button
+                                                    onClick={() => toggleOccurrences(noteId)}
+                                                    style={{
+                                                        backgroundColor: '#8b5cf6',
+                                                        color: 'white',
+                                                        padding: '6px 12px',
+                                                        border: 'none',
+                                                        borderRadius: '4px',
+                                                        cursor: 'pointer',
+                                                        fontSize: '12px'
+                                                    }}
+                                                >
+                                                    {occurrences[noteId] ? 'Hide' : 'Upcoming'}
+                                                </button>
+                                            )}
+                                            {['pending', 'failed', 'recurring'].includes(note.status) && (
+                                                <button
+                                                    onClick={() => runNoteAction(noteId, 'cancel', 'Note cancelled')}
+                                                    disabled={loading}
+                                                    style={{
+                                                        backgroundColor: '#ef4444',
+                                                        color: 'white',
+                                                        padding: '6px 12px',
+                                                        border: 'none',
+                                                        borderRadius: '4px',
+                                                        cursor: loading ? 'not-allowed' : 'pointer',
+                                                        fontSize: '12px',
+                                                        opacity: loading ? 0.6 : 1,
+                                                        marginLeft: '6px'
+                                                    }}
+                                                >
+                                                    Cancel
+                                                </button>
+                                            )}
                                         </td>
                                     </tr>
+                                    {occurrences[noteId] && (
+                                        <tr style={{ backgroundColor: '#faf5ff', borderBottom: '1px solid #e5e7eb' }}>
+                                            <td colSpan={7} style={{ padding: '12px', fontSize: '12px' }}>
+                                                <strong>
+                                                    {note.schedule?.type === 'cron' ? 'Cron' : 'RRULE'} {note.schedule?.expression} ({note.schedule?.timezone})
+                                                </strong>
+                                                <div style={{ marginTop: '6px' }}>
+                                                    Upcoming: {occurrences[noteId].upcoming?.length > 0
+                                                        ? occurrences[noteId].upcoming.map(formatDate).join(' · ')
+                                                        : 'none'}
+                                                </div>
+                                                <div style={{ marginTop: '6px' }}>
+                                                    Recent: {occurrences[noteId].recent?.length > 0
+                                                        ? occurrences[noteId].recent.map(o => `${formatDate(o.releaseAt)} (${o.status})`).join(' · ')
+                                                        : 'none yet'}
+                                                </div>
+                                            </td>
+                                        </tr>
+                                    )}
+                                    {deliveries[noteId] && (
+                                        <tr style={{ backgroundColor: '#f0fdfa', borderBottom: '1px solid #e5e7eb' }}>
+                                            <td colSpan={7} style={{ padding: '12px', fontSize: '12px' }}>
+                                                {deliveries[noteId].length === 0 && 'No subscribers when the note was published'}
+                                                {deliveries[noteId].map(delivery => (
+                                                    <div key={delivery.id} style={{ display: 'flex', alignItems: 'center', gap: '12px', padding: '4px 0' }}>
+                                                        <strong style={{ minWidth: '120px' }}>{delivery.endpointName}</strong>
+                                                        <span style={{ color: getStatusColor(delivery.status), fontWeight: 'bold' }}>
+                                                            {delivery.status}
+                                                        </span>
+                                                        <span style={{ color: '#6b7280' }}>
+                                                            {delivery.attemptCount} attempts
+                                                            {delivery.attempts.length > 0 && ` · last ${delivery.attempts[delivery.attempts.length - 1].statusCode || delivery.attempts[delivery.attempts.length - 1].errorCode}`}
+                                                            {delivery.status === 'failed' && delivery.nextRetryAt && ` · retry at ${formatDate(delivery.nextRetryAt)}`}
+                                                            {isDeferred(delivery) && ` · throttled until ${formatDate(delivery.deferredUntil)}`}
+                                                            {delivery.heldBy && ` · held, circuit open`}
+                                                        </span>
+                                                        {['failed', 'dead'].includes(delivery.status) && (
+                                                            <button
+                                                                onClick={() => replayDelivery(noteId, delivery.id)}
+                                                                disabled={loading}
+                                                                style={{
+                                                                    backgroundColor: '#3b82f6',
+                                                                    color: 'white',
+                                                                    padding: '4px 10px',
+                                                                    border: 'none',
+                                                                    borderRadius: '4px',
+                                                                    cursor: loading ? 'not-allowed' : 'pointer',
+                                                                    fontSize: '11px'
+                                                                }}
+                                                            >
+                                                                Replay
+                                                            </button>
+                                                        )}
+                                                    </div>
+                                                ))}
+                                            </td>
+                                        </tr>
+                                    )}
+                                    {expandedAttempts.has(noteId) && (
+                                        <tr style={{ backgroundColor: '#f9fafb', borderBottom: '1px solid #e5e7eb' }}>
+                                            <td colSpan={7} style={{ padding: '12px 12px 12px 24px', fontSize: '12px' }}>
+                                                {note.attempts.map((attempt, index) => (
+                                                    <div
+                                                        key={index}
+                                                        style={{
+                                                            borderLeft: `3px solid ${attempt.ok ? '#10b981' : '#ef4444'}`,
+                                                            paddingLeft: '12px',
+                                                            paddingBottom: '10px'
+                                                        }}
+                                                    >
+                                                        <div>
+                                                            <strong>#{index + 1}</strong> {formatDate(attempt.at)}
+                                                            {' · '}
+                                                            {attempt.statusCode || attempt.errorCode || 'error'}
+                                                            {attempt.errorCode && attempt.statusCode ? ` (${attempt.errorCode})` : ''}
+                                                            {attempt.durationMs !== undefined ? ` · ${attempt.durationMs} ms` : ''}
+                                                            {attempt.rule ? ` · ${attempt.rule}` : ''}
+                                                        </div>
+                                                        {attempt.error && (
+                                                            <div style={{ color: '#ef4444' }}>{attempt.error}</div>
+                                                        )}
+                                                        {attempt.workerId && (
+                                                            <div style={{ color: '#6b7280' }}>Worker {attempt.workerId}</div>
+                                                        )}
+                                                        {(attempt.responseBody || attempt.responseHeaders || attempt.requestHeaders) && (
+                                                            <details style={{ marginTop: '4px' }}>
+                                                                <summary style={{ cursor: 'pointer', color: '#3b82f6' }}>Details</summary>
+                                                                {attempt.requestHeaders && (
+                                                                    <pre style={{ margin: '4px 0', whiteSpace: 'pre-wrap' }}>
+                                                                        Request headers: {JSON.stringify(attempt.requestHeaders, null, 2)}
+                                                                    </pre>
+                                                                )}
+                                                                {attempt.responseHeaders && (
+                                                                    <pre style={{ margin: '4px 0', whiteSpace: 'pre-wrap' }}>
+                                                                        Response headers: {JSON.stringify(attempt.responseHeaders, null, 2)}
+                                                                    </pre>
+                                                                )}
+                                                                {attempt.responseBody && (
+                                                                    <pre style={{ margin: '4px 0', whiteSpace: 'pre-wrap' }}>
+                                                                        Response body: {attempt.responseBody}
+                                                                    </pre>
+                                                                )}
+                                                            </details>
+                                                        )}
+                                                    </div>
+                                                ))}
+                                            </td>
+                                        </tr>
+                                    )}
+                                    </React.Fragment>
                                 );
                             })}
                         </tbody>
@@ -1,33 +1,111 @@
-const authMiddleware = (req, res, next) => {
+const ApiKey = require('../models/ApiKey');
+const { DEFAULT_TENANT, parseApiKey, hashApiKey, safeEqual, hasScope, tenantQuery } = require('../utils/apiKeys');
+
+// lastUsedAt is a hint, not an audit log; writing it at most once a minute
+// keeps busy keys from turning every request into a write.
+const LAST_USED_RESOLUTION_MS = 60000;
+
+const authenticate = async (token) => {
+  // ADMIN_TOKEN stays as a bootstrap key: admin of the default tenant, and
+  // the only caller allowed to create keys for other tenants.
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (adminToken && safeEqual(token, adminToken)) {
+    return { tenant: DEFAULT_TENANT, scopes: ['admin'], keyId: null, root: true };
+  }
+
+  const parsed = parseApiKey(token);
+  if (!parsed) {
+    return null;
+  }
+
+  const apiKey = await ApiKey.findOne({ prefix: parsed.prefix, revokedAt: null });
+  if (!apiKey || !safeEqual(hashApiKey(token), apiKey.keyHash)) {
+    return null;
+  }
+
+  const now = new Date();
+  if (apiKey.expiresAt && apiKey.expiresAt <= now) {
+    return null;
+  }
+
+  if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt > LAST_USED_RESOLUTION_MS) {
+    ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: now } })
+      .catch(error => console.error('Failed to record API key use:', error));
+  }
+
+  return { tenant: apiKey.tenant, scopes: apiKey.scopes, keyId: apiKey._id, root: false };
+};
+
+const authMiddleware = async (req, res, next) => {
   const authHeader = req.headers.authorization;
-  
+
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
     return res.status(401).json({
       error: 'Unauthorized',
       details: ['Missing or invalid Authorization header']
     });
   }
-  
-  const token = authHeader.substring(7); 
-  const expectedToken = process.env.ADMIN_TOKEN;
-  
-  if (!expectedToken) {
-    console.error('ADMIN_TOKEN environment variable not set');
+
+  const token = authHeader.substring(7);
+
+  let auth;
+  try {
+    auth = await authenticate(token);
+  } catch (error) {
+    console.error('Error authenticating request:', error);
     return res.status(500).json({
-      error: 'Server configuration error',
-      details: ['Authentication not properly configured']
+      error: 'Authentication failed',
+      details: ['Internal server error']
     });
   }
-  
-  if (token !== expectedToken) {
+
+  if (!auth) {
     return res.status(401).json({
-      error: 'Unauthorized', 
+      error: 'Unauthorized',
       details: ['Invalid authentication token']
     });
   }
-  
+
+  req.auth = auth;
+  next();
+};
+
+const requireScope = (scope) => (req, res, next) => {
+  if (!req.auth || !hasScope(req.auth.scopes, scope)) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      details: [`This API key lacks the ${scope} scope`]
+    });
+  }
   next();
 };
 
+// Query conditions restricting a collection to the caller's tenant.
+const tenantFilter = (req) => tenantQuery(req.auth.tenant);
+
+/**
+ * The tenant a request acts on: the caller's own, or the one it names if
+ * the caller is ADMIN_TOKEN. Anyone else naming another tenant gets a 403
+ * with `forbiddenDetail`, and null comes back.
+ */
+const resolveTenant = (req, res, tenant, forbiddenDetail) => {
+  if (!tenant || tenant === req.auth.tenant) {
+    return req.auth.tenant;
+  }
+
+  if (!req.auth.root) {
+    res.status(403).json({
+      error: 'Forbidden',
+      details: [forbiddenDetail]
+    });
+    return null;
+  }
+
+  return tenant;
+};
+
 
-module.exports = authMiddleware;
\ No newline at end of file
+module.exports = authMiddleware;
+module.exports.requireScope = requireScope;
+module.exports.tenantFilter = tenantFilter;
+module.exports.resolveTenant = resolveTenant;
@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const { getRedisClient } = require('../config/redis');
+
+const DEFAULT_TTL_SECONDS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_SECONDS) || 86400;
+
+// How long a key stays reserved for a request that is still running. Only
+// the response releases it, so a process that dies mid-request leaves it
+// behind; this keeps that from blocking retries for longer than a request
+// could take.
+const DEFAULT_RESERVATION_SECONDS = parseInt(process.env.IDEMPOTENCY_RESERVATION_SECONDS) || 60;
+
+// Key order must not matter: `{"a":1,"b":2}` and `{"b":2,"a":1}` are the same request.
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+const fingerprintBody = (body) => {
+  return crypto.createHash('sha256').update(stableStringify(body ?? null)).digest('hex');
+};
+
+/**
+ * Honours an `Idempotency-Key` request header. The first request with a key
+ * reserves it for `reservationSeconds`; once it succeeds its response is
+ * stored for `ttlSeconds` and replayed to any retry with the same body.
+ * Reusing the key with a different body, or while the first request is still
+ * running, gets a 409. Failed requests release the key so the client can
+ * retry.
+ */
+const idempotencyMiddleware = ({
+  scope,
+  ttlSeconds = DEFAULT_TTL_SECONDS,
+  reservationSeconds = DEFAULT_RESERVATION_SECONDS,
+  getClient = getRedisClient
+}) => {
+  return async (req, res, next) => {
+    const idempotencyKey = req.headers['idempotency-key'];
+    if (idempotencyKey === undefined) {
+      return next();
+    }
+
+    if (!idempotencyKey || idempotencyKey.length > 255) {
+      return res.status(400).json({
+        error: 'Invalid Idempotency-Key header',
+        details: ['Idempotency-Key must be between 1 and 255 characters']
+      });
+    }
+
+    const redis = getClient();
+    // Keys are per tenant so one tenant can't replay another's response.
+    const tenant = req.auth ? req.auth.tenant : 'default';
+    const storeKey = `idempotency-key:${scope}:${tenant}:${idempotencyKey}`;
+    const fingerprint = fingerprintBody(req.body);
+
+    let reserved;
+    let existing;
+    try {
+      reserved = await redis.set(storeKey, JSON.stringify({ state: 'in_progress', fingerprint }), 'EX', reservationSeconds, 'NX');
+      if (!reserved) {
+        existing = JSON.parse(await redis.get(storeKey));
+      }
+    } catch (error) {
+      console.error('Idempotency store error:', error);
+      return res.status(503).json({
+        error: 'Idempotency store unavailable',
+        details: ['Please retry the request later']
+      });
+    }
+
+    if (!reserved) {
+      // The key expired between SET and GET; treat it as unseen next time.
+      if (!existing) {
+        return res.status(409).json({
+          error: 'Idempotency-Key conflict',
+          details: ['Please retry the request']
+        });
+      }
+
+      if (existing.fingerprint !== fingerprint) {
+        return res.status(409).json({
+          error: 'Idempotency-Key conflict',
+          details: ['This Idempotency-Key was already used with a different request body']
+        });
+      }
+
+      if (existing.state !== 'completed') {
+        return res.status(409).json({
+          error: 'Idempotency-Key conflict',
+          details: ['A request with this Idempotency-Key is still being processed']
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.statusCode).json(existing.body);
+    }
+
+    // Record the outcome before the client sees it, so a retry that races
+    // the response never finds the key still in progress.
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      const statusCode = res.statusCode;
+      const record = statusCode >= 200 && statusCode < 300
+        ? redis.set(storeKey, JSON.stringify({ state: 'completed', fingerprint, statusCode, body }), 'EX', ttlSeconds)
+        : redis.del(storeKey);
+
+      Promise.resolve(record)
+        .catch(error => {
+          console.error('Failed to record idempotent response:', error);
+        })
+        .then(() => originalJson(body));
+
+      return res;
+    };
+
+    next();
+  };
+};
+
+module.exports = {
+  idempotencyMiddleware,
+  fingerprintBody
+};
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const { SCOPES } = require('../utils/apiKeys');
+
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  tenant: {
+    type: String,
+    required: true,
+    trim: true,
+    index: true
+  },
+  scopes: {
+    type: [{ type: String, enum: SCOPES }],
+    validate: scopes => scopes.length > 0
+  },
+  prefix: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // SHA-256 of the full key; the key itself is only shown once, on creation.
+  keyHash: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      delete ret.keyHash;
+      return ret;
+    }
+  }
+});
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+const { DEFAULT_TENANT } = require('../utils/apiKeys');
+
+const RETENTION_SECONDS = Math.round((parseFloat(process.env.BULK_OPERATION_RETENTION_DAYS) || 30) * 86400);
+
+// A replay, cancel or delete over many notes, run in the background by the
+// API's bulk runner (utils/bulkRunner) under a lease.
+const bulkOperationSchema = new mongoose.Schema({
+  // The tenant whose notes are acted on.
+  tenant: {
+    type: String,
+    trim: true,
+    default: DEFAULT_TENANT
+  },
+  action: {
+    type: String,
+    enum: ['replay', 'cancel', 'delete'],
+    required: true
+  },
+  // Either explicit note IDs or a filter; see utils/bulkSelection.
+  ids: {
+    type: [mongoose.Schema.Types.ObjectId],
+    default: undefined
+  },
+  filter: {
+    status: { type: [String], default: undefined },
+    host: { type: String, default: null },
+    from: { type: Date, default: null },
+    to: { type: Date, default: null }
+  },
+  // Replays only: how many sends are queued per second.
+  perSecond: {
+    type: Number,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'aborted'],
+    default: 'queued',
+    index: true
+  },
+  // Notes eligible when the operation was created.
+  total: {
+    type: Number,
+    default: 0
+  },
+  counts: {
+    processed: { type: Number, default: 0 },
+    succeeded: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+  // The first notes skipped or failed, and why.
+  issues: [{
+    _id: false,
+    noteId: mongoose.Schema.Types.ObjectId,
+    outcome: { type: String, enum: ['skipped', 'failed'] },
+    reason: String
+  }],
+  // The last note processed; the runner resumes after it.
+  cursor: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // The next free replay slot, kept so a resumed replay keeps its pace.
+  nextRunAt: {
+    type: Date,
+    default: null
+  },
+  abortRequested: {
+    type: Boolean,
+    default: false
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey',
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  },
+  leaseOwner: {
+    type: String,
+    default: null
+  },
+  leaseExpiresAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+bulkOperationSchema.index({ tenant: 1, createdAt: -1 });
+// Finished operations are removed by Mongo after BULK_OPERATION_RETENTION_DAYS.
+bulkOperationSchema.index({ finishedAt: 1 }, { expireAfterSeconds: RETENTION_SECONDS });
+
+module.exports = mongoose.model('BulkOperation', bulkOperationSchema);
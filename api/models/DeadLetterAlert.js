@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Where a tenant hears that dead letters are piling up for a destination:
+// `threshold` notes dead within `windowMinutes`, at most once per
+// destination every `cooldownMinutes`.
+const deadLetterAlertSchema = new mongoose.Schema({
+  tenant: {
+    type: String,
+    required: true,
+    trim: true,
+    unique: true
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  threshold: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  windowMinutes: {
+    type: Number,
+    default: 60,
+    min: 1
+  },
+  cooldownMinutes: {
+    type: Number,
+    default: 60,
+    min: 1
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  lastAlertAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+module.exports = mongoose.model('DeadLetterAlert', deadLetterAlertSchema);
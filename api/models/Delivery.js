@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const attemptSchema = require('./attemptSchema');
+const cloudEventsSchema = require('./cloudEventsSchema');
+const deliveryWindowSchema = require('./deliveryWindowSchema');
+
+// One (note, endpoint) pair of a topic note. It goes through the same
+// pending -> delivered / failed -> dead lifecycle as a single-URL note, under
+// the note's retryPolicy.
+const deliverySchema = new mongoose.Schema({
+  note: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note',
+    required: true
+  },
+  endpoint: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Endpoint',
+    required: true
+  },
+  // Copied from the endpoint at fan-out, so later edits don't change where
+  // an existing delivery goes.
+  endpointName: {
+    type: String,
+    required: true
+  },
+  webhookUrl: {
+    type: String,
+    required: true
+  },
+  topic: {
+    type: String,
+    required: true
+  },
+  // The note's CloudEvents setting, or else the endpoint's, fixed at fan-out.
+  cloudEvents: {
+    type: cloudEventsSchema,
+    default: null
+  },
+  // The note's delivery window and timezone, fixed at fan-out.
+  deliveryWindow: {
+    type: deliveryWindowSchema,
+    default: null
+  },
+  timezone: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'delivered', 'failed', 'dead', 'cancelled'],
+    default: 'pending'
+  },
+  idempotencyKey: {
+    type: String,
+    required: true
+  },
+  attempts: {
+    type: [attemptSchema],
+    default: []
+  },
+  attemptCount: {
+    type: Number,
+    default: 0
+  },
+  nextRetryAt: {
+    type: Date,
+    default: null
+  },
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+  leaseOwner: {
+    type: String,
+    default: null
+  },
+  leaseExpiresAt: {
+    type: Date,
+    default: null
+  },
+  deferredUntil: {
+    type: Date,
+    default: null
+  },
+  heldBy: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+deliverySchema.index({ note: 1, endpoint: 1 }, { unique: true });
+deliverySchema.index({ status: 1, nextRetryAt: 1 });
+deliverySchema.index({ heldBy: 1, updatedAt: 1 }, { partialFilterExpression: { heldBy: { $type: 'string' } } });
+deliverySchema.index({ endpoint: 1, status: 1 }, { partialFilterExpression: { 'cloudEvents.mode': 'batch' } });
+
+module.exports = mongoose.model('Delivery', deliverySchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const { DEFAULT_TENANT } = require('../utils/apiKeys');
+
+const signingSecretSchema = new mongoose.Schema({
+  secret: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  }
+});
+
+const destinationSchema = new mongoose.Schema({
+  tenant: {
+    type: String,
+    trim: true,
+    default: DEFAULT_TENANT
+  },
+  webhookUrl: {
+    type: String,
+    required: true,
+    trim: true,
+    match: /^https?:\/\/.+/
+  },
+  secrets: {
+    type: [signingSecretSchema],
+    default: []
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+destinationSchema.methods.activeSecrets = function (now = new Date()) {
+  return this.secrets.filter(s => !s.expiresAt || s.expiresAt > now);
+};
+
+// Two tenants may sign deliveries to the same URL with their own secrets.
+destinationSchema.index({ tenant: 1, webhookUrl: 1 }, { unique: true });
+
+module.exports = mongoose.model('Destination', destinationSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const { isValidPattern, buildPolicy, checkDestination } = require('../utils/destinationPolicy');
+
+const patternsField = {
+  type: [String],
+  default: [],
+  validate: {
+    validator: patterns => patterns.every(isValidPattern),
+    message: 'Patterns must be hostnames, *.wildcards, IP addresses or CIDR ranges'
+  }
+};
+
+// A tenant's additions to DESTINATION_ALLOWLIST / DESTINATION_DENYLIST.
+const destinationPolicySchema = new mongoose.Schema({
+  tenant: {
+    type: String,
+    required: true,
+    trim: true,
+    unique: true
+  },
+  allow: patternsField,
+  deny: patternsField
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// The effective policy for a tenant, server-wide patterns included.
+destinationPolicySchema.statics.forTenant = async function (tenant) {
+  const policy = await this.findOne({ tenant }).lean();
+  return buildPolicy({ allow: policy?.allow, deny: policy?.deny });
+};
+
+// Why the tenant may not send to webhookUrl, or null. The worker checks
+// again before every send, since DNS and the policy can change meanwhile.
+destinationPolicySchema.statics.check = async function (tenant, webhookUrl) {
+  return checkDestination(webhookUrl, await this.forTenant(tenant));
+};
+
+module.exports = mongoose.model('DestinationPolicy', destinationPolicySchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const { DEFAULT_TENANT } = require('../utils/apiKeys');
+const cloudEventsSchema = require('./cloudEventsSchema');
+
+const endpointSchema = new mongoose.Schema({
+  tenant: {
+    type: String,
+    trim: true,
+    default: DEFAULT_TENANT
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true,
+    match: /^https?:\/\/.+/
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: null
+  },
+  // Deliveries to this endpoint are sent as CloudEvents unless their note
+  // says otherwise.
+  cloudEvents: {
+    type: cloudEventsSchema,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Names are unique within a tenant.
+endpointSchema.index({ tenant: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Endpoint', endpointSchema);
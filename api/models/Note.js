@@ -1,13 +1,52 @@
 const mongoose = require('mongoose');
+const attemptSchema = require('./attemptSchema');
+const cloudEventsSchema = require('./cloudEventsSchema');
+const deliveryWindowSchema = require('./deliveryWindowSchema');
+const { DEFAULT_TENANT } = require('../utils/apiKeys');
+const { HTTP_METHODS, DEFAULT_METHOD, DEFAULT_CONTENT_TYPE } = require('../utils/payload');
+const { CHANNEL_TYPES, channelType } = require('../utils/channels');
 
-const attemptSchema = new mongoose.Schema({
-  at: { type: Date, required: true },
-  statusCode: { type: Number, required: true },
-  ok: { type: Boolean, required: true },
-  error: { type: String, required: false }
+const retryPolicySchema = new mongoose.Schema({
+  maxAttempts: { type: Number, min: 1, required: true },
+  backoff: { type: String, enum: ['fixed', 'exponential', 'exponential_jitter'], required: true },
+  baseDelayMs: { type: Number, min: 0, required: true },
+  maxDelayMs: { type: Number, min: 0, required: true },
+  timeoutMs: { type: Number, min: 1, required: true }
+}, { _id: false });
+
+const scheduleSchema = new mongoose.Schema({
+  type: { type: String, enum: ['cron', 'rrule'], required: true },
+  expression: { type: String, required: true, trim: true, maxlength: 500 },
+  timezone: { type: String, default: 'UTC' },
+  startAt: { type: Date, required: true },
+  endAt: { type: Date, default: null },
+  maxOccurrences: { type: Number, min: 1, default: null },
+  occurrenceCount: { type: Number, default: 0 },
+  nextRunAt: { type: Date, default: null },
+  lastRunAt: { type: Date, default: null },
+  paused: { type: Boolean, default: false },
+  completedAt: { type: Date, default: null }
+}, { _id: false });
+
+// Which settings each type takes is checked by the API; see utils/channels.
+const channelSchema = new mongoose.Schema({
+  type: { type: String, enum: CHANNEL_TYPES, required: true },
+  to: { type: [String], default: undefined },
+  cc: { type: [String], default: undefined },
+  replyTo: { type: String, default: null },
+  subject: { type: String, default: null, maxlength: 200 },
+  username: { type: String, default: null, maxlength: 80 },
+  avatarUrl: { type: String, default: null }
 }, { _id: false });
 
 const noteSchema = new mongoose.Schema({
+  // Notes created before tenants existed have none and belong to the
+  // default tenant.
+  tenant: {
+    type: String,
+    trim: true,
+    default: DEFAULT_TENANT
+  },
   title: {
     type: String,
     required: true,
@@ -25,15 +64,89 @@ const noteSchema = new mongoose.Schema({
     required: true,
     index: true 
   },
+  // The IANA timezone the note was scheduled in; its releaseAt is still
+  // stored in UTC. Null when it was given in UTC.
+  timezone: {
+    type: String,
+    default: null
+  },
+  // Sends, retries included, wait for this span of local time.
+  deliveryWindow: {
+    type: deliveryWindowSchema,
+    default: null
+  },
+  // Exactly one of webhookUrl or topic is set, or neither for email notes.
   webhookUrl: {
     type: String,
-    required: true,
+    required: function () {
+      // Update validators run with the query as `this`; PATCH checks the
+      // edited note as a whole instead.
+      if (this instanceof mongoose.Query) return false;
+      return !this.topic && channelType(this.channel) !== 'email';
+    },
     trim: true,
     match: /^https?:\/\/.+/
   },
+  // Notes published to a topic are fanned out to one Delivery per subscribed
+  // endpoint when they come due; their status is rolled up from those.
+  topic: {
+    type: String,
+    default: null,
+    trim: true,
+    index: true
+  },
+  // Arbitrary JSON sent with the note, size-limited by the API. How the
+  // request is made and what its body is are set by the fields below; see
+  // utils/payload.
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  method: {
+    type: String,
+    enum: HTTP_METHODS,
+    default: DEFAULT_METHOD
+  },
+  contentType: {
+    type: String,
+    default: DEFAULT_CONTENT_TYPE
+  },
+  // Extra request headers, { name: value }.
+  headers: {
+    type: Object,
+    default: null
+  },
+  // A Mustache template rendering the body instead of the default JSON.
+  template: {
+    type: String,
+    default: null,
+    maxlength: 20000
+  },
+  // Where the note goes: Slack, Discord or email instead of a plain
+  // webhook (see utils/channels). Null is a webhook.
+  channel: {
+    type: channelSchema,
+    default: null
+  },
+  // Send as a CloudEvent instead; for topic notes this overrides the
+  // endpoints' own setting.
+  cloudEvents: {
+    type: cloudEventsSchema,
+    default: null
+  },
+  // Free-form labels for finding notes, e.g. ['billing', 'eu'].
+  tags: {
+    type: [String],
+    default: []
+  },
+  // Set once the worker has created the note's deliveries.
+  fannedOutAt: {
+    type: Date,
+    default: null
+  },
   status: {
     type: String,
-    enum: ['pending', 'delivered', 'failed', 'dead'],
+    enum: ['pending', 'delivered', 'partially_delivered', 'failed', 'dead', 'recurring', 'cancelled'],
     default: 'pending',
     index: true 
   },
@@ -41,9 +154,61 @@ const noteSchema = new mongoose.Schema({
     type: [attemptSchema],
     default: []
   },
+  // Resolved at creation time from the request and the server defaults.
+  retryPolicy: {
+    type: retryPolicySchema,
+    default: null
+  },
+  // Attempts in the current run; reset when the note is replayed.
+  attemptCount: {
+    type: Number,
+    default: 0
+  },
+  nextRetryAt: {
+    type: Date,
+    default: null
+  },
   deliveredAt: {
     type: Date,
     default: null
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+  // Lease taken by the worker for the duration of a delivery attempt. Edits
+  // and cancellation only apply while there is none (or it has expired).
+  leaseOwner: {
+    type: String,
+    default: null
+  },
+  leaseExpiresAt: {
+    type: Date,
+    default: null
+  },
+  // Set while the worker holds the note back under a rate limit; the job
+  // runs again at this time.
+  deferredUntil: {
+    type: Date,
+    default: null
+  },
+  // Key of the circuit breaker holding the note while its host is failing;
+  // the worker sends it once the circuit closes.
+  heldBy: {
+    type: String,
+    default: null
+  },
+  // Set on recurring notes. The note itself is never delivered; the worker
+  // creates one occurrence note per run instead.
+  schedule: {
+    type: scheduleSchema,
+    default: null
+  },
+  seriesId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Note',
+    default: null,
+    index: true
   }
 }, {
   timestamps: true,
@@ -59,5 +224,30 @@ const noteSchema = new mongoose.Schema({
 
 
 noteSchema.index({ status: 1, releaseAt: 1 });
+// Retention sweeps, by how long notes have been finished.
+noteSchema.index({ status: 1, updatedAt: 1 });
+// Listing: every sort field per tenant, alone and under the status filter,
+// with _id last so cursor pages are index range scans.
+noteSchema.index({ tenant: 1, createdAt: -1, _id: -1 });
+noteSchema.index({ tenant: 1, status: 1, createdAt: -1, _id: -1 });
+noteSchema.index({ tenant: 1, releaseAt: -1, _id: -1 });
+noteSchema.index({ tenant: 1, status: 1, releaseAt: -1, _id: -1 });
+noteSchema.index({ tenant: 1, updatedAt: -1, _id: -1 });
+noteSchema.index({ tenant: 1, attemptCount: -1, _id: -1 });
+noteSchema.index({ tenant: 1, tags: 1, createdAt: -1, _id: -1 });
+// Dead letters, by when they died.
+noteSchema.index({ tenant: 1, status: 1, updatedAt: -1 });
+noteSchema.index({ title: 'text', body: 'text' }, { weights: { title: 5, body: 1 }, name: 'note_text' });
+noteSchema.index({ 'schedule.nextRunAt': 1 }, { sparse: true });
+noteSchema.index(
+  { seriesId: 1, releaseAt: 1 },
+  { unique: true, partialFilterExpression: { seriesId: { $type: 'objectId' } } }
+);
+noteSchema.index({ heldBy: 1, updatedAt: 1 }, { partialFilterExpression: { heldBy: { $type: 'string' } } });
+// The worker gathers due notes for the same destination into a batch.
+noteSchema.index(
+  { webhookUrl: 1, releaseAt: 1 },
+  { partialFilterExpression: { 'cloudEvents.mode': 'batch' } }
+);
 
 module.exports = mongoose.model('Note', noteSchema);
\ No newline at end of file
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const { recordOps } = require('../utils/outbox');
+const { withTraceContext } = require('../utils/tracing');
+
+// Published entries are kept this long for debugging, then removed by Mongo.
+const RETENTION_SECONDS = parseInt(process.env.OUTBOX_RETENTION_SECONDS) || 7 * 86400;
+
+// A queue job waiting to be published. Written in the same transaction as
+// the note change that needs it; the worker's relay adds it to BullMQ.
+const outboxEntrySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    enum: ['deliver-note', 'deliver-endpoint'],
+    required: true
+  },
+  data: {
+    type: Object,
+    required: true
+  },
+  // Also the BullMQ jobId, so publishing twice after a relay crash adds
+  // the job once.
+  jobId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  publishedAt: {
+    type: Date,
+    default: null
+  },
+  publishAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  leaseOwner: {
+    type: String,
+    default: null
+  },
+  leaseExpiresAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  collection: 'outbox'
+});
+
+outboxEntrySchema.index({ publishedAt: 1, createdAt: 1 });
+outboxEntrySchema.index({ publishedAt: 1 }, { expireAfterSeconds: RETENTION_SECONDS });
+
+// Pass the session of the transaction making the change that needs the jobs.
+// Entries carry the caller's trace context on to the worker.
+outboxEntrySchema.statics.record = function (entries, session) {
+  const traced = entries.map(entry => ({ ...entry, data: withTraceContext(entry.data) }));
+  return this.bulkWrite(recordOps(traced), { session });
+};
+
+module.exports = mongoose.model('OutboxEntry', outboxEntrySchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const { DEFAULT_TENANT } = require('../utils/apiKeys');
+
+// Throttles a tenant's sends to one endpoint or to one host. The worker
+// enforces it across replicas in Redis; see utils/throttle.
+const rateLimitSchema = new mongoose.Schema({
+  tenant: {
+    type: String,
+    trim: true,
+    default: DEFAULT_TENANT
+  },
+  host: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: null
+  },
+  endpoint: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Endpoint',
+    default: null
+  },
+  perSecond: {
+    type: Number,
+    min: 0.001,
+    default: null
+  },
+  burst: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  maxInFlight: {
+    type: Number,
+    min: 1,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// One limit per host and one per endpoint within a tenant.
+rateLimitSchema.index(
+  { tenant: 1, host: 1 },
+  { unique: true, partialFilterExpression: { host: { $type: 'string' } } }
+);
+rateLimitSchema.index(
+  { tenant: 1, endpoint: 1 },
+  { unique: true, partialFilterExpression: { endpoint: { $type: 'objectId' } } }
+);
+
+module.exports = mongoose.model('RateLimit', rateLimitSchema);
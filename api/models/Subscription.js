@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+const subscriptionSchema = new mongoose.Schema({
+  topic: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Topic',
+    required: true
+  },
+  endpoint: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Endpoint',
+    required: true,
+    index: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+subscriptionSchema.index({ topic: 1, endpoint: 1 }, { unique: true });
+
+module.exports = mongoose.model('Subscription', subscriptionSchema);
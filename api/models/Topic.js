@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+const { DEFAULT_TENANT } = require('../utils/apiKeys');
+
+const topicSchema = new mongoose.Schema({
+  tenant: {
+    type: String,
+    trim: true,
+    default: DEFAULT_TENANT
+  },
+  // Notes refer to topics by name, within their own tenant.
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100,
+    match: /^[A-Za-z0-9._-]+$/
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+topicSchema.index({ tenant: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Topic', topicSchema);
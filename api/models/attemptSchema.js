@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Shared by notes delivered to a single webhookUrl and by topic deliveries.
+const attemptSchema = new mongoose.Schema({
+  at: { type: Date, required: true },
+  // The HTTP status, or the SMTP reply code for email; 0 if none came back.
+  statusCode: { type: Number, required: true },
+  ok: { type: Boolean, required: true },
+  error: { type: String, required: false },
+  rule: { type: String, required: false },
+  errorCode: {
+    type: String,
+    enum: ['DNS', 'ECONNREFUSED', 'TLS', 'TIMEOUT', 'BLOCKED', 'TEMPLATE', 'HTTP', 'SMTP', 'NETWORK'],
+    required: false
+  },
+  durationMs: { type: Number, required: false },
+  // Truncated by the worker (ATTEMPT_BODY_LIMIT_BYTES).
+  responseBody: { type: String, required: false },
+  responseHeaders: { type: Object, required: false },
+  // As sent, with credentials and signatures redacted.
+  requestHeaders: { type: Object, required: false },
+  workerId: { type: String, required: false }
+}, { _id: false });
+
+module.exports = attemptSchema;
@@ -0,0 +1,12 @@
+const mongoose = require('mongoose');
+const { CLOUDEVENTS_MODES } = require('../utils/cloudEvents');
+
+// Shared by notes and endpoints: deliver as CloudEvents 1.0 in this mode.
+// type and source default as described in utils/cloudEvents.
+const cloudEventsSchema = new mongoose.Schema({
+  mode: { type: String, enum: CLOUDEVENTS_MODES, required: true },
+  type: { type: String, default: null, maxlength: 200 },
+  source: { type: String, default: null, maxlength: 500 }
+}, { _id: false });
+
+module.exports = cloudEventsSchema;
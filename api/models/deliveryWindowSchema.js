@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+const { WEEKDAYS } = require('../utils/localTime');
+
+// Shared by notes and their topic deliveries: only send between start and
+// end (local HH:mm in the note's timezone), on these days if given. See
+// utils/localTime.
+const deliveryWindowSchema = new mongoose.Schema({
+  start: { type: String, required: true, match: /^\d{2}:\d{2}$/ },
+  end: { type: String, required: true, match: /^\d{2}:\d{2}$/ },
+  days: { type: [{ type: String, enum: WEEKDAYS }], default: undefined }
+}, { _id: false });
+
+module.exports = deliveryWindowSchema;
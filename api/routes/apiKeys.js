@@ -0,0 +1,151 @@
+const express = require('express');
+const { z } = require('zod');
+const ApiKey = require('../models/ApiKey');
+const { resolveTenant } = require('../middleware/auth');
+const { SCOPES, generateApiKey, hashApiKey } = require('../utils/apiKeys');
+
+const router = express.Router();
+
+const createApiKeySchema = z.object({
+  name: z.string().min(1).max(100).trim(),
+  scopes: z.array(z.enum(SCOPES)).min(1),
+  tenant: z.string().min(1).max(100).regex(/^[A-Za-z0-9._-]+$/, 'may only contain letters, digits, ".", "_" and "-"').optional(),
+  expiresAt: z.string().datetime().optional()
+});
+
+const listApiKeysSchema = z.object({
+  tenant: z.string().min(1).max(100).optional(),
+  includeRevoked: z.enum(['true', 'false']).optional()
+});
+
+const toResponse = (apiKey) => ({
+  id: apiKey._id,
+  name: apiKey.name,
+  tenant: apiKey.tenant,
+  scopes: apiKey.scopes,
+  hint: `dlk_${apiKey.prefix}_...`,
+  expiresAt: apiKey.expiresAt,
+  lastUsedAt: apiKey.lastUsedAt,
+  revokedAt: apiKey.revokedAt,
+  createdAt: apiKey.createdAt
+});
+
+const zodErrorResponse = (res, error, message) => res.status(400).json({
+  error: message,
+  details: error.issues.map(issue => `${issue.path.join('.')}: ${issue.message}`)
+});
+
+const OTHER_TENANT = 'API keys can only be managed for your own tenant';
+
+
+router.post('/', async (req, res) => {
+  try {
+    const validatedData = createApiKeySchema.parse(req.body);
+
+    const tenant = resolveTenant(req, res, validatedData.tenant, OTHER_TENANT);
+    if (!tenant) return;
+
+    const { key, prefix } = generateApiKey();
+    const apiKey = new ApiKey({
+      name: validatedData.name,
+      tenant,
+      scopes: [...new Set(validatedData.scopes)],
+      prefix,
+      keyHash: hashApiKey(key),
+      expiresAt: validatedData.expiresAt ? new Date(validatedData.expiresAt) : null
+    });
+
+    await apiKey.save();
+
+    console.log(`🔑 API key created: ${apiKey._id} (${tenant}: ${apiKey.scopes.join(', ')})`);
+
+    // The plaintext key is only ever returned here.
+    res.status(201).json({ ...toResponse(apiKey), key });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return zodErrorResponse(res, error, 'Invalid request data');
+    }
+
+    console.error('Error creating API key:', error);
+    res.status(500).json({
+      error: 'Failed to create API key',
+      details: ['Internal server error']
+    });
+  }
+});
+
+
+router.get('/', async (req, res) => {
+  try {
+    const query = listApiKeysSchema.parse(req.query);
+
+    const tenant = resolveTenant(req, res, query.tenant, OTHER_TENANT);
+    if (!tenant) return;
+
+    const filter = { tenant };
+    if (query.includeRevoked !== 'true') {
+      filter.revokedAt = null;
+    }
+
+    const apiKeys = await ApiKey.find(filter).sort({ createdAt: -1 });
+
+    res.json({
+      apiKeys: apiKeys.map(toResponse)
+    });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return zodErrorResponse(res, error, 'Invalid query parameters');
+    }
+
+    console.error('Error listing API keys:', error);
+    res.status(500).json({
+      error: 'Failed to list API keys',
+      details: ['Internal server error']
+    });
+  }
+});
+
+
+router.delete('/:id', async (req, res) => {
+  try {
+    const keyId = req.params.id;
+
+    if (!/^[0-9a-fA-F]{24}$/.test(keyId)) {
+      return res.status(400).json({
+        error: 'Invalid API key ID format',
+        details: ['API key ID must be a valid MongoDB ObjectId']
+      });
+    }
+
+    const filter = { _id: keyId };
+    if (!req.auth.root) {
+      filter.tenant = req.auth.tenant;
+    }
+
+    const apiKey = await ApiKey.findOne(filter);
+    if (!apiKey) {
+      return res.status(404).json({
+        error: 'API key not found',
+        details: ['No API key found with the specified ID']
+      });
+    }
+
+    // Revoked keys are kept so listings can still show who had access.
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+    }
+
+    console.log(`🔒 API key revoked: ${apiKey._id} (${apiKey.tenant})`);
+
+    res.json(toResponse(apiKey));
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({
+      error: 'Failed to revoke API key',
+      details: ['Internal server error']
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,253 @@
+const express = require('express');
+const { z } = require('zod');
+const Note = require('../models/Note');
+const BulkOperation = require('../models/BulkOperation');
+const { requireScope, resolveTenant } = require('../middleware/auth');
+const { hasScope } = require('../utils/apiKeys');
+const { BULK_ACTIONS, selectionQuery, operationQuery } = require('../utils/bulkSelection');
+
+const router = express.Router();
+
+// Replays are paced so a receiver that just recovered isn't flooded; the
+// worker's rate limits and circuit breakers apply on top.
+const DEFAULT_REPLAY_PER_SECOND = parseFloat(process.env.BULK_REPLAY_PER_SECOND) || 10;
+
+const ACTION_SCOPES = {
+  replay: 'notes:replay',
+  cancel: 'notes:write',
+  delete: 'notes:write'
+};
+
+const statusSchema = z.enum(['pending', 'delivered', 'partially_delivered', 'failed', 'dead', 'recurring', 'cancelled']);
+const objectIdSchema = z.string().regex(/^[0-9a-fA-F]{24}$/, 'must be a valid MongoDB ObjectId');
+
+const filterSchema = z.object({
+  status: z.union([statusSchema, z.array(statusSchema).min(1)])
+    .transform(status => (Array.isArray(status) ? status : [status]))
+    .optional(),
+  host: z.string().trim().toLowerCase().regex(/^[a-z0-9_.:-]+$/, 'must be a hostname or IP address').optional(),
+  from: z.string().datetime().optional(),
+  to: z.string().datetime().optional(),
+  tenant: z.string().trim().min(1).max(100).regex(/^[A-Za-z0-9._-]+$/, 'may only contain letters, digits, ".", "_" and "-"').optional()
+}).strict().refine(filter => Object.keys(filter).length > 0, {
+  message: 'Provide at least one of status, host, from, to or tenant'
+}).refine(filter => !filter.from || !filter.to || new Date(filter.from) < new Date(filter.to), {
+  message: 'from must be before to'
+});
+
+const createBulkOperationSchema = z.object({
+  action: z.enum(BULK_ACTIONS),
+  filter: filterSchema.optional(),
+  ids: z.array(objectIdSchema).min(1).max(10000).optional(),
+  dryRun: z.boolean().optional().default(false),
+  perSecond: z.number().positive().max(1000).optional()
+}).strict().refine(data => Boolean(data.filter) !== Boolean(data.ids), {
+  message: 'Provide exactly one of filter or ids'
+}).refine(data => !data.perSecond || data.action === 'replay', {
+  message: 'perSecond only applies to replay',
+  path: ['perSecond']
+});
+
+const listBulkOperationsSchema = z.object({
+  tenant: z.string().trim().min(1).max(100).optional()
+});
+
+const toResponse = (operation) => ({
+  id: operation._id,
+  tenant: operation.tenant,
+  action: operation.action,
+  ids: operation.ids ? operation.ids.length : null,
+  filter: operation.ids ? null : {
+    status: operation.filter.status || null,
+    host: operation.filter.host || null,
+    from: operation.filter.from || null,
+    to: operation.filter.to || null
+  },
+  perSecond: operation.perSecond || null,
+  status: operation.status,
+  total: operation.total,
+  counts: operation.counts,
+  issues: operation.issues || [],
+  abortRequested: operation.abortRequested,
+  lastError: operation.lastError || null,
+  createdAt: operation.createdAt,
+  startedAt: operation.startedAt || null,
+  finishedAt: operation.finishedAt || null
+});
+
+const zodErrorResponse = (res, error, message) => res.status(400).json({
+  error: message,
+  details: error.issues.map(issue => `${issue.path.join('.')}: ${issue.message}`)
+});
+
+const forbidden = (res, detail) => res.status(403).json({
+  error: 'Forbidden',
+  details: [detail]
+});
+
+const OTHER_TENANT = 'Bulk operations can only act on your own tenant\'s notes';
+
+const findBulkOperation = async (req, res) => {
+  const operationId = req.params.id;
+
+  if (!/^[0-9a-fA-F]{24}$/.test(operationId)) {
+    res.status(400).json({
+      error: 'Invalid bulk operation ID format',
+      details: ['Bulk operation ID must be a valid MongoDB ObjectId']
+    });
+    return null;
+  }
+
+  const operation = await BulkOperation.findById(operationId);
+  const visible = operation && (req.auth.root || operation.tenant === req.auth.tenant);
+  if (!visible) {
+    res.status(404).json({
+      error: 'Bulk operation not found',
+      details: ['No bulk operation found with the specified ID']
+    });
+    return null;
+  }
+
+  return operation;
+};
+
+
+// Starts a bulk operation, or with dryRun only counts the notes it would act
+// on. `matched` counts the selection; `eligible` the notes the action
+// applies to (e.g. a replay skips delivered notes).
+router.post('/', async (req, res) => {
+  try {
+    const { action, filter, ids, dryRun, perSecond } = createBulkOperationSchema.parse(req.body);
+
+    const scope = ACTION_SCOPES[action];
+    if (!hasScope(req.auth.scopes, scope)) {
+      return forbidden(res, `This API key lacks the ${scope} scope`);
+    }
+
+    const { tenant: requestedTenant, ...noteFilter } = filter || {};
+    const tenant = resolveTenant(req, res, requestedTenant, OTHER_TENANT);
+    if (!tenant) return;
+
+    const selection = { action, ids, filter: noteFilter, tenant };
+    const [matched, eligible] = await Promise.all([
+      Note.countDocuments(selectionQuery(selection, tenant)),
+      Note.countDocuments(operationQuery(selection))
+    ]);
+
+    if (dryRun) {
+      return res.json({ dryRun: true, action, matched, eligible });
+    }
+
+    const operation = new BulkOperation({
+      tenant,
+      action,
+      ids,
+      filter: noteFilter,
+      perSecond: action === 'replay' ? perSecond || DEFAULT_REPLAY_PER_SECOND : null,
+      total: eligible,
+      createdBy: req.auth.keyId
+    });
+    await operation.save();
+
+    console.log(`📦 Bulk ${action} queued: ${operation._id} (${eligible} notes, tenant ${tenant})`);
+
+    res.status(202).json({ ...toResponse(operation), matched });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return zodErrorResponse(res, error, 'Invalid request data');
+    }
+
+    console.error('Error starting bulk operation:', error);
+    res.status(500).json({
+      error: 'Failed to start bulk operation',
+      details: ['Internal server error']
+    });
+  }
+});
+
+
+router.get('/', requireScope('notes:read'), async (req, res) => {
+  try {
+    const query = listBulkOperationsSchema.parse(req.query);
+
+    const tenant = resolveTenant(req, res, query.tenant, OTHER_TENANT);
+    if (!tenant) return;
+
+    const operations = await BulkOperation.find({ tenant })
+      .select('-issues')
+      .sort({ createdAt: -1 })
+      .limit(20);
+
+    res.json({ operations: operations.map(toResponse) });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return zodErrorResponse(res, error, 'Invalid query parameters');
+    }
+
+    console.error('Error listing bulk operations:', error);
+    res.status(500).json({
+      error: 'Failed to list bulk operations',
+      details: ['Internal server error']
+    });
+  }
+});
+
+
+router.get('/:id', requireScope('notes:read'), async (req, res) => {
+  try {
+    const operation = await findBulkOperation(req, res);
+    if (!operation) return;
+
+    res.json(toResponse(operation));
+  } catch (error) {
+    console.error('Error fetching bulk operation:', error);
+    res.status(500).json({
+      error: 'Failed to fetch bulk operation',
+      details: ['Internal server error']
+    });
+  }
+});
+
+
+// A queued operation stops at once; a running one after its current batch.
+// Notes already processed stay replayed, cancelled or deleted.
+router.post('/:id/abort', async (req, res) => {
+  try {
+    const operation = await findBulkOperation(req, res);
+    if (!operation) return;
+
+    const scope = ACTION_SCOPES[operation.action];
+    if (!hasScope(req.auth.scopes, scope)) {
+      return forbidden(res, `This API key lacks the ${scope} scope`);
+    }
+
+    const aborted = await BulkOperation.findOneAndUpdate(
+      { _id: operation._id, status: 'queued' },
+      { $set: { status: 'aborted', abortRequested: true, finishedAt: new Date() } },
+      { new: true }
+    ) || await BulkOperation.findOneAndUpdate(
+      { _id: operation._id, status: 'running' },
+      { $set: { abortRequested: true } },
+      { new: true }
+    );
+
+    if (!aborted) {
+      return res.status(409).json({
+        error: 'Cannot abort bulk operation',
+        details: [`Bulk operation is already ${operation.status}`]
+      });
+    }
+
+    console.log(`📦 Bulk ${operation.action} abort requested: ${operation._id}`);
+
+    res.json(toResponse(aborted));
+  } catch (error) {
+    console.error('Error aborting bulk operation:', error);
+    res.status(500).json({
+      error: 'Failed to abort bulk operation',
+      details: ['Internal server error']
+    });
+  }
+});
+
+module.exports = router;
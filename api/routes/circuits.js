@@ -0,0 +1,106 @@
+const express = require('express');
+const Note = require('../models/Note');
+const Delivery = require('../models/Delivery');
+const { getRedisClient } = require('../config/redis');
+const { createCircuits, circuitKey } = require('../utils/circuit');
+
+const router = express.Router();
+
+const SENDABLE = ['pending', 'failed'];
+
+const getCircuits = () => createCircuits(getRedisClient());
+
+// Notes and deliveries waiting for the circuit to close.
+const countHeld = async (key) => {
+  const filter = { heldBy: key, status: { $in: SENDABLE } };
+  const [notes, deliveries] = await Promise.all([
+    Note.countDocuments(filter),
+    Delivery.countDocuments(filter)
+  ]);
+  return notes + deliveries;
+};
+
+const describe = async (tenant, host, historyLength) => {
+  const key = circuitKey(tenant, host);
+  const [circuit, held] = await Promise.all([
+    getCircuits().get(key, historyLength),
+    countHeld(key)
+  ]);
+  return { ...circuit, held };
+};
+
+const parseHost = (req, res) => {
+  const host = String(req.params.host || '').trim().toLowerCase();
+  if (!/^[a-z0-9_.:-]+$/.test(host)) {
+    res.status(400).json({
+      error: 'Invalid host',
+      details: ['host must be a hostname or IP address']
+    });
+    return null;
+  }
+  return host;
+};
+
+
+// Every host the tenant has had a failed send to, open circuits first.
+router.get('/', async (req, res) => {
+  try {
+    const hosts = await getCircuits().hosts(req.auth.tenant);
+    const circuits = await Promise.all(hosts.map(host => describe(req.auth.tenant, host, 5)));
+
+    const order = { open: 0, 'half-open': 1, closed: 2 };
+    circuits.sort((a, b) => order[a.state] - order[b.state] || a.host.localeCompare(b.host));
+
+    res.json({ circuits });
+  } catch (error) {
+    console.error('Error listing circuits:', error);
+    res.status(500).json({
+      error: 'Failed to list circuits',
+      details: ['Internal server error']
+    });
+  }
+});
+
+
+router.get('/:host', async (req, res) => {
+  try {
+    const host = parseHost(req, res);
+    if (!host) return;
+
+    res.json(await describe(req.auth.tenant, host));
+  } catch (error) {
+    console.error('Error fetching circuit:', error);
+    res.status(500).json({
+      error: 'Failed to fetch circuit',
+      details: ['Internal server error']
+    });
+  }
+});
+
+
+// Closes the circuit by hand. The worker releases the held backlog on its
+// next sweep, a few seconds later.
+router.post('/:host/reset', async (req, res) => {
+  try {
+    const host = parseHost(req, res);
+    if (!host) return;
+
+    const previous = await getCircuits().reset(circuitKey(req.auth.tenant, host));
+
+    console.log(`🔌 Circuit reset for ${host} (${req.auth.tenant}), was ${previous}`);
+
+    res.json({
+      message: 'Circuit reset',
+      previousState: previous,
+      circuit: await describe(req.auth.tenant, host)
+    });
+  } catch (error) {
+    console.error('Error resetting circuit:', error);
+    res.status(500).json({
+      error: 'Failed to reset circuit',
+      details: ['Internal server error']
+    });
+  }
+});
+
+module.exports = router;
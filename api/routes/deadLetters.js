@@ -0,0 +1,399 @@
+const express = require('express');
+const { z } = require('zod');
+const Note = require('../models/Note');
+const DeadLetterAlert = require('../models/DeadLetterAlert');
+const DestinationPolicy = require('../models/DestinationPolicy');
+const { requireScope, resolveTenant } = require('../middleware/auth');
+const { deleteNotes } = require('../utils/noteActions');
+const {
+  REASON_KEY,
+  CSV_COLUMNS,
+  reasonOf,
+  isValidReason,
+  deadLetterStages,
+  exportRecord,
+  csvLine,
+  csvLines
+} = require('../utils/deadLetters');
+
+const router = express.Router();
+
+// Dead letters are dead notes. The dead deliveries of a partially delivered
+// topic note are listed on the note itself.
+
+const PURGE_BATCH_SIZE = 500;
+const SAMPLE_SIZE = 5;
+
+const filterFields = {
+  destination: z.string().trim().toLowerCase().regex(/^(topic:)?[a-z0-9_.:\[\]-]+$/, 'must be a hostname, topic:<name> or email').optional(),
+  reason: z.string().trim().refine(isValidReason, {
+    message: 'must be "HTTP <status>", an error code or "no attempts"'
+  }).optional(),
+  from: z.string().datetime().optional(),
+  to: z.string().datetime().optional(),
+  tenant: z.string().trim().min(1).max(100).optional()
+};
+
+const beforeTo = [
+  filter => !filter.from || !filter.to || new Date(filter.from) < new Date(filter.to),
+  { message: 'from must be before to' }
+];
+
+const groupsSchema = z.object({
+  ...filterFields,
+  limit: z.coerce.number().int().min(1).max(500).optional().default(100)
+}).refine(...beforeTo);
+
+const reasonsSchema = z.object({
+  ...filterFields,
+  interval: z.enum(['hour', 'day']).optional().default('day')
+}).refine(...beforeTo);
+
+const exportSchema = z.object({
+  ...filterFields,
+  format: z.enum(['ndjson', 'csv']).optional().default('ndjson')
+}).refine(...beforeTo);
+
+const purgeSchema = z.object({
+  ...filterFields,
+  olderThanDays: z.number().positive().max(3650).optional(),
+  dryRun: z.boolean().optional().default(false)
+}).strict().refine(...beforeTo).refine(
+  ({ destination, reason, from, to, olderThanDays }) => Boolean(destination || reason || from || to || olderThanDays),
+  { message: 'Provide at least one of olderThanDays, destination, reason, from or to' }
+);
+
+const alertSchema = z.object({
+  url: z.string().url('url must be a valid URL').refine(url => /^https?:\/\//.test(url), {
+    message: 'url must use http or https'
+  }),
+  threshold: z.number().int().min(1).max(1000000),
+  windowMinutes: z.number().int().min(1).max(10080).optional(),
+  cooldownMinutes: z.number().int().min(1).max(10080).optional(),
+  enabled: z.boolean().optional()
+}).strict();
+
+const alertResponse = (alert) => ({
+  tenant: alert.tenant,
+  url: alert.url,
+  threshold: alert.threshold,
+  windowMinutes: alert.windowMinutes,
+  cooldownMinutes: alert.cooldownMinutes,
+  enabled: alert.enabled,
+  lastAlertAt: alert.lastAlertAt || null,
+  lastError: alert.lastError || null,
+  updatedAt: alert.updatedAt
+});
+
+const zodErrorResponse = (res, error, message) => res.status(400).json({
+  error: message,
+  details: error.issues.map(issue => `${issue.path.join('.')}: ${issue.message}`)
+});
+
+const OTHER_TENANT = 'Dead letters can only be read for your own tenant';
+
+// Whether `res` drained, or false if the client went away first: a closed
+// socket never drains.
+const drained = (res) => new Promise((resolve) => {
+  if (res.destroyed) return resolve(false);
+  const done = (value) => () => {
+    res.off('drain', onDrain);
+    res.off('close', onClose);
+    resolve(value);
+  };
+  const onDrain = done(true);
+  const onClose = done(false);
+  res.once('drain', onDrain);
+  res.once('close', onClose);
+});
+
+
+// Dead letters by destination and reason, biggest groups first.
+router.get('/groups', requireScope('notes:read'), async (req, res) => {
+  try {
+    const { tenant: requestedTenant, limit, ...filter } = groupsSchema.parse(req.query);
+    const tenant = resolveTenant(req, res, requestedTenant, OTHER_TENANT);
+    if (!tenant) return;
+
+    const groups = await Note.aggregate([
+      ...deadLetterStages(filter, tenant),
+      { $sort: { updatedAt: -1 } },
+      {
+        $group: {
+          _id: { destination: '$destination', ...REASON_KEY },
+          count: { $sum: 1 },
+          firstDiedAt: { $min: '$updatedAt' },
+          lastDiedAt: { $max: '$updatedAt' },
+          exampleError: { $first: '$lastAttempt.error' },
+          noteIds: { $firstN: { input: '$_id', n: SAMPLE_SIZE } }
+        }
+      },
+      { $sort: { count: -1, lastDiedAt: -1 } },
+      { $limit: limit }
+    ]).allowDiskUse(true);
+
+    res.json({
+      groups: groups.map(group => ({
+        destination: group._id.destination,
+        reason: reasonOf(group._id),
+        count: group.count,
+        firstDiedAt: group.firstDiedAt,
+        lastDiedAt: group.lastDiedAt,
+        exampleError: group.exampleError || null,
+        noteIds: group.noteIds
+      }))
+    });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return zodErrorResponse(res, error, 'Invalid query parameters');
+    }
+
+    console.error('Error grouping dead letters:', error);
+    res.status(500).json({
+      error: 'Failed to group dead letters',
+      details: ['Internal server error']
+    });
+  }
+});
+
+
+// How many notes died of each reason, in total and per hour or day.
+router.get('/reasons', requireScope('notes:read'), async (req, res) => {
+  try {
+    const { tenant: requestedTenant, interval, ...filter } = reasonsSchema.parse(req.query);
+    const tenant = resolveTenant(req, res, requestedTenant, OTHER_TENANT);
+    if (!tenant) return;
+
+    const buckets = await Note.aggregate([
+      ...deadLetterStages(filter, tenant),
+      {
+        $group: {
+          _id: { ...REASON_KEY, at: { $dateTrunc: { date: '$updatedAt', unit: interval } } },
+          count: { $sum: 1 }
+        }
+      },
+      { $sort: { '_id.at': 1 } }
+    ]).allowDiskUse(true);
+
+    const reasons = new Map();
+    for (const { _id, count } of buckets) {
+      const reason = reasonOf(_id);
+      if (!reasons.has(reason)) {
+        reasons.set(reason, { reason, count: 0, series: [] });
+      }
+      const entry = reasons.get(reason);
+      entry.count += count;
+      entry.series.push({ at: _id.at, count });
+    }
+
+    res.json({
+      interval,
+      reasons: [...reasons.values()].sort((a, b) => b.count - a.count || a.reason.localeCompare(b.reason))
+    });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return zodErrorResponse(res, error, 'Invalid query parameters');
+    }
+
+    console.error('Error counting dead-letter reasons:', error);
+    res.status(500).json({
+      error: 'Failed to count dead-letter reasons',
+      details: ['Internal server error']
+    });
+  }
+});
+
+
+// Streams the dead letters with their attempts, oldest death first: NDJSON,
+// one note per line, or CSV, one attempt per row.
+router.get('/export', requireScope('notes:read'), async (req, res) => {
+  let cursor;
+  try {
+    const { tenant: requestedTenant, format, ...filter } = exportSchema.parse(req.query);
+    const tenant = resolveTenant(req, res, requestedTenant, OTHER_TENANT);
+    if (!tenant) return;
+
+    cursor = Note.aggregate([
+      ...deadLetterStages(filter, tenant),
+      { $sort: { updatedAt: 1, _id: 1 } }
+    ]).allowDiskUse(true).cursor();
+
+    const csv = format === 'csv';
+    res.status(200);
+    res.set({
+      'Content-Type': csv ? 'text/csv; charset=utf-8' : 'application/x-ndjson',
+      'Content-Disposition': `attachment; filename="dead-letters-${tenant}.${format}"`
+    });
+    if (csv) {
+      res.write(csvLine(CSV_COLUMNS));
+    }
+
+    let exported = 0;
+    for await (const note of cursor) {
+      if (res.destroyed) break;
+      const record = exportRecord(note);
+      const chunk = csv ? csvLines(record) : `${JSON.stringify(record)}\n`;
+      if (!res.write(chunk) && !(await drained(res))) break;
+      exported++;
+    }
+    res.end();
+
+    console.log(`🪦 Exported ${exported} dead letters as ${format} (tenant ${tenant})`);
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return zodErrorResponse(res, error, 'Invalid query parameters');
+    }
+
+    console.error('Error exporting dead letters:', error);
+    if (res.headersSent) {
+      // Cut short; the client sees a truncated download.
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      error: 'Failed to export dead letters',
+      details: ['Internal server error']
+    });
+  } finally {
+    if (cursor) await cursor.close().catch(() => {});
+  }
+});
+
+
+// Deletes dead letters matching the criteria, with their deliveries. With
+// dryRun, only counts them. At least one criterion is required, so an empty
+// body never wipes every dead letter.
+router.post('/purge', requireScope('notes:write'), async (req, res) => {
+  try {
+    const { tenant: requestedTenant, dryRun, ...filter } = purgeSchema.parse(req.body);
+    const tenant = resolveTenant(req, res, requestedTenant, OTHER_TENANT);
+    if (!tenant) return;
+
+    const stages = deadLetterStages(filter, tenant);
+
+    if (dryRun) {
+      const [result] = await Note.aggregate([...stages, { $count: 'matched' }]);
+      return res.json({ dryRun: true, matched: result ? result.matched : 0 });
+    }
+
+    // A note replayed meanwhile is no longer dead and is left alone.
+    const purgeBatch = (ids) => deleteNotes(ids, { status: 'dead' });
+
+    const cursor = Note.aggregate([...stages, { $project: { _id: 1 } }]).cursor();
+    let purged = 0;
+    let batch = [];
+    try {
+      for await (const { _id } of cursor) {
+        batch.push(_id);
+        if (batch.length === PURGE_BATCH_SIZE) {
+          purged += await purgeBatch(batch);
+          batch = [];
+        }
+      }
+      if (batch.length > 0) {
+        purged += await purgeBatch(batch);
+      }
+    } finally {
+      await cursor.close().catch(() => {});
+    }
+
+    console.log(`🪦 Purged ${purged} dead letters (tenant ${tenant})`);
+
+    res.json({ dryRun: false, purged });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return zodErrorResponse(res, error, 'Invalid request data');
+    }
+
+    console.error('Error purging dead letters:', error);
+    res.status(500).json({
+      error: 'Failed to purge dead letters',
+      details: ['Internal server error']
+    });
+  }
+});
+
+
+router.get('/alert', requireScope('admin'), async (req, res) => {
+  try {
+    const alert = await DeadLetterAlert.findOne({ tenant: req.auth.tenant });
+    if (!alert) {
+      return res.status(404).json({
+        error: 'Dead-letter alert not found',
+        details: ['No dead-letter alert is configured for this tenant']
+      });
+    }
+
+    res.json(alertResponse(alert));
+  } catch (error) {
+    console.error('Error fetching dead-letter alert:', error);
+    res.status(500).json({
+      error: 'Failed to fetch dead-letter alert',
+      details: ['Internal server error']
+    });
+  }
+});
+
+
+// Sets up or replaces the tenant's alert. Its URL must pass the tenant's
+// destination policy, like any webhook.
+router.put('/alert', requireScope('admin'), async (req, res) => {
+  try {
+    const validatedData = alertSchema.parse(req.body);
+
+    const violation = await DestinationPolicy.check(req.auth.tenant, validatedData.url);
+    if (violation) {
+      return res.status(400).json({
+        error: 'Destination not allowed',
+        details: [`url: ${violation}`]
+      });
+    }
+
+    const alert = await DeadLetterAlert.findOneAndUpdate(
+      { tenant: req.auth.tenant },
+      { $set: { windowMinutes: 60, cooldownMinutes: 60, enabled: true, ...validatedData } },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    console.log(`🪦 Dead-letter alert set for ${req.auth.tenant} (${alert.threshold} in ${alert.windowMinutes}m)`);
+
+    res.json(alertResponse(alert));
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return zodErrorResponse(res, error, 'Invalid request data');
+    }
+
+    console.error('Error updating dead-letter alert:', error);
+    res.status(500).json({
+      error: 'Failed to update dead-letter alert',
+      details: ['Internal server error']
+    });
+  }
+});
+
+
+router.delete('/alert', requireScope('admin'), async (req, res) => {
+  try {
+    const alert = await DeadLetterAlert.findOneAndDelete({ tenant: req.auth.tenant });
+    if (!alert) {
+      return res.status(404).json({
+        error: 'Dead-letter alert not found',
+        details: ['No dead-letter alert is configured for this tenant']
+      });
+    }
+
+    console.log(`🪦 Dead-letter alert removed for ${req.auth.tenant}`);
+
+    res.json({
+      message: 'Dead-letter alert removed',
+      tenant: req.auth.tenant
+    });
+  } catch (error) {
+    console.error('Error deleting dead-letter alert:', error);
+    res.status(500).json({
+      error: 'Failed to delete dead-letter alert',
+      details: ['Internal server error']
+    });
+  }
+});
+
+module.exports = router;
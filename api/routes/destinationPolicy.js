@@ -0,0 +1,80 @@
+const express = require('express');
+const { z } = require('zod');
+const DestinationPolicy = require('../models/DestinationPolicy');
+const { isValidPattern, splitPatterns } = require('../utils/destinationPolicy');
+
+const router = express.Router();
+
+const patternsSchema = z.array(
+  z.string().trim().toLowerCase().refine(isValidPattern, {
+    message: 'must be a hostname, *.wildcard, IP address or CIDR range'
+  })
+).max(100);
+
+const updatePolicySchema = z.object({
+  allow: patternsSchema.optional(),
+  deny: patternsSchema.optional()
+}).strict();
+
+const toResponse = (tenant, policy) => ({
+  tenant,
+  allow: policy?.allow || [],
+  deny: policy?.deny || [],
+  // Server-wide patterns apply on top of the tenant's own.
+  global: {
+    allow: splitPatterns(process.env.DESTINATION_ALLOWLIST),
+    deny: splitPatterns(process.env.DESTINATION_DENYLIST)
+  },
+  updatedAt: policy?.updatedAt || null
+});
+
+const zodErrorResponse = (res, error, message) => res.status(400).json({
+  error: message,
+  details: error.issues.map(issue => `${issue.path.join('.')}: ${issue.message}`)
+});
+
+
+router.get('/', async (req, res) => {
+  try {
+    const policy = await DestinationPolicy.findOne({ tenant: req.auth.tenant });
+
+    res.json(toResponse(req.auth.tenant, policy));
+  } catch (error) {
+    console.error('Error fetching destination policy:', error);
+    res.status(500).json({
+      error: 'Failed to fetch destination policy',
+      details: ['Internal server error']
+    });
+  }
+});
+
+
+// Replaces whichever lists are given. Notes already scheduled are checked
+// against the new policy when they are sent.
+router.put('/', async (req, res) => {
+  try {
+    const validatedData = updatePolicySchema.parse(req.body);
+
+    const policy = await DestinationPolicy.findOneAndUpdate(
+      { tenant: req.auth.tenant },
+      { $set: validatedData },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    console.log(`🛡️ Destination policy updated for ${req.auth.tenant} (allow ${policy.allow.length}, deny ${policy.deny.length})`);
+
+    res.json(toResponse(req.auth.tenant, policy));
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return zodErrorResponse(res, error, 'Invalid request data');
+    }
+
+    console.error('Error updating destination policy:', error);
+    res.status(500).json({
+      error: 'Failed to update destination policy',
+      details: ['Internal server error']
+    });
+  }
+});
+
+module.exports = router;
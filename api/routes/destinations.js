@@ -0,0 +1,195 @@
+const express = require('express');
+const crypto = require('crypto');
+const { z } = require('zod');
+const Destination = require('../models/Destination');
+const { tenantFilter } = require('../middleware/auth');
+
+const router = express.Router();
+
+const DEFAULT_OVERLAP_SECONDS = parseInt(process.env.SIGNING_SECRET_OVERLAP_SECONDS) || 86400;
+
+const secretSchema = z.string().min(32).max(256);
+
+const createDestinationSchema = z.object({
+  webhookUrl: z.string().url().refine(url => url.startsWith('http://') || url.startsWith('https://'), {
+    message: 'Webhook URL must start with http:// or https://'
+  }),
+  secret: secretSchema.optional()
+});
+
+const rotateSecretSchema = z.object({
+  overlapSeconds: z.number().int().min(0).max(30 * 86400).optional(),
+  secret: secretSchema.optional()
+});
+
+const generateSecret = () => `whsec_${crypto.randomBytes(32).toString('hex')}`;
+
+const maskSecret = (secret) => ({
+  id: secret._id,
+  hint: `...${secret.secret.slice(-4)}`,
+  createdAt: secret.createdAt,
+  expiresAt: secret.expiresAt
+});
+
+const toResponse = (destination) => ({
+  id: destination._id,
+  webhookUrl: destination.webhookUrl,
+  secrets: destination.secrets.map(maskSecret),
+  createdAt: destination.createdAt,
+  updatedAt: destination.updatedAt
+});
+
+const zodErrorResponse = (res, error, message) => res.status(400).json({
+  error: message,
+  details: error.issues.map(issue => `${issue.path.join('.')}: ${issue.message}`)
+});
+
+const findDestination = async (req, res) => {
+  const destinationId = req.params.id;
+
+  if (!/^[0-9a-fA-F]{24}$/.test(destinationId)) {
+    res.status(400).json({
+      error: 'Invalid destination ID format',
+      details: ['Destination ID must be a valid MongoDB ObjectId']
+    });
+    return null;
+  }
+
+  const destination = await Destination.findOne({ _id: destinationId, ...tenantFilter(req) });
+  if (!destination) {
+    res.status(404).json({
+      error: 'Destination not found',
+      details: ['No destination found with the specified ID']
+    });
+    return null;
+  }
+
+  return destination;
+};
+
+
+router.post('/', async (req, res) => {
+  try {
+    const validatedData = createDestinationSchema.parse(req.body);
+
+    const existing = await Destination.findOne({ webhookUrl: validatedData.webhookUrl, ...tenantFilter(req) });
+    if (existing) {
+      return res.status(409).json({
+        error: 'Destination already exists',
+        details: [`Use POST /api/destinations/${existing._id}/rotate to change its secret`]
+      });
+    }
+
+    const secret = validatedData.secret || generateSecret();
+    const destination = new Destination({
+      tenant: req.auth.tenant,
+      webhookUrl: validatedData.webhookUrl,
+      secrets: [{ secret }]
+    });
+
+    await destination.save();
+
+    console.log(` Destination registered: ${destination._id} (${destination.webhookUrl})`);
+
+    // The plaintext secret is only ever returned here and on rotation.
+    res.status(201).json({ ...toResponse(destination), secret });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return zodErrorResponse(res, error, 'Invalid request data');
+    }
+
+    console.error('Error creating destination:', error);
+    res.status(500).json({
+      error: 'Failed to create destination',
+      details: ['Internal server error']
+    });
+  }
+});
+
+
+router.get('/', async (req, res) => {
+  try {
+    const destinations = await Destination.find(tenantFilter(req)).sort({ createdAt: -1 });
+
+    res.json({
+      destinations: destinations.map(toResponse)
+    });
+  } catch (error) {
+    console.error('Error listing destinations:', error);
+    res.status(500).json({
+      error: 'Failed to list destinations',
+      details: ['Internal server error']
+    });
+  }
+});
+
+
+router.post('/:id/rotate', async (req, res) => {
+  try {
+    const validatedData = rotateSecretSchema.parse(req.body || {});
+
+    const destination = await findDestination(req, res);
+    if (!destination) return;
+
+    const now = new Date();
+    const overlapSeconds = validatedData.overlapSeconds ?? DEFAULT_OVERLAP_SECONDS;
+    const overlapEndsAt = new Date(now.getTime() + overlapSeconds * 1000);
+
+    // Old secrets keep signing until the overlap ends so receivers can
+    // switch over without rejecting deliveries in flight.
+    destination.secrets = destination.activeSecrets(now).map(s => {
+      if (!s.expiresAt || s.expiresAt > overlapEndsAt) {
+        s.expiresAt = overlapEndsAt;
+      }
+      return s;
+    });
+
+    const secret = validatedData.secret || generateSecret();
+    destination.secrets.push({ secret, createdAt: now });
+
+    await destination.save();
+
+    console.log(`🔑 Destination secret rotated: ${destination._id} (overlap ${overlapSeconds}s)`);
+
+    res.json({
+      ...toResponse(destination),
+      secret,
+      previousSecretsExpireAt: overlapEndsAt
+    });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return zodErrorResponse(res, error, 'Invalid request data');
+    }
+
+    console.error('Error rotating destination secret:', error);
+    res.status(500).json({
+      error: 'Failed to rotate destination secret',
+      details: ['Internal server error']
+    });
+  }
+});
+
+
+router.delete('/:id', async (req, res) => {
+  try {
+    const destination = await findDestination(req, res);
+    if (!destination) return;
+
+    await destination.deleteOne();
+
+    console.log(` Destination removed: ${destination._id}`);
+
+    res.json({
+      message: 'Destination removed',
+      id: destination._id
+    });
+  } catch (error) {
+    console.error('Error removing destination:', error);
+    res.status(500).json({
+      error: 'Failed to remove destination',
+      details: ['Internal server error']
+    });
+  }
+});
+
+module.exports = router;
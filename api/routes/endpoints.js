@@ -0,0 +1,198 @@
+const express = require('express');
+const { z } = require('zod');
+const Endpoint = require('../models/Endpoint');
+const Subscription = require('../models/Subscription');
+const RateLimit = require('../models/RateLimit');
+const DestinationPolicy = require('../models/DestinationPolicy');
+const { tenantFilter } = require('../middleware/auth');
+const { CLOUDEVENTS_MODES } = require('../utils/cloudEvents');
+
+const router = express.Router();
+
+const cloudEventsInputSchema = z.object({
+  mode: z.enum(CLOUDEVENTS_MODES),
+  type: z.string().trim().min(1).max(200).optional(),
+  source: z.string().trim().min(1).max(500).regex(/^\S+$/, 'must be a URI reference').optional()
+}).strict().transform(settings => ({
+  mode: settings.mode,
+  type: settings.type || null,
+  source: settings.source || null
+}));
+
+const createEndpointSchema = z.object({
+  name: z.string().min(1).max(100).trim(),
+  url: z.string().url().refine(url => url.startsWith('http://') || url.startsWith('https://'), {
+    message: 'URL must start with http:// or https://'
+  }),
+  description: z.string().max(500).trim().optional(),
+  cloudEvents: cloudEventsInputSchema.optional()
+});
+
+const updateEndpointSchema = z.object({
+  url: z.string().url().refine(url => url.startsWith('http://') || url.startsWith('https://'), {
+    message: 'URL must start with http:// or https://'
+  }).optional(),
+  description: z.string().max(500).trim().optional(),
+  cloudEvents: cloudEventsInputSchema.nullable().optional()
+}).strict().refine(data => Object.keys(data).length > 0, {
+  message: 'Provide at least one of url, description or cloudEvents'
+});
+
+const toResponse = (endpoint) => ({
+  id: endpoint._id,
+  name: endpoint.name,
+  url: endpoint.url,
+  description: endpoint.description || null,
+  cloudEvents: endpoint.cloudEvents || null,
+  createdAt: endpoint.createdAt,
+  updatedAt: endpoint.updatedAt
+});
+
+const zodErrorResponse = (res, error, message) => res.status(400).json({
+  error: message,
+  details: error.issues.map(issue => `${issue.path.join('.')}: ${issue.message}`)
+});
+
+const findEndpoint = async (req, res) => {
+  const endpointId = req.params.id;
+
+  if (!/^[0-9a-fA-F]{24}$/.test(endpointId)) {
+    res.status(400).json({
+      error: 'Invalid endpoint ID format',
+      details: ['Endpoint ID must be a valid MongoDB ObjectId']
+    });
+    return null;
+  }
+
+  const endpoint = await Endpoint.findOne({ _id: endpointId, ...tenantFilter(req) });
+  if (!endpoint) {
+    res.status(404).json({
+      error: 'Endpoint not found',
+      details: ['No endpoint found with the specified ID']
+    });
+    return null;
+  }
+
+  return endpoint;
+};
+
+
+router.post('/', async (req, res) => {
+  try {
+    const validatedData = createEndpointSchema.parse(req.body);
+
+    const existing = await Endpoint.findOne({ name: validatedData.name, ...tenantFilter(req) });
+    if (existing) {
+      return res.status(409).json({
+        error: 'Endpoint already exists',
+        details: [`An endpoint named "${validatedData.name}" already exists`]
+      });
+    }
+
+    const violation = await DestinationPolicy.check(req.auth.tenant, validatedData.url);
+    if (violation) {
+      return res.status(400).json({
+        error: 'Destination not allowed',
+        details: [`url: ${violation}`]
+      });
+    }
+
+    const endpoint = new Endpoint({ ...validatedData, tenant: req.auth.tenant });
+    await endpoint.save();
+
+    console.log(` Endpoint created: ${endpoint._id} (${endpoint.name} -> ${endpoint.url})`);
+
+    res.status(201).json(toResponse(endpoint));
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return zodErrorResponse(res, error, 'Invalid request data');
+    }
+
+    console.error('Error creating endpoint:', error);
+    res.status(500).json({
+      error: 'Failed to create endpoint',
+      details: ['Internal server error']
+    });
+  }
+});
+
+
+router.get('/', async (req, res) => {
+  try {
+    const endpoints = await Endpoint.find(tenantFilter(req)).sort({ name: 1 });
+
+    res.json({
+      endpoints: endpoints.map(toResponse)
+    });
+  } catch (error) {
+    console.error('Error listing endpoints:', error);
+    res.status(500).json({
+      error: 'Failed to list endpoints',
+      details: ['Internal server error']
+    });
+  }
+});
+
+
+router.patch('/:id', async (req, res) => {
+  try {
+    const validatedData = updateEndpointSchema.parse(req.body);
+
+    const endpoint = await findEndpoint(req, res);
+    if (!endpoint) return;
+
+    const violation = validatedData.url && await DestinationPolicy.check(req.auth.tenant, validatedData.url);
+    if (violation) {
+      return res.status(400).json({
+        error: 'Destination not allowed',
+        details: [`url: ${violation}`]
+      });
+    }
+
+    // Deliveries already fanned out keep the URL and CloudEvents setting
+    // they were created with.
+    Object.assign(endpoint, validatedData);
+    await endpoint.save();
+
+    console.log(`✏️ Endpoint updated: ${endpoint._id}`);
+
+    res.json(toResponse(endpoint));
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return zodErrorResponse(res, error, 'Invalid request data');
+    }
+
+    console.error('Error updating endpoint:', error);
+    res.status(500).json({
+      error: 'Failed to update endpoint',
+      details: ['Internal server error']
+    });
+  }
+});
+
+
+router.delete('/:id', async (req, res) => {
+  try {
+    const endpoint = await findEndpoint(req, res);
+    if (!endpoint) return;
+
+    await Subscription.deleteMany({ endpoint: endpoint._id });
+    await RateLimit.deleteMany({ endpoint: endpoint._id });
+    await endpoint.deleteOne();
+
+    console.log(` Endpoint removed: ${endpoint._id}`);
+
+    res.json({
+      message: 'Endpoint removed',
+      id: endpoint._id
+    });
+  } catch (error) {
+    console.error('Error removing endpoint:', error);
+    res.status(500).json({
+      error: 'Failed to remove endpoint',
+      details: ['Internal server error']
+    });
+  }
+});
+
+module.exports = router;
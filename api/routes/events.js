@@ -0,0 +1,85 @@
+const express = require('express');
+const { z } = require('zod');
+const { getRedisClient } = require('../config/redis');
+const { EVENT_TYPES, isEventId, formatSse } = require('../utils/events');
+const { createEventHub } = require('../utils/eventHub');
+
+const router = express.Router();
+
+const HEARTBEAT_MS = 15000;
+
+let hub;
+const getHub = () => {
+  if (!hub) {
+    hub = createEventHub(getRedisClient(), () => getRedisClient().duplicate());
+  }
+  return hub;
+};
+
+const eventsQuerySchema = z.object({
+  type: z.string().transform(val => val.split(',').map(type => type.trim()).filter(Boolean))
+    .pipe(z.array(z.enum(EVENT_TYPES)).min(1))
+    .optional(),
+  noteId: z.string().regex(/^[0-9a-fA-F]{24}$/, 'noteId must be a valid MongoDB ObjectId').optional(),
+  topic: z.string().min(1).max(100).optional(),
+  // For clients that can't set the Last-Event-ID header.
+  lastEventId: z.string().refine(isEventId, { message: 'lastEventId must be an event id' }).optional()
+});
+
+
+// Server-sent events for the caller's notes. Reconnecting with the
+// Last-Event-ID header (EventSource does this on its own) resumes after that
+// event. If it is too old to resume from, a `reset` event tells the client
+// to reload its state.
+router.get('/', async (req, res) => {
+  let query;
+  try {
+    query = eventsQuerySchema.parse(req.query);
+  } catch (error) {
+    return res.status(400).json({
+      error: 'Invalid query parameters',
+      details: error.issues.map(issue => `${issue.path.join('.')}: ${issue.message}`)
+    });
+  }
+
+  const header = req.get('Last-Event-ID');
+  const lastEventId = isEventId(header) ? header : query.lastEventId;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 3000\n\n');
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  let unsubscribe = null;
+  let closed = false;
+  req.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+    if (unsubscribe) unsubscribe();
+  });
+
+  try {
+    unsubscribe = await getHub().subscribe({
+      filter: {
+        tenant: req.auth.tenant,
+        types: query.type,
+        noteId: query.noteId,
+        topic: query.topic
+      },
+      lastEventId,
+      send: (event) => res.write(formatSse(event)),
+      onGap: () => res.write(formatSse({ id: lastEventId, type: 'reset', reason: 'Events after Last-Event-ID are no longer available' }))
+    });
+    if (closed) unsubscribe();
+  } catch (error) {
+    console.error('Error subscribing to events:', error);
+    clearInterval(heartbeat);
+    res.end();
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,28 @@
+const express = require('express');
+const { CONTENT_TYPE, BOUNDED_LABELS } = require('../utils/metrics');
+const { safeEqual } = require('../utils/apiKeys');
+const { registry } = require('../utils/apiMetrics');
+
+const router = express.Router();
+
+// Open like /health unless METRICS_TOKEN is set, since scrapers rarely hold
+// API keys; with it, Prometheus sends it as a bearer token. Without it,
+// tenant names and destination hosts are left out of the labels.
+router.get('/', async (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token && !safeEqual(req.get('Authorization') || '', `Bearer ${token}`)) {
+    return res.status(401).json({ error: 'Unauthorized', details: ['Invalid metrics token'] });
+  }
+  
+  try {
+    res.set('Content-Type', CONTENT_TYPE).send(await registry.render({ without: token ? [] : BOUNDED_LABELS }));
+  } catch (error) {
+    console.error('Error rendering metrics:', error);
+    res.status(500).json({
+      error: 'Failed to render metrics',
+      details: ['Internal server error']
+    });
+  }
+});
+
+module.exports = router;
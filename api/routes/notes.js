@@ -3,89 +3,605 @@ const { z } = require('zod');
 const dayjs = require('dayjs');
 const utc = require('dayjs/plugin/utc');
 const Note = require('../models/Note');
-const { Queue } = require('bullmq');
-const { getRedisClient } = require('../config/redis');
+const Topic = require('../models/Topic');
+const Delivery = require('../models/Delivery');
+const DestinationPolicy = require('../models/DestinationPolicy');
+const OutboxEntry = require('../models/OutboxEntry');
+const { idempotencyMiddleware } = require('../middleware/idempotency');
+const { requireScope, tenantFilter } = require('../middleware/auth');
+const { BACKOFF_STRATEGIES, resolveRetryPolicy } = require('../utils/retryPolicy');
+const { nextOccurrence, upcomingOccurrences, validateSchedule } = require('../utils/schedule');
+const { rollUpStatus, summarizeDeliveries } = require('../utils/deliveryStatus');
+const { leaseFree } = require('../utils/lease');
+const { noteJob } = require('../utils/outbox');
+const { parseCircuitKey } = require('../utils/circuit');
+const { parseSort, mongoSort, noteFilter, encodeCursor, decodeCursor, afterCursor } = require('../utils/noteQuery');
+const { recordNoteCreated } = require('../utils/apiMetrics');
+const {
+  HTTP_METHODS,
+  DEFAULT_METHOD,
+  DEFAULT_CONTENT_TYPE,
+  TEMPLATE_CODE,
+  headerProblem,
+  isValidContentType,
+  templateProblem
+} = require('../utils/payload');
+const { CLOUDEVENTS_MODES } = require('../utils/cloudEvents');
+const {
+  CHANNEL_TYPES,
+  DEFAULT_CHANNEL,
+  EMAIL_MAX_RECIPIENTS,
+  isEmailAddress,
+  channelType,
+  buildMessage,
+  templateMissing,
+  channelProblems
+} = require('../utils/channels');
+const { NDJSON_TYPES, parseBatch, issueDetail, skippedResults } = require('../utils/noteBatch');
+const {
+  WEEKDAYS,
+  isValidTimezone,
+  isLocalDateTime,
+  isTimeOfDay,
+  resolveReleaseAt,
+  parseDuration,
+  addDuration,
+  nextInWindow,
+  formatLocal
+} = require('../utils/localTime');
+const {
+  withTransaction,
+  publishNoteEvent,
+  refreshNoteStatus,
+  removeDeliveryJob,
+  replayDelivery,
+  replayRefusal,
+  replayNote,
+  cancelNote,
+  deleteNote
+} = require('../utils/noteActions');
 
 dayjs.extend(utc);
 
 const router = express.Router();
 
+const scheduleInputSchema = z.object({
+  cron: z.string().min(1).max(500).trim().optional(),
+  rrule: z.string().min(1).max(500).trim().optional(),
+  timezone: z.string().optional(),
+  endAt: z.string().datetime().optional(),
+  maxOccurrences: z.number().int().min(1).optional()
+}).refine(schedule => Boolean(schedule.cron) !== Boolean(schedule.rrule), {
+  message: 'Provide exactly one of cron or rrule'
+}).transform(schedule => ({
+  type: schedule.cron ? 'cron' : 'rrule',
+  expression: schedule.cron || schedule.rrule,
+  timezone: schedule.timezone || null,
+  endAt: schedule.endAt ? new Date(schedule.endAt) : null,
+  maxOccurrences: schedule.maxOccurrences || null
+})).superRefine((schedule, ctx) => {
+  try {
+    validateSchedule(schedule);
+  } catch (error) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: error.message });
+  }
+});
+
+const retryPolicyFieldsSchema = z.object({
+  maxAttempts: z.number().int().min(1).max(25).optional(),
+  backoff: z.enum(BACKOFF_STRATEGIES).optional(),
+  baseDelayMs: z.number().int().min(0).max(24 * 60 * 60 * 1000).optional(),
+  maxDelayMs: z.number().int().min(0).max(7 * 24 * 60 * 60 * 1000).optional(),
+  timeoutMs: z.number().int().min(1000).max(120000).optional()
+}).strict();
+
+const isValidRetryPolicy = policy => policy.baseDelayMs <= policy.maxDelayMs;
+
+const retryPolicyInputSchema = retryPolicyFieldsSchema.transform(resolveRetryPolicy).refine(isValidRetryPolicy, {
+  message: 'baseDelayMs must not exceed maxDelayMs'
+});
+
+const tagSchema = z.string().trim().toLowerCase().min(1).max(50)
+  .regex(/^[a-z0-9][a-z0-9_.:-]*$/, 'tags may only contain letters, digits, "_", ".", ":" and "-"');
+
+const tagsSchema = z.array(tagSchema).max(20).transform(tags => [...new Set(tags)]);
+
+const DATA_MAX_BYTES = parseInt(process.env.NOTE_DATA_MAX_BYTES) || 65536;
+const MAX_HEADERS = 20;
+
+// Mongo reads keys starting with "$" as operators.
+const hasOperatorKey = (value) => {
+  if (Array.isArray(value)) return value.some(hasOperatorKey);
+  if (value === null || typeof value !== 'object') return false;
+  return Object.entries(value).some(([key, child]) => key.startsWith('$') || hasOperatorKey(child));
+};
+
+const dataSchema = z.any().superRefine((data, ctx) => {
+  if (data === undefined) return;
+  if (Buffer.byteLength(JSON.stringify(data)) > DATA_MAX_BYTES) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: `must be at most ${DATA_MAX_BYTES} bytes as JSON` });
+  } else if (hasOperatorKey(data)) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'keys may not start with "$"' });
+  }
+});
+
+const headersSchema = z.record(z.string().max(1000)).superRefine((headers, ctx) => {
+  const names = Object.keys(headers);
+  if (names.length > MAX_HEADERS) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: `at most ${MAX_HEADERS} headers are allowed` });
+  }
+  names.forEach(name => {
+    const problem = headerProblem(name);
+    if (problem) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: [name], message: `Header ${problem}` });
+    }
+  });
+});
+
+const contentTypeSchema = z.string().trim().max(200).refine(isValidContentType, {
+  message: 'must be a media type such as application/json'
+});
+
+const templateSchema = z.string().min(1).max(20000).superRefine((template, ctx) => {
+  const problem = templateProblem(template);
+  if (problem) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: problem });
+  }
+});
+
+const cloudEventsInputSchema = z.object({
+  mode: z.enum(CLOUDEVENTS_MODES),
+  type: z.string().trim().min(1).max(200).optional(),
+  source: z.string().trim().min(1).max(500).regex(/^\S+$/, 'must be a URI reference').optional()
+}).strict().transform(settings => ({
+  mode: settings.mode,
+  type: settings.type || null,
+  source: settings.source || null
+}));
+
+const emailAddressSchema = z.string().trim().max(254).refine(isEmailAddress, {
+  message: 'must be an email address'
+});
+
+// Which settings go with which type is left to channelProblems, which also
+// checks the channel against the rest of the note.
+const channelInputSchema = z.object({
+  type: z.enum(CHANNEL_TYPES),
+  to: z.array(emailAddressSchema).min(1).max(EMAIL_MAX_RECIPIENTS).optional(),
+  cc: z.array(emailAddressSchema).max(EMAIL_MAX_RECIPIENTS).optional(),
+  replyTo: emailAddressSchema.optional(),
+  subject: z.string().trim().min(1).max(200).optional(),
+  username: z.string().trim().min(1).max(80).optional(),
+  avatarUrl: z.string().url().refine(url => url.startsWith('http://') || url.startsWith('https://'), {
+    message: 'must start with http:// or https://'
+  }).optional()
+}).strict();
+
+const addChannelIssues = (data, ctx) => {
+  channelProblems(data).forEach(({ path, message }) => {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path, message });
+  });
+};
+
+// A batch carries many notes in one request, so none of them can pick its
+// method or headers.
+const batchConflict = (fields) => fields.cloudEvents && fields.cloudEvents.mode === 'batch' &&
+  ((fields.method || DEFAULT_METHOD) !== 'POST' || Object.keys(fields.headers || {}).length > 0);
+
+const BATCH_CONFLICT = 'Batched CloudEvents are sent as POST without custom headers';
+
+// An instant with an offset (or Z), or local time in the note's timezone.
+const releaseAtSchema = z.string().refine(value => z.string().datetime({ offset: true }).safeParse(value).success || isLocalDateTime(value), {
+  message: 'Invalid datetime'
+});
+
+const delaySchema = z.string().refine(value => parseDuration(value) !== null, {
+  message: 'Must be an ISO 8601 duration, e.g. PT15M or P1DT2H'
+}).transform(parseDuration);
+
+const timezoneSchema = z.string().refine(isValidTimezone, value => ({ message: `Unknown timezone "${value}"` }));
+
+const timeOfDaySchema = z.string().refine(isTimeOfDay, { message: 'Must be a local time as HH:mm' });
+
+const deliveryWindowInputSchema = z.object({
+  start: timeOfDaySchema,
+  end: timeOfDaySchema,
+  days: z.array(z.enum(WEEKDAYS)).min(1).max(7).transform(days => [...new Set(days)]).optional()
+}).strict().refine(window => window.start !== window.end, {
+  message: 'start and end must differ',
+  path: ['end']
+});
+
+// A local releaseAt means nothing without a timezone to read it in.
+const releaseAtNeedsTimezone = (releaseAt, timezone) => Boolean(releaseAt) && isLocalDateTime(releaseAt) && !timezone;
+
 const createNoteSchema = z.object({
   title: z.string().min(1).max(200).trim(),
   body: z.string().min(1).max(5000).trim(),
-  releaseAt: z.string().datetime(), 
+  releaseAt: releaseAtSchema.optional(),
+  delay: delaySchema.optional(),
+  timezone: timezoneSchema.optional(),
+  deliveryWindow: deliveryWindowInputSchema.optional(),
+  webhookUrl: z.string().url().refine(url => url.startsWith('http://') || url.startsWith('https://'), {
+    message: 'Webhook URL must start with http:// or https://'
+  }).optional(),
+  topic: z.string().min(1).max(100).optional(),
+  tags: tagsSchema.optional(),
+  schedule: scheduleInputSchema.optional(),
+  retryPolicy: retryPolicyInputSchema.optional(),
+  data: dataSchema.optional(),
+  method: z.enum(HTTP_METHODS).optional(),
+  contentType: contentTypeSchema.optional(),
+  headers: headersSchema.optional(),
+  template: templateSchema.optional(),
+  cloudEvents: cloudEventsInputSchema.optional(),
+  channel: channelInputSchema.optional()
+}).refine(data => data.releaseAt || data.delay || data.schedule, {
+  message: 'releaseAt or delay is required unless a schedule is given',
+  path: ['releaseAt']
+}).refine(data => !(data.releaseAt && data.delay), {
+  message: 'Provide at most one of releaseAt or delay',
+  path: ['delay']
+}).refine(data => !releaseAtNeedsTimezone(data.releaseAt, data.timezone || (data.schedule && data.schedule.timezone)), {
+  message: 'A releaseAt without an offset needs a timezone',
+  path: ['releaseAt']
+}).refine(data => channelType(data.channel) === 'email' || Boolean(data.webhookUrl) !== Boolean(data.topic), {
+  message: 'Provide exactly one of webhookUrl or topic',
+  path: ['webhookUrl']
+}).refine(data => !templateMissing(data), {
+  message: 'A template is required for content types other than JSON',
+  path: ['template']
+}).refine(data => !batchConflict(data), {
+  message: BATCH_CONFLICT,
+  path: ['cloudEvents']
+}).superRefine(addChannelIssues);
+
+const updateNoteSchema = z.object({
+  title: z.string().min(1).max(200).trim().optional(),
+  body: z.string().min(1).max(5000).trim().optional(),
+  releaseAt: releaseAtSchema.optional(),
+  delay: delaySchema.optional(),
+  timezone: timezoneSchema.nullable().optional(),
+  deliveryWindow: deliveryWindowInputSchema.nullable().optional(),
   webhookUrl: z.string().url().refine(url => url.startsWith('http://') || url.startsWith('https://'), {
     message: 'Webhook URL must start with http:// or https://'
-  })
+  }).nullable().optional(),
+  tags: tagsSchema.optional(),
+  retryPolicy: retryPolicyFieldsSchema.optional(),
+  data: dataSchema.nullable().optional(),
+  method: z.enum(HTTP_METHODS).optional(),
+  contentType: contentTypeSchema.optional(),
+  headers: headersSchema.nullable().optional(),
+  template: templateSchema.nullable().optional(),
+  cloudEvents: cloudEventsInputSchema.nullable().optional(),
+  channel: channelInputSchema.nullable().optional()
+}).strict().refine(data => Object.keys(data).length > 0, {
+  message: 'Provide at least one of title, body, releaseAt, delay, timezone, deliveryWindow, webhookUrl, tags, retryPolicy, data, method, contentType, headers, template, cloudEvents or channel'
+}).refine(data => !(data.releaseAt && data.delay), {
+  message: 'Provide at most one of releaseAt or delay',
+  path: ['delay']
 });
 
+// When a create or edit asks for the note to go out: releaseAt, read in the
+// timezone when it has no offset, or `delay` after `now`. Null if neither.
+const requestedReleaseAt = ({ releaseAt, delay }, timezone, now) => {
+  if (delay) {
+    return addDuration(now, delay, timezone || 'UTC');
+  }
+  return releaseAt ? resolveReleaseAt(releaseAt, timezone) : null;
+};
+
+const PAYLOAD_FIELDS = ['data', 'method', 'contentType', 'headers', 'template', 'cloudEvents', 'channel'];
+
+const MAX_PAGE_SIZE = 100;
+
+// Comma-separated lists in the query string, e.g. ?status=failed,dead.
+const commaList = (itemSchema) => z.string().transform(val => val.split(',').map(item => item.trim()).filter(Boolean))
+  .pipe(z.array(itemSchema).min(1));
+
+const queryDate = z.string().datetime().transform(val => new Date(val));
+const queryCount = z.string().regex(/^\d+$/, 'must be a whole number').transform(Number);
+
 const listNotesSchema = z.object({
-  status: z.enum(['pending', 'delivered', 'failed', 'dead']).optional(),
+  status: commaList(z.enum(['pending', 'delivered', 'partially_delivered', 'failed', 'dead', 'recurring', 'cancelled'])).optional(),
+  topic: z.string().min(1).max(100).optional(),
+  seriesId: z.string().regex(/^[0-9a-fA-F]{24}$/, 'seriesId must be a valid MongoDB ObjectId').optional(),
+  tag: commaList(tagSchema).optional(),
+  host: z.string().trim().toLowerCase().regex(/^[a-z0-9_.:-]+$/, 'must be a hostname or IP address').optional(),
+  q: z.string().trim().min(1).max(200).optional(),
+  releaseAfter: queryDate.optional(),
+  releaseBefore: queryDate.optional(),
+  createdAfter: queryDate.optional(),
+  createdBefore: queryDate.optional(),
+  minAttempts: queryCount.optional(),
+  maxAttempts: queryCount.optional(),
+  sort: z.string().optional().transform((val, ctx) => {
+    try {
+      return parseSort(val);
+    } catch (error) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message: error.message });
+      return z.NEVER;
+    }
+  }),
+  pageSize: z.string().regex(/^\d+$/, 'must be a whole number').transform(Number)
+    .refine(val => val >= 1 && val <= MAX_PAGE_SIZE, { message: `pageSize must be between 1 and ${MAX_PAGE_SIZE}` })
+    .optional().default('20'),
+  cursor: z.string().max(500).optional(),
+  // Offset pages, kept for existing clients; cursors scale better.
   page: z.string().transform(val => parseInt(val) || 1).refine(val => val >= 1, {
     message: 'Page must be >= 1'
-  }).optional().default('1')
-});
-
-let deliveryQueue;
-const initQueue = async () => {
-  if (!deliveryQueue) {
-    const redis = getRedisClient();
-    deliveryQueue = new Queue('delivery', { 
-      connection: redis,
-      defaultJobOptions: {
-        removeOnComplete: 100,
-        removeOnFail: 50
-      }
+  }).optional()
+}).refine(query => !(query.cursor && query.page), {
+  message: 'Use either cursor or page, not both',
+  path: ['cursor']
+});
+
+const occurrencesQuerySchema = z.object({
+  limit: z.string().transform(val => parseInt(val) || 10).refine(val => val >= 1 && val <= 100, {
+    message: 'Limit must be between 1 and 100'
+  }).optional().default('10')
+});
+
+// Status counts per topic note, e.g. { total: 3, delivered: 2, dead: 1 }.
+const deliverySummaries = async (notes) => {
+  const noteIds = notes.filter(note => note.fannedOutAt).map(note => note._id);
+  if (noteIds.length === 0) {
+    return {};
+  }
+  
+  const deliveries = await Delivery.find({ note: { $in: noteIds } }).select('note status').lean();
+  const statusesByNote = deliveries.reduce((byNote, delivery) => {
+    const key = delivery.note.toString();
+    byNote[key] = [...(byNote[key] || []), delivery.status];
+    return byNote;
+  }, {});
+  
+  return Object.keys(statusesByNote).reduce((summaries, key) => {
+    summaries[key] = summarizeDeliveries(statusesByNote[key]);
+    return summaries;
+  }, {});
+};
+
+const toDeliveryResponse = (delivery) => ({
+  id: delivery._id,
+  noteId: delivery.note,
+  endpointId: delivery.endpoint,
+  endpointName: delivery.endpointName,
+  webhookUrl: delivery.webhookUrl,
+  topic: delivery.topic,
+  status: delivery.status,
+  idempotencyKey: delivery.idempotencyKey,
+  attempts: delivery.attempts || [],
+  attemptCount: delivery.attemptCount || 0,
+  nextRetryAt: delivery.nextRetryAt || null,
+  deferredUntil: delivery.deferredUntil || null,
+  heldBy: delivery.heldBy ? parseCircuitKey(delivery.heldBy).host : null,
+  deliveredAt: delivery.deliveredAt || null,
+  cancelledAt: delivery.cancelledAt || null,
+  createdAt: delivery.createdAt,
+  updatedAt: delivery.updatedAt
+});
+
+const toNoteResponse = (note, deliveries) => ({
+  id: note._id,
+  title: note.title,
+  body: note.body,
+  releaseAt: note.releaseAt,
+  releaseAtLocal: note.timezone ? formatLocal(note.releaseAt, note.timezone) : null,
+  timezone: note.timezone || null,
+  deliveryWindow: note.deliveryWindow || null,
+  webhookUrl: note.webhookUrl || null,
+  topic: note.topic || null,
+  tags: note.tags || [],
+  status: note.status,
+  attempts: note.attempts || [],
+  deliveredAt: note.deliveredAt,
+  cancelledAt: note.cancelledAt || null,
+  retryPolicy: note.retryPolicy || resolveRetryPolicy(),
+  attemptCount: note.attemptCount || 0,
+  nextRetryAt: note.nextRetryAt || null,
+  deferredUntil: note.deferredUntil || null,
+  heldBy: note.heldBy ? parseCircuitKey(note.heldBy).host : null,
+  schedule: note.schedule || null,
+  seriesId: note.seriesId || null,
+  fannedOutAt: note.fannedOutAt || null,
+  data: note.data === undefined ? null : note.data,
+  method: note.method || DEFAULT_METHOD,
+  contentType: note.contentType || DEFAULT_CONTENT_TYPE,
+  headers: note.headers || null,
+  template: note.template || null,
+  cloudEvents: note.cloudEvents || null,
+  channel: note.channel || null,
+  ...(note.topic ? { deliveries: deliveries || { total: 0 } } : {}),
+  createdAt: note.createdAt,
+  updatedAt: note.updatedAt
+});
+
+const payloadFields = (validatedData) => ({
+  data: validatedData.data === undefined ? null : validatedData.data,
+  method: validatedData.method || DEFAULT_METHOD,
+  contentType: validatedData.contentType || DEFAULT_CONTENT_TYPE,
+  headers: validatedData.headers || null,
+  template: validatedData.template || null,
+  cloudEvents: validatedData.cloudEvents || null,
+  channel: validatedData.channel || null
+});
+
+// Builds the message once against the note as it stands, so a template that
+// doesn't render, or a message too long for its channel, is refused now
+// rather than dead-lettered on release.
+const renderProblem = (note) => {
+  if (!note.template && channelType(note.channel) === DEFAULT_CHANNEL) return null;
+  try {
+    buildMessage(note, { deliveredAt: new Date().toISOString(), topic: note.topic || undefined });
+    return null;
+  } catch (error) {
+    if (error.code !== TEMPLATE_CODE) throw error;
+    return `${note.template ? 'template' : 'body'}: ${error.message}`;
+  }
+};
+
+const findNote = async (req, res) => {
+  const noteId = req.params.id;
+
+  if (!/^[0-9a-fA-F]{24}$/.test(noteId)) {
+    res.status(400).json({
+      error: 'Invalid note ID format',
+      details: ['Note ID must be a valid MongoDB ObjectId']
+    });
+    return null;
+  }
+
+  // Another tenant's note is reported as missing, not forbidden.
+  const note = await Note.findOne({ _id: noteId, ...tenantFilter(req) });
+  if (!note) {
+    res.status(404).json({
+      error: 'Note not found',
+      details: ['No note found with the specified ID']
+    });
+    return null;
+  }
+
+  return note;
+};
+
+const findRecurringNote = async (req, res) => {
+  const note = await findNote(req, res);
+  if (!note) return null;
+
+  if (!note.schedule) {
+    res.status(400).json({
+      error: 'Note is not recurring',
+      details: ['Only notes created with a schedule can be paused, resumed or listed']
     });
+    return null;
   }
-  return deliveryQueue;
+
+  return note;
 };
 
+// Caches lookups shared by the notes of a batch, such as topic and
+// destination checks.
+const cached = (cache, key, load) => {
+  if (!cache.has(key)) {
+    cache.set(key, load());
+  }
+  return cache.get(key);
+};
 
-router.post('/', async (req, res) => {
+// The note a validated create request describes, not yet saved, as
+// { note }, or why it can't be created as { problem: { error, details } }.
+// Recurring notes are templates: the worker materializes each occurrence as
+// its own note when it comes due, so nothing is enqueued for them.
+const prepareNote = async (validatedData, req, { cache = new Map(), now = new Date() } = {}) => {
+  const invalid = (detail) => ({ problem: { error: 'Invalid request data', details: [detail] } });
+  
+  if (validatedData.topic) {
+    const exists = await cached(cache, `topic:${validatedData.topic}`, () => Topic.exists({ name: validatedData.topic, ...tenantFilter(req) }));
+    if (!exists) {
+      return invalid(`topic: Topic "${validatedData.topic}" does not exist`);
+    }
+  }
+  
+  if (validatedData.webhookUrl) {
+    const violation = await cached(cache, `url:${validatedData.webhookUrl}`, () => DestinationPolicy.check(req.auth.tenant, validatedData.webhookUrl));
+    if (violation) {
+      return { problem: { error: 'Destination not allowed', details: [`webhookUrl: ${violation}`] } };
+    }
+  }
+  
+  const timezone = validatedData.timezone || (validatedData.schedule && validatedData.schedule.timezone) || null;
+  const releaseAt = requestedReleaseAt(validatedData, timezone, now);
+  if (releaseAt && Number.isNaN(releaseAt.getTime())) {
+    return invalid('delay: Too far in the future');
+  }
+  
+  const renderFailure = renderProblem({
+    title: validatedData.title,
+    body: validatedData.body,
+    releaseAt: releaseAt || now,
+    topic: validatedData.topic,
+    tags: validatedData.tags || [],
+    ...payloadFields(validatedData)
+  });
+  if (renderFailure) {
+    return invalid(renderFailure);
+  }
+  
+  const fields = {
+    tenant: req.auth.tenant,
+    title: validatedData.title,
+    body: validatedData.body,
+    webhookUrl: validatedData.webhookUrl,
+    topic: validatedData.topic || null,
+    tags: validatedData.tags || [],
+    timezone,
+    deliveryWindow: validatedData.deliveryWindow || null,
+    attempts: [],
+    retryPolicy: validatedData.retryPolicy || resolveRetryPolicy(),
+    ...payloadFields(validatedData)
+  };
+  
+  // Outside its delivery window a note waits for the window to open.
+  if (!validatedData.schedule) {
+    return { note: new Note({ ...fields, releaseAt: nextInWindow(releaseAt, fields.deliveryWindow, timezone || 'UTC'), status: 'pending' }) };
+  }
+  
+  const schedule = {
+    ...validatedData.schedule,
+    timezone: validatedData.schedule.timezone || timezone || 'UTC',
+    startAt: releaseAt || now,
+    occurrenceCount: 0
+  };
+  const nextRunAt = nextOccurrence(schedule, now);
+  if (!nextRunAt) {
+    return invalid('schedule: Schedule has no future occurrences');
+  }
+  
+  return { note: new Note({ ...fields, releaseAt: nextRunAt, status: 'recurring', schedule: { ...schedule, nextRunAt } }) };
+};
+
+// Counts a saved note and tells /api/events about it.
+const announceCreated = async (note) => {
+  recordNoteCreated(note);
+  await publishNoteEvent('created', note, { releaseAt: note.releaseAt.toISOString() });
+  if (!note.schedule) {
+    await publishNoteEvent('scheduled', note, { releaseAt: note.releaseAt.toISOString() });
+  }
+};
+
+
+router.post('/', requireScope('notes:write'), idempotencyMiddleware({ scope: 'notes:create' }), async (req, res) => {
   try {
 
     const validatedData = createNoteSchema.parse(req.body);
     
-    const note = new Note({
-      title: validatedData.title,
-      body: validatedData.body,
-      releaseAt: new Date(validatedData.releaseAt),
-      webhookUrl: validatedData.webhookUrl,
-      status: 'pending',
-      attempts: []
-    });
-    
-    await note.save();
-    
-    
-    await initQueue();
-    
+    const { note, problem } = await prepareNote(validatedData, req);
+    if (problem) {
+      return res.status(400).json(problem);
+    }
     
-    const now = dayjs.utc();
-    const releaseTime = dayjs.utc(validatedData.releaseAt);
-    const delayMs = Math.max(0, releaseTime.diff(now));
+    if (note.schedule) {
+      await note.save();
+      await announceCreated(note);
+      
+      console.log(` Recurring note created: ${note._id} (first run at ${note.releaseAt.toISOString()})`);
+      
+      return res.status(201).json({ id: note._id, nextRunAt: note.releaseAt });
+    }
     
+    await withTransaction(async (session) => {
+      await note.save({ session });
+      await OutboxEntry.record([noteJob(note)], session);
+    });
+    await announceCreated(note);
     
-    await deliveryQueue.add('deliver-note', 
-      { noteId: note._id.toString() },
-      { 
-        delay: delayMs,
-        attempts: 3,
-        backoff: {
-          type: 'exponential',
-          settings: {
-            delay: 1000
-          }
-        },
-        jobId: `note-${note._id}-${note.releaseAt.getTime()}`
-      }
-    );
+    const delayMs = Math.max(0, dayjs.utc(note.releaseAt).diff(dayjs.utc()));
     
     console.log(` Note created: ${note._id} (delivery in ${delayMs}ms)`);
     
     
-    res.status(201).json({ id: note._id });
+    res.status(201).json({ id: note._id, releaseAt: note.releaseAt });
     
   } catch (error) {
     if (error.name === 'ZodError') {
@@ -104,44 +620,160 @@ router.post('/', async (req, res) => {
 });
 
 
-router.get('/', async (req, res) => {
+const BATCH_MAX_NOTES = parseInt(process.env.NOTE_BATCH_MAX) || 1000;
+const batchQuerySchema = z.object({
+  atomic: z.enum(['true', 'false']).default('false').transform(val => val === 'true')
+});
+
+// Creates up to NOTE_BATCH_MAX notes in one request, each checked as POST /
+// would check it. Valid notes are inserted together, with their jobs in the
+// same transaction; invalid ones are reported by index. With ?atomic=true
+// one invalid note means none are created.
+router.post(
+  '/batch',
+  requireScope('notes:write'),
+  express.text({ type: NDJSON_TYPES, limit: '10mb' }),
+  idempotencyMiddleware({ scope: 'notes:batch' }),
+  async (req, res) => {
+    try {
+      const { atomic } = batchQuerySchema.parse(req.query);
+      
+      const items = parseBatch(req.body);
+      if (!items || items.length === 0 || items.length > BATCH_MAX_NOTES) {
+        return res.status(400).json({
+          error: 'Invalid request data',
+          details: [items && items.length > BATCH_MAX_NOTES
+            ? `A batch holds at most ${BATCH_MAX_NOTES} notes`
+            : 'Send a non-empty JSON array of notes, or NDJSON with one note per line']
+        });
+      }
+      
+      const cache = new Map();
+      const now = new Date();
+      const notes = [];
+      const results = [];
+      for (const [index, item] of items.entries()) {
+        let prepared = item;
+        if (!item.problem) {
+          const parsed = createNoteSchema.safeParse(item.input);
+          prepared = parsed.success
+            ? await prepareNote(parsed.data, req, { cache, now })
+            : {
+              problem: {
+                error: 'Invalid request data',
+                details: parsed.error.issues.map(issueDetail)
+              }
+            };
+        }
+        
+        if (prepared.problem) {
+          results.push({ index, status: 'invalid', ...prepared.problem });
+        } else {
+          notes.push(prepared.note);
+          results.push({ index, status: 'created', id: prepared.note._id });
+        }
+      }
+      
+      const invalid = results.length - notes.length;
+      if (notes.length === 0 || (atomic && invalid > 0)) {
+        return res.status(400).json({
+          error: 'No notes created',
+          details: [`${invalid} of ${items.length} notes are invalid`],
+          created: 0,
+          invalid,
+          results: skippedResults(results)
+        });
+      }
+      
+      const jobs = notes.filter(note => !note.schedule).map(note => noteJob(note));
+      await withTransaction(async (session) => {
+        await Note.insertMany(notes, { session });
+        if (jobs.length > 0) {
+          await OutboxEntry.record(jobs, session);
+        }
+      });
+      for (const note of notes) {
+        await announceCreated(note);
+      }
+      
+      console.log(` Batch created: ${notes.length} notes${invalid > 0 ? ` (${invalid} invalid)` : ''}`);
+      
+      res.status(invalid > 0 ? 207 : 201).json({
+        created: notes.length,
+        invalid,
+        results
+      });
+    } catch (error) {
+      if (error.name === 'ZodError') {
+        return res.status(400).json({
+          error: 'Invalid query parameters',
+          details: error.issues.map(issue => `${issue.path.join('.')}: ${issue.message}`)
+        });
+      }
+      
+      console.error('Error creating notes in batch:', error);
+      res.status(500).json({
+        error: 'Failed to create notes',
+        details: ['Internal server error']
+      });
+    }
+  }
+);
+
+
+router.get('/', requireScope('notes:read'), async (req, res) => {
   try {
-    const { status, page } = listNotesSchema.parse(req.query);
-    const pageSize = 20; 
-    const skip = (parseInt(page) - 1) * pageSize;
+    const { tag, sort, pageSize, cursor, page, ...params } = listNotesSchema.parse(req.query);
     
-    const filter = {};
-    if (status) {
-      filter.status = status;
+    const filter = noteFilter({ ...params, tags: tag }, req.auth.tenant);
+    
+    if (page) {
+      const [notes, total] = await Promise.all([
+        Note.find(filter)
+          .sort(mongoSort(sort))
+          .skip((page - 1) * pageSize)
+          .limit(pageSize)
+          .lean(),
+        Note.countDocuments(filter)
+      ]);
+      const summaries = await deliverySummaries(notes);
+      
+      return res.json({
+        notes: notes.map(note => toNoteResponse(note, summaries[note._id.toString()])),
+        pagination: {
+          page,
+          pageSize,
+          total,
+          pages: Math.ceil(total / pageSize)
+        }
+      });
     }
     
-    const [notes, total] = await Promise.all([
-      Note.find(filter)
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(pageSize)
-        .lean(),
-      Note.countDocuments(filter)
-    ]);
+    let after = null;
+    try {
+      after = cursor ? decodeCursor(cursor, sort) : null;
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid query parameters',
+        details: [`cursor: ${error.message}`]
+      });
+    }
+    
+    // One extra note tells whether there is another page.
+    const found = await Note.find(after ? { $and: [filter, afterCursor(sort, after)] } : filter)
+      .sort(mongoSort(sort))
+      .limit(pageSize + 1)
+      .lean();
+    const hasMore = found.length > pageSize;
+    const notes = found.slice(0, pageSize);
+    const summaries = await deliverySummaries(notes);
     
     res.json({
-      notes: notes.map(note => ({
-        id: note._id,
-        title: note.title,
-        body: note.body,
-        releaseAt: note.releaseAt,
-        webhookUrl: note.webhookUrl,
-        status: note.status,
-        attempts: note.attempts || [],
-        deliveredAt: note.deliveredAt,
-        createdAt: note.createdAt,
-        updatedAt: note.updatedAt
-      })),
+      notes: notes.map(note => toNoteResponse(note, summaries[note._id.toString()])),
       pagination: {
-        page: parseInt(page),
         pageSize,
-        total,
-        pages: Math.ceil(total / pageSize)
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(sort, notes[notes.length - 1]) : null
       }
     });
   } catch (error) {
@@ -161,69 +793,499 @@ router.get('/', async (req, res) => {
 });
 
 
-router.post('/:id/replay', async (req, res) => {
+router.post('/:id/replay', requireScope('notes:replay'), async (req, res) => {
   try {
     const noteId = req.params.id;
     
-   
-    if (!/^[0-9a-fA-F]{24}$/.test(noteId)) {
+    const note = await findNote(req, res);
+    if (!note) return;
+    
+    const refusal = replayRefusal(note);
+    if (refusal) {
+      return res.status(400).json(refusal);
+    }
+    
+    const { deliveryIds, reason } = await replayNote(note);
+    
+    if (note.fannedOutAt) {
+      if (reason) {
+        return res.status(400).json({
+          error: 'Nothing to replay',
+          details: [reason]
+        });
+      }
+      
+      console.log(`🔄 Note replayed: ${noteId} (${deliveryIds.length} deliveries)`);
+      
+      return res.json({
+        message: 'Dead deliveries queued for replay',
+        id: note._id,
+        deliveryIds
+      });
+    }
+    
+    if (reason) {
+      return res.status(409).json({
+        error: 'Cannot replay note',
+        details: [reason]
+      });
+    }
+    
+    console.log(`🔄 Note replayed: ${noteId}`);
+    
+    res.json({
+      message: 'Note queued for replay',
+      id: noteId
+    });
+  } catch (error) {
+    console.error('Error replaying note:', error);
+    res.status(500).json({
+      error: 'Failed to replay note',
+      details: ['Internal server error']
+    });
+  }
+});
+
+
+router.get('/:id', requireScope('notes:read'), async (req, res) => {
+  try {
+    const note = await findNote(req, res);
+    if (!note) return;
+    
+    const summaries = await deliverySummaries([note]);
+    
+    res.json(toNoteResponse(note, summaries[note._id.toString()]));
+  } catch (error) {
+    console.error('Error fetching note:', error);
+    res.status(500).json({
+      error: 'Failed to fetch note',
+      details: ['Internal server error']
+    });
+  }
+});
+
+
+router.patch('/:id', requireScope('notes:write'), async (req, res) => {
+  try {
+    const validatedData = updateNoteSchema.parse(req.body);
+    
+    const note = await findNote(req, res);
+    if (!note) return;
+    
+    if (note.schedule && (validatedData.releaseAt || validatedData.delay || validatedData.timezone !== undefined)) {
       return res.status(400).json({
-        error: 'Invalid note ID format',
-        details: ['Note ID must be a valid MongoDB ObjectId']
+        error: 'Cannot reschedule recurring note',
+        details: ['Recurring notes follow their schedule; pause or cancel them instead']
       });
     }
     
-    const note = await Note.findById(noteId);
-    if (!note) {
-      return res.status(404).json({
-        error: 'Note not found',
-        details: ['No note found with the specified ID']
+    const timezone = validatedData.timezone !== undefined ? validatedData.timezone : note.timezone;
+    if (releaseAtNeedsTimezone(validatedData.releaseAt, timezone)) {
+      return res.status(400).json({
+        error: 'Invalid request data',
+        details: ['releaseAt: A releaseAt without an offset needs a timezone']
       });
     }
     
-    if (note.status === 'delivered') {
+    if (note.topic && validatedData.webhookUrl) {
       return res.status(400).json({
-        error: 'Cannot replay delivered note',
-        details: ['Note has already been successfully delivered']
+        error: 'Cannot set webhookUrl on topic note',
+        details: [`Note is published to topic "${note.topic}"`]
       });
     }
     
-    if (note.status === 'pending') {
+    const violation = validatedData.webhookUrl && await DestinationPolicy.check(req.auth.tenant, validatedData.webhookUrl);
+    if (violation) {
       return res.status(400).json({
-        error: 'Cannot replay pending note',
-        details: ['Note is already pending delivery']
+        error: 'Destination not allowed',
+        details: [`webhookUrl: ${violation}`]
       });
     }
     
-    note.status = 'pending';
-    await note.save();
+    const update = {};
+    ['title', 'body', 'webhookUrl', 'tags', ...PAYLOAD_FIELDS].forEach(field => {
+      if (validatedData[field] !== undefined) {
+        update[field] = validatedData[field];
+      }
+    });
+    
+    if (['title', 'body', 'webhookUrl', ...PAYLOAD_FIELDS].some(field => validatedData[field] !== undefined)) {
+      const edited = { ...note.toObject(), ...update };
+      const [channelProblem] = channelProblems(edited);
+      let problem;
+      if (!edited.webhookUrl && !edited.topic && channelType(edited.channel) !== 'email') {
+        problem = 'webhookUrl: Only email notes can do without a webhookUrl';
+      } else if (channelProblem) {
+        problem = issueDetail(channelProblem);
+      } else if (templateMissing(edited)) {
+        problem = 'template: A template is required for content types other than JSON';
+      } else if (batchConflict(edited)) {
+        problem = `cloudEvents: ${BATCH_CONFLICT}`;
+      } else {
+        problem = renderProblem(edited);
+      }
+      if (problem) {
+        return res.status(400).json({
+          error: 'Invalid request data',
+          details: [problem]
+        });
+      }
+    }
+    if (validatedData.retryPolicy) {
+      // Fields left out keep the note's current value, not the server default.
+      const current = note.retryPolicy ? note.retryPolicy.toObject() : {};
+      update.retryPolicy = resolveRetryPolicy({ ...current, ...validatedData.retryPolicy });
+      if (!isValidRetryPolicy(update.retryPolicy)) {
+        return res.status(400).json({
+          error: 'Invalid request data',
+          details: ['retryPolicy: baseDelayMs must not exceed maxDelayMs']
+        });
+      }
+    }
+    if (validatedData.timezone !== undefined) {
+      update.timezone = validatedData.timezone;
+    }
+    if (validatedData.deliveryWindow !== undefined) {
+      update.deliveryWindow = validatedData.deliveryWindow;
+    }
+    // A new time, or a new window or timezone the current time may now fall
+    // outside of. A new timezone alone keeps the instant.
+    const requested = requestedReleaseAt(validatedData, timezone, new Date());
+    if (!note.schedule && (requested || validatedData.timezone !== undefined || validatedData.deliveryWindow !== undefined)) {
+      const deliveryWindow = validatedData.deliveryWindow !== undefined ? validatedData.deliveryWindow : note.deliveryWindow;
+      update.releaseAt = nextInWindow(requested || note.releaseAt, deliveryWindow, timezone || 'UTC');
+      if (Number.isNaN(update.releaseAt.getTime())) {
+        return res.status(400).json({
+          error: 'Invalid request data',
+          details: ['delay: Too far in the future']
+        });
+      }
+    }
     
-    await initQueue();
-    
-    await deliveryQueue.add('deliver-note', 
-      { noteId: noteId },
-      { 
-        attempts: 3,
-        backoff: {
-          type: 'exponential',
-          settings: {
-            delay: 1000
-          }
+    // The conditions make the edit atomic with respect to the worker: once a
+    // delivery has been attempted or is in flight the note no longer matches.
+    const rescheduled = update.releaseAt && update.releaseAt.getTime() !== note.releaseAt.getTime();
+    let updated = null;
+    await withTransaction(async (session) => {
+      updated = await Note.findOneAndUpdate(
+        {
+          _id: note._id,
+          status: { $in: ['pending', 'recurring'] },
+          attempts: { $size: 0 },
+          fannedOutAt: null,
+          ...leaseFree()
         },
-        jobId: `replay-${noteId}-${Date.now()}`
+        { $set: update },
+        { new: true, runValidators: true, session }
+      );
+      
+      // Recurring notes are scheduled by the worker from their schedule.
+      if (updated && rescheduled && !updated.schedule) {
+        await OutboxEntry.record([noteJob(updated)], session);
       }
-    );
+    });
     
-    console.log(`🔄 Note replayed: ${noteId}`);
+    if (!updated) {
+      return res.status(409).json({
+        error: 'Cannot edit note',
+        details: ['Delivery has already started or the note is no longer pending']
+      });
+    }
+    
+    if (rescheduled) {
+      await removeDeliveryJob(note._id, note.releaseAt);
+      if (!updated.schedule) {
+        await publishNoteEvent('scheduled', updated, { releaseAt: updated.releaseAt.toISOString() });
+      }
+      
+      console.log(`🕒 Note rescheduled: ${note._id} (${note.releaseAt.toISOString()} -> ${updated.releaseAt.toISOString()})`);
+    } else {
+      console.log(`✏️ Note updated: ${note._id}`);
+    }
+    
+    res.json(toNoteResponse(updated));
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({
+        error: 'Invalid request data',
+        details: error.issues.map(issue => `${issue.path.join('.')}: ${issue.message}`)
+      });
+    }
+    
+    console.error('Error updating note:', error);
+    res.status(500).json({
+      error: 'Failed to update note',
+      details: ['Internal server error']
+    });
+  }
+});
+
+
+router.post('/:id/cancel', requireScope('notes:write'), async (req, res) => {
+  try {
+    const note = await findNote(req, res);
+    if (!note) return;
+    
+    const { note: cancelled, reason } = await cancelNote(note);
+    if (!cancelled) {
+      return res.status(409).json({
+        error: 'Cannot cancel note',
+        details: [reason]
+      });
+    }
+    
+    console.log(`🚫 Note cancelled: ${cancelled._id}`);
+    
+    res.json(toNoteResponse(cancelled));
+  } catch (error) {
+    console.error('Error cancelling note:', error);
+    res.status(500).json({
+      error: 'Failed to cancel note',
+      details: ['Internal server error']
+    });
+  }
+});
+
+
+router.delete('/:id', requireScope('notes:write'), async (req, res) => {
+  try {
+    const note = await findNote(req, res);
+    if (!note) return;
+    
+    const { note: deleted, reason } = await deleteNote(note);
+    if (!deleted) {
+      return res.status(409).json({
+        error: 'Cannot delete note',
+        details: [reason]
+      });
+    }
+    
+    console.log(`🗑 Note deleted: ${deleted._id}`);
     
     res.json({
-      message: 'Note queued for replay',
-      id: noteId
+      message: 'Note deleted',
+      id: deleted._id
     });
   } catch (error) {
-    console.error('Error replaying note:', error);
+    console.error('Error deleting note:', error);
     res.status(500).json({
-      error: 'Failed to replay note',
+      error: 'Failed to delete note',
+      details: ['Internal server error']
+    });
+  }
+});
+
+
+router.get('/:id/deliveries', requireScope('notes:read'), async (req, res) => {
+  try {
+    const note = await findNote(req, res);
+    if (!note) return;
+    
+    if (!note.topic) {
+      return res.status(400).json({
+        error: 'Note has no deliveries',
+        details: ['Only notes published to a topic are fanned out to endpoints']
+      });
+    }
+    
+    const deliveries = await Delivery.find({ note: note._id }).sort({ endpointName: 1 }).lean();
+    
+    res.json({
+      id: note._id,
+      topic: note.topic,
+      status: note.status,
+      fannedOutAt: note.fannedOutAt || null,
+      deliveries: deliveries.map(toDeliveryResponse)
+    });
+  } catch (error) {
+    console.error('Error listing deliveries:', error);
+    res.status(500).json({
+      error: 'Failed to list deliveries',
+      details: ['Internal server error']
+    });
+  }
+});
+
+
+router.post('/:id/deliveries/:deliveryId/replay', requireScope('notes:replay'), async (req, res) => {
+  try {
+    const note = await findNote(req, res);
+    if (!note) return;
+    
+    const { deliveryId } = req.params;
+    if (!/^[0-9a-fA-F]{24}$/.test(deliveryId)) {
+      return res.status(400).json({
+        error: 'Invalid delivery ID format',
+        details: ['Delivery ID must be a valid MongoDB ObjectId']
+      });
+    }
+    
+    const current = await Delivery.findOne({ _id: deliveryId, note: note._id }).lean();
+    if (!current) {
+      return res.status(404).json({
+        error: 'Delivery not found',
+        details: ['No delivery of this note has the specified ID']
+      });
+    }
+    
+    const delivery = await replayDelivery(current._id);
+    if (!delivery) {
+      return res.status(409).json({
+        error: 'Cannot replay delivery',
+        details: [['failed', 'dead'].includes(current.status)
+          ? 'Delivery is in progress'
+          : `Delivery is ${current.status}`]
+      });
+    }
+    
+    const refreshed = await refreshNoteStatus(note._id);
+    await publishNoteEvent('replayed', refreshed, { delivery });
+    
+    console.log(`🔄 Delivery replayed: ${delivery._id} (note ${note._id} -> ${delivery.endpointName})`);
+    
+    res.json({
+      message: 'Delivery queued for replay',
+      id: delivery._id,
+      noteId: note._id
+    });
+  } catch (error) {
+    console.error('Error replaying delivery:', error);
+    res.status(500).json({
+      error: 'Failed to replay delivery',
+      details: ['Internal server error']
+    });
+  }
+});
+
+
+router.post('/:id/pause', requireScope('notes:write'), async (req, res) => {
+  try {
+    const note = await findRecurringNote(req, res);
+    if (!note) return;
+    
+    if (note.status === 'cancelled') {
+      return res.status(400).json({
+        error: 'Note is cancelled',
+        details: ['Cancelled schedules cannot be paused or resumed']
+      });
+    }
+    
+    if (note.schedule.completedAt) {
+      return res.status(400).json({
+        error: 'Cannot pause completed schedule',
+        details: ['The schedule has no more occurrences']
+      });
+    }
+    
+    note.schedule.paused = true;
+    await note.save();
+    
+    console.log(`⏸ Recurring note paused: ${note._id}`);
+    
+    res.json({
+      message: 'Schedule paused',
+      id: note._id
+    });
+  } catch (error) {
+    console.error('Error pausing note:', error);
+    res.status(500).json({
+      error: 'Failed to pause note',
+      details: ['Internal server error']
+    });
+  }
+});
+
+
+router.post('/:id/resume', requireScope('notes:write'), async (req, res) => {
+  try {
+    const note = await findRecurringNote(req, res);
+    if (!note) return;
+    
+    if (note.status === 'cancelled') {
+      return res.status(400).json({
+        error: 'Note is cancelled',
+        details: ['Cancelled schedules cannot be paused or resumed']
+      });
+    }
+    
+    if (!note.schedule.paused) {
+      return res.status(400).json({
+        error: 'Schedule is not paused',
+        details: ['Only paused schedules can be resumed']
+      });
+    }
+    
+    // Occurrences missed while paused are skipped, not caught up.
+    const nextRunAt = nextOccurrence(note.schedule.toObject(), new Date());
+    
+    note.schedule.paused = false;
+    note.schedule.nextRunAt = nextRunAt;
+    if (nextRunAt) {
+      note.releaseAt = nextRunAt;
+    } else {
+      note.schedule.completedAt = new Date();
+    }
+    await note.save();
+    
+    console.log(`▶ Recurring note resumed: ${note._id}`);
+    
+    res.json({
+      message: 'Schedule resumed',
+      id: note._id,
+      nextRunAt
+    });
+  } catch (error) {
+    console.error('Error resuming note:', error);
+    res.status(500).json({
+      error: 'Failed to resume note',
+      details: ['Internal server error']
+    });
+  }
+});
+
+
+router.get('/:id/occurrences', requireScope('notes:read'), async (req, res) => {
+  try {
+    const { limit } = occurrencesQuerySchema.parse(req.query);
+    
+    const note = await findRecurringNote(req, res);
+    if (!note) return;
+    
+    const schedule = note.schedule.toObject();
+    let upcoming = [];
+    if (schedule.nextRunAt && !schedule.paused) {
+      // nextRunAt is the next one to be materialized, so list from just before it.
+      upcoming = upcomingOccurrences(schedule, new Date(schedule.nextRunAt.getTime() - 1), limit);
+    }
+    
+    const recent = await Note.find({ seriesId: note._id })
+      .sort({ releaseAt: -1 })
+      .limit(20)
+      .lean();
+    
+    res.json({
+      id: note._id,
+      schedule,
+      upcoming,
+      recent: recent.map(occurrence => ({
+        id: occurrence._id,
+        releaseAt: occurrence.releaseAt,
+        status: occurrence.status,
+        attempts: occurrence.attempts || [],
+        deliveredAt: occurrence.deliveredAt
+      }))
+    });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return res.status(400).json({
+        error: 'Invalid query parameters',
+        details: error.issues.map(issue => `${issue.path.join('.')}: ${issue.message}`)
+      });
+    }
+    
+    console.error('Error listing occurrences:', error);
+    res.status(500).json({
+      error: 'Failed to list occurrences',
       details: ['Internal server error']
     });
   }
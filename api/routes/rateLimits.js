@@ -0,0 +1,212 @@
+const express = require('express');
+const { z } = require('zod');
+const RateLimit = require('../models/RateLimit');
+const Endpoint = require('../models/Endpoint');
+const { tenantFilter } = require('../middleware/auth');
+const { getRedisClient } = require('../config/redis');
+const { createThrottle, throttleKeys, burstOf } = require('../utils/throttle');
+
+const router = express.Router();
+
+const objectIdSchema = z.string().regex(/^[0-9a-fA-F]{24}$/, 'must be a valid MongoDB ObjectId');
+
+// Both are optional on their own; a limit needs at least one of them.
+const limitFields = {
+  perSecond: z.number().positive().max(10000).nullable().optional(),
+  burst: z.number().int().min(1).max(10000).nullable().optional(),
+  maxInFlight: z.number().int().min(1).max(1000).nullable().optional()
+};
+
+const hasLimit = data => Boolean(data.perSecond || data.maxInFlight);
+
+const createRateLimitSchema = z.object({
+  host: z.string().trim().toLowerCase().regex(/^[a-z0-9_.:-]+$/, 'must be a hostname or IP address').optional(),
+  endpointId: objectIdSchema.optional(),
+  ...limitFields
+}).strict().refine(data => Boolean(data.host) !== Boolean(data.endpointId), {
+  message: 'Provide exactly one of host or endpointId'
+}).refine(hasLimit, {
+  message: 'Provide perSecond, maxInFlight or both'
+});
+
+const updateRateLimitSchema = z.object(limitFields).strict().refine(data => Object.keys(data).length > 0, {
+  message: 'Provide at least one of perSecond, burst or maxInFlight'
+});
+
+const toResponse = (limit, state) => ({
+  id: limit._id,
+  host: limit.host || null,
+  endpoint: limit.endpoint
+    ? { id: limit.endpoint._id || limit.endpoint, name: limit.endpoint.name || null }
+    : null,
+  perSecond: limit.perSecond || null,
+  burst: limit.perSecond ? burstOf(limit) : null,
+  maxInFlight: limit.maxInFlight || null,
+  ...(state !== undefined ? { state } : {}),
+  createdAt: limit.createdAt,
+  updatedAt: limit.updatedAt
+});
+
+const zodErrorResponse = (res, error, message) => res.status(400).json({
+  error: message,
+  details: error.issues.map(issue => `${issue.path.join('.')}: ${issue.message}`)
+});
+
+const findRateLimit = async (req, res) => {
+  const limitId = req.params.id;
+
+  if (!/^[0-9a-fA-F]{24}$/.test(limitId)) {
+    res.status(400).json({
+      error: 'Invalid rate limit ID format',
+      details: ['Rate limit ID must be a valid MongoDB ObjectId']
+    });
+    return null;
+  }
+
+  const limit = await RateLimit.findOne({ _id: limitId, ...tenantFilter(req) });
+  if (!limit) {
+    res.status(404).json({
+      error: 'Rate limit not found',
+      details: ['No rate limit found with the specified ID']
+    });
+    return null;
+  }
+
+  return limit;
+};
+
+// Live state is best effort: the limits themselves are still listed when
+// Redis is unavailable.
+const readState = async (limit) => {
+  try {
+    return await createThrottle(getRedisClient()).state(limit);
+  } catch (error) {
+    console.error(`Error reading throttle state for ${limit._id}:`, error.message);
+    return null;
+  }
+};
+
+
+router.post('/', async (req, res) => {
+  try {
+    const { endpointId, ...validatedData } = createRateLimitSchema.parse(req.body);
+
+    if (endpointId && !(await Endpoint.exists({ _id: endpointId, ...tenantFilter(req) }))) {
+      return res.status(400).json({
+        error: 'Endpoint not found',
+        details: [`endpointId: no endpoint with ID ${endpointId}`]
+      });
+    }
+
+    const limit = new RateLimit({
+      ...validatedData,
+      endpoint: endpointId || null,
+      tenant: req.auth.tenant
+    });
+    await limit.save();
+
+    console.log(`🚦 Rate limit created: ${limit._id} (${limit.host || `endpoint ${endpointId}`})`);
+
+    res.status(201).json(toResponse(limit));
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return zodErrorResponse(res, error, 'Invalid request data');
+    }
+    if (error.code === 11000) {
+      return res.status(409).json({
+        error: 'Rate limit already exists',
+        details: ['This host or endpoint already has a rate limit; update it instead']
+      });
+    }
+
+    console.error('Error creating rate limit:', error);
+    res.status(500).json({
+      error: 'Failed to create rate limit',
+      details: ['Internal server error']
+    });
+  }
+});
+
+
+// Lists limits with their current throttling state: sends in flight, sends
+// waiting for a slot, and how often sends were deferred lately.
+router.get('/', async (req, res) => {
+  try {
+    const limits = await RateLimit.find(tenantFilter(req))
+      .populate('endpoint', 'name')
+      .sort({ createdAt: 1 });
+
+    const states = await Promise.all(limits.map(readState));
+
+    res.json({
+      limits: limits.map((limit, index) => toResponse(limit, states[index]))
+    });
+  } catch (error) {
+    console.error('Error listing rate limits:', error);
+    res.status(500).json({
+      error: 'Failed to list rate limits',
+      details: ['Internal server error']
+    });
+  }
+});
+
+
+router.patch('/:id', async (req, res) => {
+  try {
+    const validatedData = updateRateLimitSchema.parse(req.body);
+
+    const limit = await findRateLimit(req, res);
+    if (!limit) return;
+
+    Object.assign(limit, validatedData);
+    if (!hasLimit(limit)) {
+      return res.status(400).json({
+        error: 'Invalid request data',
+        details: ['A rate limit needs perSecond, maxInFlight or both']
+      });
+    }
+    await limit.save();
+
+    console.log(`✏️ Rate limit updated: ${limit._id}`);
+
+    res.json(toResponse(limit));
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return zodErrorResponse(res, error, 'Invalid request data');
+    }
+
+    console.error('Error updating rate limit:', error);
+    res.status(500).json({
+      error: 'Failed to update rate limit',
+      details: ['Internal server error']
+    });
+  }
+});
+
+
+// Jobs already deferred keep their slot and run when it comes due.
+router.delete('/:id', async (req, res) => {
+  try {
+    const limit = await findRateLimit(req, res);
+    if (!limit) return;
+
+    await limit.deleteOne();
+    const keys = throttleKeys(limit);
+    await getRedisClient().del(keys.bucket, keys.inFlight);
+
+    console.log(` Rate limit removed: ${limit._id}`);
+
+    res.json({
+      message: 'Rate limit removed',
+      id: limit._id
+    });
+  } catch (error) {
+    console.error('Error removing rate limit:', error);
+    res.status(500).json({
+      error: 'Failed to remove rate limit',
+      details: ['Internal server error']
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,73 @@
+const express = require('express');
+const Note = require('../models/Note');
+const Delivery = require('../models/Delivery');
+const Endpoint = require('../models/Endpoint');
+const { tenantFilter } = require('../middleware/auth');
+const {
+  RETENTION_STATUSES,
+  retentionConfig,
+  cutoffFor,
+  expiredQuery,
+  overflowingAttemptsQuery
+} = require('../utils/retention');
+const { leaseFree } = require('../utils/lease');
+const { INTERVAL_MS } = require('../utils/retentionSweeper');
+
+const router = express.Router();
+
+
+// What the next sweep would remove if it ran now: expired notes per status
+// and notes and deliveries with attempts to trim. ADMIN_TOKEN sees every tenant, since the
+// policies are server-wide; other admin keys see their own notes.
+router.get('/', async (req, res) => {
+  try {
+    const config = retentionConfig();
+    const now = new Date();
+    const scope = req.auth.root ? {} : tenantFilter(req);
+
+    const statuses = await Promise.all(RETENTION_STATUSES.map(async (status) => {
+      const policy = config.policies.find(candidate => candidate.status === status);
+      if (!policy) {
+        return { status, days: null, cutoff: null, notes: 0 };
+      }
+      return {
+        status,
+        days: policy.days,
+        cutoff: cutoffFor(policy, now),
+        notes: await Note.countDocuments(expiredQuery(policy, now, scope))
+      };
+    }));
+
+    let trimmed = { notes: 0, deliveries: 0 };
+    if (config.attemptsKept) {
+      // Deliveries have no tenant of their own; their endpoints do.
+      const deliveryScope = req.auth.root ? {} : { endpoint: { $in: await Endpoint.find(scope).distinct('_id') } };
+      const [notes, deliveries] = await Promise.all([
+        Note.countDocuments(overflowingAttemptsQuery(config.attemptsKept, { ...scope, ...leaseFree(now) })),
+        Delivery.countDocuments(overflowingAttemptsQuery(config.attemptsKept, { ...deliveryScope, ...leaseFree(now) }))
+      ]);
+      trimmed = { notes, deliveries };
+    }
+
+    res.json({
+      tenant: req.auth.root ? null : req.auth.tenant,
+      asOf: now,
+      intervalMs: INTERVAL_MS,
+      archive: Boolean(config.archiveDir),
+      statuses,
+      notes: statuses.reduce((sum, { notes }) => sum + notes, 0),
+      attempts: {
+        kept: config.attemptsKept,
+        ...trimmed
+      }
+    });
+  } catch (error) {
+    console.error('Error previewing retention:', error);
+    res.status(500).json({
+      error: 'Failed to preview retention',
+      details: ['Internal server error']
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,256 @@
+const express = require('express');
+const { z } = require('zod');
+const Topic = require('../models/Topic');
+const Endpoint = require('../models/Endpoint');
+const Subscription = require('../models/Subscription');
+const { tenantFilter } = require('../middleware/auth');
+
+const router = express.Router();
+
+const objectIdSchema = z.string().regex(/^[0-9a-fA-F]{24}$/, 'must be a valid MongoDB ObjectId');
+
+const createTopicSchema = z.object({
+  name: z.string().min(1).max(100).regex(/^[A-Za-z0-9._-]+$/, 'may only contain letters, digits, ".", "_" and "-"'),
+  description: z.string().max(500).trim().optional()
+});
+
+const subscribeSchema = z.object({
+  endpointId: objectIdSchema
+});
+
+const toResponse = (topic, endpoints = []) => ({
+  id: topic._id,
+  name: topic.name,
+  description: topic.description || null,
+  subscribers: endpoints.map(endpoint => ({
+    id: endpoint._id,
+    name: endpoint.name,
+    url: endpoint.url
+  })),
+  createdAt: topic.createdAt,
+  updatedAt: topic.updatedAt
+});
+
+const zodErrorResponse = (res, error, message) => res.status(400).json({
+  error: message,
+  details: error.issues.map(issue => `${issue.path.join('.')}: ${issue.message}`)
+});
+
+const findTopic = async (req, res) => {
+  const topicId = req.params.id;
+
+  if (!/^[0-9a-fA-F]{24}$/.test(topicId)) {
+    res.status(400).json({
+      error: 'Invalid topic ID format',
+      details: ['Topic ID must be a valid MongoDB ObjectId']
+    });
+    return null;
+  }
+
+  const topic = await Topic.findOne({ _id: topicId, ...tenantFilter(req) });
+  if (!topic) {
+    res.status(404).json({
+      error: 'Topic not found',
+      details: ['No topic found with the specified ID']
+    });
+    return null;
+  }
+
+  return topic;
+};
+
+const subscribersOf = async (topicIds) => {
+  const subscriptions = await Subscription.find({ topic: { $in: topicIds } }).lean();
+  const endpoints = await Endpoint.find({ _id: { $in: subscriptions.map(s => s.endpoint) } }).lean();
+  const endpointsById = new Map(endpoints.map(endpoint => [endpoint._id.toString(), endpoint]));
+
+  return subscriptions.reduce((byTopic, subscription) => {
+    const endpoint = endpointsById.get(subscription.endpoint.toString());
+    if (endpoint) {
+      const key = subscription.topic.toString();
+      byTopic[key] = [...(byTopic[key] || []), endpoint];
+    }
+    return byTopic;
+  }, {});
+};
+
+
+router.post('/', async (req, res) => {
+  try {
+    const validatedData = createTopicSchema.parse(req.body);
+
+    const existing = await Topic.findOne({ name: validatedData.name, ...tenantFilter(req) });
+    if (existing) {
+      return res.status(409).json({
+        error: 'Topic already exists',
+        details: [`A topic named "${validatedData.name}" already exists`]
+      });
+    }
+
+    const topic = new Topic({ ...validatedData, tenant: req.auth.tenant });
+    await topic.save();
+
+    console.log(` Topic created: ${topic._id} (${topic.name})`);
+
+    res.status(201).json(toResponse(topic));
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return zodErrorResponse(res, error, 'Invalid request data');
+    }
+
+    console.error('Error creating topic:', error);
+    res.status(500).json({
+      error: 'Failed to create topic',
+      details: ['Internal server error']
+    });
+  }
+});
+
+
+router.get('/', async (req, res) => {
+  try {
+    const topics = await Topic.find(tenantFilter(req)).sort({ name: 1 }).lean();
+    const subscribers = await subscribersOf(topics.map(topic => topic._id));
+
+    res.json({
+      topics: topics.map(topic => toResponse(topic, subscribers[topic._id.toString()]))
+    });
+  } catch (error) {
+    console.error('Error listing topics:', error);
+    res.status(500).json({
+      error: 'Failed to list topics',
+      details: ['Internal server error']
+    });
+  }
+});
+
+
+router.get('/:id', async (req, res) => {
+  try {
+    const topic = await findTopic(req, res);
+    if (!topic) return;
+
+    const subscribers = await subscribersOf([topic._id]);
+
+    res.json(toResponse(topic, subscribers[topic._id.toString()]));
+  } catch (error) {
+    console.error('Error fetching topic:', error);
+    res.status(500).json({
+      error: 'Failed to fetch topic',
+      details: ['Internal server error']
+    });
+  }
+});
+
+
+router.delete('/:id', async (req, res) => {
+  try {
+    const topic = await findTopic(req, res);
+    if (!topic) return;
+
+    // Pending notes published to the topic will find no subscribers and be
+    // marked dead when they come due.
+    await Subscription.deleteMany({ topic: topic._id });
+    await topic.deleteOne();
+
+    console.log(` Topic removed: ${topic._id} (${topic.name})`);
+
+    res.json({
+      message: 'Topic removed',
+      id: topic._id
+    });
+  } catch (error) {
+    console.error('Error removing topic:', error);
+    res.status(500).json({
+      error: 'Failed to remove topic',
+      details: ['Internal server error']
+    });
+  }
+});
+
+
+router.post('/:id/subscriptions', async (req, res) => {
+  try {
+    const { endpointId } = subscribeSchema.parse(req.body);
+
+    const topic = await findTopic(req, res);
+    if (!topic) return;
+
+    const endpoint = await Endpoint.findOne({ _id: endpointId, ...tenantFilter(req) });
+    if (!endpoint) {
+      return res.status(404).json({
+        error: 'Endpoint not found',
+        details: ['No endpoint found with the specified ID']
+      });
+    }
+
+    const existing = await Subscription.findOne({ topic: topic._id, endpoint: endpoint._id });
+    if (existing) {
+      return res.status(409).json({
+        error: 'Already subscribed',
+        details: [`Endpoint "${endpoint.name}" is already subscribed to "${topic.name}"`]
+      });
+    }
+
+    const subscription = await Subscription.create({ topic: topic._id, endpoint: endpoint._id });
+
+    console.log(` Endpoint ${endpoint.name} subscribed to ${topic.name}`);
+
+    res.status(201).json({
+      id: subscription._id,
+      topicId: topic._id,
+      endpointId: endpoint._id,
+      createdAt: subscription.createdAt
+    });
+  } catch (error) {
+    if (error.name === 'ZodError') {
+      return zodErrorResponse(res, error, 'Invalid request data');
+    }
+
+    console.error('Error subscribing endpoint:', error);
+    res.status(500).json({
+      error: 'Failed to subscribe endpoint',
+      details: ['Internal server error']
+    });
+  }
+});
+
+
+router.delete('/:id/subscriptions/:endpointId', async (req, res) => {
+  try {
+    const topic = await findTopic(req, res);
+    if (!topic) return;
+
+    const endpointId = objectIdSchema.safeParse(req.params.endpointId);
+    if (!endpointId.success) {
+      return res.status(400).json({
+        error: 'Invalid endpoint ID format',
+        details: ['Endpoint ID must be a valid MongoDB ObjectId']
+      });
+    }
+
+    const removed = await Subscription.findOneAndDelete({ topic: topic._id, endpoint: endpointId.data });
+    if (!removed) {
+      return res.status(404).json({
+        error: 'Subscription not found',
+        details: ['The endpoint is not subscribed to this topic']
+      });
+    }
+
+    console.log(` Endpoint ${endpointId.data} unsubscribed from ${topic.name}`);
+
+    res.json({
+      message: 'Subscription removed',
+      topicId: topic._id,
+      endpointId: endpointId.data
+    });
+  } catch (error) {
+    console.error('Error removing subscription:', error);
+    res.status(500).json({
+      error: 'Failed to remove subscription',
+      details: ['Internal server error']
+    });
+  }
+});
+
+module.exports = router;
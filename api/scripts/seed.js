@@ -2,6 +2,8 @@ require('dotenv').config();
 const mongoose = require('mongoose');
 const dayjs = require('dayjs');
 const Note = require('../models/Note');
+const OutboxEntry = require('../models/OutboxEntry');
+const { noteJob } = require('../utils/outbox');
 
 const sampleNotes = [
   {
@@ -49,13 +51,20 @@ const sampleNotes = [
 
 async function seed() {
   try {
-    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/droplater');
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/droplater?directConnection=true');
     console.log('Connected to MongoDB');
     
     await Note.deleteMany({});
     console.log('Cleared existing notes');
     
-    const createdNotes = await Note.insertMany(sampleNotes);
+    await OutboxEntry.deleteMany({});
+
+    const createdNotes = await mongoose.connection.transaction(async (session) => {
+      const notes = await Note.insertMany(sampleNotes, { session });
+      const pending = notes.filter(note => note.status === 'pending');
+      await OutboxEntry.record(pending.map(note => noteJob(note)), session);
+      return notes;
+    });
     console.log(`Created ${createdNotes.length} sample notes:`);
     
     createdNotes.forEach(note => {
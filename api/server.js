@@ -1,11 +1,28 @@
+require('dotenv').config();
+require('./tracing');
 const express = require('express');
 const mongoose = require('mongoose');
 const rateLimit = require('express-rate-limit');
 const cors = require('cors');
-require('dotenv').config();
 
 const notesRouter = require('./routes/notes');
+const destinationsRouter = require('./routes/destinations');
+const endpointsRouter = require('./routes/endpoints');
+const topicsRouter = require('./routes/topics');
+const apiKeysRouter = require('./routes/apiKeys');
+const destinationPolicyRouter = require('./routes/destinationPolicy');
+const rateLimitsRouter = require('./routes/rateLimits');
+const circuitsRouter = require('./routes/circuits');
+const bulkOperationsRouter = require('./routes/bulkOperations');
+const eventsRouter = require('./routes/events');
+const deadLettersRouter = require('./routes/deadLetters');
+const retentionRouter = require('./routes/retention');
+const metricsRouter = require('./routes/metrics');
 const authMiddleware = require('./middleware/auth');
+const { requireScope } = require('./middleware/auth');
+const { startBulkRunner } = require('./utils/bulkRunner');
+const { startDeadLetterAlerts } = require('./utils/deadLetterAlerts');
+const { startRetentionSweeper } = require('./utils/retentionSweeper');
 
 const app = express();
 
@@ -34,7 +51,20 @@ app.use((req, res, next) => {
 app.get('/health', (req, res) => {
   res.json({ ok: true });
 });
+app.use('/metrics', metricsRouter);
 app.use('/api/notes', authMiddleware, notesRouter);
+app.use('/api/bulk-operations', authMiddleware, bulkOperationsRouter);
+app.use('/api/events', authMiddleware, requireScope('notes:read'), eventsRouter);
+app.use('/api/dead-letters', authMiddleware, deadLettersRouter);
+// Scopes for notes are checked per route; the rest is configuration.
+app.use('/api/destinations', authMiddleware, requireScope('admin'), destinationsRouter);
+app.use('/api/endpoints', authMiddleware, requireScope('admin'), endpointsRouter);
+app.use('/api/topics', authMiddleware, requireScope('admin'), topicsRouter);
+app.use('/api/keys', authMiddleware, requireScope('admin'), apiKeysRouter);
+app.use('/api/destination-policy', authMiddleware, requireScope('admin'), destinationPolicyRouter);
+app.use('/api/rate-limits', authMiddleware, requireScope('admin'), rateLimitsRouter);
+app.use('/api/circuits', authMiddleware, requireScope('admin'), circuitsRouter);
+app.use('/api/retention', authMiddleware, requireScope('admin'), retentionRouter);
 
 
 app.use('*', (req, res) => {
@@ -55,8 +85,16 @@ app.use((err, req, res, next) => {
 
 const connectDB = async () => {
   try {
-    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://mongo:27017/droplater');
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://mongo:27017/droplater?replicaSet=rs0');
     console.log('Connected to MongoDB');
+    
+    // Notes and their outbox entries are written in one transaction, which a
+    // standalone mongod doesn't support.
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    if (!hello.setName && hello.msg !== 'isdbgrid') {
+      console.error('MongoDB must be a replica set (a single-node one is fine) for transactions');
+      process.exit(1);
+    }
   } catch (error) {
     console.error('MongoDB connection error:', error);
     process.exit(1);
@@ -68,18 +106,68 @@ const PORT = process.env.PORT || 3000;
 
 const startServer = async () => {
   await connectDB();
+  startBulkRunner();
+  startDeadLetterAlerts();
+  startRetentionSweeper();
   
   app.listen(PORT, '0.0.0.0', () => {
     console.log(` DropLater API Server running on port ${PORT}`);
     console.log(' Available endpoints:');
     console.log('  PUBLIC:');
     console.log('    GET  /health                    - Health check');
+    console.log('    GET  /metrics                   - Prometheus metrics (METRICS_TOKEN if set)');
     console.log('  PROTECTED (requires Bearer token):');
     console.log('    POST /api/notes                 - Create note');
-    console.log('    GET  /api/notes?status=&page=   - List notes (paginated)');
+    console.log('    GET  /api/notes?status=&q=&tag=&sort=&cursor= - Search and list notes (cursor pages)');
+    console.log('    GET  /api/notes/:id             - Get note');
+    console.log('    PATCH /api/notes/:id            - Edit or reschedule pending note');
+    console.log('    DELETE /api/notes/:id           - Delete note');
+    console.log('    POST /api/notes/:id/cancel      - Cancel note');
     console.log('    POST /api/notes/:id/replay      - Replay failed/dead note');
+    console.log('    POST /api/notes/:id/pause       - Pause recurring note');
+    console.log('    POST /api/notes/:id/resume      - Resume recurring note');
+    console.log('    GET  /api/notes/:id/occurrences - List upcoming occurrences');
+    console.log('    GET  /api/notes/:id/deliveries  - List per-endpoint deliveries of a topic note');
+    console.log('    POST /api/notes/:id/deliveries/:deliveryId/replay - Replay one delivery');
+    console.log('    POST /api/bulk-operations       - Bulk replay, cancel or delete by filter or IDs (dryRun to count)');
+    console.log('    GET  /api/bulk-operations       - List bulk operations');
+    console.log('    GET  /api/bulk-operations/:id   - Bulk operation progress');
+    console.log('    POST /api/bulk-operations/:id/abort - Stop a bulk operation');
+    console.log('    GET  /api/events?type=&noteId=&topic= - Live note events (server-sent events, Last-Event-ID resumes)');
+    console.log('    GET  /api/dead-letters/groups   - Dead notes by destination and last error');
+    console.log('    GET  /api/dead-letters/reasons?interval= - Dead-letter reasons over time');
+    console.log('    GET  /api/dead-letters/export?format=ndjson|csv - Export dead notes with their attempts');
+    console.log('    POST /api/dead-letters/purge    - Delete dead notes by age and filter (dryRun to count)');
+    console.log('    GET/PUT/DELETE /api/dead-letters/alert - Dead-letter threshold alert (admin)');
+    console.log('    POST /api/destinations          - Register webhook destination');
+    console.log('    GET  /api/destinations          - List webhook destinations');
+    console.log('    POST /api/destinations/:id/rotate - Rotate signing secret');
+    console.log('    DELETE /api/destinations/:id    - Remove webhook destination');
+    console.log('    POST /api/endpoints             - Create named endpoint');
+    console.log('    GET  /api/endpoints             - List endpoints');
+    console.log('    PATCH /api/endpoints/:id        - Update endpoint');
+    console.log('    DELETE /api/endpoints/:id       - Remove endpoint');
+    console.log('    POST /api/topics                - Create topic');
+    console.log('    GET  /api/topics                - List topics with subscribers');
+    console.log('    GET  /api/topics/:id            - Get topic');
+    console.log('    DELETE /api/topics/:id          - Remove topic');
+    console.log('    POST /api/topics/:id/subscriptions - Subscribe endpoint to topic');
+    console.log('    DELETE /api/topics/:id/subscriptions/:endpointId - Unsubscribe endpoint');
+    console.log('    POST /api/keys                  - Create scoped API key (admin)');
+    console.log('    GET  /api/keys                  - List API keys (admin)');
+    console.log('    DELETE /api/keys/:id            - Revoke API key (admin)');
+    console.log('    GET  /api/destination-policy    - Allow/deny host patterns (admin)');
+    console.log('    PUT  /api/destination-policy    - Replace allow/deny host patterns (admin)');
+    console.log('    POST /api/rate-limits           - Limit sends to a host or endpoint (admin)');
+    console.log('    GET  /api/rate-limits           - List rate limits with throttling state (admin)');
+    console.log('    PATCH /api/rate-limits/:id      - Update rate limit (admin)');
+    console.log('    DELETE /api/rate-limits/:id     - Remove rate limit (admin)');
+    console.log('    GET  /api/circuits              - List circuit breakers by host (admin)');
+    console.log('    GET  /api/circuits/:host        - Circuit state and transitions (admin)');
+    console.log('    POST /api/circuits/:host/reset  - Close circuit and release held notes (admin)');
+    console.log('    GET  /api/retention             - What the next retention sweep would remove (admin)');
     console.log(' Rate limit: 60 requests per minute per IP');
-    console.log(' Auth: Bearer token from ADMIN_TOKEN env var');
+    console.log(' Auth: Bearer API key, or ADMIN_TOKEN as bootstrap admin of the default tenant');
   });
 };
 
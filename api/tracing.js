@@ -0,0 +1,19 @@
+const { startTracing } = require('./utils/tracing');
+
+// Required first by server.js: the instrumentations only see http, express
+// and mongodb if they are patched before anything loads them.
+startTracing('droplater-api', {
+  instrumentations: () => {
+    const { HttpInstrumentation } = require('@opentelemetry/instrumentation-http');
+    const { ExpressInstrumentation } = require('@opentelemetry/instrumentation-express');
+    const { MongoDBInstrumentation } = require('@opentelemetry/instrumentation-mongodb');
+    return [
+      // Health checks and scrapes would be most of the traces.
+      new HttpInstrumentation({
+        ignoreIncomingRequestHook: (req) => ['/health', '/metrics'].includes(req.url.split('?')[0])
+      }),
+      new ExpressInstrumentation(),
+      new MongoDBInstrumentation()
+    ];
+  }
+});
@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+
+const SCOPES = ['notes:read', 'notes:write', 'notes:replay', 'admin'];
+
+const DEFAULT_TENANT = process.env.DEFAULT_TENANT || 'default';
+
+// dlk_<prefix>_<secret>. The prefix is stored in the clear to find the key
+// and to tell keys apart in listings; only a hash of the whole key is kept.
+const KEY_PATTERN = /^dlk_([0-9a-f]{8})_([0-9a-f]{48})$/;
+
+const generateApiKey = () => {
+  const prefix = crypto.randomBytes(4).toString('hex');
+  const secret = crypto.randomBytes(24).toString('hex');
+  return { key: `dlk_${prefix}_${secret}`, prefix };
+};
+
+const parseApiKey = (token) => {
+  const match = KEY_PATTERN.exec(token || '');
+  return match ? { prefix: match[1] } : null;
+};
+
+const hashApiKey = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Hashing first gives both sides the same length, which timingSafeEqual
+// requires, without leaking the length of the expected value.
+const safeEqual = (a, b) => {
+  const digestA = crypto.createHash('sha256').update(String(a)).digest();
+  const digestB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(digestA, digestB);
+};
+
+// `admin` implies every other scope.
+const hasScope = (scopes, scope) => {
+  return Array.isArray(scopes) && (scopes.includes('admin') || scopes.includes(scope));
+};
+
+// Notes created before tenants existed have no tenant and belong to the
+// default one.
+const tenantQuery = (tenant) => {
+  return tenant === DEFAULT_TENANT
+    ? { tenant: { $in: [DEFAULT_TENANT, null] } }
+    : { tenant };
+};
+
+module.exports = {
+  SCOPES,
+  DEFAULT_TENANT,
+  generateApiKey,
+  parseApiKey,
+  hashApiKey,
+  safeEqual,
+  hasScope,
+  tenantQuery
+};
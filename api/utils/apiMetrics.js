@@ -0,0 +1,140 @@
+const Note = require('../models/Note');
+const RateLimit = require('../models/RateLimit');
+const { getRedisClient } = require('../config/redis');
+const { DEFAULT_TENANT } = require('./apiKeys');
+const { createRegistry } = require('./metrics');
+const { createCircuits, circuitKey } = require('./circuit');
+const { createThrottle, hostOf } = require('./throttle');
+const { initQueue } = require('./noteActions');
+
+// What the API serves on /metrics: notes it accepted, plus gauges read on
+// each scrape for the whole system, since every API replica sees the same
+// queue and database. Delivery metrics come from each worker's /metrics.
+
+const registry = createRegistry({
+  maxLabelValues: parseInt(process.env.METRICS_MAX_LABEL_VALUES) || 100,
+  onError: (error) => console.error('Error collecting metrics:', error.message)
+});
+
+const notesCreated = registry.counter(
+  'droplater_notes_created_total',
+  'Notes accepted by the API, by how they are delivered (webhook, topic or recurring).',
+  ['tenant', 'kind']
+);
+
+const queueJobs = registry.gauge(
+  'droplater_queue_jobs',
+  'Jobs in the BullMQ delivery queue, by state.',
+  ['state']
+);
+
+const notesByStatus = registry.gauge(
+  'droplater_notes',
+  'Notes stored in MongoDB, by status.',
+  ['tenant', 'status']
+);
+
+const circuitState = registry.gauge(
+  'droplater_circuit_state',
+  'Circuit breaker state per destination host: 1 for the state it is in, 0 for the others.',
+  ['tenant', 'host', 'state']
+);
+
+const circuitFailures = registry.gauge(
+  'droplater_circuit_failures',
+  'Failed sends in a row to the host.',
+  ['tenant', 'host']
+);
+
+const rateLimitInFlight = registry.gauge(
+  'droplater_rate_limit_in_flight',
+  'Sends in flight under a rate limit.',
+  ['tenant', 'host', 'endpoint']
+);
+
+const rateLimitQueued = registry.gauge(
+  'droplater_rate_limit_queued',
+  'Sends given a slot ahead of a rate limit and waiting for it.',
+  ['tenant', 'host', 'endpoint']
+);
+
+const CIRCUIT_STATES = ['closed', 'half-open', 'open'];
+const QUEUE_STATES = ['waiting', 'delayed', 'active', 'failed'];
+
+const recordNoteCreated = (note) => {
+  const kind = note.schedule ? 'recurring' : note.topic ? 'topic' : 'webhook';
+  notesCreated.inc({ tenant: note.tenant || DEFAULT_TENANT, kind });
+};
+
+registry.collect(async () => {
+  const queue = await initQueue();
+  const counts = await queue.getJobCounts(...QUEUE_STATES);
+  queueJobs.reset();
+  QUEUE_STATES.forEach(state => queueJobs.set({ state }, counts[state] || 0));
+});
+
+// Counting notes groups the whole collection, so the counts are kept for
+// METRICS_NOTE_COUNTS_TTL_SECONDS and scrapes in between reuse them.
+const NOTE_COUNTS_TTL_MS = (parseInt(process.env.METRICS_NOTE_COUNTS_TTL_SECONDS) || 30) * 1000;
+let noteCounts = null;
+
+const countNotes = () => {
+  if (!noteCounts || Date.now() - noteCounts.at >= NOTE_COUNTS_TTL_MS) {
+    const groups = Note.aggregate([
+      { $group: { _id: { tenant: '$tenant', status: '$status' }, count: { $sum: 1 } } }
+    ]).exec();
+    noteCounts = { at: Date.now(), groups };
+    // A failed count is tried again on the next scrape.
+    groups.catch(() => {
+      if (noteCounts && noteCounts.groups === groups) noteCounts = null;
+    });
+  }
+  return noteCounts.groups;
+};
+
+// Also finds the tenants whose circuits are read below.
+const tenants = new Set([DEFAULT_TENANT]);
+registry.collect(async () => {
+  const groups = await countNotes();
+  notesByStatus.reset();
+  groups.forEach(({ _id, count }) => {
+    const tenant = _id.tenant || DEFAULT_TENANT;
+    tenants.add(tenant);
+    notesByStatus.set({ tenant, status: _id.status }, count);
+  });
+});
+
+registry.collect(async () => {
+  const circuits = createCircuits(getRedisClient());
+  circuitState.reset();
+  circuitFailures.reset();
+  for (const tenant of tenants) {
+    for (const host of await circuits.hosts(tenant)) {
+      const circuit = await circuits.get(circuitKey(tenant, host), 1);
+      CIRCUIT_STATES.forEach(state => circuitState.set({ tenant, host, state }, circuit.state === state ? 1 : 0));
+      circuitFailures.set({ tenant, host }, circuit.failures);
+    }
+  }
+});
+
+registry.collect(async () => {
+  const throttle = createThrottle(getRedisClient());
+  const limits = await RateLimit.find().populate('endpoint', 'name url').lean();
+  rateLimitInFlight.reset();
+  rateLimitQueued.reset();
+  for (const limit of limits) {
+    const state = await throttle.state(limit);
+    const labels = {
+      tenant: limit.tenant || DEFAULT_TENANT,
+      host: limit.host || (limit.endpoint && hostOf(limit.endpoint.url)) || '',
+      endpoint: limit.endpoint ? limit.endpoint.name : ''
+    };
+    rateLimitInFlight.set(labels, state.inFlight);
+    rateLimitQueued.set(labels, state.queued);
+  }
+});
+
+module.exports = {
+  registry,
+  recordNoteCreated
+};
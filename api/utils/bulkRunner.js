@@ -0,0 +1,150 @@
+const os = require('os');
+const Note = require('../models/Note');
+const BulkOperation = require('../models/BulkOperation');
+const { leaseFree, acquireLease, releaseLease, underLease } = require('./lease');
+const { operationQuery, createPacer } = require('./bulkSelection');
+const { replayRefusal, replayNote, cancelNote, deleteNote } = require('./noteActions');
+
+// Runs queued bulk operations in the background, in batches of notes. Each
+// operation is leased to one API process at a time; one left behind by a
+// process that died is taken over when its lease expires, and resumes after
+// the last note it recorded.
+
+const RUNNER_ID = `api-${os.hostname()}-${process.pid}`;
+const LEASE_MS = parseInt(process.env.BULK_LEASE_MS) || 60000;
+const POLL_MS = parseInt(process.env.BULK_POLL_MS) || 2000;
+const BATCH_SIZE = 100;
+const ISSUE_LIMIT = 100;
+
+// Resolves to { outcome: 'succeeded' | 'skipped', reason }.
+const applyAction = async (action, note, pacer) => {
+  let result;
+  if (action === 'replay') {
+    const refusal = replayRefusal(note);
+    result = refusal ? { reason: refusal.details[0] } : await replayNote(note, pacer.take);
+  } else if (action === 'cancel') {
+    result = await cancelNote(note);
+  } else {
+    result = await deleteNote(note);
+  }
+
+  return result.reason
+    ? { outcome: 'skipped', reason: result.reason }
+    : { outcome: 'succeeded' };
+};
+
+const finish = (operation, lease, status) => BulkOperation.updateOne(
+  { _id: operation._id, ...lease },
+  { $set: { status, finishedAt: new Date(), ...releaseLease() } }
+);
+
+const runOperation = async (operation) => {
+  let lease = underLease(operation);
+  let { cursor } = operation;
+  const replaying = operation.action === 'replay';
+  const pacer = replaying && createPacer(operation.perSecond, operation.nextRunAt);
+
+  for (;;) {
+    const notes = await Note.find(operationQuery({ ...operation.toObject(), cursor }))
+      .sort({ _id: 1 })
+      .limit(BATCH_SIZE);
+
+    if (notes.length === 0) {
+      await finish(operation, lease, 'completed');
+      console.log(`📦 Bulk ${operation.action} ${operation._id} completed`);
+      return;
+    }
+
+    const counts = { processed: 0, succeeded: 0, skipped: 0, failed: 0 };
+    const issues = [];
+    for (const note of notes) {
+      try {
+        const { outcome, reason } = await applyAction(operation.action, note, pacer);
+        counts[outcome]++;
+        if (reason) {
+          issues.push({ noteId: note._id, outcome, reason });
+        }
+      } catch (error) {
+        console.error(`Bulk ${operation.action} ${operation._id} failed on note ${note._id}:`, error.message);
+        counts.failed++;
+        issues.push({ noteId: note._id, outcome: 'failed', reason: error.message });
+      }
+      counts.processed++;
+    }
+    cursor = notes[notes.length - 1]._id;
+
+    // Progress is saved under the lease, which it also renews. Losing the
+    // lease means another process took the operation over.
+    const updated = await BulkOperation.findOneAndUpdate(
+      { _id: operation._id, ...lease },
+      {
+        $set: {
+          cursor,
+          ...(replaying ? { nextRunAt: pacer.next() } : {}),
+          ...acquireLease(RUNNER_ID, LEASE_MS)
+        },
+        $inc: Object.keys(counts).reduce((inc, key) => ({ ...inc, [`counts.${key}`]: counts[key] }), {}),
+        $push: { issues: { $each: issues, $slice: ISSUE_LIMIT } }
+      },
+      { new: true }
+    );
+    if (!updated) {
+      console.warn(`Bulk ${operation.action} ${operation._id}: lease lost, stopping`);
+      return;
+    }
+    lease = underLease(updated);
+
+    if (updated.abortRequested) {
+      await finish(updated, lease, 'aborted');
+      console.log(`📦 Bulk ${operation.action} ${operation._id} aborted`);
+      return;
+    }
+  }
+};
+
+const claimOperation = () => BulkOperation.findOneAndUpdate(
+  { status: { $in: ['queued', 'running'] }, ...leaseFree() },
+  { $set: { status: 'running', ...acquireLease(RUNNER_ID, LEASE_MS) } },
+  { sort: { createdAt: 1 }, new: true }
+);
+
+let running = false;
+
+const runQueuedOperations = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    let operation;
+    while ((operation = await claimOperation())) {
+      if (!operation.startedAt) {
+        operation.startedAt = new Date();
+        await BulkOperation.updateOne({ _id: operation._id, ...underLease(operation) }, { $set: { startedAt: operation.startedAt } });
+      }
+
+      try {
+        await runOperation(operation);
+      } catch (error) {
+        // Left running: once the lease expires it is retried from its cursor.
+        console.error(`Bulk ${operation.action} ${operation._id} interrupted:`, error.message);
+        await BulkOperation.updateOne({ _id: operation._id }, { $set: { lastError: error.message } }).catch(() => {});
+        return;
+      }
+    }
+  } catch (error) {
+    console.error('Error running bulk operations:', error);
+  } finally {
+    running = false;
+  }
+};
+
+const startBulkRunner = () => {
+  const interval = setInterval(runQueuedOperations, POLL_MS);
+  interval.unref();
+  return interval;
+};
+
+module.exports = {
+  runQueuedOperations,
+  startBulkRunner
+};
@@ -0,0 +1,89 @@
+const { tenantQuery } = require('./apiKeys');
+
+// Which notes a bulk operation acts on, and how fast a bulk replay queues
+// its sends.
+
+const BULK_ACTIONS = ['replay', 'cancel', 'delete'];
+
+// Notes each action can apply to. A note matched by the selection but not by
+// these is left alone and never counted.
+const ELIGIBLE = {
+  replay: { status: { $in: ['failed', 'dead', 'partially_delivered'] }, schedule: null },
+  cancel: { status: { $in: ['pending', 'failed', 'recurring'] } },
+  delete: {}
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Matches webhook URLs on `host`, any port or path, with or without
+// credentials in the URL.
+const hostPattern = (host) => new RegExp(`^https?://([^/@]*@)?${escapeRegExp(host)}(:\\d+)?([/?#]|$)`, 'i');
+
+/**
+ * Query conditions for a selection: explicit note IDs, or a filter on
+ * status, webhookUrl host and releaseAt range. Scoped to `tenant`.
+ */
+const selectionQuery = ({ ids, filter = {} }, tenant) => {
+  const query = { ...tenantQuery(tenant) };
+
+  if (ids && ids.length > 0) {
+    query._id = { $in: ids };
+  }
+  if (filter.status && filter.status.length > 0) {
+    query.status = { $in: filter.status };
+  }
+  if (filter.host) {
+    query.webhookUrl = hostPattern(filter.host);
+  }
+  if (filter.from || filter.to) {
+    query.releaseAt = {
+      ...(filter.from ? { $gte: new Date(filter.from) } : {}),
+      ...(filter.to ? { $lt: new Date(filter.to) } : {})
+    };
+  }
+
+  return query;
+};
+
+/**
+ * The notes an operation still has to process: its selection, narrowed to
+ * the notes its action applies to, after the last one it processed. Notes
+ * are processed in _id order, so an operation resumed after a crash picks up
+ * where it left off.
+ */
+const operationQuery = ({ action, ids, filter, tenant, cursor }) => ({
+  $and: [
+    selectionQuery({ ids, filter }, tenant),
+    ELIGIBLE[action],
+    ...(cursor ? [{ _id: { $gt: cursor } }] : [])
+  ]
+});
+
+/**
+ * Hands out start times `1000 / perSecond` ms apart, from `from` or now
+ * (whichever is later), so a bulk replay reaches receivers at a steady rate
+ * rather than all at once. next() is the first slot not yet handed out; the
+ * operation saves it so a resumed replay keeps its pace.
+ */
+const createPacer = (perSecond, from, clock = Date.now) => {
+  const spacingMs = 1000 / perSecond;
+  let next = from ? new Date(from).getTime() : 0;
+
+  return {
+    take: () => {
+      const runAt = Math.max(next, clock());
+      next = runAt + spacingMs;
+      return new Date(runAt);
+    },
+    next: () => new Date(next)
+  };
+};
+
+module.exports = {
+  BULK_ACTIONS,
+  ELIGIBLE,
+  hostPattern,
+  selectionQuery,
+  operationQuery,
+  createPacer
+};
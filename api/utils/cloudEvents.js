@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const { buildRequest, isJsonContentType } = require('./payload');
+
+// CloudEvents 1.0 delivery, set per note or per endpoint with
+// `cloudEvents: { mode, type, source }`. The event wraps the body the note
+// would otherwise send (see utils/payload) as its data:
+//
+//   id       the delivery's idempotency key, stable across retries
+//   source   `source`, or /droplater/notes (/droplater/topics/<topic>)
+//   type     `type`, or com.droplater.note.released
+//   subject  the note's id
+//   time     the note's releaseAt
+//
+// binary puts the attributes in ce-* headers around the usual body,
+// structured sends the event as application/cloudevents+json, and batch
+// sends events as application/cloudevents-batch+json, several notes for the
+// same destination to a request.
+
+const SPEC_VERSION = '1.0';
+const CLOUDEVENTS_MODES = ['binary', 'structured', 'batch'];
+const DEFAULT_TYPE = 'com.droplater.note.released';
+const STRUCTURED_CONTENT_TYPE = 'application/cloudevents+json; charset=utf-8';
+const BATCH_CONTENT_TYPE = 'application/cloudevents-batch+json; charset=utf-8';
+
+const defaultSource = (topic) => (topic ? `/droplater/topics/${topic}` : '/droplater/notes');
+
+/**
+ * The event for one send of a note. `context` is buildRequest's, plus the
+ * idempotencyKey; `settings` is the note's or endpoint's cloudEvents.
+ */
+const toCloudEvent = (note, context, settings, request = buildRequest(note, context)) => ({
+  specversion: SPEC_VERSION,
+  id: context.idempotencyKey,
+  source: settings.source || defaultSource(context.topic),
+  type: settings.type || DEFAULT_TYPE,
+  subject: String(note._id),
+  time: new Date(note.releaseAt).toISOString(),
+  datacontenttype: request.contentType,
+  data: isJsonContentType(request.contentType) ? JSON.parse(request.body) : request.body
+});
+
+/**
+ * The request for one note in binary or structured mode, shaped like
+ * buildRequest's.
+ */
+const buildCloudEventRequest = (note, context, settings) => {
+  const request = buildRequest(note, context);
+  const event = toCloudEvent(note, context, settings, request);
+
+  if (settings.mode === 'binary') {
+    const attributes = {};
+    ['specversion', 'id', 'source', 'type', 'subject', 'time'].forEach(name => {
+      attributes[`ce-${name}`] = event[name];
+    });
+    return { ...request, headers: { ...request.headers, ...attributes } };
+  }
+
+  return {
+    method: request.method,
+    contentType: STRUCTURED_CONTENT_TYPE,
+    headers: request.headers,
+    body: JSON.stringify(event)
+  };
+};
+
+/**
+ * One batch request for `items` ([{ note, context, settings }]). A batch
+ * carries several notes, so it is always a POST without their extra headers.
+ */
+const buildBatchRequest = (items) => ({
+  method: 'POST',
+  contentType: BATCH_CONTENT_TYPE,
+  headers: {},
+  body: JSON.stringify(items.map(({ note, context, settings }) => toCloudEvent(note, context, settings)))
+});
+
+// The batch's X-Idempotency-Key: the same events give the same key.
+const batchIdempotencyKey = (eventIds) => crypto
+  .createHash('sha256')
+  .update([...eventIds].sort().join(','))
+  .digest('hex');
+
+module.exports = {
+  SPEC_VERSION,
+  CLOUDEVENTS_MODES,
+  DEFAULT_TYPE,
+  STRUCTURED_CONTENT_TYPE,
+  BATCH_CONTENT_TYPE,
+  toCloudEvent,
+  buildCloudEventRequest,
+  buildBatchRequest,
+  batchIdempotencyKey
+};
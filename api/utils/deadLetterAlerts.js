@@ -0,0 +1,129 @@
+const http = require('http');
+const https = require('https');
+const Note = require('../models/Note');
+const DeadLetterAlert = require('../models/DeadLetterAlert');
+const DestinationPolicy = require('../models/DestinationPolicy');
+const { getRedisClient } = require('../config/redis');
+const { deadLetterStages, destinationsOverThreshold } = require('./deadLetters');
+const { checkUrl, createPinnedLookup, blockedError } = require('./destinationPolicy');
+
+// Checks each tenant's dead-letter alert on an interval and POSTs to its
+// URL for every destination over the threshold. Every API process runs the
+// check; a Redis key per (tenant, destination) lets one of them send, and
+// keeps the others quiet for the cooldown.
+
+const INTERVAL_MS = parseInt(process.env.DEAD_LETTER_ALERT_INTERVAL_MS) || 60000;
+const TIMEOUT_MS = 10000;
+const SAMPLE_SIZE = 5;
+
+const cooldownKey = (tenant, destination) => `dead-letter-alert:${tenant}:${destination}`;
+
+const countByDestination = (alert, now) => Note.aggregate([
+  ...deadLetterStages({ from: new Date(now.getTime() - alert.windowMinutes * 60000) }, alert.tenant, now),
+  { $sort: { updatedAt: -1 } },
+  {
+    $group: {
+      _id: '$destination',
+      count: { $sum: 1 },
+      noteIds: { $firstN: { input: '$_id', n: SAMPLE_SIZE } }
+    }
+  },
+  { $project: { _id: 0, destination: '$_id', count: 1, noteIds: 1 } }
+]);
+
+// Sent like the worker sends webhooks: the tenant's policy is checked again
+// before every send, since it or the host's DNS may have changed since the
+// alert was saved, the socket connects only to the addresses that passed,
+// and redirects are not followed, so a 3xx is a failure.
+const sendAlert = async (alert, payload) => {
+  const policy = await DestinationPolicy.forTenant(alert.tenant);
+  const violation = checkUrl(alert.url, policy);
+  if (violation) {
+    throw blockedError(violation);
+  }
+
+  const url = new URL(alert.url);
+  const body = JSON.stringify(payload);
+  const statusCode = await new Promise((resolve, reject) => {
+    const request = (url.protocol === 'https:' ? https : http).request(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'User-Agent': 'DropLater/1.0'
+      },
+      lookup: createPinnedLookup(policy),
+      signal: AbortSignal.timeout(TIMEOUT_MS)
+    }, (response) => {
+      response.resume();
+      resolve(response.statusCode);
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+  if (statusCode < 200 || statusCode >= 300) {
+    throw new Error(`HTTP ${statusCode}`);
+  }
+};
+
+const checkAlert = async (alert, redis, now) => {
+  const counts = await countByDestination(alert, now);
+
+  for (const { destination, count, noteIds } of destinationsOverThreshold(counts, alert.threshold)) {
+    const key = cooldownKey(alert.tenant, destination);
+    const claimed = await redis.set(key, now.toISOString(), 'PX', alert.cooldownMinutes * 60000, 'NX');
+    if (!claimed) continue;
+
+    const payload = {
+      type: 'dead_letters.threshold_exceeded',
+      tenant: alert.tenant,
+      destination,
+      count,
+      threshold: alert.threshold,
+      windowMinutes: alert.windowMinutes,
+      noteIds: noteIds.map(String),
+      at: now.toISOString()
+    };
+
+    try {
+      await sendAlert(alert, payload);
+      await DeadLetterAlert.updateOne({ _id: alert._id }, { $set: { lastAlertAt: now, lastError: null } });
+      console.log(`🪦 Dead-letter alert sent for ${alert.tenant} (${destination}: ${count} dead)`);
+    } catch (error) {
+      // Tried again on the next check rather than after the cooldown.
+      await redis.del(key);
+      await DeadLetterAlert.updateOne({ _id: alert._id }, { $set: { lastError: error.message } });
+      console.error(`Dead-letter alert for ${alert.tenant} failed:`, error.message);
+    }
+  }
+};
+
+let checking = false;
+
+const checkDeadLetterAlerts = async (now = new Date()) => {
+  if (checking) return;
+  checking = true;
+
+  try {
+    const redis = getRedisClient();
+    const alerts = await DeadLetterAlert.find({ enabled: true }).lean();
+    for (const alert of alerts) {
+      await checkAlert(alert, redis, now);
+    }
+  } catch (error) {
+    console.error('Error checking dead-letter alerts:', error);
+  } finally {
+    checking = false;
+  }
+};
+
+const startDeadLetterAlerts = () => {
+  const interval = setInterval(checkDeadLetterAlerts, INTERVAL_MS);
+  interval.unref();
+  return interval;
+};
+
+module.exports = {
+  checkDeadLetterAlerts,
+  startDeadLetterAlerts
+};
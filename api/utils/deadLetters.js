@@ -0,0 +1,186 @@
+const { tenantQuery } = require('./apiKeys');
+
+// Dead letters are the notes that ended up `dead`. They are grouped by
+// destination, the webhook's host, `topic:<name>` for topic notes or `email`
+// for email notes, and by reason, what their last attempt failed with:
+// `HTTP 503`, `SMTP 550`, an error code like `TIMEOUT`, or `no attempts`
+// (e.g. a topic that was removed).
+//
+// A note's death is its last change, so `updatedAt` is when it died.
+
+const NO_ATTEMPTS = 'no attempts';
+const REASON_PATTERN = /^((HTTP|SMTP) (\d{3})|[A-Z_]+|no attempts)$/;
+
+// Error codes whose reason includes the status: the HTTP status or the
+// SMTP reply code.
+const STATUS_ERROR_CODES = ['HTTP', 'SMTP'];
+
+// The host of a webhook URL, past any credentials; IPv6 keeps its brackets.
+const HOST_REGEX = /^https?:\/\/(?:[^/@]*@)?(\[[^\]]+\]|[^/:?#]+)/;
+
+// The reason for an attempt, or for a note without any.
+const reasonOf = (attempt) => {
+  if (!attempt || !attempt.errorCode) {
+    return NO_ATTEMPTS;
+  }
+  return STATUS_ERROR_CODES.includes(attempt.errorCode) ? `${attempt.errorCode} ${attempt.statusCode}` : attempt.errorCode;
+};
+
+const isValidReason = (reason) => REASON_PATTERN.test(reason);
+
+// Adds `lastAttempt` and `destination` to each note of an aggregation.
+const destinationStages = () => [
+  {
+    $addFields: {
+      lastAttempt: { $arrayElemAt: ['$attempts', -1] },
+      destination: {
+        $switch: {
+          branches: [
+            { case: { $ifNull: ['$topic', false] }, then: { $concat: ['topic:', '$topic'] } },
+            { case: { $eq: ['$channel.type', 'email'] }, then: 'email' }
+          ],
+          default: {
+            $let: {
+              vars: { url: { $regexFind: { input: '$webhookUrl', regex: HOST_REGEX } } },
+              in: { $toLower: { $arrayElemAt: ['$$url.captures', 0] } }
+            }
+          }
+        }
+      }
+    }
+  }
+];
+
+// A $group key for the reason of each note after destinationStages; the
+// status code only tells HTTP and SMTP failures apart. reasonOf turns it back into
+// the reason.
+const REASON_KEY = {
+  errorCode: { $ifNull: ['$lastAttempt.errorCode', null] },
+  statusCode: {
+    $cond: [{ $in: ['$lastAttempt.errorCode', STATUS_ERROR_CODES] }, '$lastAttempt.statusCode', null]
+  }
+};
+
+const reasonMatch = (reason) => {
+  if (reason === NO_ATTEMPTS) {
+    return { 'lastAttempt.errorCode': null };
+  }
+  const status = reason.match(/^(HTTP|SMTP) (\d{3})$/);
+  return status
+    ? { 'lastAttempt.errorCode': status[1], 'lastAttempt.statusCode': Number(status[2]) }
+    : { 'lastAttempt.errorCode': reason };
+};
+
+/**
+ * Pipeline stages selecting a tenant's dead letters. Filters: destination,
+ * reason, and when they died, `from`/`to` or `olderThanDays`. Status,
+ * tenant and time are matched first, on the notes' indexes; destination
+ * and reason only exist after destinationStages.
+ */
+const deadLetterStages = ({ destination, reason, from, to, olderThanDays } = {}, tenant, now = new Date()) => {
+  const diedAt = {};
+  if (from) diedAt.$gte = new Date(from);
+  if (to) diedAt.$lt = new Date(to);
+  if (olderThanDays) {
+    const cutoff = new Date(now.getTime() - olderThanDays * 86400000);
+    diedAt.$lt = diedAt.$lt && diedAt.$lt < cutoff ? diedAt.$lt : cutoff;
+  }
+
+  const stages = [
+    {
+      $match: {
+        ...tenantQuery(tenant),
+        status: 'dead',
+        ...(Object.keys(diedAt).length > 0 ? { updatedAt: diedAt } : {})
+      }
+    },
+    ...destinationStages()
+  ];
+
+  const narrow = {
+    ...(destination ? { destination: destination.toLowerCase() } : {}),
+    ...(reason ? reasonMatch(reason) : {})
+  };
+  if (Object.keys(narrow).length > 0) {
+    stages.push({ $match: narrow });
+  }
+
+  return stages;
+};
+
+// Columns of the CSV export: one row per attempt, the note's columns
+// repeated. A note that was never attempted gets one row without them.
+const CSV_COLUMNS = [
+  'noteId', 'tenant', 'title', 'destination', 'webhookUrl', 'topic', 'releaseAt', 'diedAt', 'reason', 'attemptCount',
+  'attempt', 'attemptAt', 'statusCode', 'errorCode', 'error', 'durationMs'
+];
+
+const csvValue = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvLine = (values) => `${values.map(csvValue).join(',')}\r\n`;
+
+// One export record per dead letter, as NDJSON has it.
+const exportRecord = (note) => ({
+  noteId: String(note._id),
+  tenant: note.tenant || null,
+  title: note.title,
+  body: note.body,
+  destination: note.destination || null,
+  webhookUrl: note.webhookUrl || null,
+  topic: note.topic || null,
+  tags: note.tags || [],
+  releaseAt: note.releaseAt,
+  diedAt: note.updatedAt,
+  reason: reasonOf(note.lastAttempt),
+  attemptCount: note.attemptCount || 0,
+  attempts: (note.attempts || []).map(attempt => ({
+    at: attempt.at,
+    statusCode: attempt.statusCode,
+    ok: attempt.ok,
+    errorCode: attempt.errorCode || null,
+    error: attempt.error || null,
+    rule: attempt.rule || null,
+    durationMs: attempt.durationMs === undefined ? null : attempt.durationMs,
+    responseBody: attempt.responseBody || null
+  }))
+});
+
+const csvLines = (record) => {
+  const noteColumns = [
+    record.noteId, record.tenant, record.title, record.destination, record.webhookUrl, record.topic,
+    record.releaseAt, record.diedAt, record.reason, record.attemptCount
+  ];
+  if (record.attempts.length === 0) {
+    return csvLine([...noteColumns, '', '', '', '', '', '']);
+  }
+  return record.attempts.map((attempt, index) => csvLine([
+    ...noteColumns,
+    index + 1, attempt.at, attempt.statusCode, attempt.errorCode, attempt.error, attempt.durationMs
+  ])).join('');
+};
+
+/**
+ * The destinations whose dead letters reached an alert's threshold, from
+ * per-destination counts ([{ destination, count }]).
+ */
+const destinationsOverThreshold = (counts, threshold) => counts
+  .filter(({ count }) => count >= threshold)
+  .sort((a, b) => b.count - a.count || a.destination.localeCompare(b.destination));
+
+module.exports = {
+  NO_ATTEMPTS,
+  REASON_KEY,
+  CSV_COLUMNS,
+  reasonOf,
+  isValidReason,
+  destinationStages,
+  deadLetterStages,
+  exportRecord,
+  csvLine,
+  csvLines,
+  destinationsOverThreshold
+};
@@ -0,0 +1,72 @@
+/**
+ * Derives a topic note's status from its deliveries' statuses:
+ * still in progress -> pending/failed, all delivered -> delivered, all dead
+ * -> dead, a mix of delivered and dead -> partially_delivered. Cancelled
+ * deliveries are left out unless nothing else remains. A topic with no
+ * subscribers counts as delivered.
+ */
+const rollUpStatus = (statuses) => {
+  const active = statuses.filter(status => status !== 'cancelled');
+
+  if (statuses.length > 0 && active.length === 0) {
+    return 'cancelled';
+  }
+
+  if (active.includes('failed')) {
+    return 'failed';
+  }
+
+  if (active.includes('pending')) {
+    return 'pending';
+  }
+
+  if (active.every(status => status === 'delivered')) {
+    return 'delivered';
+  }
+
+  if (active.every(status => status === 'dead')) {
+    return 'dead';
+  }
+
+  return 'partially_delivered';
+};
+
+const summarizeDeliveries = (statuses) => {
+  return statuses.reduce((summary, status) => {
+    summary[status] = (summary[status] || 0) + 1;
+    summary.total++;
+    return summary;
+  }, { total: 0 });
+};
+
+const deliveriesState = (deliveries) => JSON.stringify(deliveries.map(delivery => [
+  String(delivery._id),
+  delivery.status,
+  delivery.deliveredAt || null
+]));
+
+/**
+ * Writes a note's roll-up until it stands. `read` loads the note's
+ * deliveries, in a stable order, and `write` saves what they roll up to.
+ * Two deliveries finishing together can each read before the other saves,
+ * and the stale write can land last; reading again after each write, and
+ * writing again if the deliveries moved, means the last write follows the
+ * last change. Resolves to the last write's result.
+ */
+const settleRollUp = async (read, write, maxRounds = 5) => {
+  let deliveries = await read();
+  for (let round = 1; ; round++) {
+    const result = await write(deliveries);
+    const current = await read();
+    if (round >= maxRounds || deliveriesState(current) === deliveriesState(deliveries)) {
+      return result;
+    }
+    deliveries = current;
+  }
+};
+
+module.exports = {
+  rollUpStatus,
+  settleRollUp,
+  summarizeDeliveries
+};
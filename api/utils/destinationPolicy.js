@@ -0,0 +1,253 @@
+const dns = require('dns');
+const net = require('net');
+
+// Loopback, RFC1918, link-local (which covers cloud metadata endpoints at
+// 169.254.169.254), CGNAT, benchmarking, multicast and reserved ranges, plus
+// their IPv6 counterparts. Webhooks may only reach these when allowlisted.
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+const HOST_PATTERN = /^(\*\.)?[a-z0-9_-]+(\.[a-z0-9_-]+)*$/;
+
+const BLOCKED_CODE = 'EDESTINATIONBLOCKED';
+
+const blockedError = (message) => Object.assign(new Error(message), { code: BLOCKED_CODE });
+
+// ::ffff:10.0.0.1 reaches 10.0.0.1, so mapped addresses are checked as IPv4.
+// URL parsing turns them into the hex form (::ffff:a00:1), so handle both.
+const normalizeAddress = (address) => {
+  const dotted = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (dotted) {
+    return dotted[1];
+  }
+  const hex = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i.exec(address);
+  if (hex) {
+    const high = parseInt(hex[1], 16);
+    const low = parseInt(hex[2], 16);
+    return [high >> 8, high & 255, low >> 8, low & 255].join('.');
+  }
+  return address;
+};
+
+const familyOf = (address) => (net.isIPv4(address) ? 'ipv4' : 'ipv6');
+
+const isPrivateAddress = (address) => {
+  const normalized = normalizeAddress(address);
+  return net.isIP(normalized) !== 0 && PRIVATE_RANGES.check(normalized, familyOf(normalized));
+};
+
+/**
+ * Parses one allow/deny entry: a hostname (`hooks.example.com`), a wildcard
+ * for its subdomains (`*.example.com`), an IP address or a CIDR range
+ * (`10.1.0.0/16`). Returns null if the entry is none of these.
+ */
+const parsePattern = (text) => {
+  const pattern = String(text || '').trim().toLowerCase();
+
+  if (pattern.includes('/')) {
+    const [address, prefixText] = pattern.split('/');
+    const prefix = Number(prefixText);
+    const family = net.isIP(address);
+    const maxPrefix = family === 4 ? 32 : 128;
+    if (family === 0 || !/^\d+$/.test(prefixText) || prefix > maxPrefix) {
+      return null;
+    }
+    return { type: 'cidr', address, prefix, family: family === 4 ? 'ipv4' : 'ipv6' };
+  }
+
+  if (net.isIP(pattern)) {
+    return { type: 'cidr', address: pattern, prefix: net.isIPv4(pattern) ? 32 : 128, family: familyOf(pattern) };
+  }
+
+  return HOST_PATTERN.test(pattern) ? { type: 'host', host: pattern } : null;
+};
+
+const isValidPattern = (text) => parsePattern(text) !== null;
+
+const compilePatterns = (patterns = []) => {
+  const hosts = [];
+  const ranges = new net.BlockList();
+
+  patterns.forEach(text => {
+    const pattern = parsePattern(text);
+    if (!pattern) {
+      throw new Error(`Invalid destination pattern "${text}"`);
+    }
+    if (pattern.type === 'host') {
+      hosts.push(pattern.host);
+    } else {
+      ranges.addSubnet(pattern.address, pattern.prefix, pattern.family);
+    }
+  });
+
+  return {
+    host: (hostname) => hosts.some(host => (host.startsWith('*.')
+      ? hostname.endsWith(host.slice(1))
+      : hostname === host)),
+    address: (address) => {
+      const normalized = normalizeAddress(address);
+      return net.isIP(normalized) !== 0 && ranges.check(normalized, familyOf(normalized));
+    }
+  };
+};
+
+const splitPatterns = (value) => (value || '').split(',').map(p => p.trim()).filter(Boolean);
+
+/**
+ * Builds the policy a delivery is checked against: DESTINATION_ALLOWLIST and
+ * DESTINATION_DENYLIST (comma separated) plus the tenant's own patterns.
+ * Deny always wins over allow. Throws on malformed patterns.
+ */
+const buildPolicy = ({ allow = [], deny = [] } = {}, env = process.env) => ({
+  allow: compilePatterns([...splitPatterns(env.DESTINATION_ALLOWLIST), ...allow]),
+  deny: compilePatterns([...splitPatterns(env.DESTINATION_DENYLIST), ...deny])
+});
+
+const hostnameOf = (url) => url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+/**
+ * Checks one address a host resolved to (or the host itself, for IP
+ * literals). Returns a reason if the destination is not allowed, else null.
+ */
+const checkAddress = (hostname, address, policy) => {
+  if (policy.deny.address(address)) {
+    return `Destination address ${address} is denied`;
+  }
+  if (policy.allow.host(hostname) || policy.allow.address(address)) {
+    return null;
+  }
+  if (isPrivateAddress(address)) {
+    return hostname === address
+      ? `Destination ${address} is a private address`
+      : `Destination ${hostname} resolves to private address ${address}`;
+  }
+  return null;
+};
+
+/**
+ * Checks everything that can be known without DNS: the scheme, host
+ * patterns, and IP literals. Returns a reason if not allowed, else null.
+ */
+const checkUrl = (webhookUrl, policy) => {
+  let url;
+  try {
+    url = new URL(webhookUrl);
+  } catch (error) {
+    return 'Destination is not a valid URL';
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    return 'Destination must use http or https';
+  }
+
+  const hostname = hostnameOf(url);
+  if (policy.deny.host(hostname)) {
+    return `Destination host ${hostname} is denied`;
+  }
+
+  if (net.isIP(hostname)) {
+    return checkAddress(hostname, hostname, policy);
+  }
+
+  // localhost never needs DNS to be loopback.
+  if ((hostname === 'localhost' || hostname.endsWith('.localhost')) && !policy.allow.host(hostname)) {
+    return `Destination ${hostname} is a loopback host`;
+  }
+
+  return null;
+};
+
+/**
+ * checkUrl plus DNS: every address the host resolves to must pass. DNS
+ * failures are not violations, the send will simply fail and be retried.
+ */
+const checkDestination = async (webhookUrl, policy, lookup = dns.promises.lookup) => {
+  const violation = checkUrl(webhookUrl, policy);
+  if (violation) {
+    return violation;
+  }
+
+  const hostname = hostnameOf(new URL(webhookUrl));
+  if (net.isIP(hostname)) {
+    return null;
+  }
+
+  let addresses;
+  try {
+    addresses = await lookup(hostname, { all: true });
+  } catch (error) {
+    return null;
+  }
+
+  for (const { address } of addresses) {
+    const reason = checkAddress(hostname, address, policy);
+    if (reason) {
+      return reason;
+    }
+  }
+  return null;
+};
+
+/**
+ * A `lookup` for http(s).Agent that resolves once, checks every address and
+ * hands the socket exactly the addresses it checked. Connecting to what was
+ * checked, rather than resolving again, is what stops DNS rebinding; it also
+ * covers the hosts of any redirects that are followed.
+ */
+const createPinnedLookup = (policy, lookup = dns.lookup) => (hostname, options, callback) => {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const name = hostname.toLowerCase();
+    for (const { address } of addresses) {
+      const reason = checkAddress(name, address, policy);
+      if (reason) {
+        return callback(blockedError(reason));
+      }
+    }
+
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+module.exports = {
+  BLOCKED_CODE,
+  blockedError,
+  isPrivateAddress,
+  parsePattern,
+  isValidPattern,
+  splitPatterns,
+  buildPolicy,
+  checkUrl,
+  checkDestination,
+  createPinnedLookup
+};
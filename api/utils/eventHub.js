@@ -0,0 +1,118 @@
+const { compareEventIds, matchesFilter, parseEntry, createEvents, EVENTS_KEY } = require('./events');
+
+// Fans the event stream out to the SSE clients connected to this API
+// process: one blocking XREAD loop per process, however many clients, and
+// only while at least one is connected.
+
+const READ_BLOCK_MS = 5000;
+const READ_COUNT = 500;
+
+/**
+ * `redis` is the shared client, used for catch-up reads; `createReader`
+ * returns a dedicated connection for the blocking reads, which would stall
+ * every other command on a shared one.
+ */
+const createEventHub = (redis, createReader, { blockMs = READ_BLOCK_MS } = {}) => {
+  const events = createEvents(redis);
+  const subscribers = new Set();
+  let reader = null;
+  let reading = false;
+
+  const dispatch = (event) => {
+    for (const subscriber of subscribers) {
+      if (!matchesFilter(event, subscriber.filter)) continue;
+
+      if (!subscriber.live) {
+        subscriber.pending.push(event);
+      } else if (!subscriber.lastId || compareEventIds(event.id, subscriber.lastId) > 0) {
+        subscriber.lastId = event.id;
+        subscriber.send(event);
+      }
+    }
+  };
+
+  const readLoop = async () => {
+    reading = true;
+    reader = reader || createReader();
+    let lastId = await events.latestId();
+
+    try {
+      while (subscribers.size > 0) {
+        let reply;
+        try {
+          reply = await reader.xread('COUNT', READ_COUNT, 'BLOCK', blockMs, 'STREAMS', EVENTS_KEY, lastId);
+        } catch (error) {
+          console.error('Error reading events:', error.message);
+          await new Promise(resolve => setTimeout(resolve, 1000));
+          continue;
+        }
+
+        for (const [, entries] of reply || []) {
+          for (const entry of entries) {
+            lastId = entry[0];
+            dispatch(parseEntry(entry));
+          }
+        }
+      }
+    } finally {
+      reading = false;
+    }
+  };
+
+  /**
+   * Subscribes `send` to events matching `filter`. With `lastEventId`, the
+   * events after it still in the stream are sent first; live events that
+   * arrive meanwhile are held back and sent after them, each once and in
+   * order. `onGap` is called if events after `lastEventId` were already
+   * trimmed from the stream. Resolves to an unsubscribe function.
+   */
+  const subscribe = async ({ filter, lastEventId, send, onGap = () => {} }) => {
+    const subscriber = { filter, send, lastId: lastEventId || null, live: !lastEventId, pending: [] };
+    subscribers.add(subscriber);
+    if (!reading) {
+      readLoop().catch(error => console.error('Event reader stopped:', error));
+    }
+
+    if (lastEventId) {
+      try {
+        const oldestId = await events.oldestId();
+        if (oldestId && compareEventIds(oldestId, lastEventId) > 0) {
+          onGap();
+        }
+
+        let afterId = lastEventId;
+        for (;;) {
+          const batch = await events.range(afterId, READ_COUNT);
+          batch.filter(event => matchesFilter(event, filter)).forEach(event => {
+            subscriber.lastId = event.id;
+            send(event);
+          });
+          if (batch.length < READ_COUNT) break;
+          afterId = batch[batch.length - 1].id;
+        }
+      } finally {
+        subscriber.pending
+          .filter(event => compareEventIds(event.id, subscriber.lastId) > 0)
+          .forEach(event => {
+            subscriber.lastId = event.id;
+            send(event);
+          });
+        subscriber.pending = [];
+        subscriber.live = true;
+      }
+    }
+
+    return () => subscribers.delete(subscriber);
+  };
+
+  return {
+    subscribe,
+    get size() {
+      return subscribers.size;
+    }
+  };
+};
+
+module.exports = {
+  createEventHub
+};
@@ -0,0 +1,112 @@
+// Note lifecycle events, published by the API and the worker to one Redis
+// stream and served to clients by the API's /api/events endpoint. Stream
+// entry ids are the event ids, so a client that reconnects with the last id
+// it saw misses nothing still in the stream.
+
+const EVENTS_KEY = 'events';
+
+// Notes from before tenants existed have none; their events belong to the
+// default tenant.
+const DEFAULT_TENANT = process.env.DEFAULT_TENANT || 'default';
+
+const EVENT_TYPES = [
+  'created',
+  'scheduled',
+  'attempt.started',
+  'attempt.finished',
+  'delivered',
+  'failed',
+  'dead',
+  'replayed',
+  'cancelled'
+];
+
+// Stream ids are '<ms>-<seq>'; compares them in stream order.
+const compareEventIds = (a, b) => {
+  const [aMs, aSeq] = a.split('-').map(Number);
+  const [bMs, bSeq] = b.split('-').map(Number);
+  return aMs - bMs || aSeq - bSeq;
+};
+
+const isEventId = (id) => typeof id === 'string' && /^\d+-\d+$/.test(id);
+
+/**
+ * The event for a note or one of its deliveries. `fields` adds what the
+ * type is about, e.g. the attempt's status code.
+ */
+const noteEvent = (type, note, { delivery, ...fields } = {}) => ({
+  type,
+  tenant: note.tenant || DEFAULT_TENANT,
+  noteId: String(note._id),
+  ...(delivery ? { deliveryId: String(delivery._id), endpoint: delivery.endpointName } : {}),
+  topic: note.topic || null,
+  status: (delivery || note).status,
+  ...fields,
+  at: new Date().toISOString()
+});
+
+// An XRANGE/XREAD entry, [id, [field, value, ...]], as an event with its id.
+const parseEntry = ([id, fields]) => {
+  const index = fields.indexOf('event');
+  return { id, ...JSON.parse(fields[index + 1]) };
+};
+
+/**
+ * Does the event pass a subscriber's filter? The tenant always has to match;
+ * types, noteId and topic only when given.
+ */
+const matchesFilter = (event, { tenant, types, noteId, topic }) => {
+  if (event.tenant !== tenant) return false;
+  if (types && types.length > 0 && !types.includes(event.type)) return false;
+  if (noteId && event.noteId !== noteId) return false;
+  if (topic && event.topic !== topic) return false;
+  return true;
+};
+
+// One event in text/event-stream framing.
+const formatSse = ({ id, type, ...data }) =>
+  `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify({ id, type, ...data })}\n\n`;
+
+/**
+ * Publishing is best effort: a Redis hiccup costs a live update, never a
+ * delivery, so errors go to `onError` instead of the caller.
+ */
+const createEvents = (redis, { maxLength = 10000, onError = () => {} } = {}) => ({
+  publish: async (event) => {
+    try {
+      return await redis.xadd(EVENTS_KEY, 'MAXLEN', '~', maxLength, '*', 'type', event.type, 'event', JSON.stringify(event));
+    } catch (error) {
+      onError(error, event);
+      return null;
+    }
+  },
+
+  // Events after `afterId`, oldest first.
+  range: async (afterId, count) => {
+    const entries = await redis.xrange(EVENTS_KEY, `(${afterId}`, '+', 'COUNT', count);
+    return entries.map(parseEntry);
+  },
+
+  // Id of the oldest event still in the stream, or null if it is empty.
+  oldestId: async () => {
+    const [entry] = await redis.xrange(EVENTS_KEY, '-', '+', 'COUNT', 1);
+    return entry ? entry[0] : null;
+  },
+
+  latestId: async () => {
+    const [entry] = await redis.xrevrange(EVENTS_KEY, '+', '-', 'COUNT', 1);
+    return entry ? entry[0] : '0-0';
+  }
+});
+
+module.exports = {
+  EVENTS_KEY,
+  EVENT_TYPES,
+  compareEventIds,
+  isEventId,
+  noteEvent,
+  parseEntry,
+  matchesFilter,
+  formatSse,
+  createEvents
+};
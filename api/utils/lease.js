@@ -0,0 +1,31 @@
+// A lease is an owner plus an expiry. Only the holder of an unexpired lease
+// may act on a note, delivery or outbox entry; an expired lease was left by
+// a crashed process and can be taken over.
+
+const leaseFree = (now = new Date()) => ({
+  $or: [
+    { leaseExpiresAt: null },
+    { leaseExpiresAt: { $lte: now } }
+  ]
+});
+
+const leaseHeld = (now = new Date()) => ({ leaseExpiresAt: { $gt: now } });
+
+const acquireLease = (owner, ttlMs, now = new Date()) => ({
+  leaseOwner: owner,
+  leaseExpiresAt: new Date(now.getTime() + ttlMs)
+});
+
+const releaseLease = () => ({ leaseOwner: null, leaseExpiresAt: null });
+
+// Matches the document only while it is still under the lease it was
+// claimed with; a holder that overran its lease loses the write.
+const underLease = ({ leaseOwner, leaseExpiresAt }) => ({ leaseOwner, leaseExpiresAt });
+
+module.exports = {
+  leaseFree,
+  leaseHeld,
+  acquireLease,
+  releaseLease,
+  underLease
+};
@@ -0,0 +1,238 @@
+// Local times for notes that give a `timezone` (an IANA name): a releaseAt
+// without an offset is wall-clock time there, a `delay` is an ISO 8601
+// duration whose days, weeks, months and years are calendar days there, and
+// a `deliveryWindow` is a daily span of local time outside which nothing is
+// sent. All of it follows the zone's DST rules, so 09:00 stays 09:00.
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const LOCAL_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?$/;
+const TIME_OF_DAY = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DURATION = /^P(?!$)(?:(\d+)Y)?(?:(\d+)M)?(?:(\d+)W)?(?:(\d+)D)?(?:T(?=\d)(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const formatters = new Map();
+const formatterFor = (timezone) => {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timezone);
+};
+
+/**
+ * The wall-clock fields of `date` in `timezone`: { year, month, day, hour,
+ * minute, second, millisecond, weekday }, month 1-12 and weekday 0 (Sunday)
+ * to 6.
+ */
+const wallClock = (date, timezone) => {
+  const parts = formatterFor(timezone).formatToParts(date).reduce((acc, part) => {
+    acc[part.type] = parseInt(part.value, 10);
+    return acc;
+  }, {});
+  const { year, month, day, hour, minute, second } = parts;
+  return {
+    year,
+    month,
+    day,
+    hour,
+    minute,
+    second,
+    millisecond: ((date.getTime() % 1000) + 1000) % 1000,
+    weekday: new Date(Date.UTC(year, month - 1, day)).getUTCDay()
+  };
+};
+
+const asUtc = ({ year, month, day, hour = 0, minute = 0, second = 0, millisecond = 0 }) =>
+  Date.UTC(year, month - 1, day, hour, minute, second, millisecond);
+
+// How far `timezone` is ahead of UTC at `time`, in ms.
+const offsetAt = (time, timezone) => {
+  const whole = time - (((time % 1000) + 1000) % 1000);
+  return asUtc(wallClock(new Date(whole), timezone)) - whole;
+};
+
+/**
+ * The instant at which `timezone` shows these wall-clock fields. A time the
+ * clocks skip in spring is moved forward by the gap; a time they repeat in
+ * autumn is the first of the two.
+ */
+const fromWallClock = (fields, timezone) => {
+  const local = asUtc(fields);
+  const before = offsetAt(local - DAY_MS, timezone);
+  const after = offsetAt(local + DAY_MS, timezone);
+  if (before === after) {
+    return new Date(local - before);
+  }
+  const candidates = [local - before, local - after]
+    .filter(time => offsetAt(time, timezone) === local - time)
+    .sort((a, b) => a - b);
+  return new Date(candidates.length > 0 ? candidates[0] : local - before);
+};
+
+// The fields of a releaseAt without an offset, or null if it isn't one or
+// names a day that doesn't exist.
+const parseLocalDateTime = (text) => {
+  const match = LOCAL_DATE_TIME.exec(text);
+  if (!match) {
+    return null;
+  }
+  const [year, month, day, hour, minute, second = 0] = match.slice(1, 7).map(value => parseInt(value || 0, 10));
+  const millisecond = match[7] ? parseInt(match[7].padEnd(3, '0'), 10) : 0;
+  const check = new Date(Date.UTC(year, month - 1, day));
+  if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day || hour > 23 || minute > 59 || second > 59) {
+    return null;
+  }
+  return { year, month, day, hour, minute, second, millisecond };
+};
+
+const isLocalDateTime = (text) => parseLocalDateTime(text) !== null;
+
+/**
+ * The instant a releaseAt names: as given when it has an offset or Z,
+ * otherwise read as wall-clock time in `timezone`.
+ */
+const resolveReleaseAt = (releaseAt, timezone) => {
+  const local = parseLocalDateTime(releaseAt);
+  return local ? fromWallClock(local, timezone || 'UTC') : new Date(releaseAt);
+};
+
+/**
+ * An ISO 8601 duration (PT15M, P1DT12H, P2W) as its parts, or null.
+ */
+const parseDuration = (text) => {
+  const match = DURATION.exec(text);
+  if (!match) {
+    return null;
+  }
+  const [years, months, weeks, days, hours, minutes] = match.slice(1, 7).map(value => parseInt(value || 0, 10));
+  return { years, months, weeks, days, hours, minutes, seconds: parseFloat(match[7] || 0) };
+};
+
+/**
+ * `from` plus the duration. Years, months, weeks and days move the local
+ * calendar in `timezone`, keeping the time of day across DST; hours,
+ * minutes and seconds are elapsed time.
+ */
+const addDuration = (from, duration, timezone = 'UTC') => {
+  const { years, months, weeks, days, hours, minutes, seconds } = duration;
+  let date = from;
+  if (years || months || weeks || days) {
+    const local = wallClock(from, timezone);
+    const target = new Date(Date.UTC(local.year + years, local.month - 1 + months, 1));
+    // Jan 31 plus a month is the last day of February, not March 3.
+    const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    const shifted = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth(), Math.min(local.day, lastDay) + weeks * 7 + days));
+    if (Number.isNaN(shifted.getTime())) {
+      return shifted;
+    }
+    date = fromWallClock({
+      ...local,
+      year: shifted.getUTCFullYear(),
+      month: shifted.getUTCMonth() + 1,
+      day: shifted.getUTCDate()
+    }, timezone);
+  }
+  return new Date(date.getTime() + ((hours * 60 + minutes) * 60 + seconds) * 1000);
+};
+
+const minutesOf = (timeOfDay) => {
+  const [, hour, minute] = TIME_OF_DAY.exec(timeOfDay);
+  return parseInt(hour, 10) * 60 + parseInt(minute, 10);
+};
+
+const isTimeOfDay = (text) => TIME_OF_DAY.test(text);
+
+const dayAllowed = (window, weekday) => !window.days || window.days.length === 0 || window.days.includes(WEEKDAYS[weekday]);
+
+/**
+ * Whether `date` falls in the window ({ start, end, days? }, local HH:mm in
+ * `timezone`). A window whose end is before its start runs past midnight and
+ * belongs to the day it opens.
+ */
+const inWindow = (date, window, timezone = 'UTC') => {
+  const local = wallClock(date, timezone);
+  const minute = local.hour * 60 + local.minute;
+  const start = minutesOf(window.start);
+  const end = minutesOf(window.end);
+
+  if (start < end) {
+    return minute >= start && minute < end && dayAllowed(window, local.weekday);
+  }
+  if (minute >= start) {
+    return dayAllowed(window, local.weekday);
+  }
+  return minute < end && dayAllowed(window, (local.weekday + 6) % 7);
+};
+
+/**
+ * `date` if it falls in the window, otherwise when the window next opens.
+ */
+const nextInWindow = (date, window, timezone = 'UTC') => {
+  if (!window || inWindow(date, window, timezone)) {
+    return date;
+  }
+  const local = wallClock(date, timezone);
+  const start = minutesOf(window.start);
+  for (let offset = 0; offset <= 7; offset++) {
+    const day = new Date(Date.UTC(local.year, local.month - 1, local.day + offset));
+    const opening = fromWallClock({
+      year: day.getUTCFullYear(),
+      month: day.getUTCMonth() + 1,
+      day: day.getUTCDate(),
+      hour: Math.floor(start / 60),
+      minute: start % 60
+    }, timezone);
+    if (opening > date && dayAllowed(window, day.getUTCDay())) {
+      return opening;
+    }
+  }
+  return date;
+};
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+/**
+ * `date` as ISO 8601 local time with its offset in `timezone`, e.g.
+ * 2025-10-27T09:00:00.000+01:00.
+ */
+const formatLocal = (date, timezone) => {
+  const local = wallClock(date, timezone);
+  const offset = Math.round(offsetAt(date.getTime(), timezone) / 60000);
+  const sign = offset < 0 ? '-' : '+';
+  return `${local.year}-${pad(local.month)}-${pad(local.day)}T${pad(local.hour)}:${pad(local.minute)}:${pad(local.second)}.${pad(local.millisecond, 3)}` +
+    `${sign}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+};
+
+module.exports = {
+  WEEKDAYS,
+  isValidTimezone,
+  isLocalDateTime,
+  isTimeOfDay,
+  wallClock,
+  fromWallClock,
+  resolveReleaseAt,
+  parseDuration,
+  addDuration,
+  inWindow,
+  nextInWindow,
+  formatLocal
+};
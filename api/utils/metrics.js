@@ -0,0 +1,188 @@
+// A small Prometheus registry, shared by the API and the worker: counters,
+// gauges and histograms, rendered in the text exposition format for their
+// /metrics endpoints.
+//
+// Tenants and hosts come from callers, so their labels are bounded: each
+// label keeps the first `maxLabelValues` values it sees and reports the
+// rest as "other", whatever the traffic. Scrapes that aren't trusted with
+// them render `without` those labels, summing the series they collapse.
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const OVERFLOW_VALUE = 'other';
+const BOUNDED_LABELS = ['tenant', 'host'];
+
+// Seconds; from a fast 2xx to a send that ran into its timeout.
+const LATENCY_BUCKETS = [0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+// Seconds late; scheduling runs on a poll, so a few seconds is normal.
+const LAG_BUCKETS = [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 300, 900, 3600];
+
+// '2xx', '4xx', ..., or 'none' if no response came back.
+const statusClass = (statusCode) => (statusCode ? `${Math.floor(statusCode / 100)}xx` : 'none');
+
+const escapeLabelValue = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/\n/g, '\\n')
+  .replace(/"/g, '\\"');
+
+const formatLabels = (names, values, extra = '') => {
+  const pairs = names.map((name, index) => `${name}="${escapeLabelValue(values[index])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+const formatValue = (value) => {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+};
+
+/**
+ * `onError` hears about collectors that fail; their metrics are left out of
+ * that scrape and the rest are still served.
+ */
+const createRegistry = ({ maxLabelValues = 100, onError = () => {} } = {}) => {
+  const metrics = [];
+  const collectors = [];
+  const seenValues = new Map(BOUNDED_LABELS.map(name => [name, new Set()]));
+
+  const boundValue = (name, value) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    const seen = seenValues.get(name);
+    if (!seen || seen.has(text)) return text;
+    if (seen.size >= maxLabelValues) return OVERFLOW_VALUE;
+    seen.add(text);
+    return text;
+  };
+
+  const define = (type, name, help, labelNames) => {
+    const metric = { type, name, help, labelNames, series: new Map() };
+    metrics.push(metric);
+    return metric;
+  };
+
+  // The series for `labels`, created with `init` the first time.
+  const seriesFor = (metric, labels, init) => {
+    const values = metric.labelNames.map(name => boundValue(name, labels[name]));
+    const key = JSON.stringify(values);
+    if (!metric.series.has(key)) {
+      metric.series.set(key, { values, ...init() });
+    }
+    return metric.series.get(key);
+  };
+
+  const counter = (name, help, labelNames = []) => {
+    const metric = define('counter', name, help, labelNames);
+    return {
+      inc: (labels = {}, amount = 1) => {
+        seriesFor(metric, labels, () => ({ value: 0 })).value += amount;
+      }
+    };
+  };
+
+  // Gauges set by a collector are usually reset first, so series for
+  // things that no longer exist drop out.
+  const gauge = (name, help, labelNames = []) => {
+    const metric = define('gauge', name, help, labelNames);
+    return {
+      set: (labels, value) => {
+        seriesFor(metric, labels, () => ({ value: 0 })).value = value;
+      },
+      reset: () => metric.series.clear()
+    };
+  };
+
+  const histogram = (name, help, labelNames = [], buckets = LATENCY_BUCKETS) => {
+    const metric = define('histogram', name, help, labelNames);
+    metric.buckets = [...buckets].sort((a, b) => a - b);
+    return {
+      observe: (labels, value) => {
+        const series = seriesFor(metric, labels, () => ({
+          counts: metric.buckets.map(() => 0),
+          sum: 0,
+          count: 0
+        }));
+        metric.buckets.forEach((bound, index) => {
+          if (value <= bound) series.counts[index]++;
+        });
+        series.sum += value;
+        series.count++;
+      }
+    };
+  };
+
+  // The series with `without` labels left out; those that then share their
+  // remaining labels are added together.
+  const seriesWithout = (metric, without) => {
+    const kept = metric.labelNames.filter(name => !without.includes(name));
+    if (kept.length === metric.labelNames.length) {
+      return { labelNames: metric.labelNames, series: [...metric.series.values()] };
+    }
+    const merged = new Map();
+    for (const series of metric.series.values()) {
+      const values = kept.map(name => series.values[metric.labelNames.indexOf(name)]);
+      const key = JSON.stringify(values);
+      const total = merged.get(key);
+      if (!total) {
+        merged.set(key, { ...series, values, counts: series.counts && [...series.counts] });
+      } else if (metric.type === 'histogram') {
+        series.counts.forEach((count, index) => { total.counts[index] += count; });
+        total.sum += series.sum;
+        total.count += series.count;
+      } else {
+        total.value += series.value;
+      }
+    }
+    return { labelNames: kept, series: [...merged.values()] };
+  };
+
+  const renderMetric = (metric, without) => {
+    const lines = [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`];
+    const { labelNames, series: allSeries } = seriesWithout(metric, without);
+    for (const series of allSeries) {
+      if (metric.type !== 'histogram') {
+        lines.push(`${metric.name}${formatLabels(labelNames, series.values)} ${formatValue(series.value)}`);
+        continue;
+      }
+      metric.buckets.forEach((bound, index) => {
+        const le = `le="${formatValue(bound)}"`;
+        lines.push(`${metric.name}_bucket${formatLabels(labelNames, series.values, le)} ${series.counts[index]}`);
+      });
+      lines.push(`${metric.name}_bucket${formatLabels(labelNames, series.values, 'le="+Inf"')} ${series.count}`);
+      lines.push(`${metric.name}_sum${formatLabels(labelNames, series.values)} ${series.sum}`);
+      lines.push(`${metric.name}_count${formatLabels(labelNames, series.values)} ${series.count}`);
+    }
+    return lines.join('\n');
+  };
+
+  return {
+    counter,
+    gauge,
+    histogram,
+
+    // Runs before every scrape, to read gauges from Mongo, Redis or BullMQ.
+    collect: (collector) => collectors.push(collector),
+
+    // `without`: label names to leave out, e.g. BOUNDED_LABELS.
+    render: async ({ without = [] } = {}) => {
+      for (const collector of collectors) {
+        try {
+          await collector();
+        } catch (error) {
+          onError(error);
+        }
+      }
+      return `${metrics.map(metric => renderMetric(metric, without)).join('\n')}\n`;
+    }
+  };
+};
+
+module.exports = {
+  CONTENT_TYPE,
+  OVERFLOW_VALUE,
+  BOUNDED_LABELS,
+  LATENCY_BUCKETS,
+  LAG_BUCKETS,
+  statusClass,
+  createRegistry
+};
@@ -0,0 +1,262 @@
+const mongoose = require('mongoose');
+const { Queue } = require('bullmq');
+const Note = require('../models/Note');
+const Delivery = require('../models/Delivery');
+const OutboxEntry = require('../models/OutboxEntry');
+const { getRedisClient } = require('../config/redis');
+const { rollUpStatus, settleRollUp } = require('./deliveryStatus');
+const { leaseFree, leaseHeld } = require('./lease');
+const { noteJobId, noteJob, deliveryJob } = require('./outbox');
+const { createEvents, noteEvent } = require('./events');
+
+// Replay, cancel and delete of one note, shared by the note routes and bulk
+// operations. Each is atomic with respect to the worker's claim and reports
+// what it did, or why it didn't, instead of answering a request.
+
+let deliveryQueue;
+const initQueue = async () => {
+  if (!deliveryQueue) {
+    const redis = getRedisClient();
+    deliveryQueue = new Queue('delivery', {
+      connection: redis,
+      defaultJobOptions: {
+        removeOnComplete: 100,
+        removeOnFail: 50
+      }
+    });
+  }
+  return deliveryQueue;
+};
+
+// Note changes and the jobs they need commit together: the jobs go into the
+// outbox and the worker's relay publishes them to the queue.
+const withTransaction = (work) => mongoose.connection.transaction(work);
+
+const now = () => new Date();
+
+const EVENTS_MAX_LENGTH = parseInt(process.env.EVENTS_STREAM_MAXLEN) || 10000;
+
+// Live updates for /api/events; see utils/events.
+const publishNoteEvent = (type, note, fields) => createEvents(getRedisClient(), {
+  maxLength: EVENTS_MAX_LENGTH,
+  onError: (error) => console.error(`Error publishing ${type} event for note ${note._id}:`, error.message)
+}).publish(noteEvent(type, note, fields));
+
+const refreshNoteStatus = (noteId) => settleRollUp(
+  () => Delivery.find({ note: noteId }).sort({ _id: 1 }).select('status').lean(),
+  (deliveries) => Note.findByIdAndUpdate(noteId, {
+    $set: { status: rollUpStatus(deliveries.map(delivery => delivery.status)) }
+  }, { new: true })
+);
+
+const removeDeliveryJob = async (noteId, releaseAt) => {
+  await initQueue();
+
+  const job = await deliveryQueue.getJob(noteJobId(noteId, releaseAt));
+  if (!job) return;
+
+  try {
+    await job.remove();
+  } catch (error) {
+    // An active job can't be removed; the worker's releaseAt check drops it.
+    console.warn(`Could not remove job ${job.id}: ${error.message}`);
+  }
+};
+
+// Like a note replay: a fresh run of attempts under the note's retryPolicy.
+// Returns null if the delivery isn't failed/dead or is in flight.
+const replayDelivery = async (deliveryId, runAt = now()) => {
+  let delivery = null;
+  await withTransaction(async (session) => {
+    delivery = await Delivery.findOneAndUpdate(
+      { _id: deliveryId, status: { $in: ['failed', 'dead'] }, ...leaseFree() },
+      { $set: { status: 'pending', attemptCount: 0, nextRetryAt: null, heldBy: null } },
+      { new: true, session }
+    );
+
+    if (delivery) {
+      await OutboxEntry.record([{ ...deliveryJob(delivery, `replay-delivery-${delivery._id}-${Date.now()}`), runAt }], session);
+    }
+  });
+
+  return delivery;
+};
+
+// Why a note can't be replayed, as an error response body; null if it can.
+const replayRefusal = (note) => {
+  if (note.status === 'delivered') {
+    return {
+      error: 'Cannot replay delivered note',
+      details: ['Note has already been successfully delivered']
+    };
+  }
+
+  if (note.status === 'pending') {
+    return {
+      error: 'Cannot replay pending note',
+      details: ['Note is already pending delivery']
+    };
+  }
+
+  if (note.schedule) {
+    return {
+      error: 'Cannot replay recurring note',
+      details: ['Replay an individual occurrence instead']
+    };
+  }
+
+  if (note.status === 'cancelled') {
+    return {
+      error: 'Cannot replay cancelled note',
+      details: ['Cancelled notes are never delivered']
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Replays a note that passed replayRefusal. A topic note retries only the
+ * deliveries that ended up dead; delivered endpoints are not sent the note
+ * again. `nextRunAt` gives each queued send its start time, which is how
+ * bulk replays are paced.
+ *
+ * Resolves to { note, deliveryIds } (deliveryIds is null for a direct note),
+ * or { reason } if nothing was replayed.
+ */
+const replayNote = async (note, nextRunAt = now) => {
+  if (note.fannedOutAt) {
+    const dead = await Delivery.find({ note: note._id, status: 'dead' }).select('_id').lean();
+
+    const deliveryIds = [];
+    for (const delivery of dead) {
+      if (await replayDelivery(delivery._id, nextRunAt())) {
+        deliveryIds.push(delivery._id);
+      }
+    }
+
+    if (deliveryIds.length === 0) {
+      return { reason: 'None of the note\'s deliveries are dead' };
+    }
+
+    const refreshed = await refreshNoteStatus(note._id);
+    await publishNoteEvent('replayed', refreshed, { deliveryIds: deliveryIds.map(String) });
+    return { note: refreshed, deliveryIds };
+  }
+
+  // A replay starts a fresh run of attempts under the note's retryPolicy.
+  // Sent straight away; if its host's circuit is still open the worker holds
+  // it again.
+  let replayed = null;
+  await withTransaction(async (session) => {
+    replayed = await Note.findOneAndUpdate(
+      { _id: note._id, status: { $in: ['failed', 'dead'] }, schedule: null, fannedOutAt: null, ...leaseFree() },
+      { $set: { status: 'pending', attemptCount: 0, nextRetryAt: null, heldBy: null } },
+      { new: true, session }
+    );
+
+    if (replayed) {
+      await OutboxEntry.record([{ ...noteJob(replayed, `replay-${replayed._id}-${Date.now()}`), runAt: nextRunAt() }], session);
+    }
+  });
+
+  if (!replayed) {
+    return { reason: 'Delivery is in progress' };
+  }
+
+  await publishNoteEvent('replayed', replayed);
+
+  return { note: replayed, deliveryIds: null };
+};
+
+/**
+ * Cancels a pending, failed or recurring note. Resolves to { note } with the
+ * cancelled note, or { reason } if it couldn't be cancelled.
+ */
+const cancelNote = async (note) => {
+  // Same guard as the worker's claim: whichever of the two updates lands
+  // first wins, so a note is either cancelled or delivered, never both.
+  const cancelled = await Note.findOneAndUpdate(
+    {
+      _id: note._id,
+      status: { $in: ['pending', 'failed', 'recurring'] },
+      ...leaseFree()
+    },
+    { $set: { status: 'cancelled', cancelledAt: new Date() } },
+    { new: true }
+  );
+
+  if (!cancelled) {
+    const current = await Note.findById(note._id).lean();
+    const inFlight = current && ['pending', 'failed'].includes(current.status);
+    return {
+      reason: inFlight
+        ? 'Delivery is in progress'
+        : `Note is already ${current ? current.status : 'gone'}`
+    };
+  }
+
+  if (!cancelled.schedule) {
+    await removeDeliveryJob(cancelled._id, cancelled.releaseAt);
+  }
+
+  // Deliveries already in flight finish; the rest are dropped by the
+  // worker's claim once they are no longer pending or failed.
+  if (cancelled.fannedOutAt) {
+    await Delivery.updateMany(
+      { note: cancelled._id, status: { $in: ['pending', 'failed'] }, ...leaseFree() },
+      { $set: { status: 'cancelled', cancelledAt: cancelled.cancelledAt } }
+    );
+  }
+
+  await publishNoteEvent('cancelled', cancelled);
+
+  return { note: cancelled };
+};
+
+/**
+ * Deletes a note and its deliveries unless a send is in flight. Resolves to
+ * { note } with the deleted note, or { reason }.
+ */
+const deleteNote = async (note) => {
+  const deliveryInFlight = note.fannedOutAt && await Delivery.exists({
+    note: note._id,
+    ...leaseHeld()
+  });
+
+  const deleted = !deliveryInFlight && await Note.findOneAndDelete({ _id: note._id, ...leaseFree() });
+  if (!deleted) {
+    return { reason: 'Delivery is in progress' };
+  }
+
+  await removeDeliveryJob(deleted._id, deleted.releaseAt);
+  await Delivery.deleteMany({ note: deleted._id });
+
+  return { note: deleted };
+};
+
+// Deletes the notes among `ids` that still match `conditions` and aren't
+// being sent, with their deliveries, for purges that select notes first and
+// delete them later. Resolves to how many notes were deleted.
+const deleteNotes = async (ids, conditions) => {
+  const { deletedCount } = await Note.deleteMany({ _id: { $in: ids }, ...conditions, ...leaseFree() });
+  if (deletedCount > 0) {
+    const kept = new Set((await Note.find({ _id: { $in: ids } }).distinct('_id')).map(String));
+    await Delivery.deleteMany({ note: { $in: ids.filter(id => !kept.has(String(id))) } });
+  }
+  return deletedCount;
+};
+
+module.exports = {
+  initQueue,
+  withTransaction,
+  publishNoteEvent,
+  refreshNoteStatus,
+  removeDeliveryJob,
+  replayDelivery,
+  replayRefusal,
+  replayNote,
+  cancelNote,
+  deleteNote,
+  deleteNotes
+};
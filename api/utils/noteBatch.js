@@ -0,0 +1,42 @@
+// Reading POST /api/notes/batch bodies: a JSON array of notes, or NDJSON
+// with one note per line.
+
+const NDJSON_TYPES = ['application/x-ndjson', 'application/ndjson', 'application/jsonl'];
+
+const invalid = (detail) => ({ problem: { error: 'Invalid request data', details: [detail] } });
+
+/**
+ * The batch's items as [{ input }], with [{ problem }] for NDJSON lines
+ * that aren't JSON, or null if the body is neither a JSON array nor NDJSON.
+ * Blank lines are skipped, so indexes count notes rather than lines.
+ */
+const parseBatch = (body) => {
+  if (Array.isArray(body)) {
+    return body.map(input => ({ input }));
+  }
+  if (typeof body !== 'string') {
+    return null;
+  }
+  return body.split('\n').filter(line => line.trim()).map(line => {
+    try {
+      return { input: JSON.parse(line) };
+    } catch (error) {
+      return invalid(`Invalid JSON: ${error.message}`);
+    }
+  });
+};
+
+// A zod issue as a detail; an item that isn't an object has no path.
+const issueDetail = (issue) => (issue.path.length > 0 ? `${issue.path.join('.')}: ${issue.message}` : issue.message);
+
+// When nothing is created, the notes that were valid are reported as skipped.
+const skippedResults = (results) => results.map(result => (result.status === 'created'
+  ? { index: result.index, status: 'skipped' }
+  : result));
+
+module.exports = {
+  NDJSON_TYPES,
+  parseBatch,
+  issueDetail,
+  skippedResults
+};
@@ -0,0 +1,141 @@
+const { tenantQuery } = require('./apiKeys');
+const { hostPattern } = require('./bulkSelection');
+
+// Filters, sort order and cursors for listing notes. A cursor is opaque to
+// clients: it carries the sort it was made for and the sort value and _id
+// of the last note on the page, and the next page starts strictly after it
+// (keyset pagination), so deep pages cost the same as the first.
+
+const SORT_FIELDS = ['createdAt', 'releaseAt', 'updatedAt', 'attemptCount'];
+const DATE_FIELDS = ['createdAt', 'releaseAt', 'updatedAt'];
+
+// '-createdAt' is newest first.
+const parseSort = (sort = '-createdAt') => {
+  const field = sort.replace(/^[-+]/, '');
+  if (!SORT_FIELDS.includes(field)) {
+    throw new Error(`sort must be one of ${SORT_FIELDS.join(', ')}, optionally prefixed with -`);
+  }
+  return { field, direction: sort.startsWith('-') ? -1 : 1 };
+};
+
+const mongoSort = ({ field, direction }) => ({ [field]: direction, _id: direction });
+
+const range = (after, before) => ({
+  ...(after ? { $gte: after } : {}),
+  ...(before ? { $lt: before } : {})
+});
+
+/**
+ * Query conditions for the list filters, scoped to `tenant`. Lists (status,
+ * tags) are arrays; a note must have every tag asked for.
+ */
+const noteFilter = (params, tenant) => {
+  const filter = { ...tenantQuery(tenant) };
+
+  if (params.status && params.status.length > 0) {
+    filter.status = params.status.length === 1 ? params.status[0] : { $in: params.status };
+  }
+  if (params.topic) {
+    filter.topic = params.topic;
+  }
+  if (params.seriesId) {
+    filter.seriesId = params.seriesId;
+  }
+  if (params.tags && params.tags.length > 0) {
+    filter.tags = { $all: params.tags };
+  }
+  if (params.host) {
+    filter.webhookUrl = hostPattern(params.host);
+  }
+  if (params.q) {
+    filter.$text = { $search: params.q };
+  }
+  if (params.releaseAfter || params.releaseBefore) {
+    filter.releaseAt = range(params.releaseAfter, params.releaseBefore);
+  }
+  if (params.createdAfter || params.createdBefore) {
+    filter.createdAt = range(params.createdAfter, params.createdBefore);
+  }
+  if (params.minAttempts !== undefined || params.maxAttempts !== undefined) {
+    filter.attemptCount = {
+      ...(params.minAttempts !== undefined ? { $gte: params.minAttempts } : {}),
+      ...(params.maxAttempts !== undefined ? { $lte: params.maxAttempts } : {})
+    };
+  }
+
+  return filter;
+};
+
+const sortKey = ({ field, direction }) => `${direction < 0 ? '-' : ''}${field}`;
+
+const encodeCursor = (sort, note) => {
+  const value = note[sort.field];
+  return Buffer.from(JSON.stringify([
+    sortKey(sort),
+    value instanceof Date ? value.toISOString() : (value === undefined ? null : value),
+    String(note._id)
+  ])).toString('base64url');
+};
+
+// Throws if the cursor is malformed or was made for a different sort.
+const decodeCursor = (cursor, sort) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('cursor is not valid');
+  }
+
+  const [key, value, id] = Array.isArray(parsed) ? parsed : [];
+  if (typeof id !== 'string' || !/^[0-9a-fA-F]{24}$/.test(id)) {
+    throw new Error('cursor is not valid');
+  }
+  if (key !== sortKey(sort)) {
+    throw new Error('cursor was made for a different sort');
+  }
+
+  if (value === null) {
+    return { value: null, id };
+  }
+  const isDate = DATE_FIELDS.includes(sort.field);
+  const decoded = isDate ? new Date(value) : value;
+  if (isDate ? Number.isNaN(decoded.getTime()) : typeof decoded !== 'number') {
+    throw new Error('cursor is not valid');
+  }
+  return { value: decoded, id };
+};
+
+/**
+ * Conditions for the notes after the cursor in sort order, ties broken by
+ * _id. MongoDB sorts a missing or null value before any other, so notes
+ * without one (e.g. attemptCount on notes from before it existed) come first
+ * ascending and last descending.
+ */
+const afterCursor = ({ field, direction }, { value, id }) => {
+  const beyond = direction > 0 ? '$gt' : '$lt';
+
+  if (value === null) {
+    const sameValue = { [field]: null, _id: { [beyond]: id } };
+    return direction > 0
+      ? { $or: [{ [field]: { $ne: null } }, sameValue] }
+      : sameValue;
+  }
+
+  return {
+    $or: [
+      { [field]: { [beyond]: value } },
+      { [field]: value, _id: { [beyond]: id } },
+      ...(direction < 0 ? [{ [field]: null }] : [])
+    ]
+  };
+};
+
+module.exports = {
+  SORT_FIELDS,
+  parseSort,
+  mongoSort,
+  noteFilter,
+  encodeCursor,
+  decodeCursor,
+  afterCursor
+};
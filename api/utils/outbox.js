@@ -0,0 +1,62 @@
+// Queue jobs are recorded in the outbox collection in the same transaction
+// as the change that needs them, and published to BullMQ by the worker's
+// relay. These build the entries and the writes; the callers own the model.
+
+const noteJobId = (noteId, releaseAt) => `note-${noteId}-${new Date(releaseAt).getTime()}`;
+
+// releaseAt travels with the job so the worker can refuse a job that was
+// scheduled for a release time the note no longer has.
+const noteJob = (note, jobId = noteJobId(note._id, note.releaseAt)) => ({
+  name: 'deliver-note',
+  data: { noteId: note._id.toString(), releaseAt: new Date(note.releaseAt).toISOString() },
+  jobId,
+  runAt: note.releaseAt
+});
+
+const deliveryJob = (delivery, jobId = `delivery-${delivery._id}`) => ({
+  name: 'deliver-endpoint',
+  data: { deliveryId: delivery._id.toString() },
+  jobId,
+  runAt: new Date()
+});
+
+// Recording a jobId again makes it publish again, e.g. for a note
+// rescheduled back to a time it had before.
+const recordOps = (entries) => entries.map(entry => ({
+  updateOne: {
+    filter: { jobId: entry.jobId },
+    update: {
+      $set: {
+        ...entry,
+        publishedAt: null,
+        publishAttempts: 0,
+        lastError: null,
+        leaseOwner: null,
+        leaseExpiresAt: null
+      }
+    },
+    upsert: true
+  }
+}));
+
+// Records entries only if their jobId was never recorded, so a sweep that
+// runs again before anything changed adds nothing.
+const recordOnceOps = (entries) => entries.map(entry => ({
+  updateOne: {
+    filter: { jobId: entry.jobId },
+    update: { $setOnInsert: { ...entry, publishedAt: null, publishAttempts: 0 } },
+    upsert: true
+  }
+}));
+
+// How long the relay leaves an entry alone after failing to publish it.
+const publishBackoffMs = (publishAttempts) => Math.min(60000, 1000 * 2 ** Math.max(0, publishAttempts - 1));
+
+module.exports = {
+  noteJobId,
+  noteJob,
+  deliveryJob,
+  recordOps,
+  recordOnceOps,
+  publishBackoffMs
+};
@@ -0,0 +1,92 @@
+const { leaseFree } = require('./lease');
+
+// Retention: how long notes are kept once they are finished, per status,
+// and how many attempts a note or delivery keeps. Set server-wide:
+//
+//   RETENTION_DELIVERED_DAYS=30             delete delivered notes 30 days on
+//   RETENTION_PARTIALLY_DELIVERED_DAYS=30
+//   RETENTION_DEAD_DAYS=90
+//   RETENTION_CANCELLED_DAYS=7
+//   RETENTION_ATTEMPTS_KEPT=20              keep only the last 20 attempts
+//   RETENTION_ARCHIVE_DIR=/var/droplater    write notes there before deleting
+//
+// A status without a setting is kept forever. Pending, failed and recurring
+// notes are still in play and never expire. Age counts from `updatedAt`, the
+// note's last change, which for a finished note is when it finished.
+
+const RETENTION_STATUSES = ['delivered', 'partially_delivered', 'dead', 'cancelled'];
+
+const envName = (status) => `RETENTION_${status.toUpperCase()}_DAYS`;
+
+const positive = (value) => {
+  const number = parseFloat(value);
+  return number > 0 ? number : null;
+};
+
+/**
+ * The retention settings in `env`: `policies` ([{ status, days }] for the
+ * statuses that expire), `attemptsKept` and `archiveDir`, null when unset.
+ */
+const retentionConfig = (env = process.env) => {
+  const attemptsKept = parseInt(env.RETENTION_ATTEMPTS_KEPT);
+  return {
+    policies: RETENTION_STATUSES
+      .map(status => ({ status, days: positive(env[envName(status)]) }))
+      .filter(policy => policy.days),
+    attemptsKept: attemptsKept > 0 ? attemptsKept : null,
+    archiveDir: env.RETENTION_ARCHIVE_DIR || null
+  };
+};
+
+const cutoffFor = (policy, now) => new Date(now.getTime() - policy.days * 86400000);
+
+// The notes a policy removes, past any being sent. `scope` narrows it, e.g.
+// to a tenant.
+const expiredQuery = (policy, now, scope = {}) => ({
+  ...scope,
+  status: policy.status,
+  updatedAt: { $lt: cutoffFor(policy, now) },
+  ...leaseFree(now)
+});
+
+// Notes or deliveries holding more attempts than are kept, and the update
+// that drops the oldest ones. attemptCount still counts them all.
+const overflowingAttemptsQuery = (attemptsKept, scope = {}) => ({
+  ...scope,
+  [`attempts.${attemptsKept}`]: { $exists: true }
+});
+
+const trimAttemptsUpdate = (attemptsKept) => [
+  { $set: { attempts: { $slice: ['$attempts', -attemptsKept] } } }
+];
+
+// notes-delivered-20240310T120000Z-0001.ndjson.gz: one file per batch, so
+// each is complete on disk before its notes are deleted.
+const archiveFileName = (status, runAt, sequence) => {
+  const stamp = runAt.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  return `notes-${status}-${stamp}-${String(sequence).padStart(4, '0')}.ndjson.gz`;
+};
+
+// The archive's NDJSON: one line per note, with its topic deliveries.
+const archiveLines = (notes, deliveries = []) => {
+  const byNote = new Map();
+  for (const delivery of deliveries) {
+    const key = String(delivery.note);
+    if (!byNote.has(key)) byNote.set(key, []);
+    byNote.get(key).push(delivery);
+  }
+  return notes
+    .map(note => JSON.stringify({ ...note, deliveries: byNote.get(String(note._id)) || [] }))
+    .join('\n') + '\n';
+};
+
+module.exports = {
+  RETENTION_STATUSES,
+  retentionConfig,
+  cutoffFor,
+  expiredQuery,
+  overflowingAttemptsQuery,
+  trimAttemptsUpdate,
+  archiveFileName,
+  archiveLines
+};
@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { promisify } = require('util');
+const zlib = require('zlib');
+const Note = require('../models/Note');
+const Delivery = require('../models/Delivery');
+const { getRedisClient } = require('../config/redis');
+const { deleteNotes } = require('./noteActions');
+const { leaseFree } = require('./lease');
+const {
+  retentionConfig,
+  expiredQuery,
+  overflowingAttemptsQuery,
+  trimAttemptsUpdate,
+  archiveFileName,
+  archiveLines
+} = require('./retention');
+
+// Applies the retention policies (see utils/retention) on an interval. Every
+// API process runs the sweeper; a Redis lock, renewed before each batch,
+// lets one of them sweep at a time. Notes are removed in batches, oldest id
+// first, each batch archived first when RETENTION_ARCHIVE_DIR is set.
+
+const INTERVAL_MS = parseInt(process.env.RETENTION_INTERVAL_MS) || 3600000;
+const LOCK_KEY = 'retention-sweeper';
+const LOCK_MS = 10 * 60000;
+const BATCH_SIZE = 500;
+
+// Deletes the lock only while it still holds this sweep's token: a sweep
+// that outran LOCK_MS must not release the lock another process now holds.
+const RELEASE_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+// Gives the lock another LOCK_MS, again only while this sweep holds it.
+const EXTEND_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('PEXPIRE', KEYS[1], ARGV[2])
+end
+return 0
+`;
+
+const gzip = promisify(zlib.gzip);
+
+// Written in full before any of its notes is deleted; a failed write stops
+// the sweep with the notes still in place.
+const archiveBatch = async (archiveDir, fileName, notes) => {
+  const deliveries = await Delivery.find({ note: { $in: notes.map(note => note._id) } }).lean();
+  await fs.mkdir(archiveDir, { recursive: true });
+  await fs.writeFile(path.join(archiveDir, fileName), await gzip(archiveLines(notes, deliveries)));
+};
+
+// `keepLock` runs before each batch; it throws once the lock is lost, so a
+// sweep never overlaps another process's.
+const sweepPolicy = async (policy, config, runAt, keepLock) => {
+  const query = expiredQuery(policy, runAt);
+  let removed = 0;
+  let files = 0;
+  let lastId = null;
+
+  for (;;) {
+    await keepLock();
+    const notes = await Note.find(lastId ? { ...query, _id: { $gt: lastId } } : query)
+      .sort({ _id: 1 })
+      .limit(BATCH_SIZE)
+      .lean();
+    if (notes.length === 0) break;
+    lastId = notes[notes.length - 1]._id;
+
+    if (config.archiveDir) {
+      files++;
+      await archiveBatch(config.archiveDir, archiveFileName(policy.status, runAt, files), notes);
+    }
+
+    // Notes replayed since they were read no longer match and stay.
+    removed += await deleteNotes(notes.map(note => note._id), {
+      status: policy.status,
+      updatedAt: query.updatedAt
+    });
+  }
+
+  return { status: policy.status, removed, files };
+};
+
+/**
+ * One sweep: expired notes out, oldest attempts trimmed. Resolves to what it
+ * did, or null if another process holds the lock or nothing is configured.
+ */
+const runRetention = async (runAt = new Date(), config = retentionConfig()) => {
+  if (config.policies.length === 0 && !config.attemptsKept) {
+    return null;
+  }
+
+  const redis = getRedisClient();
+  if (!redis.droplaterReleaseLock) {
+    redis.defineCommand('droplaterReleaseLock', { numberOfKeys: 1, lua: RELEASE_SCRIPT });
+    redis.defineCommand('droplaterExtendLock', { numberOfKeys: 1, lua: EXTEND_SCRIPT });
+  }
+  const owner = `${process.pid}:${crypto.randomUUID()}`;
+  const locked = await redis.set(LOCK_KEY, owner, 'PX', LOCK_MS, 'NX');
+  if (!locked) return null;
+
+  const keepLock = async () => {
+    if (await redis.droplaterExtendLock(LOCK_KEY, owner, LOCK_MS) !== 1) {
+      throw new Error('Retention lock lost; stopping the sweep');
+    }
+  };
+
+  try {
+    const statuses = [];
+    for (const policy of config.policies) {
+      statuses.push(await sweepPolicy(policy, config, runAt, keepLock));
+    }
+
+    // Topic deliveries keep attempts of their own, trimmed the same way.
+    const trimmed = { notes: 0, deliveries: 0 };
+    if (config.attemptsKept) {
+      await keepLock();
+      const query = overflowingAttemptsQuery(config.attemptsKept, leaseFree(runAt));
+      const update = trimAttemptsUpdate(config.attemptsKept);
+      trimmed.notes = (await Note.updateMany(query, update)).modifiedCount;
+      trimmed.deliveries = (await Delivery.updateMany(query, update)).modifiedCount;
+    }
+
+    const removed = statuses.reduce((sum, { removed }) => sum + removed, 0);
+    if (removed > 0 || trimmed.notes > 0 || trimmed.deliveries > 0) {
+      console.log(`🧹 Retention: removed ${removed} notes (${statuses.map(s => `${s.status} ${s.removed}`).join(', ')}), trimmed attempts of ${trimmed.notes} notes and ${trimmed.deliveries} deliveries`);
+    }
+
+    return { runAt, statuses, trimmed };
+  } finally {
+    await redis.droplaterReleaseLock(LOCK_KEY, owner).catch(() => {});
+  }
+};
+
+let running = false;
+
+const sweep = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    await runRetention();
+  } catch (error) {
+    console.error('Error applying retention policies:', error);
+  } finally {
+    running = false;
+  }
+};
+
+const startRetentionSweeper = () => {
+  const interval = setInterval(sweep, INTERVAL_MS);
+  interval.unref();
+  return interval;
+};
+
+module.exports = {
+  INTERVAL_MS,
+  runRetention,
+  startRetentionSweeper
+};
@@ -0,0 +1,53 @@
+const BACKOFF_STRATEGIES = ['fixed', 'exponential', 'exponential_jitter'];
+
+const defaultRetryPolicy = () => ({
+  maxAttempts: parseInt(process.env.RETRY_MAX_ATTEMPTS) || 3,
+  backoff: BACKOFF_STRATEGIES.includes(process.env.RETRY_BACKOFF) ? process.env.RETRY_BACKOFF : 'exponential',
+  baseDelayMs: parseInt(process.env.RETRY_BASE_DELAY_MS) || 1000,
+  maxDelayMs: parseInt(process.env.RETRY_MAX_DELAY_MS) || 3600000,
+  timeoutMs: parseInt(process.env.DELIVERY_TIMEOUT_MS) || 30000
+});
+
+/**
+ * Fills in whatever the note didn't set from the server-wide defaults
+ * (RETRY_* and DELIVERY_TIMEOUT_MS env vars).
+ */
+const resolveRetryPolicy = (overrides = {}) => {
+  const policy = defaultRetryPolicy();
+
+  Object.keys(policy).forEach(field => {
+    if (overrides && overrides[field] !== undefined && overrides[field] !== null) {
+      policy[field] = overrides[field];
+    }
+  });
+
+  return policy;
+};
+
+/**
+ * Delay before the next attempt, given how many attempts have been made.
+ * `exponential_jitter` uses "equal jitter": half the exponential delay plus
+ * a random share of the other half, so retries never bunch up at zero.
+ */
+const computeRetryDelay = (policy, attemptsMade, random = Math.random) => {
+  const base = policy.baseDelayMs;
+
+  if (policy.backoff === 'fixed') {
+    return Math.min(base, policy.maxDelayMs);
+  }
+
+  const exponential = Math.min(base * Math.pow(2, Math.max(0, attemptsMade - 1)), policy.maxDelayMs);
+
+  if (policy.backoff === 'exponential_jitter') {
+    return Math.round(exponential / 2 + random() * (exponential / 2));
+  }
+
+  return Math.round(exponential);
+};
+
+module.exports = {
+  BACKOFF_STRATEGIES,
+  defaultRetryPolicy,
+  resolveRetryPolicy,
+  computeRetryDelay
+};
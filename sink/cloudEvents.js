@@ -0,0 +1,76 @@
+// Reads the CloudEvents DropLater sends, in any of its content modes, and
+// checks them against the CloudEvents 1.0 required attributes.
+
+const BINARY_ATTRIBUTES = ['specversion', 'id', 'source', 'type', 'subject', 'time'];
+
+const mediaType = (contentType) => String(contentType || '').split(';')[0].trim().toLowerCase();
+
+/**
+ * 'batch', 'structured' or 'binary' for a CloudEvents request, or null for
+ * a plain webhook.
+ */
+const cloudEventsMode = (headers) => {
+  const type = mediaType(headers['content-type']);
+  if (type === 'application/cloudevents-batch+json') return 'batch';
+  if (type === 'application/cloudevents+json') return 'structured';
+  if (headers['ce-specversion']) return 'binary';
+  return null;
+};
+
+// Why the event isn't a valid CloudEvent, or null.
+const eventProblem = (event) => {
+  if (!event || typeof event !== 'object' || Array.isArray(event)) {
+    return 'event must be a JSON object';
+  }
+  if (event.specversion !== '1.0') {
+    return `unsupported specversion "${event.specversion}"`;
+  }
+  const missing = ['id', 'source', 'type'].find(name => typeof event[name] !== 'string' || event[name] === '');
+  if (missing) {
+    return `missing ${missing}`;
+  }
+  if (event.time !== undefined && Number.isNaN(Date.parse(event.time))) {
+    return 'time must be an RFC 3339 timestamp';
+  }
+  if (event.data !== undefined && event.data_base64 !== undefined) {
+    return 'data and data_base64 are mutually exclusive';
+  }
+  return null;
+};
+
+/**
+ * The events in a request, as `{ ok: true, events }`, or `{ ok: false, reason }`.
+ * In binary mode the attributes are the ce-* headers and the body is the data.
+ */
+const readCloudEvents = (mode, headers, body) => {
+  let events;
+  if (mode === 'binary') {
+    const event = { datacontenttype: headers['content-type'], data: body };
+    BINARY_ATTRIBUTES.forEach(name => {
+      if (headers[`ce-${name}`] !== undefined) {
+        event[name] = headers[`ce-${name}`];
+      }
+    });
+    events = [event];
+  } else if (mode === 'structured') {
+    events = [body];
+  } else if (Array.isArray(body)) {
+    events = body;
+  } else {
+    return { ok: false, reason: 'batch must be a JSON array of events' };
+  }
+
+  for (let index = 0; index < events.length; index++) {
+    const problem = eventProblem(events[index]);
+    if (problem) {
+      return { ok: false, reason: mode === 'batch' ? `event ${index}: ${problem}` : problem };
+    }
+  }
+  return { ok: true, events };
+};
+
+module.exports = {
+  cloudEventsMode,
+  eventProblem,
+  readCloudEvents
+};
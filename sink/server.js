@@ -2,6 +2,9 @@ require('dotenv').config();
 const express = require('express');
 const Redis = require('ioredis');
 const pino = require('pino');
+const { verifySignature } = require('./signature');
+const { cloudEventsMode, readCloudEvents } = require('./cloudEvents');
+const { createSmtpServer } = require('./smtp');
 
 const logger = pino({
   transport: {
@@ -14,19 +17,83 @@ const logger = pino({
 
 const app = express();
 const PORT = process.env.PORT || 4000;
+const SMTP_PORT = process.env.SMTP_PORT || 2525;
 
 const redis = new Redis(process.env.REDIS_URL || 'redis://localhost:6379', {
   retryDelayOnFailover: 100,
   maxRetriesPerRequest: 3
 });
 
-app.use(express.json({ limit: '10mb' }));
+const keepRawBody = (req, res, buf) => {
+  req.rawBody = buf.toString('utf8');
+};
+
+// CloudEvents arrive as application/cloudevents+json and
+// application/cloudevents-batch+json, and in binary mode with whatever
+// content type the note has.
+app.use(express.json({
+  limit: '10mb',
+  type: ['application/json', 'application/*+json'],
+  verify: keepRawBody
+}));
+app.use(express.text({
+  limit: '10mb',
+  type: ['text/*', 'application/xml'],
+  verify: keepRawBody
+}));
 
 const shouldFail = process.env.SINK_SIMULATE_FAILURE === 'true';
 
+// Comma-separated so a rotation can be tested by listing both secrets.
+const signingSecrets = (process.env.SINK_SIGNING_SECRETS || '')
+  .split(',')
+  .map(secret => secret.trim())
+  .filter(Boolean);
+const signatureToleranceSeconds = parseInt(process.env.SINK_SIGNATURE_TOLERANCE_SECONDS) || 300;
+
+// Every event once, by its id (DropLater's idempotency key for the note),
+// so a batch resent after a failure only counts the events not yet seen.
+const receiveCloudEvents = async (req, res, mode) => {
+  const read = readCloudEvents(mode, req.headers, req.body);
+  if (!read.ok) {
+    logger.warn({ mode, reason: read.reason }, 'Rejected CloudEvent');
+    return res.status(400).json({
+      error: 'Invalid CloudEvent',
+      reason: read.reason
+    });
+  }
+  
+  let duplicates = 0;
+  for (const event of read.events) {
+    const key = `cloudevent:${event.id}`;
+    if (await redis.setnx(key, '1')) {
+      await redis.expire(key, 86400);
+      logger.info({
+        mode,
+        id: event.id,
+        source: event.source,
+        type: event.type,
+        subject: event.subject,
+        time: event.time
+      }, 'CloudEvent received and processed');
+    } else {
+      duplicates++;
+    }
+  }
+  
+  res.status(200).json({
+    message: 'CloudEvents processed successfully',
+    mode,
+    events: read.events.length,
+    duplicates,
+    receivedAt: new Date().toISOString()
+  });
+};
+
 app.post('/sink', async (req, res) => {
   const idempotencyKey = req.headers['x-idempotency-key'];
   const noteId = req.headers['x-note-id'];
+  const mode = cloudEventsMode(req.headers);
   
   if (!idempotencyKey) {
     logger.warn({ noteId }, 'Missing idempotency key');
@@ -35,13 +102,32 @@ app.post('/sink', async (req, res) => {
     });
   }
   
-  if (!noteId) {
+  // A batch carries several notes, each named by its event's subject.
+  if (!noteId && mode !== 'batch') {
     logger.warn({ idempotencyKey }, 'Missing note ID');
     return res.status(400).json({
       error: 'Missing X-Note-Id header'
     });
   }
   
+  if (signingSecrets.length > 0) {
+    const verification = verifySignature({
+      secrets: signingSecrets,
+      signatureHeader: req.headers['x-signature'],
+      timestampHeader: req.headers['x-timestamp'],
+      rawBody: req.rawBody || '',
+      toleranceSeconds: signatureToleranceSeconds
+    });
+    
+    if (!verification.ok) {
+      logger.warn({ noteId, idempotencyKey, reason: verification.reason }, 'Rejected webhook signature');
+      return res.status(401).json({
+        error: 'Invalid signature',
+        reason: verification.reason
+      });
+    }
+  }
+  
   if (shouldFail) {
     logger.error({ noteId, idempotencyKey }, 'Simulating failure');
     return res.status(500).json({
@@ -50,6 +136,10 @@ app.post('/sink', async (req, res) => {
   }
   
   try {
+    if (mode) {
+      return await receiveCloudEvents(req, res, mode);
+    }
+    
     const key = `idempotency:${idempotencyKey}`;
     const wasSet = await redis.setnx(key, '1');
     
@@ -90,6 +180,45 @@ app.post('/sink', async (req, res) => {
   }
 });
 
+// Mail received by the SMTP stand-in, newest first, for GET /mail.
+const MAIL_KEPT = parseInt(process.env.SINK_MAIL_KEPT) || 100;
+const mailbox = [];
+
+// Each message once, by its Message-ID (built from DropLater's idempotency
+// key), so a resend after a lost reply is recorded as a duplicate.
+const receiveMail = async ({ from, to, headers, raw }) => {
+  const messageId = headers['message-id'] || null;
+  const duplicate = messageId ? !(await redis.setnx(`mail:${messageId}`, '1')) : false;
+  if (messageId && !duplicate) {
+    await redis.expire(`mail:${messageId}`, 86400);
+  }
+  
+  mailbox.unshift({
+    messageId,
+    noteId: headers['x-note-id'] || null,
+    from,
+    to,
+    subject: headers.subject || null,
+    duplicate,
+    receivedAt: new Date().toISOString(),
+    raw
+  });
+  mailbox.splice(MAIL_KEPT);
+  
+  logger.info({ messageId, noteId: headers['x-note-id'], to, subject: headers.subject, duplicate }, duplicate
+    ? 'Duplicate email - already received'
+    : 'Email received and processed');
+};
+
+app.get('/mail', (req, res) => {
+  res.json({ messages: mailbox, total: mailbox.length });
+});
+
+app.delete('/mail', (req, res) => {
+  mailbox.length = 0;
+  res.status(204).end();
+});
+
 app.get('/health', (req, res) => {
   res.json({ ok: true, service: 'sink' });
 });
@@ -122,9 +251,21 @@ async function startSink() {
       logger.info('Sink connected to Redis');
     });
     
+    if (signingSecrets.length === 0) {
+      logger.warn('SINK_SIGNING_SECRETS not set - webhook signatures will not be verified');
+    }
+    
     app.listen(PORT, '0.0.0.0', () => {
       logger.info(`Sink server running on port ${PORT}`);
     });
+    
+    createSmtpServer({
+      onMail: receiveMail,
+      shouldFail: () => process.env.SINK_SIMULATE_FAILURE === 'true',
+      logger
+    }).listen(SMTP_PORT, '0.0.0.0', () => {
+      logger.info(`Sink SMTP server running on port ${SMTP_PORT}`);
+    });
   } catch (error) {
     logger.error(error, 'Failed to start sink');
     process.exit(1);
@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+
+const computeSignature = (secret, timestamp, rawBody) => {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${rawBody}`)
+    .digest('hex');
+};
+
+const parseSignatureHeader = (header) => {
+  return String(header || '')
+    .split(',')
+    .map(part => part.trim())
+    .filter(part => part.startsWith('v1='))
+    .map(part => part.substring(3));
+};
+
+const safeEqual = (a, b) => {
+  const bufA = Buffer.from(a, 'hex');
+  const bufB = Buffer.from(b, 'hex');
+  return bufA.length === bufB.length && bufA.length > 0 && crypto.timingSafeEqual(bufA, bufB);
+};
+
+/**
+ * Returns `{ ok: true }` when any signature in the header matches any of the
+ * configured secrets and the timestamp is within `toleranceSeconds` of `now`,
+ * otherwise `{ ok: false, reason }`.
+ */
+const verifySignature = ({ secrets, signatureHeader, timestampHeader, rawBody, toleranceSeconds = 300, now = Date.now() }) => {
+  if (!signatureHeader || !timestampHeader) {
+    return { ok: false, reason: 'Missing X-Signature or X-Timestamp header' };
+  }
+
+  const timestamp = parseInt(timestampHeader, 10);
+  if (!Number.isFinite(timestamp)) {
+    return { ok: false, reason: 'Invalid X-Timestamp header' };
+  }
+
+  if (Math.abs(Math.floor(now / 1000) - timestamp) > toleranceSeconds) {
+    return { ok: false, reason: 'Timestamp outside tolerance window' };
+  }
+
+  const received = parseSignatureHeader(signatureHeader);
+  const matched = secrets.some(secret => {
+    const expected = computeSignature(secret, timestamp, rawBody);
+    return received.some(signature => safeEqual(signature, expected));
+  });
+
+  return matched ? { ok: true } : { ok: false, reason: 'Signature mismatch' };
+};
+
+module.exports = {
+  computeSignature,
+  parseSignatureHeader,
+  verifySignature
+};
@@ -0,0 +1,139 @@
+const net = require('net');
+
+// A bare-bones SMTP server for trying email notes locally. It speaks just
+// enough of RFC 5321 for the worker's client (EHLO, MAIL, RCPT, DATA, RSET,
+// NOOP, QUIT), without TLS or authentication, and hands each message it
+// accepts to `onMail`.
+//
+// Recipients whose local part starts with "bounce" are refused for good
+// (550) and `shouldFail()` answers DATA with a temporary failure (451), so
+// both sides of the worker's classification can be tried.
+
+const MAX_MESSAGE_BYTES = 10 * 1024 * 1024;
+
+const addressOf = (argument) => {
+  const match = /<([^>]*)>/.exec(argument);
+  return (match ? match[1] : argument.split(/\s/)[0] || '').trim();
+};
+
+// Header fields of a raw message, names lowercased, folded lines unfolded.
+const parseHeaders = (raw) => {
+  const headers = {};
+  const [head] = raw.split(/\r?\n\r?\n/);
+  head.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/).forEach(line => {
+    const colon = line.indexOf(':');
+    if (colon > 0) {
+      headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+    }
+  });
+  return headers;
+};
+
+/**
+ * Creates the server; call listen() on it. `onMail` gets
+ * { from, to, headers, raw } and may return a promise.
+ */
+const createSmtpServer = ({ hostname = 'droplater-sink', onMail, shouldFail = () => false, logger }) => net.createServer((socket) => {
+  let envelope = { from: null, to: [] };
+  let data = null;
+  let buffer = '';
+
+  const reply = (line) => socket.write(`${line}\r\n`);
+  const reset = () => {
+    envelope = { from: null, to: [] };
+    data = null;
+  };
+
+  const finishData = async () => {
+    // Dot-stuffed lines lose their extra dot.
+    const raw = data.join('\r\n').replace(/^\.\./gm, '.');
+    const mail = { ...envelope, headers: parseHeaders(raw), raw };
+    reset();
+
+    if (shouldFail()) {
+      logger.error({ to: mail.to }, 'Simulating SMTP failure');
+      return reply('451 4.3.0 Simulated failure, try again later');
+    }
+    if (Buffer.byteLength(raw) > MAX_MESSAGE_BYTES) {
+      return reply('552 5.3.4 Message too big');
+    }
+    try {
+      await onMail(mail);
+      reply('250 2.0.0 OK: queued');
+    } catch (error) {
+      logger.error({ error: error.message }, 'Error recording mail');
+      reply('451 4.3.0 Error recording mail');
+    }
+  };
+
+  const handleCommand = async (line) => {
+    const [verb] = line.split(' ', 1);
+    const argument = line.slice(verb.length).trim();
+
+    switch (verb.toUpperCase()) {
+      case 'EHLO':
+        return reply(`250-${hostname}\r\n250-SIZE ${MAX_MESSAGE_BYTES}\r\n250-8BITMIME\r\n250 SMTPUTF8`);
+      case 'HELO':
+        return reply(`250 ${hostname}`);
+      case 'MAIL':
+        envelope = { from: addressOf(argument.replace(/^FROM:/i, '')), to: [] };
+        return reply('250 2.1.0 OK');
+      case 'RCPT': {
+        if (envelope.from === null) {
+          return reply('503 5.5.1 MAIL first');
+        }
+        const address = addressOf(argument.replace(/^TO:/i, ''));
+        if (/^bounce/i.test(address)) {
+          return reply(`550 5.1.1 <${address}>: Recipient address rejected`);
+        }
+        envelope.to.push(address);
+        return reply('250 2.1.5 OK');
+      }
+      case 'DATA':
+        if (envelope.to.length === 0) {
+          return reply('503 5.5.1 RCPT first');
+        }
+        data = [];
+        return reply('354 End data with <CR><LF>.<CR><LF>');
+      case 'RSET':
+        reset();
+        return reply('250 2.0.0 OK');
+      case 'NOOP':
+        return reply('250 2.0.0 OK');
+      case 'QUIT':
+        reply('221 2.0.0 Bye');
+        return socket.end();
+      default:
+        return reply('502 5.5.2 Command not implemented');
+    }
+  };
+
+  // Lines are handled one at a time, so a slow onMail can't reorder replies.
+  let queue = Promise.resolve();
+  socket.on('data', (chunk) => {
+    buffer += chunk.toString('utf8');
+    let end;
+    while ((end = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      queue = queue.then(() => {
+        if (data === null) {
+          return handleCommand(line);
+        }
+        if (line === '.') {
+          return finishData();
+        }
+        data.push(line);
+        return null;
+      });
+    }
+  });
+  socket.on('error', (error) => logger.warn({ error: error.message }, 'SMTP connection error'));
+
+  reply(`220 ${hostname} ESMTP DropLater sink`);
+});
+
+module.exports = {
+  parseHeaders,
+  createSmtpServer
+};
@@ -79,9 +79,10 @@ class APIClient {
     return response.json();
   }
 
-  async createNote(noteData) {
+  async createNote(noteData, headers = {}) {
     return this.request('/api/notes', {
       method: 'POST',
+      headers,
       body: JSON.stringify(noteData)
     });
   }
@@ -91,12 +92,54 @@ class APIClient {
     return this.request(`/api/notes${query ? '?' + query : ''}`);
   }
 
+  async getNote(noteId) {
+    return this.request(`/api/notes/${noteId}`);
+  }
+
+  async updateNote(noteId, changes) {
+    return this.request(`/api/notes/${noteId}`, {
+      method: 'PATCH',
+      body: JSON.stringify(changes)
+    });
+  }
+
+  async cancelNote(noteId) {
+    return this.request(`/api/notes/${noteId}/cancel`, {
+      method: 'POST'
+    });
+  }
+
   async replayNote(noteId) {
     return this.request(`/api/notes/${noteId}/replay`, {
       method: 'POST'
     });
   }
 
+  async createEndpoint(endpointData) {
+    return this.request('/api/endpoints', {
+      method: 'POST',
+      body: JSON.stringify(endpointData)
+    });
+  }
+
+  async createTopic(topicData) {
+    return this.request('/api/topics', {
+      method: 'POST',
+      body: JSON.stringify(topicData)
+    });
+  }
+
+  async subscribe(topicId, endpointId) {
+    return this.request(`/api/topics/${topicId}/subscriptions`, {
+      method: 'POST',
+      body: JSON.stringify({ endpointId })
+    });
+  }
+
+  async getDeliveries(noteId) {
+    return this.request(`/api/notes/${noteId}/deliveries`);
+  }
+
   async healthCheck() {
     return this.request('/health');
   }
@@ -254,6 +297,127 @@ async function runIntegrationTests() {
       const pendingNote = notes.notes.find(n => n.title === 'Future Test Note');
       expect(pendingNote.status).toBe('pending');
     });
+    
+    await test('Retrying a create with the same Idempotency-Key returns the original note', async () => {
+      const idempotencyKey = `integration-${Date.now()}`;
+      const noteData = {
+        title: 'Idempotent Create Test Note',
+        body: 'This note should only be created once',
+        releaseAt: new Date(Date.now() + 60000).toISOString(),
+        webhookUrl: mockSink.getWebhookUrl()
+      };
+      
+      const first = await apiClient.createNote(noteData, { 'Idempotency-Key': idempotencyKey });
+      const retry = await apiClient.createNote(noteData, { 'Idempotency-Key': idempotencyKey });
+      expect(retry.id).toBe(first.id);
+      
+      let conflict = null;
+      try {
+        await apiClient.createNote({ ...noteData, body: 'A different body' }, { 'Idempotency-Key': idempotencyKey });
+      } catch (error) {
+        conflict = error.message;
+      }
+      expect(conflict).toContain('HTTP 409');
+    });
+    
+    await test('Rescheduled note is delivered at the new time only', async () => {
+      mockSink.reset();
+      
+      const noteData = {
+        title: 'Rescheduled Test Note',
+        body: 'This note should be moved forward',
+        releaseAt: new Date(Date.now() + 60000).toISOString(),
+        webhookUrl: mockSink.getWebhookUrl()
+      };
+      
+      const { id } = await apiClient.createNote(noteData);
+      const newReleaseAt = new Date(Date.now() - 1000).toISOString();
+      const updated = await apiClient.updateNote(id, { releaseAt: newReleaseAt });
+      expect(updated.releaseAt).toBe(newReleaseAt);
+      
+      const webhook = await waitForDelivery();
+      expect(webhook.headers['x-note-id']).toBe(id);
+      expect(mockSink.receivedWebhooks.length).toBe(1);
+    });
+    
+    await test('Email notes take a plain-text body without a template', async () => {
+      const { id } = await apiClient.createNote({
+        title: 'Email Test Note',
+        body: 'Plain text, sent as is',
+        releaseAt: new Date(Date.now() + 60000).toISOString(),
+        contentType: 'text/plain',
+        channel: { type: 'email', to: ['ops@example.com'] }
+      });
+      
+      const note = await apiClient.getNote(id);
+      expect(note.contentType).toBe('text/plain');
+      expect(note.channel.type).toBe('email');
+      expect(note.template).toBe(null);
+      
+      const updated = await apiClient.updateNote(id, { contentType: 'text/html' });
+      expect(updated.contentType).toBe('text/html');
+      await apiClient.cancelNote(id);
+    });
+    
+    await test('Cancelled note is never delivered', async () => {
+      mockSink.reset();
+      
+      const noteData = {
+        title: 'Cancelled Test Note',
+        body: 'This note should never arrive',
+        releaseAt: new Date(Date.now() + 3000).toISOString(),
+        webhookUrl: mockSink.getWebhookUrl()
+      };
+      
+      const { id } = await apiClient.createNote(noteData);
+      const cancelled = await apiClient.cancelNote(id);
+      expect(cancelled.status).toBe('cancelled');
+      
+      await new Promise(resolve => setTimeout(resolve, 6000));
+      expect(mockSink.receivedWebhooks.length).toBe(0);
+      
+      const note = await apiClient.getNote(id);
+      expect(note.status).toBe('cancelled');
+    });
+    
+    await test('Topic note fans out and rolls up to partially delivered', async () => {
+      mockSink.reset();
+      
+      const suffix = Date.now();
+      const topic = await apiClient.createTopic({ name: `integration-${suffix}` });
+      const endpoints = await Promise.all([
+        apiClient.createEndpoint({ name: `ok-a-${suffix}`, url: mockSink.getWebhookUrl() }),
+        apiClient.createEndpoint({ name: `ok-b-${suffix}`, url: mockSink.getWebhookUrl() }),
+        // The mock sink answers 404 here, a permanent failure.
+        apiClient.createEndpoint({ name: `missing-${suffix}`, url: mockSink.getWebhookUrl().replace('/sink', '/missing') })
+      ]);
+      for (const endpoint of endpoints) {
+        await apiClient.subscribe(topic.id, endpoint.id);
+      }
+      
+      const { id } = await apiClient.createNote({
+        title: 'Topic Test Note',
+        body: 'This note goes to every subscriber',
+        releaseAt: new Date(Date.now() - 1000).toISOString(),
+        topic: topic.name
+      });
+      
+      let note;
+      for (let i = 0; i < 30; i++) {
+        await new Promise(resolve => setTimeout(resolve, 500));
+        note = await apiClient.getNote(id);
+        if (!['pending', 'failed'].includes(note.status)) break;
+      }
+      
+      expect(note.status).toBe('partially_delivered');
+      expect(note.deliveries.total).toBe(3);
+      expect(mockSink.receivedWebhooks.length).toBe(2);
+      
+      const { deliveries } = await apiClient.getDeliveries(id);
+      const keys = new Set(deliveries.map(delivery => delivery.idempotencyKey));
+      expect(keys.size).toBe(3);
+      expect(mockSink.receivedWebhooks[0].headers['x-topic']).toBe(topic.name);
+    });
 
   } finally {
     await mockSink.stop();
@@ -36,6 +36,30 @@ async function runAllTests() {
     console.log('1. Unit Tests');
     console.log('-------------');
     await runCommand('node', ['tests/unit/idempotencyKey.test.js'], rootDir);
+    await runCommand('node', ['tests/unit/idempotency.test.js'], rootDir);
+    await runCommand('node', ['tests/unit/webhookSignature.test.js'], rootDir);
+    await runCommand('node', ['tests/unit/schedule.test.js'], rootDir);
+    await runCommand('node', ['tests/unit/retryPolicy.test.js'], rootDir);
+    await runCommand('node', ['tests/unit/classifyResponse.test.js'], rootDir);
+    await runCommand('node', ['tests/unit/attemptDetails.test.js'], rootDir);
+    await runCommand('node', ['tests/unit/deliveryStatus.test.js'], rootDir);
+    await runCommand('node', ['tests/unit/apiKeys.test.js'], rootDir);
+    await runCommand('node', ['tests/unit/destinationPolicy.test.js'], rootDir);
+    await runCommand('node', ['tests/unit/outbox.test.js'], rootDir);
+    await runCommand('node', ['tests/unit/throttle.test.js'], rootDir);
+    await runCommand('node', ['tests/unit/circuit.test.js'], rootDir);
+    await runCommand('node', ['tests/unit/bulkSelection.test.js'], rootDir);
+    await runCommand('node', ['tests/unit/noteQuery.test.js'], rootDir);
+    await runCommand('node', ['tests/unit/events.test.js'], rootDir);
+    await runCommand('node', ['tests/unit/metrics.test.js'], rootDir);
+    await runCommand('node', ['tests/unit/tracing.test.js'], rootDir);
+    await runCommand('node', ['tests/unit/deadLetters.test.js'], rootDir);
+    await runCommand('node', ['tests/unit/retention.test.js'], rootDir);
+    await runCommand('node', ['tests/unit/payload.test.js'], rootDir);
+    await runCommand('node', ['tests/unit/cloudEvents.test.js'], rootDir);
+    await runCommand('node', ['tests/unit/noteBatch.test.js'], rootDir);
+    await runCommand('node', ['tests/unit/channels.test.js'], rootDir);
+    await runCommand('node', ['tests/unit/localTime.test.js'], rootDir);
     console.log('Unit tests completed!\n');
     
     console.log('2. Integration Tests');
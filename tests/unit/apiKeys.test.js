@@ -0,0 +1,101 @@
+const { generateApiKey, parseApiKey, hashApiKey, safeEqual, hasScope, tenantQuery, DEFAULT_TENANT } = require('../../api/utils/apiKeys');
+
+function runTests() {
+  let passed = 0;
+  let failed = 0;
+  
+  function test(name, testFn) {
+    try {
+      testFn();
+      console.log(`✅ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+      failed++;
+    }
+  }
+  
+  function expect(actual) {
+    return {
+      toBe: (expected) => {
+        if (actual !== expected) {
+          throw new Error(`Expected "${expected}" but got "${actual}"`);
+        }
+      },
+      toEqual: (expected) => {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+          throw new Error(`Expected ${JSON.stringify(expected)} but got ${JSON.stringify(actual)}`);
+        }
+      }
+    };
+  }
+  
+  console.log(' Running Unit Tests - API Keys\n');
+  
+  test('generated keys parse back to their prefix', () => {
+    const { key, prefix } = generateApiKey();
+    expect(/^dlk_[0-9a-f]{8}_[0-9a-f]{48}$/.test(key)).toBe(true);
+    expect(parseApiKey(key)).toEqual({ prefix });
+  });
+  
+  test('generated keys are unique', () => {
+    expect(generateApiKey().key === generateApiKey().key).toBe(false);
+  });
+  
+  test('malformed tokens do not parse', () => {
+    expect(parseApiKey('not-a-key')).toBe(null);
+    expect(parseApiKey('dlk_1234_abcd')).toBe(null);
+    expect(parseApiKey(undefined)).toBe(null);
+  });
+  
+  test('hash is stable and does not contain the key', () => {
+    const { key } = generateApiKey();
+    expect(hashApiKey(key)).toBe(hashApiKey(key));
+    expect(hashApiKey(key).includes(key)).toBe(false);
+  });
+  
+  test('safeEqual compares values of any length', () => {
+    expect(safeEqual('secret-token', 'secret-token')).toBe(true);
+    expect(safeEqual('secret-token', 'secret-toke')).toBe(false);
+    expect(safeEqual('', 'x')).toBe(false);
+  });
+  
+  test('scopes are checked individually', () => {
+    expect(hasScope(['notes:read'], 'notes:read')).toBe(true);
+    expect(hasScope(['notes:read'], 'notes:write')).toBe(false);
+    expect(hasScope(undefined, 'notes:read')).toBe(false);
+  });
+  
+  test('admin implies every scope', () => {
+    expect(hasScope(['admin'], 'notes:replay')).toBe(true);
+  });
+  
+  test('default tenant also matches documents without a tenant', () => {
+    expect(tenantQuery(DEFAULT_TENANT)).toEqual({ tenant: { $in: [DEFAULT_TENANT, null] } });
+  });
+  
+  test('other tenants match only their own documents', () => {
+    expect(tenantQuery('acme')).toEqual({ tenant: 'acme' });
+  });
+  
+  console.log(`\n Test Results:`);
+  console.log(`   Passed: ${passed}`);
+  console.log(`   Failed: ${failed}`);
+  console.log(`   Total:  ${passed + failed}`);
+  
+  if (failed === 0) {
+    console.log('All unit tests passed!');
+    process.exit(0);
+  } else {
+    console.log('Some tests failed!');
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = {
+  runTests
+};
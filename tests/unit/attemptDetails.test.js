@@ -0,0 +1,179 @@
+const { Readable } = require('stream');
+const {
+  ERROR_CODES,
+  errorCodeFor,
+  smtpErrorCodeFor,
+  readBody,
+  truncateBody,
+  pickResponseHeaders,
+  redactRequestHeaders
+} = require('../../worker/utils/attemptDetails');
+
+async function runTests() {
+  let passed = 0;
+  let failed = 0;
+  
+  async function test(name, testFn) {
+    try {
+      await testFn();
+      console.log(`✅ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+      failed++;
+    }
+  }
+  
+  function expect(actual) {
+    return {
+      toBe: (expected) => {
+        if (actual !== expected) {
+          throw new Error(`Expected "${expected}" but got "${actual}"`);
+        }
+      },
+      toThrow: () => {
+        try {
+          actual();
+        } catch (error) {
+          return;
+        }
+        throw new Error('Expected function to throw');
+      }
+    };
+  }
+  
+  console.log(' Running Unit Tests - Attempt Details\n');
+  
+  const failure = (code) => Object.assign(new Error(code), { code });
+  
+  await test('transport errors map to structured codes', () => {
+    expect(errorCodeFor(failure('ENOTFOUND'))).toBe('DNS');
+    expect(errorCodeFor(failure('EAI_AGAIN'))).toBe('DNS');
+    expect(errorCodeFor(failure('ECONNREFUSED'))).toBe('ECONNREFUSED');
+    expect(errorCodeFor(failure('ECONNABORTED'))).toBe('TIMEOUT');
+    expect(errorCodeFor(failure('ETIMEDOUT'))).toBe('TIMEOUT');
+    expect(errorCodeFor(failure('CERT_HAS_EXPIRED'))).toBe('TLS');
+    expect(errorCodeFor(failure('ERR_TLS_CERT_ALTNAME_INVALID'))).toBe('TLS');
+    expect(errorCodeFor(failure('ERR_SSL_WRONG_VERSION_NUMBER'))).toBe('TLS');
+    expect(errorCodeFor(failure('EDESTINATIONBLOCKED'))).toBe('BLOCKED');
+    expect(errorCodeFor(failure('ETEMPLATE'))).toBe('TEMPLATE');
+  });
+  
+  await test('unknown errors are NETWORK, responses are HTTP', () => {
+    expect(errorCodeFor(failure('ECONNRESET'))).toBe('NETWORK');
+    expect(errorCodeFor(new Error('boom'))).toBe('NETWORK');
+    expect(errorCodeFor(undefined)).toBe('HTTP');
+  });
+  
+  await test('error code is read from the cause when missing', () => {
+    const error = new Error('fetch failed');
+    error.cause = failure('ENOTFOUND');
+    
+    expect(errorCodeFor(error)).toBe('DNS');
+    expect(ERROR_CODES.includes(errorCodeFor(error))).toBe(true);
+  });
+  
+  await test('email failures are SMTP when the server replied, otherwise by connection error', () => {
+    const rejected = Object.assign(new Error('Can\'t send mail'), { code: 'EENVELOPE', responseCode: 550 });
+    expect(smtpErrorCodeFor(rejected)).toBe('SMTP');
+    expect(smtpErrorCodeFor(failure('ESMTPCONFIG'))).toBe('SMTP');
+    expect(smtpErrorCodeFor(failure('EDNS'))).toBe('DNS');
+    expect(smtpErrorCodeFor(Object.assign(new Error('connect ECONNREFUSED 127.0.0.1:25'), { code: 'ESOCKET' }))).toBe('ECONNREFUSED');
+    expect(smtpErrorCodeFor(failure('ETIMEDOUT'))).toBe('TIMEOUT');
+    expect(smtpErrorCodeFor(failure('ETEMPLATE'))).toBe('TEMPLATE');
+    expect(smtpErrorCodeFor(failure('ESOCKET'))).toBe('NETWORK');
+  });
+  
+  await test('short bodies are kept as-is', () => {
+    expect(truncateBody('ok')).toBe('ok');
+    expect(truncateBody({ received: true })).toBe('{"received":true}');
+    expect(truncateBody('')).toBe(undefined);
+  });
+  
+  await test('long bodies are truncated to the byte limit', () => {
+    const body = truncateBody('x'.repeat(50), 10);
+    
+    expect(body).toBe('xxxxxxxxxx…[truncated 40 bytes]');
+  });
+  
+  await test('bodies cut short by the read limit say so', () => {
+    expect(truncateBody('x'.repeat(50), 10, false)).toBe('xxxxxxxxxx…[truncated, over 50 bytes in all]');
+    expect(truncateBody('x'.repeat(5), 10, false)).toBe('xxxxx…[truncated, over 5 bytes in all]');
+  });
+  
+  await test('response bodies are read up to the limit and no further', async () => {
+    let pulled = 0;
+    const endless = new Readable({
+      read() {
+        pulled++;
+        this.push(Buffer.alloc(100, 'y'));
+      }
+    });
+    const { body, complete } = await readBody(endless, { limit: 250 });
+    expect(body.length).toBe(250);
+    expect(complete).toBe(false);
+    expect(endless.destroyed).toBe(true);
+    expect(pulled < 10).toBe(true);
+  
+    const short = await readBody(Readable.from([Buffer.from('{"ok":'), Buffer.from('true}')]), { limit: 250 });
+    expect(short.body).toBe('{"ok":true}');
+    expect(short.complete).toBe(true);
+  });
+  
+  await test('a body that stalls is read until the timeout', async () => {
+    const stalled = new Readable({ read() {} });
+    stalled.push('partial');
+    const { body, complete } = await readBody(stalled, { timeoutMs: 20 });
+    expect(body).toBe('partial');
+    expect(complete).toBe(false);
+  });
+  
+  await test('only selected response headers are kept', () => {
+    const picked = pickResponseHeaders({
+      'content-type': 'application/json',
+      'retry-after': 30,
+      'set-cookie': ['session=abc'],
+      'x-powered-by': 'Express'
+    });
+    
+    expect(picked['content-type']).toBe('application/json');
+    expect(picked['retry-after']).toBe('30');
+    expect(picked['set-cookie']).toBe(undefined);
+    expect(picked['x-powered-by']).toBe(undefined);
+  });
+  
+  await test('secrets are redacted from request headers', () => {
+    const headers = redactRequestHeaders({
+      'Content-Type': 'application/json',
+      'X-Note-Id': 'abc',
+      'X-Signature': 'v1=deadbeef',
+      Authorization: 'Bearer token'
+    });
+    
+    expect(headers['Content-Type']).toBe('application/json');
+    expect(headers['X-Note-Id']).toBe('abc');
+    expect(headers['X-Signature']).toBe('[redacted]');
+    expect(headers.Authorization).toBe('[redacted]');
+  });
+  
+  console.log(`\n Test Results:`);
+  console.log(`   Passed: ${passed}`);
+  console.log(`   Failed: ${failed}`);
+  console.log(`   Total:  ${passed + failed}`);
+  
+  if (failed === 0) {
+    console.log('All unit tests passed!');
+    process.exit(0);
+  } else {
+    console.log('Some tests failed!');
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = {
+  runTests
+};
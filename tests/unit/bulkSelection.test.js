@@ -0,0 +1,129 @@
+const {
+  ELIGIBLE,
+  hostPattern,
+  selectionQuery,
+  operationQuery,
+  createPacer
+} = require('../../api/utils/bulkSelection');
+
+function runTests() {
+  let passed = 0;
+  let failed = 0;
+
+  function test(name, testFn) {
+    try {
+      testFn();
+      console.log(`✅ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+      failed++;
+    }
+  }
+
+  function expect(actual) {
+    return {
+      toBe: (expected) => {
+        if (actual !== expected) {
+          throw new Error(`Expected "${expected}" but got "${actual}"`);
+        }
+      },
+      toEqual: (expected) => {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+          throw new Error(`Expected ${JSON.stringify(expected)} but got ${JSON.stringify(actual)}`);
+        }
+      }
+    };
+  }
+
+  console.log(' Running Unit Tests - Bulk Operation Selection\n');
+
+  test('host filter matches the URL host with any port, path or credentials', () => {
+    const pattern = hostPattern('hooks.example.com');
+    expect(pattern.test('https://hooks.example.com/in')).toBe(true);
+    expect(pattern.test('http://HOOKS.example.com:8443')).toBe(true);
+    expect(pattern.test('https://user:pw@hooks.example.com?x=1')).toBe(true);
+  });
+
+  test('host filter does not match other hosts sharing a prefix or suffix', () => {
+    const pattern = hostPattern('hooks.example.com');
+    expect(pattern.test('https://hooks.example.com.evil.net/in')).toBe(false);
+    expect(pattern.test('https://hooksXexample.com/in')).toBe(false);
+    expect(pattern.test('https://other.net/?to=https://hooks.example.com')).toBe(false);
+  });
+
+  test('filter becomes status, host and releaseAt conditions for the tenant', () => {
+    const query = selectionQuery({
+      filter: { status: ['dead'], host: 'hooks.example.com', from: '2025-01-01T00:00:00Z', to: '2025-01-02T00:00:00Z' }
+    }, 'acme');
+
+    expect(query.tenant).toBe('acme');
+    expect(query.status).toEqual({ $in: ['dead'] });
+    expect(query.webhookUrl instanceof RegExp).toBe(true);
+    expect(query.releaseAt.$gte.toISOString()).toBe('2025-01-01T00:00:00.000Z');
+    expect(query.releaseAt.$lt.toISOString()).toBe('2025-01-02T00:00:00.000Z');
+  });
+
+  test('explicit IDs are still limited to the tenant', () => {
+    expect(selectionQuery({ ids: ['a', 'b'] }, 'acme')).toEqual({ tenant: 'acme', _id: { $in: ['a', 'b'] } });
+  });
+
+  test('default tenant also covers notes created before tenants', () => {
+    expect(selectionQuery({ filter: { status: ['dead'] } }, 'default').tenant).toEqual({ $in: ['default', null] });
+  });
+
+  test('operations only touch notes their action applies to', () => {
+    const query = operationQuery({ action: 'replay', filter: { status: ['delivered', 'dead'] }, tenant: 'acme' });
+    expect(query.$and[1]).toEqual(ELIGIBLE.replay);
+    expect(query.$and[0].status).toEqual({ $in: ['delivered', 'dead'] });
+    expect(query.$and.length).toBe(2);
+  });
+
+  test('operations resume after their cursor', () => {
+    const query = operationQuery({ action: 'delete', ids: ['a'], tenant: 'acme', cursor: 'a' });
+    expect(query.$and[2]).toEqual({ _id: { $gt: 'a' } });
+  });
+
+  test('pacer spaces replays by the rate', () => {
+    const pacer = createPacer(4, null, () => 1000);
+    expect(pacer.take().getTime()).toBe(1000);
+    expect(pacer.take().getTime()).toBe(1250);
+    expect(pacer.take().getTime()).toBe(1500);
+    expect(pacer.next().getTime()).toBe(1750);
+  });
+
+  test('pacer never schedules in the past', () => {
+    let now = 1000;
+    const pacer = createPacer(1, 500, () => now);
+    expect(pacer.take().getTime()).toBe(1000);
+    now = 10000;
+    expect(pacer.take().getTime()).toBe(10000);
+  });
+
+  test('resumed pacer continues from its saved slot', () => {
+    const pacer = createPacer(2, 5000, () => 1000);
+    expect(pacer.take().getTime()).toBe(5000);
+    expect(pacer.take().getTime()).toBe(5500);
+  });
+
+  console.log(`\n Test Results:`);
+  console.log(`   Passed: ${passed}`);
+  console.log(`   Failed: ${failed}`);
+  console.log(`   Total:  ${passed + failed}`);
+
+  if (failed === 0) {
+    console.log('All unit tests passed!');
+    process.exit(0);
+  } else {
+    console.log('Some tests failed!');
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = {
+  runTests
+};
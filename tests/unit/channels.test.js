@@ -0,0 +1,171 @@
+const {
+  SLACK_TEXT_MAX,
+  DISCORD_CONTENT_MAX,
+  EMAIL_RULES,
+  isEmailAddress,
+  channelType,
+  buildMessage,
+  templateMissing,
+  channelProblems
+} = require('../../api/utils/channels');
+const { classifyResponse } = require('../../worker/utils/classifyResponse');
+const { parseHeaders } = require('../../sink/smtp');
+
+async function runTests() {
+  let passed = 0;
+  let failed = 0;
+
+  async function test(name, testFn) {
+    try {
+      await testFn();
+      console.log(`✅ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+      failed++;
+    }
+  }
+
+  function expect(actual) {
+    return {
+      toBe: (expected) => {
+        if (actual !== expected) {
+          throw new Error(`Expected "${expected}" but got "${actual}"`);
+        }
+      },
+      toEqual: (expected) => {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+          throw new Error(`Expected ${JSON.stringify(expected)} but got ${JSON.stringify(actual)}`);
+        }
+      }
+    };
+  }
+
+  const note = (fields) => ({
+    _id: 'n1',
+    title: 'Deploy <done>',
+    body: 'v2 & friends',
+    releaseAt: new Date('2025-08-25T10:00:00.000Z'),
+    method: 'POST',
+    contentType: 'application/json',
+    headers: {},
+    ...fields
+  });
+  const context = { idempotencyKey: 'key-1' };
+
+  console.log('Running Channel Tests\n');
+
+  await test('notes without a channel are webhooks', async () => {
+    expect(channelType(null)).toBe('webhook');
+    expect(channelType({ type: 'email' })).toBe('email');
+    expect(channelProblems(note({ webhookUrl: 'https://h.example/x' }))).toEqual([]);
+  });
+
+  await test('Slack messages are escaped text with the title in bold', async () => {
+    const request = buildMessage(note({ channel: { type: 'slack', username: 'DropLater' } }), context);
+    expect(request.method).toBe('POST');
+    expect(JSON.parse(request.body)).toEqual({ text: '*Deploy &lt;done&gt;*\nv2 &amp; friends', username: 'DropLater' });
+  });
+
+  await test('Discord messages never ping anyone', async () => {
+    const request = buildMessage(note({ channel: { type: 'discord', avatarUrl: 'https://h.example/a.png' } }), context);
+    expect(JSON.parse(request.body)).toEqual({
+      content: '**Deploy <done>**\nv2 & friends',
+      avatar_url: 'https://h.example/a.png',
+      allowed_mentions: { parse: [] }
+    });
+  });
+
+  await test('chat messages longer than the channel allows are template errors', async () => {
+    const long = (max) => ({ template: 'x'.repeat(max + 1), contentType: 'application/json' });
+    for (const [type, max] of [['slack', SLACK_TEXT_MAX], ['discord', DISCORD_CONTENT_MAX]]) {
+      let code = null;
+      try {
+        buildMessage(note({ channel: { type }, ...long(max) }), context);
+      } catch (error) {
+        code = error.code;
+      }
+      expect(code).toBe('ETEMPLATE');
+    }
+  });
+
+  await test('emails default to the title and body, templates render as HTML', async () => {
+    const channel = { type: 'email', to: ['a@example.com'] };
+    expect(buildMessage(note({ channel, contentType: 'text/plain' }), context)).toEqual({
+      to: ['a@example.com'],
+      cc: [],
+      replyTo: null,
+      subject: 'Deploy <done>',
+      text: 'v2 & friends'
+    });
+    const html = buildMessage(note({ channel: { ...channel, subject: 'Hi' }, contentType: 'text/html', template: '<b>{{title}}</b>' }), context);
+    expect(html.subject).toBe('Hi');
+    expect(html.html).toBe('<b>Deploy &lt;done&gt;</b>');
+  });
+
+  await test('channel problems name the fields that do not fit the channel', async () => {
+    const paths = (fields) => channelProblems(note(fields)).map(problem => problem.path.join('.'));
+    expect(paths({ webhookUrl: 'https://h.example/x', channel: { type: 'slack', to: ['a@example.com'] }, method: 'PUT', headers: { 'X-A': '1' } }))
+      .toEqual(['channel.to', 'method', 'headers']);
+    expect(paths({ topic: 'news', channel: { type: 'discord' }, cloudEvents: { mode: 'binary' }, contentType: 'text/plain' }))
+      .toEqual(['channel', 'cloudEvents', 'contentType']);
+    expect(paths({ webhookUrl: 'https://h.example/x', channel: { type: 'email' }, contentType: 'application/xml' }))
+      .toEqual(['webhookUrl', 'channel.to', 'contentType']);
+    expect(paths({ channel: { type: 'email', to: Array(30).fill('a@example.com'), cc: Array(21).fill('b@example.com') } }))
+      .toEqual(['channel.to']);
+    expect(paths({ channel: { type: 'email', to: ['a@example.com'] }, contentType: 'text/html' })).toEqual([]);
+  });
+
+  await test('emails send their body as text or HTML without a template', async () => {
+    const channel = { type: 'email', to: ['a@example.com'] };
+    expect(templateMissing(note({ channel, contentType: 'text/plain' }))).toBe(false);
+    expect(templateMissing(note({ channel, contentType: 'text/html' }))).toBe(false);
+    expect(templateMissing(note({ webhookUrl: 'https://h.example/x', contentType: 'text/plain' }))).toBe(true);
+    expect(templateMissing(note({ webhookUrl: 'https://h.example/x', contentType: 'text/plain', template: '{{body}}' }))).toBe(false);
+    expect(templateMissing(note({ webhookUrl: 'https://h.example/x' }))).toBe(false);
+  });
+
+  await test('email addresses are checked', async () => {
+    expect(isEmailAddress('ops@example.com')).toBe(true);
+    expect(isEmailAddress('first.last+tag@mail.example.co')).toBe(true);
+    expect(isEmailAddress('ops@example')).toBe(true);
+    expect(isEmailAddress('no-at-sign')).toBe(false);
+    expect(isEmailAddress('a b@example.com')).toBe(false);
+    expect(isEmailAddress('a@-example.com')).toBe(false);
+  });
+
+  await test('SMTP reply codes are classified', async () => {
+    const outcome = (statusCode, networkError = false) => classifyResponse({ statusCode, networkError }, EMAIL_RULES).outcome;
+    expect(outcome(250)).toBe('delivered');
+    expect(outcome(451)).toBe('retry');
+    expect(outcome(535)).toBe('retry');
+    expect(outcome(550)).toBe('permanent');
+    expect(outcome(0, true)).toBe('retry');
+  });
+
+  await test('the sink reads unfolded, lowercased mail headers', async () => {
+    const raw = 'Message-ID: <key-1@droplater>\r\nSubject: A long\r\n  subject\r\n\r\nBody: not a header';
+    expect(parseHeaders(raw)).toEqual({ 'message-id': '<key-1@droplater>', subject: 'A long subject' });
+  });
+
+  console.log(`\n Test Results:`);
+  console.log(`   Passed: ${passed}`);
+  console.log(`   Failed: ${failed}`);
+  console.log(`   Total:  ${passed + failed}`);
+
+  if (failed === 0) {
+    console.log('All unit tests passed!');
+    process.exit(0);
+  } else {
+    console.log('Some tests failed!');
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = {
+  runTests
+};
@@ -0,0 +1,166 @@
+const {
+  circuitKey,
+  parseCircuitKey,
+  circuitKeys,
+  circuitOutcome,
+  describeCircuit,
+  createCircuits
+} = require('../../worker/utils/circuit');
+
+// Just enough of ioredis to see what the circuits send and hand back replies.
+const fakeRedis = (replies = {}) => {
+  const calls = [];
+  return {
+    calls,
+    defineCommand(name) {
+      this[name] = async (...args) => {
+        calls.push([name, ...args]);
+        return replies[name];
+      };
+    },
+    hgetall: async () => ({ state: 'open', failures: '5', openedAt: '1735725600000', nextProbeAt: '1735725630000' }),
+    lrange: async () => [JSON.stringify({ from: 'closed', to: 'open', at: 1735725600000, reason: '5 consecutive failures: HTTP 503' })],
+    smembers: async (key) => {
+      calls.push(['smembers', key]);
+      return ['hooks.example.com'];
+    }
+  };
+};
+
+async function runTests() {
+  let passed = 0;
+  let failed = 0;
+
+  async function test(name, testFn) {
+    try {
+      await testFn();
+      console.log(`✅ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+      failed++;
+    }
+  }
+
+  function expect(actual) {
+    return {
+      toBe: (expected) => {
+        if (actual !== expected) {
+          throw new Error(`Expected "${expected}" but got "${actual}"`);
+        }
+      },
+      toEqual: (expected) => {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+          throw new Error(`Expected ${JSON.stringify(expected)} but got ${JSON.stringify(actual)}`);
+        }
+      }
+    };
+  }
+
+  console.log(' Running Unit Tests - Circuit Breakers\n');
+
+  await test('circuit keys round-trip, IPv6 hosts included', async () => {
+    expect(circuitKey('acme', 'hooks.example.com')).toBe('acme:hooks.example.com');
+    expect(parseCircuitKey('acme:2001:db8::1')).toEqual({ tenant: 'acme', host: '2001:db8::1' });
+  });
+
+  await test('each tenant and host has its own Redis keys', async () => {
+    expect(circuitKeys('acme:hooks.example.com')).toEqual({
+      state: 'circuit:acme:hooks.example.com',
+      history: 'circuit:acme:hooks.example.com:history',
+      tenantHosts: 'circuits:acme'
+    });
+  });
+
+  await test('retryable failures count against the host', async () => {
+    expect(circuitOutcome({ attempt: { ok: false, errorCode: 'HTTP' }, rule: { outcome: 'retry' } })).toBe('failure');
+    expect(circuitOutcome({ attempt: { ok: false, errorCode: 'ETIMEDOUT' }, rule: { outcome: 'retry' } })).toBe('failure');
+  });
+
+  await test('deliveries and permanent rejections show the host is up', async () => {
+    expect(circuitOutcome({ attempt: { ok: true }, rule: { outcome: 'delivered' } })).toBe('success');
+    expect(circuitOutcome({ attempt: { ok: false, errorCode: 'HTTP' }, rule: { outcome: 'permanent' } })).toBe('success');
+  });
+
+  await test('sends that never left say nothing about the host', async () => {
+    expect(circuitOutcome({ attempt: { ok: false, errorCode: 'BLOCKED' }, rule: { outcome: 'permanent' } })).toBe(null);
+    expect(circuitOutcome({ attempt: { ok: false, errorCode: 'TEMPLATE' }, rule: { outcome: 'permanent' } })).toBe(null);
+  });
+
+  await test('an unknown circuit is closed', async () => {
+    expect(describeCircuit('hooks.example.com', {})).toEqual({
+      host: 'hooks.example.com',
+      state: 'closed',
+      failures: 0,
+      lastError: null,
+      lastFailureAt: null,
+      openedAt: null,
+      nextProbeAt: null,
+      changedAt: null,
+      transitions: []
+    });
+  });
+
+  await test('only an open circuit reports its next probe', async () => {
+    const hash = { state: 'half-open', openedAt: '1000', nextProbeAt: '2000' };
+    expect(describeCircuit('h', hash).nextProbeAt).toBe(null);
+    expect(describeCircuit('h', hash).openedAt.getTime()).toBe(1000);
+    expect(describeCircuit('h', { ...hash, state: 'open' }).nextProbeAt.getTime()).toBe(2000);
+  });
+
+  await test('gate passes the holder and maps the reply', async () => {
+    const redis = fakeRedis({ droplaterCircuitGate: [0, 'open', 1500] });
+    const circuits = createCircuits(redis);
+
+    const gate = await circuits.gate('acme:hooks.example.com', 'Note:n1', 180000);
+    expect(gate).toEqual({ allowed: false, state: 'open', retryInMs: 1500 });
+    expect(redis.calls[0]).toEqual([
+      'droplaterCircuitGate', 'circuit:acme:hooks.example.com', 'circuit:acme:hooks.example.com:history', 'Note:n1', 180000
+    ]);
+  });
+
+  await test('record passes the threshold, cooldown and host', async () => {
+    const redis = fakeRedis({ droplaterCircuitRecord: ['open', 1] });
+    const circuits = createCircuits(redis, { threshold: 3, cooldownMs: 10000 });
+
+    const recorded = await circuits.record('acme:hooks.example.com', 'failure', 'HTTP 503');
+    expect(recorded).toEqual({ state: 'open', changed: true });
+    expect(redis.calls[0].slice(3)).toEqual(['circuits:acme', 'failure', 3, 10000, 'HTTP 503', 'acme', 'hooks.example.com']);
+  });
+
+  await test('get shapes state and transitions for the API', async () => {
+    const circuit = await createCircuits(fakeRedis()).get('acme:hooks.example.com');
+    expect(circuit.state).toBe('open');
+    expect(circuit.failures).toBe(5);
+    expect(circuit.nextProbeAt.toISOString()).toBe('2025-01-01T10:00:30.000Z');
+    expect(circuit.transitions[0].to).toBe('open');
+    expect(circuit.transitions[0].at.toISOString()).toBe('2025-01-01T10:00:00.000Z');
+  });
+
+  await test('hosts are listed per tenant', async () => {
+    const redis = fakeRedis();
+    expect(await createCircuits(redis).hosts('acme')).toEqual(['hooks.example.com']);
+    expect(redis.calls[0]).toEqual(['smembers', 'circuits:acme']);
+  });
+
+  console.log(`\n Test Results:`);
+  console.log(`   Passed: ${passed}`);
+  console.log(`   Failed: ${failed}`);
+  console.log(`   Total:  ${passed + failed}`);
+
+  if (failed === 0) {
+    console.log('All unit tests passed!');
+    process.exit(0);
+  } else {
+    console.log('Some tests failed!');
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = {
+  runTests
+};
@@ -0,0 +1,136 @@
+const {
+  DEFAULT_RULES,
+  classifyResponse,
+  loadResponseRules,
+  parseRetryAfter
+} = require('../../worker/utils/classifyResponse');
+
+function runTests() {
+  let passed = 0;
+  let failed = 0;
+  
+  function test(name, testFn) {
+    try {
+      testFn();
+      console.log(`✅ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+      failed++;
+    }
+  }
+  
+  function expect(actual) {
+    return {
+      toBe: (expected) => {
+        if (actual !== expected) {
+          throw new Error(`Expected "${expected}" but got "${actual}"`);
+        }
+      },
+      toThrow: () => {
+        try {
+          actual();
+        } catch (error) {
+          return;
+        }
+        throw new Error('Expected function to throw');
+      }
+    };
+  }
+  
+  console.log(' Running Unit Tests - Response Classification\n');
+  
+  const classify = (statusCode, rules) => classifyResponse({ statusCode, networkError: false }, rules).name;
+  
+  test('2xx responses are delivered', () => {
+    expect(classifyResponse({ statusCode: 204 }).outcome).toBe('delivered');
+    expect(classify(200)).toBe('success');
+  });
+  
+  test('408, 429 and 5xx are retryable', () => {
+    expect(classify(408)).toBe('retryable-status');
+    expect(classify(429)).toBe('retryable-status');
+    expect(classify(503)).toBe('server-error');
+    expect(classifyResponse({ statusCode: 500 }).outcome).toBe('retry');
+  });
+  
+  test('other 4xx are permanent', () => {
+    expect(classify(400)).toBe('client-error');
+    expect(classifyResponse({ statusCode: 404 }).outcome).toBe('permanent');
+  });
+  
+  test('network errors are retryable', () => {
+    const rule = classifyResponse({ statusCode: 0, networkError: true, error: 'ECONNREFUSED' });
+    
+    expect(rule.name).toBe('network-error');
+    expect(rule.outcome).toBe('retry');
+  });
+  
+  test('unmatched statuses fall back to a retry', () => {
+    expect(classify(302)).toBe('unclassified');
+    expect(classifyResponse({ statusCode: 302 }).outcome).toBe('retry');
+  });
+  
+  test('custom rules take precedence over the defaults', () => {
+    const rules = loadResponseRules(JSON.stringify([
+      { name: 'gone-retry', status: [410], outcome: 'retry' },
+      { name: 'server-permanent', status: ['5xx'], outcome: 'permanent' }
+    ]));
+    
+    expect(classify(410, rules)).toBe('gone-retry');
+    expect(classify(502, rules)).toBe('server-permanent');
+    expect(classify(404, rules)).toBe('client-error');
+    expect(classify(201, rules)).toBe('success');
+  });
+  
+  test('missing config uses the default rules', () => {
+    expect(loadResponseRules(undefined)).toBe(DEFAULT_RULES);
+  });
+  
+  test('malformed rules are rejected', () => {
+    expect(() => loadResponseRules('{"name":"x"}')).toThrow();
+    expect(() => loadResponseRules('[{"name":"x","status":[500],"outcome":"ignore"}]')).toThrow();
+    expect(() => loadResponseRules('[{"name":"x","outcome":"retry"}]')).toThrow();
+    expect(() => loadResponseRules('not json')).toThrow();
+  });
+  
+  test('Retry-After in seconds', () => {
+    expect(parseRetryAfter('120')).toBe(120000);
+    expect(parseRetryAfter('0')).toBe(0);
+  });
+  
+  test('Retry-After as an HTTP date', () => {
+    const now = Date.parse('2024-01-01T00:00:00Z');
+    
+    expect(parseRetryAfter('Mon, 01 Jan 2024 00:00:30 GMT', now)).toBe(30000);
+    expect(parseRetryAfter('Sun, 31 Dec 2023 23:00:00 GMT', now)).toBe(0);
+  });
+  
+  test('missing or invalid Retry-After is ignored', () => {
+    expect(parseRetryAfter(undefined)).toBe(null);
+    expect(parseRetryAfter('')).toBe(null);
+    expect(parseRetryAfter('soon')).toBe(null);
+    expect(parseRetryAfter('-5')).toBe(null);
+  });
+  
+  console.log(`\n Test Results:`);
+  console.log(`   Passed: ${passed}`);
+  console.log(`   Failed: ${failed}`);
+  console.log(`   Total:  ${passed + failed}`);
+  
+  if (failed === 0) {
+    console.log('All unit tests passed!');
+    process.exit(0);
+  } else {
+    console.log('Some tests failed!');
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = {
+  runTests
+};
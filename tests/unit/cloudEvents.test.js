@@ -0,0 +1,148 @@
+const {
+  STRUCTURED_CONTENT_TYPE,
+  BATCH_CONTENT_TYPE,
+  toCloudEvent,
+  buildCloudEventRequest,
+  buildBatchRequest,
+  batchIdempotencyKey
+} = require('../../api/utils/cloudEvents');
+const { cloudEventsMode, readCloudEvents } = require('../../sink/cloudEvents');
+
+async function runTests() {
+  let passed = 0;
+  let failed = 0;
+
+  async function test(name, testFn) {
+    try {
+      await testFn();
+      console.log(`✅ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+      failed++;
+    }
+  }
+
+  function expect(actual) {
+    return {
+      toBe: (expected) => {
+        if (actual !== expected) {
+          throw new Error(`Expected "${expected}" but got "${actual}"`);
+        }
+      },
+      toEqual: (expected) => {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+          throw new Error(`Expected ${JSON.stringify(expected)} but got ${JSON.stringify(actual)}`);
+        }
+      }
+    };
+  }
+
+  console.log(' Running Unit Tests - CloudEvents\n');
+
+  const note = {
+    _id: '65f000000000000000000001',
+    title: 'Invoice due',
+    body: 'Pay now',
+    releaseAt: '2024-03-10T12:00:00.000Z',
+    data: { amount: 42 }
+  };
+  const context = { deliveredAt: '2024-03-10T12:00:01.000Z', idempotencyKey: 'key-1' };
+
+  await test('the note maps onto the event, with the idempotency key as its id', async () => {
+    const event = toCloudEvent(note, context, { mode: 'structured' });
+    expect(event.specversion).toBe('1.0');
+    expect(event.id).toBe('key-1');
+    expect(event.source).toBe('/droplater/notes');
+    expect(event.type).toBe('com.droplater.note.released');
+    expect(event.subject).toBe('65f000000000000000000001');
+    expect(event.time).toBe('2024-03-10T12:00:00.000Z');
+    expect(event.datacontenttype).toBe('application/json');
+    expect(event.data.data).toEqual({ amount: 42 });
+  });
+
+  await test('type and source can be set, and topic deliveries default to the topic', async () => {
+    expect(toCloudEvent(note, context, { mode: 'binary', type: 'com.acme.invoice.due', source: 'urn:acme:billing' }).type).toBe('com.acme.invoice.due');
+    expect(toCloudEvent(note, { ...context, topic: 'billing' }, { mode: 'binary' }).source).toBe('/droplater/topics/billing');
+  });
+
+  await test('non-JSON bodies are carried as a string', async () => {
+    const event = toCloudEvent({ ...note, contentType: 'text/plain', template: '{{title}}' }, context, { mode: 'structured' });
+    expect(event.datacontenttype).toBe('text/plain');
+    expect(event.data).toBe('Invoice due');
+  });
+
+  await test('binary mode keeps the body and adds ce-* headers', async () => {
+    const request = buildCloudEventRequest({ ...note, headers: { 'X-Team': 'ops' } }, context, { mode: 'binary' });
+    expect(request.contentType).toBe('application/json');
+    expect(request.headers['X-Team']).toBe('ops');
+    expect(request.headers['ce-id']).toBe('key-1');
+    expect(request.headers['ce-time']).toBe('2024-03-10T12:00:00.000Z');
+    expect(JSON.parse(request.body).title).toBe('Invoice due');
+  });
+
+  await test('structured mode sends the event itself', async () => {
+    const request = buildCloudEventRequest(note, context, { mode: 'structured' });
+    expect(request.contentType).toBe(STRUCTURED_CONTENT_TYPE);
+    expect(JSON.parse(request.body).id).toBe('key-1');
+  });
+
+  await test('a batch is a POST of every event, keyed by their ids in any order', async () => {
+    const request = buildBatchRequest([
+      { note, context, settings: { mode: 'batch' } },
+      { note: { ...note, _id: 'n2' }, context: { ...context, idempotencyKey: 'key-2' }, settings: { mode: 'batch' } }
+    ]);
+    expect(request.method).toBe('POST');
+    expect(request.contentType).toBe(BATCH_CONTENT_TYPE);
+    expect(JSON.parse(request.body).map(event => event.id)).toEqual(['key-1', 'key-2']);
+    expect(batchIdempotencyKey(['key-1', 'key-2'])).toBe(batchIdempotencyKey(['key-2', 'key-1']));
+  });
+
+  await test('the sink tells the modes apart', async () => {
+    expect(cloudEventsMode({ 'content-type': BATCH_CONTENT_TYPE })).toBe('batch');
+    expect(cloudEventsMode({ 'content-type': STRUCTURED_CONTENT_TYPE })).toBe('structured');
+    expect(cloudEventsMode({ 'content-type': 'application/json', 'ce-specversion': '1.0' })).toBe('binary');
+    expect(cloudEventsMode({ 'content-type': 'application/json' })).toBe(null);
+  });
+
+  await test('the sink accepts what DropLater sends in every mode', async () => {
+    const binary = buildCloudEventRequest(note, context, { mode: 'binary' });
+    const headers = { 'content-type': binary.contentType };
+    Object.entries(binary.headers).forEach(([name, value]) => { headers[name.toLowerCase()] = value; });
+    expect(readCloudEvents('binary', headers, JSON.parse(binary.body)).ok).toBe(true);
+
+    const structured = buildCloudEventRequest(note, context, { mode: 'structured' });
+    expect(readCloudEvents('structured', {}, JSON.parse(structured.body)).events[0].id).toBe('key-1');
+
+    const batch = buildBatchRequest([{ note, context, settings: { mode: 'batch' } }]);
+    expect(readCloudEvents('batch', {}, JSON.parse(batch.body)).events.length).toBe(1);
+  });
+
+  await test('the sink rejects events missing required attributes', async () => {
+    expect(readCloudEvents('structured', {}, { specversion: '1.0', id: 'a', type: 't' })).toEqual({ ok: false, reason: 'missing source' });
+    expect(readCloudEvents('binary', { 'ce-specversion': '0.3' }, {}).reason).toBe('unsupported specversion "0.3"');
+    expect(readCloudEvents('batch', {}, [{ specversion: '1.0', id: 'a', source: 's', type: 't' }, null]).reason).toBe('event 1: event must be a JSON object');
+    expect(readCloudEvents('batch', {}, {}).ok).toBe(false);
+  });
+
+  console.log(`\n Test Results:`);
+  console.log(`   Passed: ${passed}`);
+  console.log(`   Failed: ${failed}`);
+  console.log(`   Total:  ${passed + failed}`);
+
+  if (failed === 0) {
+    console.log('All unit tests passed!');
+    process.exit(0);
+  } else {
+    console.log('Some tests failed!');
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = {
+  runTests
+};
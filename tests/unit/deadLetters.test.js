@@ -0,0 +1,178 @@
+const {
+  NO_ATTEMPTS,
+  CSV_COLUMNS,
+  reasonOf,
+  isValidReason,
+  deadLetterStages,
+  exportRecord,
+  csvLine,
+  csvLines,
+  destinationsOverThreshold
+} = require('../../api/utils/deadLetters');
+
+async function runTests() {
+  let passed = 0;
+  let failed = 0;
+
+  async function test(name, testFn) {
+    try {
+      await testFn();
+      console.log(`✅ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+      failed++;
+    }
+  }
+
+  function expect(actual) {
+    return {
+      toBe: (expected) => {
+        if (actual !== expected) {
+          throw new Error(`Expected "${expected}" but got "${actual}"`);
+        }
+      },
+      toEqual: (expected) => {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+          throw new Error(`Expected ${JSON.stringify(expected)} but got ${JSON.stringify(actual)}`);
+        }
+      }
+    };
+  }
+
+  console.log(' Running Unit Tests - Dead Letters\n');
+
+  const now = new Date('2024-03-10T12:00:00.000Z');
+
+  const deadNote = {
+    _id: '65f000000000000000000001',
+    tenant: 'acme',
+    title: 'Invoice, "final"',
+    body: 'Pay up',
+    webhookUrl: 'https://hooks.example.com/in',
+    destination: 'hooks.example.com',
+    releaseAt: new Date('2024-03-09T00:00:00.000Z'),
+    updatedAt: new Date('2024-03-09T00:05:00.000Z'),
+    attemptCount: 2,
+    attempts: [
+      { at: new Date('2024-03-09T00:00:01.000Z'), statusCode: 503, ok: false, errorCode: 'HTTP', error: 'HTTP 503', durationMs: 40 },
+      { at: new Date('2024-03-09T00:05:00.000Z'), statusCode: null, ok: false, errorCode: 'TIMEOUT', error: 'timeout of 10000ms exceeded', durationMs: 10000 }
+    ]
+  };
+  deadNote.lastAttempt = deadNote.attempts[1];
+
+  await test('reasons name the HTTP status, the error code, or the lack of attempts', async () => {
+    expect(reasonOf({ errorCode: 'HTTP', statusCode: 503 })).toBe('HTTP 503');
+    expect(reasonOf({ errorCode: 'SMTP', statusCode: 550 })).toBe('SMTP 550');
+    expect(reasonOf({ errorCode: 'ECONNREFUSED', statusCode: null })).toBe('ECONNREFUSED');
+    expect(reasonOf(undefined)).toBe(NO_ATTEMPTS);
+    expect(reasonOf({ errorCode: null, statusCode: null })).toBe(NO_ATTEMPTS);
+  });
+
+  await test('reason filters accept only reasons that can be produced', async () => {
+    expect(isValidReason('HTTP 503')).toBe(true);
+    expect(isValidReason('SMTP 550')).toBe(true);
+    expect(isValidReason('TIMEOUT')).toBe(true);
+    expect(isValidReason('no attempts')).toBe(true);
+    expect(isValidReason('HTTP five')).toBe(false);
+    expect(isValidReason('$where')).toBe(false);
+  });
+
+  await test('dead letters are matched on tenant, status and age before anything else', async () => {
+    const [first] = deadLetterStages({ olderThanDays: 7 }, 'acme', now);
+    expect(first).toEqual({
+      $match: { tenant: 'acme', status: 'dead', updatedAt: { $lt: new Date('2024-03-03T12:00:00.000Z') } }
+    });
+  });
+
+  await test('the earlier of to and olderThanDays bounds the age', async () => {
+    const [first] = deadLetterStages({ to: '2024-03-01T00:00:00.000Z', olderThanDays: 7 }, 'acme', now);
+    expect(first.$match.updatedAt).toEqual({ $lt: new Date('2024-03-01T00:00:00.000Z') });
+
+    const [second] = deadLetterStages({ from: '2024-01-01T00:00:00.000Z', to: '2024-03-08T00:00:00.000Z', olderThanDays: 7 }, 'acme', now);
+    expect(second.$match.updatedAt).toEqual({
+      $gte: new Date('2024-01-01T00:00:00.000Z'),
+      $lt: new Date('2024-03-03T12:00:00.000Z')
+    });
+  });
+
+  await test('destination and reason narrow the dead letters after they are derived', async () => {
+    const stages = deadLetterStages({ destination: 'Hooks.Example.com', reason: 'HTTP 503' }, 'acme', now);
+    expect(stages.length).toBe(3);
+    expect(stages[2]).toEqual({
+      $match: { destination: 'hooks.example.com', 'lastAttempt.errorCode': 'HTTP', 'lastAttempt.statusCode': 503 }
+    });
+
+    const [, , bounced] = deadLetterStages({ destination: 'email', reason: 'SMTP 550' }, 'acme', now);
+    expect(bounced).toEqual({
+      $match: { destination: 'email', 'lastAttempt.errorCode': 'SMTP', 'lastAttempt.statusCode': 550 }
+    });
+
+    const [, , noAttempts] = deadLetterStages({ reason: NO_ATTEMPTS }, 'acme', now);
+    expect(noAttempts).toEqual({ $match: { 'lastAttempt.errorCode': null } });
+  });
+
+  await test('the default tenant includes notes stored without one', async () => {
+    const [first] = deadLetterStages({}, 'default', now);
+    expect(first).toEqual({ $match: { tenant: { $in: ['default', null] }, status: 'dead' } });
+    expect(deadLetterStages({}, 'default', now).length).toBe(2);
+  });
+
+  await test('exported records carry the reason and every attempt', async () => {
+    const record = exportRecord(deadNote);
+    expect(record.noteId).toBe('65f000000000000000000001');
+    expect(record.reason).toBe('TIMEOUT');
+    expect(record.topic).toBe(null);
+    expect(record.attempts.length).toBe(2);
+    expect(record.attempts[0].statusCode).toBe(503);
+    expect(record.attempts[1].responseBody).toBe(null);
+  });
+
+  await test('CSV values with commas, quotes or line breaks are quoted', async () => {
+    expect(csvLine(['plain', 'a,b', 'say "hi"', 'two\nlines', null, 3])).toBe('plain,"a,b","say ""hi""","two\nlines",,3\r\n');
+    expect(csvLine(CSV_COLUMNS).startsWith('noteId,tenant,title,')).toBe(true);
+  });
+
+  await test('CSV has one row per attempt, and one for a note never attempted', async () => {
+    const rows = csvLines(exportRecord(deadNote)).trim().split('\r\n');
+    expect(rows.length).toBe(2);
+    expect(rows[0].split(',').length).toBe(CSV_COLUMNS.length + 1);
+    expect(rows[1].endsWith(',2,2024-03-09T00:05:00.000Z,,TIMEOUT,timeout of 10000ms exceeded,10000')).toBe(true);
+
+    const neverAttempted = csvLines(exportRecord({ ...deadNote, attempts: [], lastAttempt: undefined, attemptCount: 0 }));
+    expect(neverAttempted.endsWith(`,${NO_ATTEMPTS},0,,,,,,\r\n`)).toBe(true);
+  });
+
+  await test('alerts fire for destinations at or over the threshold, worst first', async () => {
+    const counts = [
+      { destination: 'a.example.com', count: 3 },
+      { destination: 'topic:orders', count: 10 },
+      { destination: 'b.example.com', count: 5 },
+      { destination: 'c.example.com', count: 5 }
+    ];
+    expect(destinationsOverThreshold(counts, 5).map(({ destination }) => destination))
+      .toEqual(['topic:orders', 'b.example.com', 'c.example.com']);
+    expect(destinationsOverThreshold(counts, 11)).toEqual([]);
+  });
+
+  console.log(`\n Test Results:`);
+  console.log(`   Passed: ${passed}`);
+  console.log(`   Failed: ${failed}`);
+  console.log(`   Total:  ${passed + failed}`);
+
+  if (failed === 0) {
+    console.log('All unit tests passed!');
+    process.exit(0);
+  } else {
+    console.log('Some tests failed!');
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = {
+  runTests
+};
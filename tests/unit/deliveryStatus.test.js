@@ -0,0 +1,114 @@
+const { rollUpStatus, settleRollUp, summarizeDeliveries } = require('../../worker/utils/deliveryStatus');
+
+async function runTests() {
+  let passed = 0;
+  let failed = 0;
+  
+  async function test(name, testFn) {
+    try {
+      await testFn();
+      console.log(`✅ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+      failed++;
+    }
+  }
+  
+  function expect(actual) {
+    return {
+      toBe: (expected) => {
+        if (actual !== expected) {
+          throw new Error(`Expected "${expected}" but got "${actual}"`);
+        }
+      },
+      toEqual: (expected) => {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+          throw new Error(`Expected ${JSON.stringify(expected)} but got ${JSON.stringify(actual)}`);
+        }
+      }
+    };
+  }
+  
+  console.log(' Running Unit Tests - Delivery Status Roll-up\n');
+  
+  await test('all delivered rolls up to delivered', () => {
+    expect(rollUpStatus(['delivered', 'delivered'])).toBe('delivered');
+  });
+  
+  await test('a mix of delivered and dead is partially delivered', () => {
+    expect(rollUpStatus(['delivered', 'dead', 'delivered'])).toBe('partially_delivered');
+  });
+  
+  await test('all dead rolls up to dead', () => {
+    expect(rollUpStatus(['dead', 'dead'])).toBe('dead');
+  });
+  
+  await test('in-progress deliveries keep the note open', () => {
+    expect(rollUpStatus(['delivered', 'pending'])).toBe('pending');
+    expect(rollUpStatus(['delivered', 'failed', 'pending'])).toBe('failed');
+    expect(rollUpStatus(['dead', 'failed'])).toBe('failed');
+  });
+  
+  await test('cancelled deliveries are ignored unless nothing else is left', () => {
+    expect(rollUpStatus(['delivered', 'cancelled'])).toBe('delivered');
+    expect(rollUpStatus(['dead', 'cancelled', 'delivered'])).toBe('partially_delivered');
+    expect(rollUpStatus(['cancelled', 'cancelled'])).toBe('cancelled');
+  });
+  
+  await test('a topic without subscribers counts as delivered', () => {
+    expect(rollUpStatus([])).toBe('delivered');
+  });
+  
+  await test('summary counts deliveries per status', () => {
+    expect(summarizeDeliveries(['delivered', 'dead', 'delivered'])).toEqual({ total: 3, delivered: 2, dead: 1 });
+    expect(summarizeDeliveries([])).toEqual({ total: 0 });
+  });
+  
+  await test('a roll-up written from a stale read is written again', async () => {
+    const deliveries = [{ _id: 'a', status: 'delivered' }, { _id: 'b', status: 'pending' }];
+    let noteStatus = null;
+    const read = async () => deliveries.map(delivery => ({ ...delivery }));
+    const write = async (snapshot) => {
+      noteStatus = rollUpStatus(snapshot.map(delivery => delivery.status));
+      return noteStatus;
+    };
+  
+    // A reads while B is still pending; B then dies and rolls up before
+    // A's write lands.
+    let first = true;
+    const readA = async () => {
+      const snapshot = await read();
+      if (first) {
+        first = false;
+        deliveries[1].status = 'dead';
+        await settleRollUp(read, write);
+      }
+      return snapshot;
+    };
+  
+    expect(await settleRollUp(readA, write)).toBe('partially_delivered');
+    expect(noteStatus).toBe('partially_delivered');
+  });
+  
+  console.log(`\n Test Results:`);
+  console.log(`   Passed: ${passed}`);
+  console.log(`   Failed: ${failed}`);
+  console.log(`   Total:  ${passed + failed}`);
+  
+  if (failed === 0) {
+    console.log('All unit tests passed!');
+    process.exit(0);
+  } else {
+    console.log('Some tests failed!');
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = {
+  runTests
+};
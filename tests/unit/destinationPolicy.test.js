@@ -0,0 +1,173 @@
+const {
+  isPrivateAddress,
+  isValidPattern,
+  buildPolicy,
+  checkUrl,
+  checkDestination,
+  createPinnedLookup
+} = require('../../worker/utils/destinationPolicy');
+
+async function runTests() {
+  let passed = 0;
+  let failed = 0;
+  
+  async function test(name, testFn) {
+    try {
+      await testFn();
+      console.log(`✅ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+      failed++;
+    }
+  }
+  
+  function expect(actual) {
+    return {
+      toBe: (expected) => {
+        if (actual !== expected) {
+          throw new Error(`Expected "${expected}" but got "${actual}"`);
+        }
+      },
+      toEqual: (expected) => {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+          throw new Error(`Expected ${JSON.stringify(expected)} but got ${JSON.stringify(actual)}`);
+        }
+      },
+      toThrow: () => {
+        try {
+          actual();
+        } catch (error) {
+          return;
+        }
+        throw new Error('Expected function to throw');
+      }
+    };
+  }
+  
+  console.log(' Running Unit Tests - Destination Policy\n');
+  
+  const noEnv = {};
+  const defaultPolicy = buildPolicy({}, noEnv);
+  const resolvesTo = (...addresses) => (hostname, options, callback) => {
+    callback(null, addresses.map(address => ({ address, family: address.includes(':') ? 6 : 4 })));
+  };
+  
+  await test('loopback, private, link-local and metadata addresses are private', () => {
+    ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1']
+      .forEach(address => expect(isPrivateAddress(address)).toBe(true));
+  });
+  
+  await test('public addresses are not private', () => {
+    ['8.8.8.8', '172.32.0.1', '2606:4700::1111', '::ffff:8.8.8.8']
+      .forEach(address => expect(isPrivateAddress(address)).toBe(false));
+  });
+  
+  await test('patterns accept hosts, wildcards, IPs and CIDR ranges', () => {
+    ['hooks.example.com', '*.example.com', '10.0.0.1', '10.0.0.0/8', 'fd00::/8'].forEach(pattern => expect(isValidPattern(pattern)).toBe(true));
+    ['http://example.com', 'example.*', '10.0.0.0/33', ''].forEach(pattern => expect(isValidPattern(pattern)).toBe(false));
+  });
+  
+  await test('IP literals in private ranges are rejected', () => {
+    expect(checkUrl('http://169.254.169.254/latest/meta-data', defaultPolicy)).toBe('Destination 169.254.169.254 is a private address');
+    expect(checkUrl('http://[::1]:8080/', defaultPolicy)).toBe('Destination ::1 is a private address');
+  });
+  
+  await test('alternative spellings of loopback are rejected', () => {
+    ['http://127.1/', 'http://2130706433/', 'http://0x7f000001/', 'http://[::ffff:127.0.0.1]/', 'http://localhost:3000/', 'http://api.localhost/']
+      .forEach(url => expect(checkUrl(url, defaultPolicy) !== null).toBe(true));
+  });
+  
+  await test('public URLs pass', () => {
+    expect(checkUrl('https://hooks.example.com/path', defaultPolicy)).toBe(null);
+    expect(checkUrl('http://8.8.8.8/', defaultPolicy)).toBe(null);
+  });
+  
+  await test('only http and https are allowed', () => {
+    expect(checkUrl('ftp://example.com/', defaultPolicy)).toBe('Destination must use http or https');
+  });
+  
+  await test('allowlisted hosts and ranges may be private', () => {
+    const policy = buildPolicy({ allow: ['10.20.0.0/16'] }, { DESTINATION_ALLOWLIST: 'localhost,sink' });
+    expect(checkUrl('http://localhost:4000/sink', policy)).toBe(null);
+    expect(checkUrl('http://10.20.1.1/', policy)).toBe(null);
+    expect(checkUrl('http://10.21.1.1/', policy) !== null).toBe(true);
+  });
+  
+  await test('deny patterns win over allow patterns', () => {
+    const policy = buildPolicy({ allow: ['*.example.com'], deny: ['bad.example.com'] }, noEnv);
+    expect(checkUrl('https://good.example.com/', policy)).toBe(null);
+    expect(checkUrl('https://bad.example.com/', policy)).toBe('Destination host bad.example.com is denied');
+  });
+  
+  await test('wildcards match subdomains only', () => {
+    const policy = buildPolicy({ deny: ['*.example.com'] }, noEnv);
+    expect(checkUrl('https://a.b.example.com/', policy) !== null).toBe(true);
+    expect(checkUrl('https://example.com/', policy)).toBe(null);
+    expect(checkUrl('https://notexample.com/', policy)).toBe(null);
+  });
+  
+  await test('malformed patterns in the environment throw', () => {
+    expect(() => buildPolicy({}, { DESTINATION_DENYLIST: 'http://x' })).toThrow();
+  });
+  
+  await test('hostnames resolving to private addresses are rejected', async () => {
+    const lookup = async () => [{ address: '93.184.216.34', family: 4 }, { address: '10.0.0.5', family: 4 }];
+    expect(await checkDestination('https://rebind.example.com/', defaultPolicy, lookup))
+      .toBe('Destination rebind.example.com resolves to private address 10.0.0.5');
+  });
+  
+  await test('DNS failures are not violations', async () => {
+    const lookup = async () => { throw Object.assign(new Error('not found'), { code: 'ENOTFOUND' }); };
+    expect(await checkDestination('https://missing.example.com/', defaultPolicy, lookup)).toBe(null);
+  });
+  
+  await test('pinned lookup returns exactly the checked addresses', () => {
+    const lookup = createPinnedLookup(defaultPolicy, resolvesTo('93.184.216.34'));
+    lookup('hooks.example.com', {}, (error, address, family) => {
+      expect(error).toBe(null);
+      expect(address).toBe('93.184.216.34');
+      expect(family).toBe(4);
+    });
+    lookup('hooks.example.com', { all: true }, (error, addresses) => {
+      expect(addresses).toEqual([{ address: '93.184.216.34', family: 4 }]);
+    });
+  });
+  
+  await test('pinned lookup refuses private addresses', () => {
+    const lookup = createPinnedLookup(defaultPolicy, resolvesTo('127.0.0.1'));
+    let failure = null;
+    lookup('rebind.example.com', {}, (error) => { failure = error; });
+    expect(failure.code).toBe('EDESTINATIONBLOCKED');
+  });
+  
+  await test('pinned lookup honours the allowlist', () => {
+    const policy = buildPolicy({}, { DESTINATION_ALLOWLIST: 'sink' });
+    const lookup = createPinnedLookup(policy, resolvesTo('172.18.0.4'));
+    lookup('sink', {}, (error, address) => {
+      expect(error).toBe(null);
+      expect(address).toBe('172.18.0.4');
+    });
+  });
+  
+  console.log(`\n Test Results:`);
+  console.log(`   Passed: ${passed}`);
+  console.log(`   Failed: ${failed}`);
+  console.log(`   Total:  ${passed + failed}`);
+  
+  if (failed === 0) {
+    console.log('All unit tests passed!');
+    process.exit(0);
+  } else {
+    console.log('Some tests failed!');
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = {
+  runTests
+};
@@ -0,0 +1,213 @@
+const {
+  EVENTS_KEY,
+  compareEventIds,
+  isEventId,
+  noteEvent,
+  parseEntry,
+  matchesFilter,
+  formatSse,
+  createEvents
+} = require('../../api/utils/events');
+const { createEventHub } = require('../../api/utils/eventHub');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// An in-memory stream with the handful of commands the events and the hub
+// use. `onRange` runs before each XRANGE answers, to add events mid catch-up.
+const fakeStream = ({ onRange } = {}) => {
+  const entries = [];
+  let seq = 0;
+  const after = (id) => entries.filter(([entryId]) => compareEventIds(entryId, id) > 0);
+
+  const redis = {
+    entries,
+    add(event) {
+      const id = `1000-${seq++}`;
+      entries.push([id, ['type', event.type, 'event', JSON.stringify(event)]]);
+      return id;
+    },
+    xadd: async (key, ...args) => redis.add(JSON.parse(args[args.length - 1])),
+    xrange: async (key, start, end, countLabel, count) => {
+      if (onRange) await onRange();
+      const found = start === '-' ? entries : after(start.slice(1));
+      return found.slice(0, count);
+    },
+    xrevrange: async () => entries.slice(-1),
+    xread: async (...args) => {
+      const lastId = args[args.length - 1];
+      if (after(lastId).length === 0) await sleep(5);
+      const found = after(lastId);
+      return found.length > 0 ? [[EVENTS_KEY, found]] : null;
+    }
+  };
+  return redis;
+};
+
+async function runTests() {
+  let passed = 0;
+  let failed = 0;
+
+  async function test(name, testFn) {
+    try {
+      await testFn();
+      console.log(`✅ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+      failed++;
+    }
+  }
+
+  function expect(actual) {
+    return {
+      toBe: (expected) => {
+        if (actual !== expected) {
+          throw new Error(`Expected "${expected}" but got "${actual}"`);
+        }
+      },
+      toEqual: (expected) => {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+          throw new Error(`Expected ${JSON.stringify(expected)} but got ${JSON.stringify(actual)}`);
+        }
+      }
+    };
+  }
+
+  console.log(' Running Unit Tests - Note Events\n');
+
+  const note = { _id: '65a1b2c3d4e5f6a7b8c9d0e1', tenant: 'acme', topic: 'orders', status: 'failed' };
+  const event = (type, fields = {}) => ({ type, tenant: 'acme', noteId: note._id, topic: 'orders', ...fields });
+
+  await test('stream ids compare by time, then sequence', async () => {
+    expect(compareEventIds('1000-2', '999-5') > 0).toBe(true);
+    expect(compareEventIds('1000-2', '1000-10') < 0).toBe(true);
+    expect(compareEventIds('1000-2', '1000-2')).toBe(0);
+    expect(isEventId('1000-2')).toBe(true);
+    expect(isEventId('latest')).toBe(false);
+  });
+
+  await test('note events carry the tenant, delivery and extra fields', async () => {
+    const delivered = noteEvent('delivered', note, {
+      delivery: { _id: 'd1', endpointName: 'billing', status: 'delivered' },
+      statusCode: 200
+    });
+    expect(delivered.tenant).toBe('acme');
+    expect(delivered.deliveryId).toBe('d1');
+    expect(delivered.endpoint).toBe('billing');
+    expect(delivered.status).toBe('delivered');
+    expect(delivered.statusCode).toBe(200);
+  });
+
+  await test('notes without a tenant belong to the default tenant', async () => {
+    expect(noteEvent('created', { _id: note._id, status: 'pending' }).tenant).toBe('default');
+  });
+
+  await test('filters always match the tenant, the rest only when given', async () => {
+    expect(matchesFilter(event('dead'), { tenant: 'acme' })).toBe(true);
+    expect(matchesFilter(event('dead'), { tenant: 'other' })).toBe(false);
+    expect(matchesFilter(event('dead'), { tenant: 'acme', types: ['delivered'] })).toBe(false);
+    expect(matchesFilter(event('dead'), { tenant: 'acme', topic: 'orders', noteId: note._id })).toBe(true);
+  });
+
+  await test('events are framed as text/event-stream with their id', async () => {
+    expect(formatSse({ id: '1000-0', type: 'dead', noteId: 'n1' }))
+      .toBe('id: 1000-0\nevent: dead\ndata: {"id":"1000-0","type":"dead","noteId":"n1"}\n\n');
+    expect(parseEntry(['1000-0', ['type', 'dead', 'event', '{"type":"dead"}']])).toEqual({ id: '1000-0', type: 'dead' });
+  });
+
+  await test('publishing errors are reported, not thrown', async () => {
+    let reported = null;
+    const events = createEvents({ xadd: async () => { throw new Error('Connection is closed'); } }, {
+      onError: (error) => { reported = error.message; }
+    });
+    expect(await events.publish(event('created'))).toBe(null);
+    expect(reported).toBe('Connection is closed');
+  });
+
+  await test('subscribers get live events matching their filter', async () => {
+    const redis = fakeStream();
+    const hub = createEventHub(redis, () => redis, { blockMs: 5 });
+    const received = [];
+    const unsubscribe = await hub.subscribe({
+      filter: { tenant: 'acme', types: ['dead'] },
+      send: (sent) => received.push(sent.type)
+    });
+
+    await sleep(10);
+    redis.add(event('created'));
+    redis.add(event('dead'));
+    redis.add({ ...event('dead'), tenant: 'other' });
+    await sleep(30);
+    unsubscribe();
+
+    expect(received).toEqual(['dead']);
+    expect(hub.size).toBe(0);
+  });
+
+  await test('resuming sends missed events, then live ones, each once and in order', async () => {
+    let added = false;
+    const redis = fakeStream({
+      onRange: async () => {
+        // An event published while catching up reaches the live reader too.
+        if (!added && redis.entries.length > 0) {
+          added = true;
+          redis.add(event('delivered'));
+          await sleep(30);
+        }
+      }
+    });
+    const seen = redis.add(event('created'));
+    redis.add(event('scheduled'));
+    redis.add(event('attempt.started'));
+
+    const hub = createEventHub(redis, () => redis, { blockMs: 5 });
+    const received = [];
+    const unsubscribe = await hub.subscribe({
+      filter: { tenant: 'acme' },
+      lastEventId: seen,
+      send: (sent) => received.push(sent.type)
+    });
+    redis.add(event('attempt.finished'));
+    await sleep(30);
+    unsubscribe();
+
+    expect(received).toEqual(['scheduled', 'attempt.started', 'delivered', 'attempt.finished']);
+  });
+
+  await test('resuming from a trimmed event reports the gap', async () => {
+    const redis = fakeStream();
+    redis.add(event('created'));
+    const hub = createEventHub(redis, () => redis, { blockMs: 5 });
+    let gap = false;
+    const unsubscribe = await hub.subscribe({
+      filter: { tenant: 'acme' },
+      lastEventId: '999-0',
+      send: () => {},
+      onGap: () => { gap = true; }
+    });
+    unsubscribe();
+
+    expect(gap).toBe(true);
+  });
+
+  console.log(`\n Test Results:`);
+  console.log(`   Passed: ${passed}`);
+  console.log(`   Failed: ${failed}`);
+  console.log(`   Total:  ${passed + failed}`);
+
+  if (failed === 0) {
+    console.log('All unit tests passed!');
+    process.exit(0);
+  } else {
+    console.log('Some tests failed!');
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = {
+  runTests
+};
@@ -0,0 +1,219 @@
+const { idempotencyMiddleware } = require('../../api/middleware/idempotency');
+
+// Just enough of ioredis for the middleware: SET with EX and NX, GET and DEL
+// on a Map, with a switch to make every call fail.
+const fakeRedis = () => {
+  const store = new Map();
+  const ttls = new Map();
+  return {
+    store,
+    ttls,
+    down: false,
+    async set(key, value, ...options) {
+      if (this.down) throw new Error('Connection refused');
+      if (options.includes('NX') && store.has(key)) return null;
+      store.set(key, value);
+      ttls.set(key, options[options.indexOf('EX') + 1]);
+      return 'OK';
+    },
+    async get(key) {
+      if (this.down) throw new Error('Connection refused');
+      return store.has(key) ? store.get(key) : null;
+    },
+    async del(key) {
+      return store.delete(key) ? 1 : 0;
+    }
+  };
+};
+
+// Runs one request through the middleware and then `handler`, if the
+// middleware lets it through. Resolves once the response is sent.
+const send = (middleware, { key, body = {}, tenant = 'acme' }, handler = () => {}) => new Promise((resolve) => {
+  const req = { headers: key === undefined ? {} : { 'idempotency-key': key }, body, auth: { tenant } };
+  const res = {
+    statusCode: 200,
+    headers: {},
+    handled: false,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    set(name, value) {
+      this.headers[name] = value;
+      return this;
+    },
+    json(payload) {
+      resolve({ statusCode: this.statusCode, headers: this.headers, body: payload, handled: this.handled });
+      return this;
+    }
+  };
+  middleware(req, res, () => {
+    res.handled = true;
+    handler(req, res);
+  });
+});
+
+async function runTests() {
+  let passed = 0;
+  let failed = 0;
+
+  async function test(name, testFn) {
+    try {
+      await testFn();
+      console.log(`✅ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+      failed++;
+    }
+  }
+
+  function expect(actual) {
+    return {
+      toBe: (expected) => {
+        if (actual !== expected) {
+          throw new Error(`Expected "${expected}" but got "${actual}"`);
+        }
+      },
+      toEqual: (expected) => {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+          throw new Error(`Expected ${JSON.stringify(expected)} but got ${JSON.stringify(actual)}`);
+        }
+      }
+    };
+  }
+
+  const created = (req, res) => res.status(201).json({ id: 'n1', title: req.body.title });
+
+  console.log(' Running Unit Tests - Idempotency Middleware\n');
+
+  await test('requests without a key go straight through', async () => {
+    const redis = fakeRedis();
+    const middleware = idempotencyMiddleware({ scope: 'notes:create', getClient: () => redis });
+    const response = await send(middleware, { body: { title: 'a' } }, created);
+    expect(response.handled).toBe(true);
+    expect(redis.store.size).toBe(0);
+  });
+
+  await test('empty and overlong keys are rejected', async () => {
+    const middleware = idempotencyMiddleware({ scope: 'notes:create', getClient: fakeRedis });
+    expect((await send(middleware, { key: '' })).statusCode).toBe(400);
+    expect((await send(middleware, { key: 'k'.repeat(256) })).statusCode).toBe(400);
+  });
+
+  await test('a retry with the same body gets the stored response replayed', async () => {
+    const redis = fakeRedis();
+    const middleware = idempotencyMiddleware({ scope: 'notes:create', getClient: () => redis });
+    const first = await send(middleware, { key: 'k1', body: { title: 'a', tags: ['x'] } }, created);
+    expect(first.statusCode).toBe(201);
+    expect(JSON.parse(redis.store.get('idempotency-key:notes:create:acme:k1')).state).toBe('completed');
+
+    // Key order doesn't make it a different request.
+    const retry = await send(middleware, { key: 'k1', body: { tags: ['x'], title: 'a' } }, created);
+    expect(retry.handled).toBe(false);
+    expect(retry.statusCode).toBe(201);
+    expect(retry.headers['Idempotent-Replayed']).toBe('true');
+    expect(retry.body).toEqual({ id: 'n1', title: 'a' });
+  });
+
+  await test('a running request holds its key briefly, a completed one for the full TTL', async () => {
+    const redis = fakeRedis();
+    const middleware = idempotencyMiddleware({ scope: 'notes:create', ttlSeconds: 86400, reservationSeconds: 60, getClient: () => redis });
+    const storeKey = 'idempotency-key:notes:create:acme:k1';
+    let finish;
+    const first = send(middleware, { key: 'k1', body: { title: 'a' } }, (req, res) => {
+      finish = () => created(req, res);
+    });
+    await new Promise(resolve => setImmediate(resolve));
+    expect(redis.ttls.get(storeKey)).toBe(60);
+
+    finish();
+    await first;
+    expect(redis.ttls.get(storeKey)).toBe(86400);
+  });
+
+  await test('reusing a key with a different body is a conflict', async () => {
+    const redis = fakeRedis();
+    const middleware = idempotencyMiddleware({ scope: 'notes:create', getClient: () => redis });
+    await send(middleware, { key: 'k1', body: { title: 'a' } }, created);
+    const response = await send(middleware, { key: 'k1', body: { title: 'b' } }, created);
+    expect(response.statusCode).toBe(409);
+    expect(response.handled).toBe(false);
+    expect(response.body.details).toEqual(['This Idempotency-Key was already used with a different request body']);
+  });
+
+  await test('a retry while the first request is running is a conflict', async () => {
+    const redis = fakeRedis();
+    const middleware = idempotencyMiddleware({ scope: 'notes:create', getClient: () => redis });
+    let finish;
+    const first = send(middleware, { key: 'k1', body: { title: 'a' } }, (req, res) => {
+      finish = () => created(req, res);
+    });
+
+    const retry = await send(middleware, { key: 'k1', body: { title: 'a' } }, created);
+    expect(retry.statusCode).toBe(409);
+    expect(retry.body.details).toEqual(['A request with this Idempotency-Key is still being processed']);
+
+    finish();
+    expect((await first).statusCode).toBe(201);
+  });
+
+  await test('a failed request releases its key for a retry', async () => {
+    const redis = fakeRedis();
+    const middleware = idempotencyMiddleware({ scope: 'notes:create', getClient: () => redis });
+    const failure = await send(middleware, { key: 'k1', body: { title: 'a' } }, (req, res) => {
+      res.status(500).json({ error: 'Failed to create note', details: ['Internal server error'] });
+    });
+    expect(failure.statusCode).toBe(500);
+    expect(redis.store.size).toBe(0);
+
+    const retry = await send(middleware, { key: 'k1', body: { title: 'a' } }, created);
+    expect(retry.handled).toBe(true);
+    expect(retry.statusCode).toBe(201);
+  });
+
+  await test('keys are per tenant and per scope', async () => {
+    const redis = fakeRedis();
+    const create = idempotencyMiddleware({ scope: 'notes:create', getClient: () => redis });
+    const other = idempotencyMiddleware({ scope: 'notes:other', getClient: () => redis });
+    await send(create, { key: 'k1', body: { title: 'a' } }, created);
+    expect((await send(create, { key: 'k1', body: { title: 'b' }, tenant: 'globex' }, created)).handled).toBe(true);
+    expect((await send(other, { key: 'k1', body: { title: 'b' } }, created)).handled).toBe(true);
+  });
+
+  await test('an unavailable store is a 503, not a send without the key', async () => {
+    const redis = fakeRedis();
+    redis.down = true;
+    const middleware = idempotencyMiddleware({ scope: 'notes:create', getClient: () => redis });
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+      const response = await send(middleware, { key: 'k1', body: { title: 'a' } }, created);
+      expect(response.statusCode).toBe(503);
+      expect(response.handled).toBe(false);
+    } finally {
+      console.error = originalError;
+    }
+  });
+
+  console.log(`\n Test Results:`);
+  console.log(`   Passed: ${passed}`);
+  console.log(`   Failed: ${failed}`);
+  console.log(`   Total:  ${passed + failed}`);
+
+  if (failed === 0) {
+    console.log('All unit tests passed!');
+    process.exit(0);
+  } else {
+    console.log('Some tests failed!');
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = {
+  runTests
+};
@@ -0,0 +1,114 @@
+const {
+  isLocalDateTime,
+  fromWallClock,
+  resolveReleaseAt,
+  parseDuration,
+  addDuration,
+  inWindow,
+  nextInWindow,
+  formatLocal
+} = require('../../api/utils/localTime');
+
+async function runTests() {
+  let passed = 0;
+  let failed = 0;
+
+  async function test(name, testFn) {
+    try {
+      await testFn();
+      console.log(`✅ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+      failed++;
+    }
+  }
+
+  function expect(actual) {
+    return {
+      toBe: (expected) => {
+        if (actual !== expected) {
+          throw new Error(`Expected "${expected}" but got "${actual}"`);
+        }
+      },
+      toEqual: (expected) => {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+          throw new Error(`Expected ${JSON.stringify(expected)} but got ${JSON.stringify(actual)}`);
+        }
+      }
+    };
+  }
+
+  const BERLIN = 'Europe/Berlin';
+  const local = (date) => formatLocal(date, BERLIN);
+
+  console.log('Running Local Time Tests\n');
+
+  await test('local releaseAt is read in the timezone, offsets as given', async () => {
+    expect(resolveReleaseAt('2025-08-25T09:00', BERLIN).toISOString()).toBe('2025-08-25T07:00:00.000Z');
+    expect(resolveReleaseAt('2025-01-15T09:00:30.5', BERLIN).toISOString()).toBe('2025-01-15T08:00:30.500Z');
+    expect(resolveReleaseAt('2025-08-25T09:00:00+05:30', BERLIN).toISOString()).toBe('2025-08-25T03:30:00.000Z');
+    expect(isLocalDateTime('2025-02-29T09:00')).toBe(false);
+    expect(isLocalDateTime('2025-08-25T09:00Z')).toBe(false);
+  });
+
+  await test('DST gaps move forward, repeated times take the first', async () => {
+    expect(local(fromWallClock({ year: 2025, month: 3, day: 30, hour: 2, minute: 30 }, BERLIN))).toBe('2025-03-30T03:30:00.000+02:00');
+    expect(local(fromWallClock({ year: 2025, month: 10, day: 26, hour: 2, minute: 30 }, BERLIN))).toBe('2025-10-26T02:30:00.000+02:00');
+    expect(formatLocal(new Date('2025-08-25T09:00:00Z'), 'America/St_Johns')).toBe('2025-08-25T06:30:00.000-02:30');
+  });
+
+  await test('durations are parsed from ISO 8601', async () => {
+    expect(parseDuration('PT15M')).toEqual({ years: 0, months: 0, weeks: 0, days: 0, hours: 0, minutes: 15, seconds: 0 });
+    expect(parseDuration('P1Y2M3W4DT5H6M7.5S')).toEqual({ years: 1, months: 2, weeks: 3, days: 4, hours: 5, minutes: 6, seconds: 7.5 });
+    expect(parseDuration('P')).toBe(null);
+    expect(parseDuration('PT')).toBe(null);
+    expect(parseDuration('P1DT')).toBe(null);
+    expect(parseDuration('15m')).toBe(null);
+  });
+
+  await test('calendar days keep the local time across DST, hours do not', async () => {
+    const before = new Date('2025-03-29T08:00:00.000Z');
+    expect(local(addDuration(before, parseDuration('P1D'), BERLIN))).toBe('2025-03-30T09:00:00.000+02:00');
+    expect(local(addDuration(before, parseDuration('PT24H'), BERLIN))).toBe('2025-03-30T10:00:00.000+02:00');
+    expect(addDuration(new Date('2025-01-31T12:00:00.000Z'), parseDuration('P1M')).toISOString()).toBe('2025-02-28T12:00:00.000Z');
+  });
+
+  await test('delivery windows defer to the next opening', async () => {
+    const weekdays = { start: '08:00', end: '20:00', days: ['mon', 'tue', 'wed', 'thu', 'fri'] };
+    const noon = new Date('2025-08-25T10:00:00.000Z');
+    expect(nextInWindow(noon, weekdays, BERLIN)).toBe(noon);
+    expect(local(nextInWindow(new Date('2025-08-25T19:30:00.000Z'), weekdays, BERLIN))).toBe('2025-08-26T08:00:00.000+02:00');
+    expect(local(nextInWindow(new Date('2025-08-29T19:30:00.000Z'), weekdays, BERLIN))).toBe('2025-09-01T08:00:00.000+02:00');
+    expect(nextInWindow(noon, null, BERLIN)).toBe(noon);
+  });
+
+  await test('overnight windows belong to the day they open', async () => {
+    const fridayNight = { start: '22:00', end: '06:00', days: ['fri'] };
+    expect(inWindow(new Date('2025-08-29T21:00:00.000Z'), fridayNight, BERLIN)).toBe(true);
+    expect(inWindow(new Date('2025-08-30T02:00:00.000Z'), fridayNight, BERLIN)).toBe(true);
+    expect(inWindow(new Date('2025-08-31T02:00:00.000Z'), fridayNight, BERLIN)).toBe(false);
+    expect(local(nextInWindow(new Date('2025-08-31T02:00:00.000Z'), fridayNight, BERLIN))).toBe('2025-09-05T22:00:00.000+02:00');
+  });
+
+  console.log(`\n Test Results:`);
+  console.log(`   Passed: ${passed}`);
+  console.log(`   Failed: ${failed}`);
+  console.log(`   Total:  ${passed + failed}`);
+
+  if (failed === 0) {
+    console.log('All unit tests passed!');
+    process.exit(0);
+  } else {
+    console.log('Some tests failed!');
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = {
+  runTests
+};
@@ -0,0 +1,151 @@
+const {
+  OVERFLOW_VALUE,
+  BOUNDED_LABELS,
+  statusClass,
+  createRegistry
+} = require('../../worker/utils/metrics');
+
+async function runTests() {
+  let passed = 0;
+  let failed = 0;
+
+  async function test(name, testFn) {
+    try {
+      await testFn();
+      console.log(`✅ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+      failed++;
+    }
+  }
+
+  function expect(actual) {
+    return {
+      toBe: (expected) => {
+        if (actual !== expected) {
+          throw new Error(`Expected "${expected}" but got "${actual}"`);
+        }
+      },
+      toContain: (expected) => {
+        if (!actual.includes(expected)) {
+          throw new Error(`Expected output to contain "${expected}" but got:\n${actual}`);
+        }
+      }
+    };
+  }
+
+  console.log(' Running Unit Tests - Prometheus Metrics\n');
+
+  await test('responses are grouped by status class', async () => {
+    expect(statusClass(204)).toBe('2xx');
+    expect(statusClass(503)).toBe('5xx');
+    expect(statusClass(0)).toBe('none');
+  });
+
+  await test('counters render with help, type and labels', async () => {
+    const registry = createRegistry();
+    const created = registry.counter('droplater_notes_created_total', 'Notes accepted.', ['tenant', 'kind']);
+    created.inc({ tenant: 'acme', kind: 'webhook' });
+    created.inc({ tenant: 'acme', kind: 'webhook' }, 2);
+
+    const text = await registry.render();
+    expect(text).toContain('# HELP droplater_notes_created_total Notes accepted.');
+    expect(text).toContain('# TYPE droplater_notes_created_total counter');
+    expect(text).toContain('droplater_notes_created_total{tenant="acme",kind="webhook"} 3');
+  });
+
+  await test('label values are escaped', async () => {
+    const registry = createRegistry();
+    registry.gauge('droplater_test', 'Test.', ['host']).set({ host: 'a"b\\c' }, 1);
+    expect(await registry.render()).toContain('droplater_test{host="a\\"b\\\\c"} 1');
+  });
+
+  await test('histograms render cumulative buckets, sum and count', async () => {
+    const registry = createRegistry();
+    const latency = registry.histogram('droplater_latency_seconds', 'Latency.', ['host'], [0.1, 1]);
+    latency.observe({ host: 'h' }, 0.05);
+    latency.observe({ host: 'h' }, 0.5);
+    latency.observe({ host: 'h' }, 5);
+
+    const text = await registry.render();
+    expect(text).toContain('droplater_latency_seconds_bucket{host="h",le="0.1"} 1');
+    expect(text).toContain('droplater_latency_seconds_bucket{host="h",le="1"} 2');
+    expect(text).toContain('droplater_latency_seconds_bucket{host="h",le="+Inf"} 3');
+    expect(text).toContain('droplater_latency_seconds_sum{host="h"} 5.55');
+    expect(text).toContain('droplater_latency_seconds_count{host="h"} 3');
+  });
+
+  await test('tenants and hosts past the limit are counted as other', async () => {
+    const registry = createRegistry({ maxLabelValues: 2 });
+    const sends = registry.counter('droplater_sends_total', 'Sends.', ['tenant', 'outcome']);
+    ['a', 'b', 'c', 'd', 'a'].forEach(tenant => sends.inc({ tenant, outcome: 'delivered' }));
+
+    const text = await registry.render();
+    expect(text).toContain('droplater_sends_total{tenant="a",outcome="delivered"} 2');
+    expect(text).toContain(`droplater_sends_total{tenant="${OVERFLOW_VALUE}",outcome="delivered"} 2`);
+    expect(text.includes('tenant="c"')).toBe(false);
+  });
+
+  await test('collectors refresh gauges before each scrape', async () => {
+    const registry = createRegistry();
+    const depth = registry.gauge('droplater_queue_jobs', 'Jobs.', ['state']);
+    let waiting = 3;
+    registry.collect(async () => {
+      depth.reset();
+      depth.set({ state: 'waiting' }, waiting);
+    });
+
+    expect(await registry.render()).toContain('droplater_queue_jobs{state="waiting"} 3');
+    waiting = 0;
+    expect(await registry.render()).toContain('droplater_queue_jobs{state="waiting"} 0');
+  });
+
+  await test('scrapes without tenant and host labels add their series together', async () => {
+    const registry = createRegistry();
+    const deliveries = registry.counter('droplater_deliveries_total', 'Sends.', ['tenant', 'host', 'outcome']);
+    deliveries.inc({ tenant: 'acme', host: 'a.example', outcome: 'delivered' });
+    deliveries.inc({ tenant: 'globex', host: 'b.example', outcome: 'delivered' }, 2);
+    const duration = registry.histogram('droplater_delivery_duration_seconds', 'Send time.', ['tenant', 'host'], [1]);
+    duration.observe({ tenant: 'acme', host: 'a.example' }, 0.5);
+    duration.observe({ tenant: 'globex', host: 'b.example' }, 2);
+
+    const text = await registry.render({ without: BOUNDED_LABELS });
+    expect(text).toContain('droplater_deliveries_total{outcome="delivered"} 3');
+    expect(text).toContain('droplater_delivery_duration_seconds_bucket{le="1"} 1');
+    expect(text).toContain('droplater_delivery_duration_seconds_count 2');
+    expect(text.includes('acme') || text.includes('a.example')).toBe(false);
+    expect(await registry.render()).toContain('droplater_deliveries_total{tenant="acme",host="a.example",outcome="delivered"} 1');
+  });
+
+  await test('a failing collector is reported and the rest still render', async () => {
+    let reported = null;
+    const registry = createRegistry({ onError: (error) => { reported = error.message; } });
+    registry.counter('droplater_up_total', 'Up.').inc();
+    registry.collect(async () => { throw new Error('Redis is down'); });
+
+    expect(await registry.render()).toContain('droplater_up_total 1');
+    expect(reported).toBe('Redis is down');
+  });
+
+  console.log(`\n Test Results:`);
+  console.log(`   Passed: ${passed}`);
+  console.log(`   Failed: ${failed}`);
+  console.log(`   Total:  ${passed + failed}`);
+
+  if (failed === 0) {
+    console.log('All unit tests passed!');
+    process.exit(0);
+  } else {
+    console.log('Some tests failed!');
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = {
+  runTests
+};
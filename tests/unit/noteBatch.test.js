@@ -0,0 +1,94 @@
+const { parseBatch, issueDetail, skippedResults } = require('../../api/utils/noteBatch');
+
+async function runTests() {
+  let passed = 0;
+  let failed = 0;
+
+  async function test(name, testFn) {
+    try {
+      await testFn();
+      console.log(`✅ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+      failed++;
+    }
+  }
+
+  function expect(actual) {
+    return {
+      toBe: (expected) => {
+        if (actual !== expected) {
+          throw new Error(`Expected "${expected}" but got "${actual}"`);
+        }
+      },
+      toEqual: (expected) => {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+          throw new Error(`Expected ${JSON.stringify(expected)} but got ${JSON.stringify(actual)}`);
+        }
+      }
+    };
+  }
+
+  console.log(' Running Unit Tests - Note Batches\n');
+
+  await test('a JSON array gives one item per element', async () => {
+    expect(parseBatch([{ title: 'a' }, 'b'])).toEqual([{ input: { title: 'a' } }, { input: 'b' }]);
+  });
+
+  await test('NDJSON gives one item per non-blank line', async () => {
+    const items = parseBatch('{"title":"a"}\n\n  \r\n{"title":"b"}\r\n');
+    expect(items).toEqual([{ input: { title: 'a' } }, { input: { title: 'b' } }]);
+  });
+
+  await test('an NDJSON line that isn\'t JSON is an invalid item, keeping the others', async () => {
+    const items = parseBatch('{"title":"a"}\nnot json\n{"title":"c"}');
+    expect(items.length).toBe(3);
+    expect(items[1].problem.error).toBe('Invalid request data');
+    expect(items[1].problem.details[0].startsWith('Invalid JSON: ')).toBe(true);
+    expect(items[2].input.title).toBe('c');
+  });
+
+  await test('other bodies are not batches', async () => {
+    expect(parseBatch({ title: 'a' })).toBe(null);
+    expect(parseBatch(undefined)).toBe(null);
+    expect(parseBatch('')).toEqual([]);
+  });
+
+  await test('issues name their field, unless the item itself is wrong', async () => {
+    expect(issueDetail({ path: ['schedule', 'cron'], message: 'Required' })).toBe('schedule.cron: Required');
+    expect(issueDetail({ path: [], message: 'Expected object, received string' })).toBe('Expected object, received string');
+  });
+
+  await test('valid notes are reported as skipped when none are created', async () => {
+    const results = [
+      { index: 0, status: 'created', id: 'n1' },
+      { index: 1, status: 'invalid', error: 'Invalid request data', details: ['title: Required'] }
+    ];
+    expect(skippedResults(results)).toEqual([
+      { index: 0, status: 'skipped' },
+      { index: 1, status: 'invalid', error: 'Invalid request data', details: ['title: Required'] }
+    ]);
+  });
+
+  console.log(`\n Test Results:`);
+  console.log(`   Passed: ${passed}`);
+  console.log(`   Failed: ${failed}`);
+  console.log(`   Total:  ${passed + failed}`);
+
+  if (failed === 0) {
+    console.log('All unit tests passed!');
+    process.exit(0);
+  } else {
+    console.log('Some tests failed!');
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = {
+  runTests
+};
@@ -0,0 +1,166 @@
+const {
+  parseSort,
+  mongoSort,
+  noteFilter,
+  encodeCursor,
+  decodeCursor,
+  afterCursor
+} = require('../../api/utils/noteQuery');
+
+function runTests() {
+  let passed = 0;
+  let failed = 0;
+
+  function test(name, testFn) {
+    try {
+      testFn();
+      console.log(`✅ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+      failed++;
+    }
+  }
+
+  function expect(actual) {
+    return {
+      toBe: (expected) => {
+        if (actual !== expected) {
+          throw new Error(`Expected "${expected}" but got "${actual}"`);
+        }
+      },
+      toEqual: (expected) => {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+          throw new Error(`Expected ${JSON.stringify(expected)} but got ${JSON.stringify(actual)}`);
+        }
+      },
+      toThrow: (message) => {
+        try {
+          actual();
+        } catch (error) {
+          if (!error.message.includes(message)) {
+            throw new Error(`Expected error "${message}" but got "${error.message}"`);
+          }
+          return;
+        }
+        throw new Error('Expected an error but none was thrown');
+      }
+    };
+  }
+
+  console.log(' Running Unit Tests - Note Listing Queries\n');
+
+  const id = '65a1b2c3d4e5f6a7b8c9d0e1';
+
+  test('sort defaults to newest first, with _id breaking ties', () => {
+    expect(parseSort()).toEqual({ field: 'createdAt', direction: -1 });
+    expect(mongoSort(parseSort('releaseAt'))).toEqual({ releaseAt: 1, _id: 1 });
+  });
+
+  test('only indexed fields can be sorted on', () => {
+    expect(() => parseSort('-title')).toThrow('sort must be one of');
+  });
+
+  test('filters become conditions for the tenant', () => {
+    const after = new Date('2025-01-01T00:00:00Z');
+    const filter = noteFilter({
+      status: ['failed', 'dead'],
+      tags: ['billing', 'eu'],
+      q: 'invoice',
+      releaseAfter: after,
+      minAttempts: 2
+    }, 'acme');
+
+    expect(filter.tenant).toBe('acme');
+    expect(filter.status).toEqual({ $in: ['failed', 'dead'] });
+    expect(filter.tags).toEqual({ $all: ['billing', 'eu'] });
+    expect(filter.$text).toEqual({ $search: 'invoice' });
+    expect(filter.releaseAt.$gte).toBe(after);
+    expect(filter.attemptCount).toEqual({ $gte: 2 });
+  });
+
+  test('a single status is matched directly so its index prefix is used', () => {
+    expect(noteFilter({ status: ['dead'] }, 'acme').status).toBe('dead');
+  });
+
+  test('host filter matches webhook URLs on that host', () => {
+    const filter = noteFilter({ host: 'hooks.example.com' }, 'acme');
+    expect(filter.webhookUrl.test('https://hooks.example.com:8443/in')).toBe(true);
+    expect(filter.webhookUrl.test('https://hooks.example.com.evil.net/in')).toBe(false);
+  });
+
+  test('cursors round-trip dates and _id', () => {
+    const sort = parseSort('-createdAt');
+    const cursor = encodeCursor(sort, { _id: id, createdAt: new Date('2025-01-01T10:00:00Z') });
+    const decoded = decodeCursor(cursor, sort);
+    expect(decoded.value.toISOString()).toBe('2025-01-01T10:00:00.000Z');
+    expect(decoded.id).toBe(id);
+  });
+
+  test('cursors round-trip numbers and missing values', () => {
+    const sort = parseSort('attemptCount');
+    expect(decodeCursor(encodeCursor(sort, { _id: id, attemptCount: 3 }), sort)).toEqual({ value: 3, id });
+    expect(decodeCursor(encodeCursor(sort, { _id: id }), sort)).toEqual({ value: null, id });
+  });
+
+  test('a cursor only works with the sort it was made for', () => {
+    const cursor = encodeCursor(parseSort('-createdAt'), { _id: id, createdAt: new Date() });
+    expect(() => decodeCursor(cursor, parseSort('createdAt'))).toThrow('different sort');
+  });
+
+  test('tampered cursors are rejected', () => {
+    expect(() => decodeCursor('not-a-cursor', parseSort())).toThrow('not valid');
+    const forged = Buffer.from(JSON.stringify(['-createdAt', 'yesterday', id])).toString('base64url');
+    expect(() => decodeCursor(forged, parseSort())).toThrow('not valid');
+  });
+
+  test('next page starts strictly after the last note, descending', () => {
+    const value = new Date('2025-01-01T10:00:00Z');
+    expect(afterCursor(parseSort('-createdAt'), { value, id })).toEqual({
+      $or: [
+        { createdAt: { $lt: value } },
+        { createdAt: value, _id: { $lt: id } },
+        { createdAt: null }
+      ]
+    });
+  });
+
+  test('next page starts strictly after the last note, ascending', () => {
+    expect(afterCursor(parseSort('attemptCount'), { value: 2, id })).toEqual({
+      $or: [
+        { attemptCount: { $gt: 2 } },
+        { attemptCount: 2, _id: { $gt: id } }
+      ]
+    });
+  });
+
+  test('notes without a sort value come first ascending and last descending', () => {
+    expect(afterCursor(parseSort('attemptCount'), { value: null, id })).toEqual({
+      $or: [{ attemptCount: { $ne: null } }, { attemptCount: null, _id: { $gt: id } }]
+    });
+    expect(afterCursor(parseSort('-attemptCount'), { value: null, id })).toEqual({
+      attemptCount: null, _id: { $lt: id }
+    });
+  });
+
+  console.log(`\n Test Results:`);
+  console.log(`   Passed: ${passed}`);
+  console.log(`   Failed: ${failed}`);
+  console.log(`   Total:  ${passed + failed}`);
+
+  if (failed === 0) {
+    console.log('All unit tests passed!');
+    process.exit(0);
+  } else {
+    console.log('Some tests failed!');
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = {
+  runTests
+};
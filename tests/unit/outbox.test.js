@@ -0,0 +1,120 @@
+const { noteJobId, noteJob, deliveryJob, recordOps, recordOnceOps, publishBackoffMs } = require('../../worker/utils/outbox');
+const { leaseFree, leaseHeld, acquireLease, releaseLease, underLease } = require('../../worker/utils/lease');
+
+function runTests() {
+  let passed = 0;
+  let failed = 0;
+  
+  function test(name, testFn) {
+    try {
+      testFn();
+      console.log(`✅ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+      failed++;
+    }
+  }
+  
+  function expect(actual) {
+    return {
+      toBe: (expected) => {
+        if (actual !== expected) {
+          throw new Error(`Expected "${expected}" but got "${actual}"`);
+        }
+      },
+      toEqual: (expected) => {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+          throw new Error(`Expected ${JSON.stringify(expected)} but got ${JSON.stringify(actual)}`);
+        }
+      }
+    };
+  }
+  
+  console.log(' Running Unit Tests - Outbox and Leases\n');
+  
+  const noteId = '64b000000000000000000001';
+  const releaseAt = new Date('2025-01-01T10:00:00.000Z');
+  const now = new Date('2025-01-01T09:00:00.000Z');
+  
+  test('note jobs carry the releaseAt they were scheduled for', () => {
+    expect(noteJob({ _id: noteId, releaseAt })).toEqual({
+      name: 'deliver-note',
+      data: { noteId, releaseAt: '2025-01-01T10:00:00.000Z' },
+      jobId: `note-${noteId}-${releaseAt.getTime()}`,
+      runAt: releaseAt
+    });
+  });
+  
+  test('note job ids depend only on note and release time', () => {
+    expect(noteJobId(noteId, releaseAt)).toBe(noteJobId(noteId, releaseAt.toISOString()));
+    expect(noteJob({ _id: noteId, releaseAt }, 'replay-1').jobId).toBe('replay-1');
+  });
+  
+  test('delivery jobs default to one job per delivery', () => {
+    const job = deliveryJob({ _id: 'd1' });
+    expect(job.name).toBe('deliver-endpoint');
+    expect(job.data).toEqual({ deliveryId: 'd1' });
+    expect(job.jobId).toBe('delivery-d1');
+  });
+  
+  test('recording a job again resets it to unpublished', () => {
+    const [op] = recordOps([{ name: 'deliver-note', data: {}, jobId: 'j1', runAt: now }]);
+    expect(op.updateOne.filter).toEqual({ jobId: 'j1' });
+    expect(op.updateOne.upsert).toBe(true);
+    expect(op.updateOne.update.$set.publishedAt).toBe(null);
+    expect(op.updateOne.update.$set.leaseExpiresAt).toBe(null);
+  });
+  
+  test('recording once never touches an existing entry', () => {
+    const [op] = recordOnceOps([{ name: 'deliver-note', data: {}, jobId: 'j1', runAt: now }]);
+    expect(Object.keys(op.updateOne.update)).toEqual(['$setOnInsert']);
+    expect(op.updateOne.upsert).toBe(true);
+  });
+  
+  test('publish backoff doubles up to a minute', () => {
+    expect(publishBackoffMs(1)).toBe(1000);
+    expect(publishBackoffMs(2)).toBe(2000);
+    expect(publishBackoffMs(5)).toBe(16000);
+    expect(publishBackoffMs(20)).toBe(60000);
+  });
+  
+  test('acquiring a lease records owner and expiry', () => {
+    expect(acquireLease('worker-1', 30000, now)).toEqual({
+      leaseOwner: 'worker-1',
+      leaseExpiresAt: new Date(now.getTime() + 30000)
+    });
+  });
+  
+  test('free leases include missing and expired ones', () => {
+    expect(leaseFree(now)).toEqual({ $or: [{ leaseExpiresAt: null }, { leaseExpiresAt: { $lte: now } }] });
+    expect(leaseHeld(now)).toEqual({ leaseExpiresAt: { $gt: now } });
+  });
+  
+  test('writes under a lease match the exact lease taken', () => {
+    const lease = { ...acquireLease('worker-1', 30000, now), status: 'pending' };
+    expect(underLease(lease)).toEqual({ leaseOwner: 'worker-1', leaseExpiresAt: new Date(now.getTime() + 30000) });
+    expect(releaseLease()).toEqual({ leaseOwner: null, leaseExpiresAt: null });
+  });
+  
+  console.log(`\n Test Results:`);
+  console.log(`   Passed: ${passed}`);
+  console.log(`   Failed: ${failed}`);
+  console.log(`   Total:  ${passed + failed}`);
+  
+  if (failed === 0) {
+    console.log('All unit tests passed!');
+    process.exit(0);
+  } else {
+    console.log('Some tests failed!');
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = {
+  runTests
+};
@@ -0,0 +1,153 @@
+const {
+  TEMPLATE_CODE,
+  headerProblem,
+  isValidContentType,
+  isJsonContentType,
+  defaultPayload,
+  templateView,
+  templateProblem,
+  renderTemplate,
+  buildRequest
+} = require('../../api/utils/payload');
+
+async function runTests() {
+  let passed = 0;
+  let failed = 0;
+
+  async function test(name, testFn) {
+    try {
+      await testFn();
+      console.log(`✅ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+      failed++;
+    }
+  }
+
+  function expect(actual) {
+    return {
+      toBe: (expected) => {
+        if (actual !== expected) {
+          throw new Error(`Expected "${expected}" but got "${actual}"`);
+        }
+      },
+      toEqual: (expected) => {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+          throw new Error(`Expected ${JSON.stringify(expected)} but got ${JSON.stringify(actual)}`);
+        }
+      }
+    };
+  }
+
+  console.log(' Running Unit Tests - Payloads\n');
+
+  const note = {
+    _id: '65f000000000000000000001',
+    title: 'Invoice due',
+    body: 'Pay "now"',
+    releaseAt: '2024-03-10T12:00:00.000Z',
+    tags: ['billing'],
+    data: { amount: 42, customer: { name: 'Ada <ops>' } }
+  };
+  const context = { deliveredAt: '2024-03-10T12:00:01.000Z' };
+
+  await test('without a template the body is the note as JSON, with its data', async () => {
+    const request = buildRequest(note, context);
+    expect(request.method).toBe('POST');
+    expect(request.contentType).toBe('application/json');
+    expect(JSON.parse(request.body)).toEqual({
+      id: '65f000000000000000000001',
+      title: 'Invoice due',
+      body: 'Pay "now"',
+      releaseAt: '2024-03-10T12:00:00.000Z',
+      deliveredAt: '2024-03-10T12:00:01.000Z',
+      data: { amount: 42, customer: { name: 'Ada <ops>' } }
+    });
+  });
+
+  await test('topic deliveries carry the topic, notes without data leave it out', async () => {
+    const payload = defaultPayload({ ...note, data: null }, { ...context, topic: 'billing' });
+    expect(payload.topic).toBe('billing');
+    expect('data' in payload).toBe(false);
+  });
+
+  await test('JSON templates escape strings and write objects as JSON', async () => {
+    const body = renderTemplate(
+      '{"text": "{{title}}: {{body}}", "amount": {{data.amount}}, "customer": {{data.customer}}}',
+      templateView(note, context),
+      'application/json'
+    );
+    expect(JSON.parse(body)).toEqual({ text: 'Invoice due: Pay "now"', amount: 42, customer: { name: 'Ada <ops>' } });
+  });
+
+  await test('HTML templates escape entities and plain text is left alone', async () => {
+    const view = templateView(note, context);
+    expect(renderTemplate('<b>{{data.customer.name}}</b>', view, 'text/html; charset=utf-8')).toBe('<b>Ada &lt;ops&gt;</b>');
+    expect(renderTemplate('{{data.customer.name}} owes {{data.amount}}', view, 'text/plain')).toBe('Ada <ops> owes 42');
+  });
+
+  await test('templates see tags, series and delivery ids', async () => {
+    const view = templateView({ ...note, seriesId: 's1' }, { ...context, deliveryId: 'd1' });
+    expect(renderTemplate('{{#tags}}{{.}}{{/tags}}|{{seriesId}}|{{deliveryId}}', view, 'text/plain')).toBe('billing|s1|d1');
+  });
+
+  await test('a JSON template that renders invalid JSON fails with ETEMPLATE', async () => {
+    let error = null;
+    try {
+      buildRequest({ ...note, template: '{"amount": {{data.missing}}}' }, context);
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error && error.code).toBe(TEMPLATE_CODE);
+  });
+
+  await test('broken templates are reported when checked', async () => {
+    expect(templateProblem('{{title}}')).toBe(null);
+    expect(typeof templateProblem('{{#open}}never closed')).toBe('string');
+  });
+
+  await test('the note picks method, content type and extra headers', async () => {
+    const request = buildRequest(
+      { ...note, method: 'PUT', contentType: 'text/plain', headers: { 'X-Team': 'ops' }, template: '{{title}}' },
+      context
+    );
+    expect(request).toEqual({ method: 'PUT', contentType: 'text/plain', headers: { 'X-Team': 'ops' }, body: 'Invoice due' });
+  });
+
+  await test('headers DropLater sets itself are refused', async () => {
+    expect(headerProblem('X-Team')).toBe(null);
+    expect(headerProblem('X-Signature')).toBe('is set by DropLater');
+    expect(headerProblem('ce-type')).toBe('is set by DropLater');
+    expect(headerProblem('content-type')).toBe('is set with contentType');
+    expect(headerProblem('Bad Header')).toBe('may only contain letters, digits and "-"');
+  });
+
+  await test('content types are media types, JSON by suffix too', async () => {
+    expect(isValidContentType('application/cloudevents+json; charset=utf-8')).toBe(true);
+    expect(isValidContentType('json')).toBe(false);
+    expect(isJsonContentType('application/vnd.api+json')).toBe(true);
+    expect(isJsonContentType('text/plain')).toBe(false);
+  });
+
+  console.log(`\n Test Results:`);
+  console.log(`   Passed: ${passed}`);
+  console.log(`   Failed: ${failed}`);
+  console.log(`   Total:  ${passed + failed}`);
+
+  if (failed === 0) {
+    console.log('All unit tests passed!');
+    process.exit(0);
+  } else {
+    console.log('Some tests failed!');
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = {
+  runTests
+};
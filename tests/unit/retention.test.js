@@ -0,0 +1,128 @@
+const zlib = require('zlib');
+const {
+  retentionConfig,
+  cutoffFor,
+  expiredQuery,
+  overflowingAttemptsQuery,
+  trimAttemptsUpdate,
+  archiveFileName,
+  archiveLines
+} = require('../../api/utils/retention');
+
+async function runTests() {
+  let passed = 0;
+  let failed = 0;
+
+  async function test(name, testFn) {
+    try {
+      await testFn();
+      console.log(`✅ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+      failed++;
+    }
+  }
+
+  function expect(actual) {
+    return {
+      toBe: (expected) => {
+        if (actual !== expected) {
+          throw new Error(`Expected "${expected}" but got "${actual}"`);
+        }
+      },
+      toEqual: (expected) => {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+          throw new Error(`Expected ${JSON.stringify(expected)} but got ${JSON.stringify(actual)}`);
+        }
+      }
+    };
+  }
+
+  console.log(' Running Unit Tests - Retention\n');
+
+  const now = new Date('2024-03-10T12:00:00.000Z');
+
+  await test('nothing expires without settings', async () => {
+    expect(retentionConfig({})).toEqual({ policies: [], attemptsKept: null, archiveDir: null });
+  });
+
+  await test('each finished status has its own retention', async () => {
+    const config = retentionConfig({
+      RETENTION_DELIVERED_DAYS: '30',
+      RETENTION_DEAD_DAYS: '90',
+      RETENTION_CANCELLED_DAYS: '0.5',
+      RETENTION_ATTEMPTS_KEPT: '20',
+      RETENTION_ARCHIVE_DIR: '/var/droplater'
+    });
+    expect(config.policies).toEqual([
+      { status: 'delivered', days: 30 },
+      { status: 'dead', days: 90 },
+      { status: 'cancelled', days: 0.5 }
+    ]);
+    expect(config.attemptsKept).toBe(20);
+    expect(config.archiveDir).toBe('/var/droplater');
+  });
+
+  await test('invalid or non-positive settings are ignored', async () => {
+    const config = retentionConfig({ RETENTION_DELIVERED_DAYS: 'soon', RETENTION_DEAD_DAYS: '-1', RETENTION_ATTEMPTS_KEPT: '0' });
+    expect(config.policies).toEqual([]);
+    expect(config.attemptsKept).toBe(null);
+  });
+
+  await test('notes expire by when they last changed, past any being sent', async () => {
+    const policy = { status: 'delivered', days: 30 };
+    expect(cutoffFor(policy, now).toISOString()).toBe('2024-02-09T12:00:00.000Z');
+
+    const query = expiredQuery(policy, now, { tenant: 'acme' });
+    expect(query.tenant).toBe('acme');
+    expect(query.status).toBe('delivered');
+    expect(query.updatedAt).toEqual({ $lt: new Date('2024-02-09T12:00:00.000Z') });
+    expect(query.$or).toEqual([{ leaseExpiresAt: null }, { leaseExpiresAt: { $lte: now } }]);
+  });
+
+  await test('attempts past the limit are found by position and trimmed from the front', async () => {
+    expect(overflowingAttemptsQuery(20)).toEqual({ 'attempts.20': { $exists: true } });
+    expect(trimAttemptsUpdate(20)).toEqual([{ $set: { attempts: { $slice: ['$attempts', -20] } } }]);
+  });
+
+  await test('archive files sort by status, run and batch', async () => {
+    expect(archiveFileName('dead', now, 3)).toBe('notes-dead-20240310T120000Z-0003.ndjson.gz');
+  });
+
+  await test('archives hold one note per line with its deliveries, and gzip round-trips', async () => {
+    const notes = [
+      { _id: 'n1', title: 'one', status: 'delivered' },
+      { _id: 'n2', title: 'two', status: 'delivered' }
+    ];
+    const deliveries = [{ _id: 'd1', note: 'n2', endpointName: 'billing' }];
+    const text = archiveLines(notes, deliveries);
+    const lines = zlib.gunzipSync(zlib.gzipSync(text)).toString().trim().split('\n').map(line => JSON.parse(line));
+
+    expect(lines.length).toBe(2);
+    expect(lines[0].deliveries).toEqual([]);
+    expect(lines[1].deliveries[0].endpointName).toBe('billing');
+    expect(text.endsWith('\n')).toBe(true);
+  });
+
+  console.log(`\n Test Results:`);
+  console.log(`   Passed: ${passed}`);
+  console.log(`   Failed: ${failed}`);
+  console.log(`   Total:  ${passed + failed}`);
+
+  if (failed === 0) {
+    console.log('All unit tests passed!');
+    process.exit(0);
+  } else {
+    console.log('Some tests failed!');
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = {
+  runTests
+};
@@ -0,0 +1,106 @@
+const { resolveRetryPolicy, computeRetryDelay } = require('../../worker/utils/retryPolicy');
+
+function runTests() {
+  let passed = 0;
+  let failed = 0;
+  
+  function test(name, testFn) {
+    try {
+      testFn();
+      console.log(`✅ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+      failed++;
+    }
+  }
+  
+  function expect(actual) {
+    return {
+      toBe: (expected) => {
+        if (actual !== expected) {
+          throw new Error(`Expected "${expected}" but got "${actual}"`);
+        }
+      },
+      toBeBetween: (min, max) => {
+        if (actual < min || actual > max) {
+          throw new Error(`Expected ${actual} to be between ${min} and ${max}`);
+        }
+      }
+    };
+  }
+  
+  console.log(' Running Unit Tests - Retry Policy\n');
+  
+  const policy = (overrides) => resolveRetryPolicy({
+    maxAttempts: 5,
+    baseDelayMs: 1000,
+    maxDelayMs: 10000,
+    ...overrides
+  });
+  
+  test('defaults match the previous hard-coded behaviour', () => {
+    const defaults = resolveRetryPolicy();
+    
+    expect(defaults.maxAttempts).toBe(3);
+    expect(defaults.backoff).toBe('exponential');
+    expect(defaults.baseDelayMs).toBe(1000);
+    expect(defaults.timeoutMs).toBe(30000);
+  });
+  
+  test('note settings override defaults field by field', () => {
+    const resolved = resolveRetryPolicy({ maxAttempts: 7, timeoutMs: null });
+    
+    expect(resolved.maxAttempts).toBe(7);
+    expect(resolved.timeoutMs).toBe(30000);
+  });
+  
+  test('fixed backoff always waits the base delay', () => {
+    const fixed = policy({ backoff: 'fixed' });
+    
+    expect(computeRetryDelay(fixed, 1)).toBe(1000);
+    expect(computeRetryDelay(fixed, 4)).toBe(1000);
+  });
+  
+  test('exponential backoff doubles per attempt', () => {
+    const exponential = policy({ backoff: 'exponential' });
+    
+    expect(computeRetryDelay(exponential, 1)).toBe(1000);
+    expect(computeRetryDelay(exponential, 2)).toBe(2000);
+    expect(computeRetryDelay(exponential, 3)).toBe(4000);
+  });
+  
+  test('exponential backoff is capped at maxDelayMs', () => {
+    expect(computeRetryDelay(policy({ backoff: 'exponential' }), 10)).toBe(10000);
+  });
+  
+  test('jitter stays between half and the full exponential delay', () => {
+    const jitter = policy({ backoff: 'exponential_jitter' });
+    
+    expect(computeRetryDelay(jitter, 3, () => 0)).toBe(2000);
+    expect(computeRetryDelay(jitter, 3, () => 1)).toBe(4000);
+    expect(computeRetryDelay(jitter, 3)).toBeBetween(2000, 4000);
+    expect(computeRetryDelay(jitter, 10, () => 1)).toBe(10000);
+  });
+  
+  console.log(`\n Test Results:`);
+  console.log(`   Passed: ${passed}`);
+  console.log(`   Failed: ${failed}`);
+  console.log(`   Total:  ${passed + failed}`);
+  
+  if (failed === 0) {
+    console.log('All unit tests passed!');
+    process.exit(0);
+  } else {
+    console.log('Some tests failed!');
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = {
+  runTests
+};
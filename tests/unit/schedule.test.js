@@ -0,0 +1,156 @@
+const { nextOccurrence, upcomingOccurrences, validateSchedule } = require('../../api/utils/schedule');
+
+function runTests() {
+  let passed = 0;
+  let failed = 0;
+  
+  function test(name, testFn) {
+    try {
+      testFn();
+      console.log(`✅ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+      failed++;
+    }
+  }
+  
+  function expect(actual) {
+    return {
+      toBe: (expected) => {
+        if (actual !== expected) {
+          throw new Error(`Expected "${expected}" but got "${actual}"`);
+        }
+      },
+      toHaveLength: (length) => {
+        if (actual.length !== length) {
+          throw new Error(`Expected length ${length} but got ${actual.length}`);
+        }
+      },
+      toThrow: () => {
+        try {
+          actual();
+        } catch (error) {
+          return;
+        }
+        throw new Error('Expected function to throw');
+      }
+    };
+  }
+  
+  console.log(' Running Unit Tests - Recurring Schedules\n');
+  
+  const startAt = new Date('2026-03-26T12:00:00.000Z');
+  const after = new Date('2026-03-26T00:00:00.000Z');
+  
+  test('cron runs at local wall-clock time across a DST change', () => {
+    const schedule = { type: 'cron', expression: '0 9 * * *', timezone: 'Europe/Berlin', startAt };
+    const runs = upcomingOccurrences(schedule, after, 3).map(d => d.toISOString());
+    
+    expect(runs[0]).toBe('2026-03-27T08:00:00.000Z');
+    expect(runs[1]).toBe('2026-03-28T08:00:00.000Z');
+    expect(runs[2]).toBe('2026-03-29T07:00:00.000Z');
+  });
+  
+  test('rrule runs at local wall-clock time across a DST change', () => {
+    const schedule = {
+      type: 'rrule',
+      expression: 'FREQ=DAILY;BYHOUR=9;BYMINUTE=0;BYSECOND=0',
+      timezone: 'Europe/Berlin',
+      startAt
+    };
+    const runs = upcomingOccurrences(schedule, after, 3).map(d => d.toISOString());
+    
+    expect(runs[0]).toBe('2026-03-27T08:00:00.000Z');
+    expect(runs[2]).toBe('2026-03-29T07:00:00.000Z');
+  });
+  
+  test('rrule results do not depend on the host timezone', () => {
+    const schedule = {
+      type: 'rrule',
+      expression: 'FREQ=DAILY;BYHOUR=9;BYMINUTE=0',
+      timezone: 'Europe/Berlin',
+      startAt: new Date('2026-03-25T00:00:00.000Z')
+    };
+    const hostTimezone = process.env.TZ;
+    try {
+      for (const tz of ['America/New_York', 'Asia/Tokyo']) {
+        process.env.TZ = tz;
+        const runs = upcomingOccurrences(schedule, schedule.startAt, 5).map(d => d.toISOString());
+        expect(runs[0]).toBe('2026-03-25T08:00:00.000Z');
+        expect(runs[4]).toBe('2026-03-29T07:00:00.000Z');
+      }
+    } finally {
+      if (hostTimezone === undefined) {
+        delete process.env.TZ;
+      } else {
+        process.env.TZ = hostTimezone;
+      }
+    }
+  });
+  
+  test('rrule without a time takes the time of day from startAt', () => {
+    const schedule = { type: 'rrule', expression: 'RRULE:FREQ=WEEKLY', timezone: 'UTC', startAt };
+    
+    expect(nextOccurrence(schedule, after).toISOString()).toBe('2026-03-26T12:00:00.000Z');
+  });
+  
+  test('does not run before startAt', () => {
+    const schedule = { type: 'cron', expression: '0 * * * *', timezone: 'UTC', startAt };
+    
+    expect(nextOccurrence(schedule, after).toISOString()).toBe('2026-03-26T12:00:00.000Z');
+  });
+  
+  test('stops at endAt', () => {
+    const schedule = {
+      type: 'cron',
+      expression: '0 9 * * *',
+      timezone: 'UTC',
+      startAt,
+      endAt: new Date('2026-03-28T12:00:00.000Z')
+    };
+    
+    expect(upcomingOccurrences(schedule, after, 10)).toHaveLength(2);
+  });
+  
+  test('stops after maxOccurrences, counting runs already made', () => {
+    const schedule = {
+      type: 'cron',
+      expression: '0 9 * * *',
+      timezone: 'UTC',
+      startAt,
+      maxOccurrences: 5,
+      occurrenceCount: 3
+    };
+    
+    expect(upcomingOccurrences(schedule, after, 10)).toHaveLength(2);
+    expect(nextOccurrence({ ...schedule, occurrenceCount: 5 }, after)).toBe(null);
+  });
+  
+  test('rejects invalid expressions and timezones', () => {
+    expect(() => validateSchedule({ type: 'cron', expression: 'every day', timezone: 'UTC' })).toThrow();
+    expect(() => validateSchedule({ type: 'rrule', expression: 'FREQ=SOMETIMES', timezone: 'UTC' })).toThrow();
+    expect(() => validateSchedule({ type: 'cron', expression: '0 9 * * *', timezone: 'Mars/Olympus' })).toThrow();
+  });
+  
+  console.log(`\n Test Results:`);
+  console.log(`   Passed: ${passed}`);
+  console.log(`   Failed: ${failed}`);
+  console.log(`   Total:  ${passed + failed}`);
+  
+  if (failed === 0) {
+    console.log('All unit tests passed!');
+    process.exit(0);
+  } else {
+    console.log('Some tests failed!');
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = {
+  runTests
+};
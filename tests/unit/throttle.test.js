@@ -0,0 +1,169 @@
+const {
+  throttleKeys,
+  hostOf,
+  resolveLimit,
+  burstOf,
+  inFlightRetryMs,
+  describeState,
+  createThrottle
+} = require('../../worker/utils/throttle');
+
+// Just enough of ioredis to see what the throttle sends and hand back replies.
+const fakeRedis = (reply) => {
+  const calls = [];
+  return {
+    calls,
+    defineCommand(name) {
+      this[name] = async (...args) => {
+        calls.push([name, ...args]);
+        return reply;
+      };
+    },
+    zrem: async (...args) => calls.push(['zrem', ...args]),
+    time: async () => ['1735725600', '250000'],
+    hgetall: async () => ({ tat: String(1735725600250 + 3000), deferred: '4', lastDeferredAt: '1735725600000' }),
+    zcount: async () => 2
+  };
+};
+
+async function runTests() {
+  let passed = 0;
+  let failed = 0;
+
+  async function test(name, testFn) {
+    try {
+      await testFn();
+      console.log(`✅ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+      failed++;
+    }
+  }
+
+  function expect(actual) {
+    return {
+      toBe: (expected) => {
+        if (actual !== expected) {
+          throw new Error(`Expected "${expected}" but got "${actual}"`);
+        }
+      },
+      toEqual: (expected) => {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+          throw new Error(`Expected ${JSON.stringify(expected)} but got ${JSON.stringify(actual)}`);
+        }
+      }
+    };
+  }
+
+  console.log(' Running Unit Tests - Destination Throttling\n');
+
+  const hostLimit = { _id: 'l1', host: 'hooks.example.com', perSecond: 10 };
+  const endpointLimit = { _id: 'l2', endpoint: 'e1', maxInFlight: 2 };
+  const limits = [hostLimit, endpointLimit];
+
+  await test('host limits match the URL host, ignoring port and case', async () => {
+    expect(hostOf('https://Hooks.Example.com:8443/in')).toBe('hooks.example.com');
+    expect(resolveLimit(limits, { webhookUrl: 'https://HOOKS.example.com:8443/in' })).toBe(hostLimit);
+    expect(resolveLimit(limits, { webhookUrl: 'https://other.example.com/in' })).toBe(null);
+  });
+
+  await test('an endpoint limit wins over its host limit', async () => {
+    const destination = { webhookUrl: 'https://hooks.example.com/in', endpointId: 'e1' };
+    expect(resolveLimit(limits, destination)).toBe(endpointLimit);
+    expect(resolveLimit(limits, { ...destination, endpointId: 'e9' })).toBe(hostLimit);
+  });
+
+  await test('unparseable URLs are never limited', async () => {
+    expect(hostOf('not a url')).toBe(null);
+    expect(resolveLimit(limits, { webhookUrl: 'not a url' })).toBe(null);
+  });
+
+  await test('burst defaults to one second of sends', async () => {
+    expect(burstOf({ perSecond: 10 })).toBe(10);
+    expect(burstOf({ perSecond: 0.5 })).toBe(1);
+    expect(burstOf({ perSecond: 10, burst: 3 })).toBe(3);
+  });
+
+  await test('each limit has its own Redis keys', async () => {
+    expect(throttleKeys(hostLimit)).toEqual({ bucket: 'throttle:l1:bucket', inFlight: 'throttle:l1:inflight' });
+  });
+
+  await test('in-flight backoff grows with deferrals, capped and jittered', async () => {
+    expect(inFlightRetryMs(1, () => 0.5)).toBe(1000);
+    expect(inFlightRetryMs(2, () => 0.5)).toBe(2000);
+    expect(inFlightRetryMs(20, () => 0.5)).toBe(30000);
+    expect(inFlightRetryMs(1, () => 0)).toBe(500);
+  });
+
+  await test('state counts sends waiting beyond the burst', async () => {
+    const now = 1000000;
+    // 10/s with a burst of 10: 3s of slots handed out means 20 sends wait.
+    const state = describeState(hostLimit, { tat: String(now + 3000), deferred: '20' }, 0, now);
+    expect(state.queued).toBe(20);
+    expect(state.throttled).toBe(true);
+    expect(state.deferred).toBe(20);
+    expect(state.nextSlotAt.getTime()).toBe(now + 3000);
+  });
+
+  await test('state reports a full in-flight cap as throttling', async () => {
+    expect(describeState(endpointLimit, {}, 2, 0).throttled).toBe(true);
+    expect(describeState(endpointLimit, {}, 1, 0)).toEqual({
+      inFlight: 1,
+      queued: 0,
+      throttled: false,
+      deferred: 0,
+      lastDeferredAt: null,
+      nextSlotAt: null
+    });
+  });
+
+  await test('acquire passes the limit to the script and maps its reply', async () => {
+    const redis = fakeRedis([0, 'rate', 250]);
+    const throttle = createThrottle(redis);
+
+    const slot = await throttle.acquire(hostLimit, 'job-1', { reserved: true, holdMs: 180000 });
+    expect(slot).toEqual({ allowed: false, reason: 'rate', retryInMs: 250 });
+    expect(redis.calls[0]).toEqual([
+      'droplaterThrottle', 'throttle:l1:bucket', 'throttle:l1:inflight', 10, 10, 0, 'job-1', 180000, '1', 3600000
+    ]);
+
+    const allowed = await createThrottle(fakeRedis([1, 'ok', 0])).acquire(endpointLimit, 'job-2', { holdMs: 1000 });
+    expect(allowed).toEqual({ allowed: true });
+  });
+
+  await test('release frees the job\'s in-flight place', async () => {
+    const redis = fakeRedis();
+    await createThrottle(redis).release(endpointLimit, 'job-2');
+    expect(redis.calls[0]).toEqual(['zrem', 'throttle:l2:inflight', 'job-2']);
+  });
+
+  await test('state reads the bucket against Redis time', async () => {
+    const state = await createThrottle(fakeRedis()).state(hostLimit);
+    expect(state.inFlight).toBe(2);
+    expect(state.queued).toBe(20);
+    expect(state.deferred).toBe(4);
+    expect(state.lastDeferredAt.toISOString()).toBe('2025-01-01T10:00:00.000Z');
+  });
+
+  console.log(`\n Test Results:`);
+  console.log(`   Passed: ${passed}`);
+  console.log(`   Failed: ${failed}`);
+  console.log(`   Total:  ${passed + failed}`);
+
+  if (failed === 0) {
+    console.log('All unit tests passed!');
+    process.exit(0);
+  } else {
+    console.log('Some tests failed!');
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = {
+  runTests
+};
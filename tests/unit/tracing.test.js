@@ -0,0 +1,159 @@
+const path = require('path');
+const {
+  SpanKind,
+  SpanStatusCode,
+  startTracing,
+  withSpan,
+  traceCarrier,
+  withTraceContext,
+  contextFrom,
+  injectTraceHeaders
+} = require('../../worker/utils/tracing');
+
+// The SDK is a dependency of the worker, not of the tests.
+const { InMemorySpanExporter } = require(require.resolve('@opentelemetry/sdk-trace-base', {
+  paths: [path.join(__dirname, '../../worker')]
+}));
+
+async function runTests() {
+  let passed = 0;
+  let failed = 0;
+
+  async function test(name, testFn) {
+    try {
+      await testFn();
+      console.log(`✅ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+      failed++;
+    }
+  }
+
+  function expect(actual) {
+    return {
+      toBe: (expected) => {
+        if (actual !== expected) {
+          throw new Error(`Expected "${expected}" but got "${actual}"`);
+        }
+      },
+      toEqual: (expected) => {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+          throw new Error(`Expected ${JSON.stringify(expected)} but got ${JSON.stringify(actual)}`);
+        }
+      }
+    };
+  }
+
+  console.log(' Running Unit Tests - Tracing\n');
+
+  await test('tracing stays off without an OTLP endpoint', async () => {
+    delete process.env.OTEL_EXPORTER_OTLP_ENDPOINT;
+    delete process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT;
+    expect(startTracing('droplater-test')).toBe(null);
+    expect(withTraceContext({ noteId: 'n1' })).toEqual({ noteId: 'n1' });
+  });
+
+  const exporter = new InMemorySpanExporter();
+  startTracing('droplater-test', { exporter });
+  const spanNamed = (name) => exporter.getFinishedSpans().find(span => span.name === name);
+
+  await test('job data outside a span is left as it is', async () => {
+    expect(withTraceContext({ noteId: 'n1' })).toEqual({ noteId: 'n1' });
+  });
+
+  await test('job data recorded in a span carries its trace context', async () => {
+    let data;
+    let spanContext;
+    await withSpan('POST /api/notes', {}, async (span) => {
+      spanContext = span.spanContext();
+      data = withTraceContext({ noteId: 'n1' });
+    });
+
+    expect(data.noteId).toBe('n1');
+    expect(data.trace.traceparent).toBe(`00-${spanContext.traceId}-${spanContext.spanId}-01`);
+  });
+
+  await test('a job span joins the trace its data came from', async () => {
+    exporter.reset();
+    let data;
+    await withSpan('publish deliver-note', { kind: SpanKind.PRODUCER }, async () => {
+      data = withTraceContext({ noteId: 'n1' });
+    });
+    await withSpan('process deliver-note', { kind: SpanKind.CONSUMER, parent: contextFrom(data.trace) }, async () => {});
+
+    const producer = spanNamed('publish deliver-note');
+    const consumer = spanNamed('process deliver-note');
+    expect(consumer.spanContext().traceId).toBe(producer.spanContext().traceId);
+    expect(consumer.parentSpanContext.spanId).toBe(producer.spanContext().spanId);
+    expect(consumer.kind).toBe(SpanKind.CONSUMER);
+  });
+
+  await test('outgoing webhooks get the W3C traceparent of the active span', async () => {
+    let headers;
+    let spanContext;
+    await withSpan('POST webhook', { kind: SpanKind.CLIENT }, async (span) => {
+      spanContext = span.spanContext();
+      headers = injectTraceHeaders({ 'Content-Type': 'application/json' });
+    });
+
+    expect(/^00-[0-9a-f]{32}-[0-9a-f]{16}-01$/.test(headers.traceparent)).toBe(true);
+    expect(headers.traceparent.split('-')[2]).toBe(spanContext.spanId);
+    expect(headers['Content-Type']).toBe('application/json');
+  });
+
+  await test('a throwing span records the error', async () => {
+    exporter.reset();
+    try {
+      await withSpan('deliver', {}, async () => {
+        throw new Error('connect ECONNREFUSED');
+      });
+    } catch (error) {
+      // Expected; the span is what is checked.
+    }
+
+    const span = spanNamed('deliver');
+    expect(span.status.code).toBe(SpanStatusCode.ERROR);
+    expect(span.status.message).toBe('connect ECONNREFUSED');
+    expect(span.events[0].name).toBe('exception');
+  });
+
+  await test('errors that are not failures, like scheduled retries, leave the span ok', async () => {
+    exporter.reset();
+    class DelayedError extends Error {}
+    try {
+      await withSpan('process deliver-note', { isFailure: (error) => !(error instanceof DelayedError) }, async () => {
+        throw new DelayedError();
+      });
+    } catch (error) {
+      // Expected; the span is what is checked.
+    }
+
+    expect(spanNamed('process deliver-note').status.code).toBe(SpanStatusCode.UNSET);
+  });
+
+  await test('the carrier is empty outside a span', async () => {
+    expect(traceCarrier()).toEqual({});
+  });
+
+  console.log(`\n Test Results:`);
+  console.log(`   Passed: ${passed}`);
+  console.log(`   Failed: ${failed}`);
+  console.log(`   Total:  ${passed + failed}`);
+
+  if (failed === 0) {
+    console.log('All unit tests passed!');
+    process.exit(0);
+  } else {
+    console.log('Some tests failed!');
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = {
+  runTests
+};
@@ -0,0 +1,153 @@
+const { buildSignatureHeaders, computeSignature } = require('../../worker/utils/signature');
+const { verifySignature, parseSignatureHeader } = require('../../sink/signature');
+
+function runTests() {
+  let passed = 0;
+  let failed = 0;
+  
+  function test(name, testFn) {
+    try {
+      testFn();
+      console.log(`✅ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`❌ ${name}: ${error.message}`);
+      failed++;
+    }
+  }
+  
+  function expect(actual) {
+    return {
+      toBe: (expected) => {
+        if (actual !== expected) {
+          throw new Error(`Expected "${expected}" but got "${actual}"`);
+        }
+      },
+      toMatch: (regex) => {
+        if (!regex.test(actual)) {
+          throw new Error(`Expected "${actual}" to match ${regex}`);
+        }
+      },
+      toHaveLength: (length) => {
+        if (actual.length !== length) {
+          throw new Error(`Expected length ${length} but got ${actual.length}`);
+        }
+      }
+    };
+  }
+  
+  console.log(' Running Unit Tests - Webhook Signatures\n');
+  
+  const secret = 'whsec_test-secret-0123456789abcdef0123456789';
+  const rawBody = JSON.stringify({ id: '507f1f77bcf86cd799439011', title: 'Hello' });
+  const timestamp = 1704067200;
+  const now = timestamp * 1000;
+  
+  test('signs timestamp and raw body with HMAC-SHA256', () => {
+    const signature = computeSignature(secret, timestamp, rawBody);
+    
+    expect(signature).toHaveLength(64);
+    expect(signature).toMatch(/^[a-f0-9]{64}$/);
+  });
+  
+  test('builds signature and timestamp headers', () => {
+    const headers = buildSignatureHeaders([secret], rawBody, timestamp);
+    
+    expect(headers['X-Timestamp']).toBe(String(timestamp));
+    expect(headers['X-Signature']).toBe(`v1=${computeSignature(secret, timestamp, rawBody)}`);
+  });
+  
+  test('sends one signature per secret during rotation overlap', () => {
+    const headers = buildSignatureHeaders([secret, `${secret}-new`], rawBody, timestamp);
+    
+    expect(parseSignatureHeader(headers['X-Signature'])).toHaveLength(2);
+  });
+  
+  test('sends no signature headers without secrets', () => {
+    const headers = buildSignatureHeaders([], rawBody, timestamp);
+    
+    expect(headers['X-Signature']).toBe(undefined);
+  });
+  
+  test('verifies a valid signature', () => {
+    const headers = buildSignatureHeaders([secret], rawBody, timestamp);
+    const result = verifySignature({
+      secrets: [secret],
+      signatureHeader: headers['X-Signature'],
+      timestampHeader: headers['X-Timestamp'],
+      rawBody,
+      now
+    });
+    
+    expect(result.ok).toBe(true);
+  });
+  
+  test('receiver with only the new secret accepts overlap deliveries', () => {
+    const headers = buildSignatureHeaders([`${secret}-old`, secret], rawBody, timestamp);
+    const result = verifySignature({
+      secrets: [secret],
+      signatureHeader: headers['X-Signature'],
+      timestampHeader: headers['X-Timestamp'],
+      rawBody,
+      now
+    });
+    
+    expect(result.ok).toBe(true);
+  });
+  
+  test('rejects a tampered body', () => {
+    const headers = buildSignatureHeaders([secret], rawBody, timestamp);
+    const result = verifySignature({
+      secrets: [secret],
+      signatureHeader: headers['X-Signature'],
+      timestampHeader: headers['X-Timestamp'],
+      rawBody: rawBody.replace('Hello', 'Goodbye'),
+      now
+    });
+    
+    expect(result.ok).toBe(false);
+    expect(result.reason).toBe('Signature mismatch');
+  });
+  
+  test('rejects replays outside the tolerance window', () => {
+    const headers = buildSignatureHeaders([secret], rawBody, timestamp);
+    const result = verifySignature({
+      secrets: [secret],
+      signatureHeader: headers['X-Signature'],
+      timestampHeader: headers['X-Timestamp'],
+      rawBody,
+      toleranceSeconds: 300,
+      now: now + 301 * 1000
+    });
+    
+    expect(result.ok).toBe(false);
+    expect(result.reason).toBe('Timestamp outside tolerance window');
+  });
+  
+  test('rejects missing headers', () => {
+    const result = verifySignature({ secrets: [secret], rawBody, now });
+    
+    expect(result.ok).toBe(false);
+  });
+  
+  console.log(`\n Test Results:`);
+  console.log(`   Passed: ${passed}`);
+  console.log(`   Failed: ${failed}`);
+  console.log(`   Total:  ${passed + failed}`);
+  
+  if (failed === 0) {
+    console.log('All unit tests passed!');
+    process.exit(0);
+  } else {
+    console.log('Some tests failed!');
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = {
+  runTests
+};
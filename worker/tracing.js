@@ -0,0 +1,10 @@
+const { startTracing } = require('./utils/tracing');
+
+// Required first by index.js, so mongodb is patched before mongoose loads
+// it. Jobs and webhook requests get their spans in index.js.
+startTracing('droplater-worker', {
+  instrumentations: () => {
+    const { MongoDBInstrumentation } = require('@opentelemetry/instrumentation-mongodb');
+    return [new MongoDBInstrumentation()];
+  }
+});
@@ -0,0 +1,154 @@
+const ERROR_CODES = ['DNS', 'ECONNREFUSED', 'TLS', 'TIMEOUT', 'BLOCKED', 'TEMPLATE', 'HTTP', 'SMTP', 'NETWORK'];
+
+const DNS_ERRORS = ['ENOTFOUND', 'EAI_AGAIN', 'EAI_FAIL', 'EAI_NODATA', 'EAI_NONAME'];
+const TIMEOUT_ERRORS = ['ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT'];
+const TLS_ERRORS = [
+  'EPROTO',
+  'CERT_HAS_EXPIRED',
+  'CERT_NOT_YET_VALID',
+  'DEPTH_ZERO_SELF_SIGNED_CERT',
+  'SELF_SIGNED_CERT_IN_CHAIN',
+  'UNABLE_TO_GET_ISSUER_CERT_LOCALLY',
+  'UNABLE_TO_VERIFY_LEAF_SIGNATURE',
+  'ERR_TLS_CERT_ALTNAME_INVALID'
+];
+
+const DEFAULT_RESPONSE_HEADERS = [
+  'content-type',
+  'content-length',
+  'retry-after',
+  'date',
+  'server',
+  'location',
+  'x-request-id'
+];
+
+const REDACTED_REQUEST_HEADERS = [
+  'authorization',
+  'proxy-authorization',
+  'cookie',
+  'x-api-key',
+  'x-signature'
+];
+
+const DEFAULT_BODY_LIMIT = parseInt(process.env.ATTEMPT_BODY_LIMIT_BYTES) || 1024;
+
+// A receiver can answer with any amount of body, or one that never ends; no
+// more than this is read of it, which still lets the snippet say how much
+// it cut from bodies of moderate size.
+const RESPONSE_READ_LIMIT = DEFAULT_BODY_LIMIT * 4;
+
+/**
+ * Maps a request failure to one of ERROR_CODES. Responses that came back
+ * but weren't delivered are `HTTP`; anything unrecognised is `NETWORK`.
+ */
+const errorCodeFor = (error) => {
+  if (!error) {
+    return 'HTTP';
+  }
+
+  const code = error.code || (error.cause && error.cause.code);
+  if (code === 'EDESTINATIONBLOCKED') return 'BLOCKED';
+  if (code === 'ETEMPLATE') return 'TEMPLATE';
+  if (DNS_ERRORS.includes(code)) return 'DNS';
+  if (code === 'ECONNREFUSED') return 'ECONNREFUSED';
+  if (TIMEOUT_ERRORS.includes(code)) return 'TIMEOUT';
+  if (TLS_ERRORS.includes(code) || /^ERR_(SSL|TLS)_/.test(code || '')) return 'TLS';
+  return 'NETWORK';
+};
+
+// Nodemailer reports connection failures with codes of its own, keeping the
+// socket's code only in the message.
+const SMTP_CONNECTION_CODES = { EDNS: 'DNS', ETLS: 'TLS' };
+
+/**
+ * Maps a failed email send to one of ERROR_CODES: `SMTP` when the server
+ * answered with a reply code (or isn't configured), otherwise like
+ * errorCodeFor.
+ */
+const smtpErrorCodeFor = (error) => {
+  if (error.responseCode || error.code === 'ESMTPCONFIG') return 'SMTP';
+  if (SMTP_CONNECTION_CODES[error.code]) return SMTP_CONNECTION_CODES[error.code];
+  if (/\bECONNREFUSED\b/.test(error.message)) return 'ECONNREFUSED';
+  return errorCodeFor(error);
+};
+
+/**
+ * Reads a response stream until it ends, `limit` bytes are in or `timeoutMs`
+ * passes, then stops reading it. Resolves to { body, complete }, `complete`
+ * false when there was more to read.
+ */
+const readBody = (stream, { limit = RESPONSE_READ_LIMIT, timeoutMs = 10000 } = {}) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+  let settled = false;
+
+  const finish = (complete, error) => {
+    if (settled) return;
+    settled = true;
+    clearTimeout(timer);
+    if (!complete) stream.destroy();
+    if (error) return reject(error);
+    resolve({ body: Buffer.concat(chunks).subarray(0, limit).toString('utf8'), complete });
+  };
+  const timer = setTimeout(() => finish(false), timeoutMs);
+
+  stream.on('data', (chunk) => {
+    chunks.push(chunk);
+    size += chunk.length;
+    if (size > limit) finish(false);
+  });
+  stream.on('end', () => finish(true));
+  stream.on('error', (error) => finish(true, error));
+});
+
+// `complete` false means `data` is only the start of the body, so how much
+// was cut isn't known.
+const truncateBody = (data, limit = DEFAULT_BODY_LIMIT, complete = true) => {
+  if (data === undefined || data === null || data === '') {
+    return undefined;
+  }
+
+  const text = typeof data === 'string' ? data : Buffer.isBuffer(data) ? data.toString('utf8') : JSON.stringify(data);
+  const bytes = Buffer.from(text, 'utf8');
+  if (bytes.length <= limit && complete) {
+    return text;
+  }
+
+  // Cutting mid-character leaves a replacement char at the end; fine for a debugging snippet.
+  const kept = bytes.subarray(0, limit).toString('utf8');
+  return complete
+    ? `${kept}…[truncated ${bytes.length - limit} bytes]`
+    : `${kept}…[truncated, over ${bytes.length} bytes in all]`;
+};
+
+const pickResponseHeaders = (headers = {}, names = DEFAULT_RESPONSE_HEADERS) => {
+  const picked = {};
+  names.forEach(name => {
+    const value = headers[name];
+    if (value !== undefined && value !== null) {
+      picked[name] = Array.isArray(value) ? value.join(', ') : String(value);
+    }
+  });
+  return picked;
+};
+
+const redactRequestHeaders = (headers = {}) => {
+  const redacted = {};
+  Object.keys(headers).forEach(name => {
+    redacted[name] = REDACTED_REQUEST_HEADERS.includes(name.toLowerCase())
+      ? '[redacted]'
+      : String(headers[name]);
+  });
+  return redacted;
+};
+
+module.exports = {
+  ERROR_CODES,
+  errorCodeFor,
+  smtpErrorCodeFor,
+  readBody,
+  truncateBody,
+  pickResponseHeaders,
+  redactRequestHeaders
+};
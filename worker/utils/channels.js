@@ -0,0 +1,216 @@
+const {
+  DEFAULT_METHOD,
+  DEFAULT_CONTENT_TYPE,
+  TEMPLATE_CODE,
+  templateView,
+  renderTemplate,
+  isJsonContentType,
+  buildRequest
+} = require('./payload');
+
+// Where a note goes, set with `channel: { type, ... }`. Without one a note is
+// a webhook, as it always was. Each channel has the settings it accepts, how
+// its message is built, which transport sends it (HTTP or SMTP) and the rules
+// that classify the outcome, checked before DELIVERY_RESPONSE_RULES for HTTP
+// and on their own for SMTP, whose reply codes aren't HTTP statuses:
+//
+//   webhook  the note's request (see utils/payload) to webhookUrl
+//   slack    { text } to a Slack incoming webhook at webhookUrl
+//   discord  { content } to a Discord webhook at webhookUrl
+//   email    a mail to channel.to through the worker's SMTP_URL
+//
+// The API checks notes with channelProblems when they are created or edited;
+// the worker builds every message with buildMessage.
+
+const CHANNEL_TYPES = ['webhook', 'slack', 'discord', 'email'];
+const DEFAULT_CHANNEL = 'webhook';
+
+const SLACK_TEXT_MAX = 40000;
+const DISCORD_CONTENT_MAX = 2000;
+const EMAIL_MAX_RECIPIENTS = 50;
+const EMAIL_CONTENT_TYPES = [DEFAULT_CONTENT_TYPE, 'text/plain', 'text/html'];
+
+const EMAIL_ADDRESS = /^[^\s@<>()[\],;:"\\]+@[A-Za-z0-9]([A-Za-z0-9-]*[A-Za-z0-9])?(\.[A-Za-z0-9]([A-Za-z0-9-]*[A-Za-z0-9])?)*$/;
+
+const isEmailAddress = (address) => address.length <= 254 && EMAIL_ADDRESS.test(address);
+
+// Slack answers invalid_payload, action_prohibited, channel_not_found and
+// channel_is_archived with these; none gets better by sending again.
+const SLACK_RULES = [
+  { name: 'slack-rate-limited', status: [429], outcome: 'retry' },
+  { name: 'slack-rejected', status: [400, 403, 404, 410], outcome: 'permanent' }
+];
+
+// A bad payload, an invalid token, missing access or a deleted webhook.
+const DISCORD_RULES = [
+  { name: 'discord-rate-limited', status: [429], outcome: 'retry' },
+  { name: 'discord-rejected', status: [400, 401, 403, 404], outcome: 'permanent' }
+];
+
+// SMTP reply codes. A failed login is the server's setup rather than the
+// note's, so it is retried while someone fixes it.
+const EMAIL_RULES = [
+  { name: 'smtp-accepted', status: ['2xx'], outcome: 'delivered' },
+  { name: 'smtp-auth-failed', status: [530, 534, 535], outcome: 'retry' },
+  { name: 'smtp-transient', status: ['4xx'], outcome: 'retry' },
+  { name: 'smtp-rejected', status: ['5xx'], outcome: 'permanent' },
+  { name: 'network-error', networkError: true, outcome: 'retry' }
+];
+
+const channelType = (channel) => (channel && channel.type) || DEFAULT_CHANNEL;
+
+const messageError = (message) => Object.assign(new Error(message), { code: TEMPLATE_CODE });
+
+// A chat message's template is its text, rendered as plain text.
+const renderText = (note, context) => renderTemplate(note.template, templateView(note, context), 'text/plain');
+
+// Slack reads &, < and > as markup (<!channel> mentions everyone).
+const slackEscape = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+const chatRequest = (payload) => ({
+  method: 'POST',
+  contentType: 'application/json',
+  headers: {},
+  body: JSON.stringify(payload)
+});
+
+const buildSlackRequest = (note, context) => {
+  const text = note.template
+    ? renderText(note, context)
+    : `*${slackEscape(note.title)}*\n${slackEscape(note.body)}`;
+  if (text.length > SLACK_TEXT_MAX) {
+    throw messageError(`Slack messages are limited to ${SLACK_TEXT_MAX} characters, got ${text.length}`);
+  }
+  const { username, avatarUrl } = note.channel;
+  return chatRequest({
+    text,
+    ...(username ? { username } : {}),
+    ...(avatarUrl ? { icon_url: avatarUrl } : {})
+  });
+};
+
+// Mentions in the text are shown but never ping anyone.
+const buildDiscordRequest = (note, context) => {
+  const content = note.template ? renderText(note, context) : `**${note.title}**\n${note.body}`;
+  if (content.length > DISCORD_CONTENT_MAX) {
+    throw messageError(`Discord messages are limited to ${DISCORD_CONTENT_MAX} characters, got ${content.length}`);
+  }
+  const { username, avatarUrl } = note.channel;
+  return chatRequest({
+    content,
+    ...(username ? { username } : {}),
+    ...(avatarUrl ? { avatar_url: avatarUrl } : {}),
+    allowed_mentions: { parse: [] }
+  });
+};
+
+/**
+ * The mail for an email note: { to, cc, replyTo, subject, text | html }. The
+ * subject defaults to the title and the text to the body; a template is the
+ * body instead, as HTML with contentType text/html.
+ */
+const buildEmail = (note, context) => {
+  const { to, cc, replyTo, subject } = note.channel;
+  const html = note.contentType === 'text/html';
+  const content = note.template
+    ? renderTemplate(note.template, templateView(note, context), html ? 'text/html' : 'text/plain')
+    : note.body;
+  return {
+    to: [...to],
+    cc: [...(cc || [])],
+    replyTo: replyTo || null,
+    subject: subject || note.title,
+    ...(html ? { html: content } : { text: content })
+  };
+};
+
+const CHANNELS = {
+  webhook: { transport: 'http', rules: [], settings: [], build: buildRequest },
+  slack: { transport: 'http', rules: SLACK_RULES, settings: ['username', 'avatarUrl'], build: buildSlackRequest },
+  discord: { transport: 'http', rules: DISCORD_RULES, settings: ['username', 'avatarUrl'], build: buildDiscordRequest },
+  email: { transport: 'smtp', rules: EMAIL_RULES, settings: ['to', 'cc', 'replyTo', 'subject'], build: buildEmail }
+};
+
+const channelFor = (channel) => CHANNELS[channelType(channel)];
+
+/**
+ * What a note sends on its channel. Throws an error with code ETEMPLATE if
+ * the template fails or the message is too long for the channel.
+ */
+const buildMessage = (note, context) => channelFor(note.channel).build(note, context);
+
+/**
+ * Whether the note's content type needs a template: a webhook's default body
+ * is JSON, while an email sends its body as the text it is.
+ */
+const templateMissing = (note) => !note.template && channelType(note.channel) !== 'email' &&
+  !isJsonContentType(note.contentType || DEFAULT_CONTENT_TYPE);
+
+const isSet = (value) => value !== undefined && value !== null && !(Array.isArray(value) && value.length === 0);
+
+/**
+ * Why the note's channel can't be used with the rest of the note, as
+ * [{ path, message }]; empty if it can. `note` has the note's fields.
+ */
+const channelProblems = (note) => {
+  const type = channelType(note.channel);
+  const problems = [];
+  const problem = (path, message) => problems.push({ path, message });
+
+  const allowed = CHANNELS[type].settings;
+  Object.keys(note.channel || {}).filter(key => key !== 'type' && isSet(note.channel[key]) && !allowed.includes(key))
+    .forEach(key => problem(['channel', key], `is not a setting of the ${type} channel`));
+
+  if (type === 'webhook') {
+    return problems;
+  }
+  if (note.topic) {
+    problem(['channel'], 'Topic notes are delivered to their endpoints\' webhooks');
+  }
+  if (note.cloudEvents) {
+    problem(['cloudEvents'], `CloudEvents are only sent to webhooks, not with the ${type} channel`);
+  }
+  if ((note.method || DEFAULT_METHOD) !== DEFAULT_METHOD) {
+    problem(['method'], `Only webhooks take a method, not the ${type} channel`);
+  }
+  if (note.headers && Object.keys(note.headers).length > 0) {
+    problem(['headers'], `Custom headers are only sent to webhooks, not with the ${type} channel`);
+  }
+
+  if (type === 'email') {
+    if (note.webhookUrl) {
+      problem(['webhookUrl'], 'Email notes are sent to channel.to, not to a webhookUrl');
+    }
+    if (!isSet(note.channel.to)) {
+      problem(['channel', 'to'], 'Email notes need at least one recipient');
+    } else if (note.channel.to.length + (note.channel.cc || []).length > EMAIL_MAX_RECIPIENTS) {
+      problem(['channel', 'to'], `An email can have at most ${EMAIL_MAX_RECIPIENTS} recipients`);
+    }
+    if (!EMAIL_CONTENT_TYPES.includes(note.contentType || DEFAULT_CONTENT_TYPE)) {
+      problem(['contentType'], 'Emails are text/plain or text/html');
+    }
+    return problems;
+  }
+
+  if ((note.contentType || DEFAULT_CONTENT_TYPE) !== DEFAULT_CONTENT_TYPE) {
+    problem(['contentType'], `The ${type} channel sends JSON; a template is its message text`);
+  }
+  return problems;
+};
+
+module.exports = {
+  CHANNEL_TYPES,
+  DEFAULT_CHANNEL,
+  SLACK_TEXT_MAX,
+  DISCORD_CONTENT_MAX,
+  EMAIL_MAX_RECIPIENTS,
+  SLACK_RULES,
+  DISCORD_RULES,
+  EMAIL_RULES,
+  isEmailAddress,
+  channelType,
+  channelFor,
+  buildMessage,
+  templateMissing,
+  channelProblems
+};
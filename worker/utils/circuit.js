@@ -0,0 +1,216 @@
+// Circuit breakers per tenant and destination host, shared by every worker
+// replica through Redis.
+//
+// closed: sends go through; consecutive failures are counted.
+// open: after `threshold` failures in a row. Sends are held (the caller
+//   parks the note or delivery, without an attempt) until the cooldown ends.
+// half-open: one probe send is let through. Success closes the circuit and
+//   the held backlog is released; failure opens it for another cooldown.
+//
+// Every transition is kept in a short per-circuit history.
+
+const HISTORY_LENGTH = 50;
+const HISTORY_TTL_MS = 7 * 24 * 3600000;
+
+// Shared by every script: Redis time, and a transition that records itself.
+// KEYS[1] is the circuit's hash, KEYS[2] its history list.
+const PRELUDE = `
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local state = redis.call('HGET', KEYS[1], 'state') or 'closed'
+
+local function transition(to, reason)
+  redis.call('HSET', KEYS[1], 'state', to, 'changedAt', now)
+  redis.call('LPUSH', KEYS[2], cjson.encode({ from = state, to = to, at = now, reason = reason }))
+  redis.call('LTRIM', KEYS[2], 0, ${HISTORY_LENGTH - 1})
+  redis.call('PEXPIRE', KEYS[2], ${HISTORY_TTL_MS})
+  state = to
+end
+`;
+
+// May `holder` (a note or delivery) send now? Returns {1, state, 0} or
+// {0, state, msUntilItMightBeAllowed}. An open circuit whose cooldown is
+// over turns half-open and makes the holder its probe; a probe that never
+// reported back (its worker died) is replaced once it expires.
+const GATE_SCRIPT = `${PRELUDE}
+local holder = ARGV[1]
+local probeTtl = tonumber(ARGV[2])
+
+if state == 'closed' then
+  return {1, state, 0}
+end
+
+if state == 'open' then
+  local nextProbeAt = tonumber(redis.call('HGET', KEYS[1], 'nextProbeAt')) or 0
+  if now < nextProbeAt then
+    return {0, state, nextProbeAt - now}
+  end
+  transition('half-open', 'Cooldown over, probing')
+  redis.call('HSET', KEYS[1], 'probe', '')
+end
+
+local probe = redis.call('HGET', KEYS[1], 'probe') or ''
+local probeExpiresAt = tonumber(redis.call('HGET', KEYS[1], 'probeExpiresAt')) or 0
+if probe == '' or probe == holder or probeExpiresAt <= now then
+  redis.call('HSET', KEYS[1], 'probe', holder, 'probeExpiresAt', now + probeTtl)
+  return {1, state, 0}
+end
+return {0, state, probeExpiresAt - now}
+`;
+
+// Records how a send went. Any success closes the circuit: the host is
+// answering again. Returns {state, 1 if it just changed else 0}.
+const RECORD_SCRIPT = `${PRELUDE}
+local outcome = ARGV[1]
+local threshold = tonumber(ARGV[2])
+local cooldownMs = tonumber(ARGV[3])
+local reason = ARGV[4]
+
+if outcome == 'success' then
+  if state ~= 'closed' then
+    transition('closed', 'Delivery succeeded')
+    redis.call('HSET', KEYS[1], 'failures', 0, 'probe', '')
+    return {state, 1}
+  end
+  local failures = redis.call('HGET', KEYS[1], 'failures')
+  if failures and failures ~= '0' then
+    redis.call('HSET', KEYS[1], 'failures', 0)
+  end
+  return {state, 0}
+end
+
+redis.call('SADD', KEYS[3], ARGV[6])
+redis.call('HSET', KEYS[1], 'tenant', ARGV[5], 'host', ARGV[6], 'lastFailureAt', now, 'lastError', reason)
+local failures = redis.call('HINCRBY', KEYS[1], 'failures', 1)
+
+if state == 'half-open' or (state == 'closed' and failures >= threshold) then
+  local why = state == 'half-open' and 'Probe failed: ' or (failures .. ' consecutive failures: ')
+  transition('open', why .. reason)
+  redis.call('HSET', KEYS[1], 'openedAt', now, 'nextProbeAt', now + cooldownMs, 'probe', '')
+  return {state, 1}
+end
+return {state, 0}
+`;
+
+const RESET_SCRIPT = `${PRELUDE}
+local was = state
+if state ~= 'closed' then
+  transition('closed', ARGV[1])
+end
+if redis.call('EXISTS', KEYS[1]) == 1 then
+  redis.call('HSET', KEYS[1], 'failures', 0, 'probe', '')
+end
+return was
+`;
+
+// Held notes and deliveries store the key of the circuit holding them.
+// Tenant names can't contain ':', hosts (IPv6) can.
+const circuitKey = (tenant, host) => `${tenant}:${host}`;
+
+const parseCircuitKey = (key) => {
+  const index = key.indexOf(':');
+  return { tenant: key.slice(0, index), host: key.slice(index + 1) };
+};
+
+const tenantHostsKey = (tenant) => `circuits:${tenant}`;
+
+const circuitKeys = (key) => ({
+  state: `circuit:${key}`,
+  history: `circuit:${key}:history`,
+  tenantHosts: tenantHostsKey(parseCircuitKey(key).tenant)
+});
+
+/**
+ * What a finished send says about the host. A response the receiver meant
+ * (2xx, or a 4xx classified permanent) shows it is up; a retryable failure
+ * (5xx, 429, timeouts, network errors) counts against it. A send refused by
+ * the destination policy, or whose template failed to render, never reached
+ * it and says nothing.
+ */
+const circuitOutcome = ({ attempt, rule }) => {
+  if (attempt.ok) {
+    return 'success';
+  }
+  if (attempt.errorCode === 'BLOCKED' || attempt.errorCode === 'TEMPLATE') {
+    return null;
+  }
+  return rule.outcome === 'permanent' ? 'success' : 'failure';
+};
+
+const toDate = (ms) => (ms ? new Date(Number(ms)) : null);
+
+/**
+ * Shapes a circuit's Redis hash and history for the API.
+ */
+const describeCircuit = (host, hash, history = []) => ({
+  host,
+  state: hash.state || 'closed',
+  failures: Number(hash.failures) || 0,
+  lastError: hash.lastError || null,
+  lastFailureAt: toDate(hash.lastFailureAt),
+  openedAt: hash.state === 'closed' ? null : toDate(hash.openedAt),
+  nextProbeAt: hash.state === 'open' ? toDate(hash.nextProbeAt) : null,
+  changedAt: toDate(hash.changedAt),
+  transitions: history.map(entry => {
+    const { from, to, at, reason } = JSON.parse(entry);
+    return { from, to, at: new Date(at), reason };
+  })
+});
+
+const createCircuits = (redis, { threshold = 5, cooldownMs = 30000 } = {}) => {
+  if (!redis.droplaterCircuitGate) {
+    redis.defineCommand('droplaterCircuitGate', { numberOfKeys: 2, lua: GATE_SCRIPT });
+    redis.defineCommand('droplaterCircuitRecord', { numberOfKeys: 3, lua: RECORD_SCRIPT });
+    redis.defineCommand('droplaterCircuitReset', { numberOfKeys: 2, lua: RESET_SCRIPT });
+  }
+
+  return {
+    // Resolves to { allowed, state, retryInMs }.
+    gate: async (key, holder, probeTtlMs) => {
+      const keys = circuitKeys(key);
+      const [allowed, state, retryInMs] = await redis.droplaterCircuitGate(keys.state, keys.history, holder, probeTtlMs);
+      return { allowed: allowed === 1, state, retryInMs };
+    },
+
+    // Resolves to { state, changed }.
+    record: async (key, outcome, reason = '') => {
+      const keys = circuitKeys(key);
+      const { tenant, host } = parseCircuitKey(key);
+      const [state, changed] = await redis.droplaterCircuitRecord(
+        keys.state, keys.history, keys.tenantHosts,
+        outcome, threshold, cooldownMs, reason.slice(0, 200), tenant, host
+      );
+      return { state, changed: changed === 1 };
+    },
+
+    // Closes the circuit by hand; resolves to the state it was in.
+    reset: async (key, reason = 'Reset manually') => {
+      const keys = circuitKeys(key);
+      return redis.droplaterCircuitReset(keys.state, keys.history, reason);
+    },
+
+    get: async (key, historyLength = HISTORY_LENGTH) => {
+      const keys = circuitKeys(key);
+      const [hash, history] = await Promise.all([
+        redis.hgetall(keys.state),
+        redis.lrange(keys.history, 0, historyLength - 1)
+      ]);
+      return describeCircuit(parseCircuitKey(key).host, hash || {}, history);
+    },
+
+    // Every host the tenant has had a failed send to.
+    hosts: async (tenant) => redis.smembers(tenantHostsKey(tenant))
+  };
+};
+
+module.exports = {
+  GATE_SCRIPT,
+  RECORD_SCRIPT,
+  RESET_SCRIPT,
+  circuitKey,
+  parseCircuitKey,
+  circuitKeys,
+  circuitOutcome,
+  describeCircuit,
+  createCircuits
+};
@@ -0,0 +1,94 @@
+const OUTCOMES = ['delivered', 'retry', 'permanent'];
+
+// Checked in order, first match wins. `status` entries are exact codes or
+// class patterns like "5xx"; `networkError` matches attempts that never got
+// an HTTP response (DNS, refused connection, timeout, ...).
+const DEFAULT_RULES = [
+  { name: 'success', status: ['2xx'], outcome: 'delivered' },
+  { name: 'retryable-status', status: [408, 429], outcome: 'retry' },
+  { name: 'server-error', status: ['5xx'], outcome: 'retry' },
+  { name: 'network-error', networkError: true, outcome: 'retry' },
+  { name: 'client-error', status: ['4xx'], outcome: 'permanent' }
+];
+
+const FALLBACK_RULE = { name: 'unclassified', outcome: 'retry' };
+
+const matchesStatus = (pattern, statusCode) => {
+  if (typeof pattern === 'number') {
+    return pattern === statusCode;
+  }
+  const match = /^([1-5])xx$/.exec(String(pattern));
+  return Boolean(match) && Math.floor(statusCode / 100) === Number(match[1]);
+};
+
+const ruleMatches = (rule, { statusCode, networkError }) => {
+  if (rule.networkError) {
+    return Boolean(networkError);
+  }
+  if (networkError || !rule.status) {
+    return false;
+  }
+  return rule.status.some(pattern => matchesStatus(pattern, statusCode));
+};
+
+const classifyResponse = (result, rules = DEFAULT_RULES) => {
+  return rules.find(rule => ruleMatches(rule, result)) || FALLBACK_RULE;
+};
+
+/**
+ * Builds the rule list from DELIVERY_RESPONSE_RULES (a JSON array). Custom
+ * rules are checked before the defaults, so they only need to cover the
+ * cases that should behave differently. Throws on malformed config.
+ */
+const loadResponseRules = (json) => {
+  if (!json) {
+    return DEFAULT_RULES;
+  }
+
+  const custom = JSON.parse(json);
+  if (!Array.isArray(custom)) {
+    throw new Error('DELIVERY_RESPONSE_RULES must be a JSON array');
+  }
+
+  custom.forEach((rule, index) => {
+    if (!rule || typeof rule.name !== 'string' || !OUTCOMES.includes(rule.outcome)) {
+      throw new Error(`DELIVERY_RESPONSE_RULES[${index}] needs a name and an outcome of ${OUTCOMES.join(', ')}`);
+    }
+    if (!rule.networkError && !Array.isArray(rule.status)) {
+      throw new Error(`DELIVERY_RESPONSE_RULES[${index}] needs a status array or networkError: true`);
+    }
+  });
+
+  return [...custom, ...DEFAULT_RULES];
+};
+
+/**
+ * Parses a Retry-After header given either as delay-seconds or as an
+ * HTTP-date. Returns the delay in milliseconds, or null if absent/invalid.
+ */
+const parseRetryAfter = (value, now = Date.now()) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) {
+    return parseInt(text, 10) * 1000;
+  }
+
+  // Date.parse is lenient ("-5" is a year), so require the day/month names
+  // every HTTP-date has.
+  const date = /[a-z]/i.test(text) ? Date.parse(text) : NaN;
+  if (Number.isNaN(date)) {
+    return null;
+  }
+
+  return Math.max(0, date - now);
+};
+
+module.exports = {
+  DEFAULT_RULES,
+  classifyResponse,
+  loadResponseRules,
+  parseRetryAfter
+};
@@ -0,0 +1,161 @@
+const Mustache = require('mustache');
+
+// What a note sends. By default a JSON body with the note's fields, plus its
+// `data` if it has any; with a Mustache `template`, whatever that renders
+// from the same fields. The note also picks the method, the content type and
+// extra headers. The API checks notes with these helpers when they are
+// created; the worker builds every request with them.
+
+const HTTP_METHODS = ['POST', 'PUT', 'PATCH'];
+const DEFAULT_METHOD = 'POST';
+const DEFAULT_CONTENT_TYPE = 'application/json';
+const TEMPLATE_CODE = 'ETEMPLATE';
+
+// Headers DropLater sets itself, which a note can't replace, along with
+// CloudEvents' ce-* attributes. The content type has a field of its own.
+const RESERVED_HEADERS = [
+  'content-type',
+  'content-length',
+  'host',
+  'connection',
+  'transfer-encoding',
+  'x-idempotency-key',
+  'x-signature',
+  'x-timestamp',
+  'x-note-id',
+  'x-delivery-id',
+  'x-topic',
+  'x-series-id',
+  'traceparent',
+  'tracestate'
+];
+
+const HEADER_NAME = /^[A-Za-z0-9][A-Za-z0-9-]*$/;
+const CONTENT_TYPE = /^[a-z0-9!#$&^_.+-]+\/[a-z0-9!#$&^_.+-]+(\s*;\s*[a-z0-9_-]+=("[^"]*"|[^;\s"]+))*$/i;
+
+// Why a note can't set this header, or null.
+const headerProblem = (name) => {
+  if (!HEADER_NAME.test(name)) {
+    return 'may only contain letters, digits and "-"';
+  }
+  if (RESERVED_HEADERS.includes(name.toLowerCase()) || /^ce-/i.test(name)) {
+    return name.toLowerCase() === 'content-type' ? 'is set with contentType' : 'is set by DropLater';
+  }
+  return null;
+};
+
+const isValidContentType = (contentType) => CONTENT_TYPE.test(contentType);
+
+const mediaType = (contentType) => contentType.split(';')[0].trim().toLowerCase();
+
+const isJsonContentType = (contentType) => {
+  const type = mediaType(contentType);
+  return type === 'application/json' || type.endsWith('+json');
+};
+
+const isMarkupContentType = (contentType) => /^text\/html$|[/+]xml$/.test(mediaType(contentType));
+
+// {{value}} is escaped for where the body goes: inside a JSON string for
+// JSON (objects and numbers come out as JSON), as entities for HTML and XML,
+// and not at all otherwise. {{{value}}} is never escaped.
+const escapeFor = (contentType) => {
+  if (isJsonContentType(contentType)) {
+    return value => (typeof value === 'string' ? JSON.stringify(value).slice(1, -1) : JSON.stringify(value));
+  }
+  if (isMarkupContentType(contentType)) {
+    return Mustache.escape;
+  }
+  return value => (typeof value === 'object' ? JSON.stringify(value) : String(value));
+};
+
+const templateError = (message) => Object.assign(new Error(message), { code: TEMPLATE_CODE });
+
+/**
+ * The default body: id, title, body, topic (for topic deliveries), releaseAt,
+ * deliveredAt, and data when the note has it.
+ */
+const defaultPayload = (note, { topic, deliveredAt }) => ({
+  id: String(note._id),
+  title: note.title,
+  body: note.body,
+  ...(topic ? { topic } : {}),
+  releaseAt: new Date(note.releaseAt).toISOString(),
+  deliveredAt,
+  ...(note.data !== undefined && note.data !== null ? { data: note.data } : {})
+});
+
+// What a template can use: the default body's fields, plus tags, data,
+// seriesId and deliveryId.
+const templateView = (note, context) => ({
+  ...defaultPayload(note, context),
+  tags: note.tags || [],
+  data: note.data === undefined ? null : note.data,
+  seriesId: note.seriesId ? String(note.seriesId) : null,
+  deliveryId: context.deliveryId || null
+});
+
+// Why the template can't be used, or null.
+const templateProblem = (template) => {
+  try {
+    Mustache.parse(template);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+/**
+ * Renders a note's template. Throws an error with code ETEMPLATE if it fails,
+ * or if a JSON content type doesn't get valid JSON.
+ */
+const renderTemplate = (template, view, contentType) => {
+  let rendered;
+  try {
+    rendered = Mustache.render(template, view, {}, { escape: escapeFor(contentType) });
+  } catch (error) {
+    throw templateError(`Template failed to render: ${error.message}`);
+  }
+
+  if (isJsonContentType(contentType)) {
+    try {
+      JSON.parse(rendered);
+    } catch (error) {
+      throw templateError(`Template did not render valid JSON: ${error.message}`);
+    }
+  }
+  return rendered;
+};
+
+/**
+ * The request a note makes: { method, contentType, headers, body }, with the
+ * body as the exact string to sign and send. `context` has deliveredAt, and
+ * topic and deliveryId for topic deliveries.
+ */
+const buildRequest = (note, context) => {
+  const contentType = note.contentType || DEFAULT_CONTENT_TYPE;
+  const body = note.template
+    ? renderTemplate(note.template, templateView(note, context), contentType)
+    : JSON.stringify(defaultPayload(note, context));
+
+  return {
+    method: note.method || DEFAULT_METHOD,
+    contentType,
+    headers: { ...(note.headers || {}) },
+    body
+  };
+};
+
+module.exports = {
+  HTTP_METHODS,
+  DEFAULT_METHOD,
+  DEFAULT_CONTENT_TYPE,
+  TEMPLATE_CODE,
+  headerProblem,
+  isValidContentType,
+  isJsonContentType,
+  defaultPayload,
+  templateView,
+  templateProblem,
+  renderTemplate,
+  buildRequest
+};
@@ -0,0 +1,120 @@
+const cronParser = require('cron-parser');
+const { rrulestr } = require('rrule');
+const { isValidTimezone, wallClock, fromWallClock } = require('./localTime');
+
+// rrule's `tzid` support goes through the host's local time, so its results
+// would shift with the process's TZ. Instead it runs on "floating" dates,
+// whose UTC fields are wall-clock time in the schedule's timezone, and each
+// occurrence is turned into a real instant here.
+const toFloating = (date, timezone) => {
+  const { year, month, day, hour, minute, second } = wallClock(date, timezone);
+  return new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+};
+
+const fromFloating = (date, timezone) => fromWallClock({
+  year: date.getUTCFullYear(),
+  month: date.getUTCMonth() + 1,
+  day: date.getUTCDate(),
+  hour: date.getUTCHours(),
+  minute: date.getUTCMinutes(),
+  second: date.getUTCSeconds()
+}, timezone);
+
+const nextRruleOccurrence = (expression, dtstart, from, timezone) => {
+  const rule = rrulestr(expression, { dtstart: toFloating(dtstart, timezone) });
+  // Wall-clock time at `from`, to the millisecond, so rrule's own strict
+  // `after` still applies.
+  let cursor = new Date(toFloating(from, timezone).getTime() + from.getTime() % 1000);
+  // A time the clocks repeat in autumn maps to the first of the two
+  // instants, which can fall at or before `from`; move on to the next.
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const local = rule.after(cursor, false);
+    if (!local) {
+      return null;
+    }
+    const next = fromFloating(local, timezone);
+    if (next > from) {
+      return next;
+    }
+    cursor = local;
+  }
+  return null;
+};
+
+const nextRawOccurrence = (schedule, after) => {
+  const timezone = schedule.timezone || 'UTC';
+  const startAt = schedule.startAt ? new Date(schedule.startAt) : null;
+  // Both libraries look strictly after the reference, so step back 1ms to
+  // let an occurrence that falls exactly on startAt count.
+  const from = startAt && startAt > after ? new Date(startAt.getTime() - 1) : after;
+
+  if (schedule.type === 'cron') {
+    const interval = cronParser.parseExpression(schedule.expression, {
+      currentDate: from,
+      tz: timezone
+    });
+    return interval.next().toDate();
+  }
+
+  return nextRruleOccurrence(schedule.expression, startAt || from, from, timezone);
+};
+
+/**
+ * Returns the first occurrence strictly after `after`, or null once the
+ * schedule is exhausted by `endAt` or `maxOccurrences`.
+ */
+const nextOccurrence = (schedule, after = new Date()) => {
+  if (schedule.maxOccurrences && (schedule.occurrenceCount || 0) >= schedule.maxOccurrences) {
+    return null;
+  }
+
+  const next = nextRawOccurrence(schedule, after);
+  if (!next) {
+    return null;
+  }
+
+  if (schedule.endAt && next > new Date(schedule.endAt)) {
+    return null;
+  }
+
+  return next;
+};
+
+const upcomingOccurrences = (schedule, after = new Date(), limit = 10) => {
+  const occurrences = [];
+  let cursor = after;
+  let occurrenceCount = schedule.occurrenceCount || 0;
+
+  while (occurrences.length < limit) {
+    const next = nextOccurrence({ ...schedule, occurrenceCount }, cursor);
+    if (!next) break;
+    occurrences.push(next);
+    cursor = next;
+    occurrenceCount++;
+  }
+
+  return occurrences;
+};
+
+/**
+ * Throws with a readable message when the expression or timezone can't be
+ * used, so the API can reject the note at creation time.
+ */
+const validateSchedule = (schedule) => {
+  if (!isValidTimezone(schedule.timezone || 'UTC')) {
+    throw new Error(`Unknown timezone "${schedule.timezone}"`);
+  }
+
+  try {
+    nextRawOccurrence(schedule, new Date());
+  } catch (error) {
+    throw new Error(`Invalid ${schedule.type} expression: ${error.message}`);
+  }
+};
+
+module.exports = {
+  isValidTimezone,
+  nextOccurrence,
+  upcomingOccurrences,
+  validateSchedule
+};
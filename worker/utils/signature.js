@@ -0,0 +1,30 @@
+const crypto = require('crypto');
+
+const SIGNATURE_VERSION = 'v1';
+
+const computeSignature = (secret, timestamp, rawBody) => {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${rawBody}`)
+    .digest('hex');
+};
+
+// One `v1=<hex>` entry per active secret, so receivers that only know the
+// old or only the new secret both accept the delivery during a rotation.
+const buildSignatureHeaders = (secrets, rawBody, timestamp = Math.floor(Date.now() / 1000)) => {
+  if (!secrets || secrets.length === 0) {
+    return {};
+  }
+
+  const signatures = secrets.map(secret => `${SIGNATURE_VERSION}=${computeSignature(secret, timestamp, rawBody)}`);
+
+  return {
+    'X-Signature': signatures.join(','),
+    'X-Timestamp': String(timestamp)
+  };
+};
+
+module.exports = {
+  computeSignature,
+  buildSignatureHeaders
+};
@@ -0,0 +1,182 @@
+// Per-destination rate limits and in-flight caps, shared by every worker
+// replica through Redis. A limit applies to one endpoint or to one host.
+//
+// The rate is a token bucket in its GCRA form: the bucket key holds the
+// time the next send is due (`tat`), and up to `burst` sends may run ahead
+// of it. A send that doesn't fit is given the next free slot instead, so a
+// burst of 10k jobs is spread out over time rather than retrying together.
+// The caller defers the job until its slot and comes back with `reserved`,
+// which skips the rate check (the slot is already paid for).
+//
+// In-flight sends are members of a sorted set scored by when they expire,
+// so a worker that dies mid-send frees its place after `holdMs`.
+const THROTTLE_SCRIPT = `
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local perSecond = tonumber(ARGV[1])
+local burst = tonumber(ARGV[2])
+local maxInFlight = tonumber(ARGV[3])
+local holder = ARGV[4]
+local holdMs = tonumber(ARGV[5])
+local reserved = ARGV[6] == '1'
+local idleMs = tonumber(ARGV[7])
+
+local tat = tonumber(redis.call('HGET', KEYS[1], 'tat')) or now
+if tat < now then
+  tat = now
+end
+
+-- The bucket lives until its last reserved slot, plus idleMs of history.
+local function keep()
+  redis.call('PEXPIRE', KEYS[1], math.ceil(tat - now) + idleMs)
+end
+
+local function defer(reason, waitMs)
+  redis.call('HINCRBY', KEYS[1], 'deferred', 1)
+  redis.call('HSET', KEYS[1], 'lastDeferredAt', now)
+  keep()
+  return {0, reason, math.ceil(waitMs)}
+end
+
+if maxInFlight > 0 then
+  redis.call('ZREMRANGEBYSCORE', KEYS[2], '-inf', now)
+  if not redis.call('ZSCORE', KEYS[2], holder) and redis.call('ZCARD', KEYS[2]) >= maxInFlight then
+    return defer('in-flight', 0)
+  end
+end
+
+if perSecond > 0 and not reserved then
+  local interval = 1000 / perSecond
+  local waitMs = tat - now - (burst - 1) * interval
+  tat = tat + interval
+  redis.call('HSET', KEYS[1], 'tat', tostring(tat))
+  if waitMs > 0 then
+    return defer('rate', waitMs)
+  end
+  keep()
+end
+
+if maxInFlight > 0 then
+  redis.call('ZADD', KEYS[2], now + holdMs, holder)
+  redis.call('PEXPIRE', KEYS[2], holdMs)
+end
+return {1, 'ok', 0}
+`;
+
+// How long the bucket's counters outlive its last use, so the admin UI can
+// still show that a destination was throttled a while ago.
+const STATE_IDLE_MS = 3600000;
+
+const throttleKeys = (limit) => {
+  const base = `throttle:${limit._id || limit.id}`;
+  return { bucket: `${base}:bucket`, inFlight: `${base}:inflight` };
+};
+
+const hostOf = (webhookUrl) => {
+  try {
+    return new URL(webhookUrl).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Picks the limit that applies to a send: one set on the endpoint wins over
+ * one set on the URL's host. Returns null if the destination is unlimited.
+ */
+const resolveLimit = (limits, { webhookUrl, endpointId }) => {
+  if (endpointId) {
+    const forEndpoint = limits.find(limit => limit.endpoint && String(limit.endpoint) === String(endpointId));
+    if (forEndpoint) {
+      return forEndpoint;
+    }
+  }
+
+  const host = hostOf(webhookUrl);
+  return limits.find(limit => limit.host && limit.host === host) || null;
+};
+
+// A burst defaults to one second's worth of sends.
+const burstOf = (limit) => limit.burst || Math.max(1, Math.ceil(limit.perSecond || 0));
+
+/**
+ * Backoff for a job waiting on an in-flight cap, which, unlike the rate,
+ * can't say when a place frees up. Grows with the job's deferrals and is
+ * jittered so waiting jobs don't all come back at once.
+ */
+const inFlightRetryMs = (deferrals, random = Math.random) => {
+  const base = Math.min(30000, 500 * Math.pow(2, Math.min(deferrals, 6)));
+  return Math.round(base * (0.5 + random()));
+};
+
+/**
+ * Summarises a limit's Redis state for the API: sends in flight, sends
+ * already given a slot ahead of the rate, and recent deferrals.
+ */
+const describeState = (limit, bucket, inFlight, now) => {
+  const tat = Number(bucket.tat) || 0;
+  const queued = limit.perSecond
+    ? Math.max(0, Math.ceil(((tat - now) * limit.perSecond) / 1000) - burstOf(limit))
+    : 0;
+  const lastDeferredAt = bucket.lastDeferredAt ? new Date(Number(bucket.lastDeferredAt)) : null;
+
+  return {
+    inFlight,
+    queued,
+    throttled: queued > 0 || (Boolean(limit.maxInFlight) && inFlight >= limit.maxInFlight),
+    deferred: Number(bucket.deferred) || 0,
+    lastDeferredAt,
+    nextSlotAt: tat > now ? new Date(tat) : null
+  };
+};
+
+const createThrottle = (redis) => {
+  if (!redis.droplaterThrottle) {
+    redis.defineCommand('droplaterThrottle', { numberOfKeys: 2, lua: THROTTLE_SCRIPT });
+  }
+
+  return {
+    // Resolves to { allowed: true } or { allowed: false, reason, retryInMs }.
+    acquire: async (limit, holder, { reserved = false, holdMs }) => {
+      const keys = throttleKeys(limit);
+      const [allowed, reason, retryInMs] = await redis.droplaterThrottle(
+        keys.bucket,
+        keys.inFlight,
+        limit.perSecond || 0,
+        burstOf(limit),
+        limit.maxInFlight || 0,
+        holder,
+        holdMs,
+        reserved ? '1' : '0',
+        STATE_IDLE_MS
+      );
+      return allowed === 1 ? { allowed: true } : { allowed: false, reason, retryInMs };
+    },
+
+    release: async (limit, holder) => {
+      await redis.zrem(throttleKeys(limit).inFlight, holder);
+    },
+
+    state: async (limit) => {
+      const keys = throttleKeys(limit);
+      const [seconds, micros] = await redis.time();
+      const now = Number(seconds) * 1000 + Math.floor(Number(micros) / 1000);
+      const [bucket, inFlight] = await Promise.all([
+        redis.hgetall(keys.bucket),
+        redis.zcount(keys.inFlight, now, '+inf')
+      ]);
+      return describeState(limit, bucket || {}, inFlight, now);
+    }
+  };
+};
+
+module.exports = {
+  THROTTLE_SCRIPT,
+  throttleKeys,
+  hostOf,
+  resolveLimit,
+  burstOf,
+  inFlightRetryMs,
+  describeState,
+  createThrottle
+};
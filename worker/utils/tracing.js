@@ -0,0 +1,111 @@
+const { trace, context, propagation, ROOT_CONTEXT, SpanKind, SpanStatusCode } = require('@opentelemetry/api');
+
+// OpenTelemetry tracing, shared by the API and the worker. A note's trace
+// starts at POST /api/notes, rides in its outbox entry and then its BullMQ
+// job as a W3C trace context under `data.trace`, and ends in the webhook
+// request, which carries `traceparent` so the receiver can join it.
+//
+// The helpers below go through @opentelemetry/api, which is a no-op until
+// startTracing registers the SDK, so they cost nothing with tracing off.
+
+const TRACER_NAME = 'droplater';
+
+/**
+ * Registers the SDK for `serviceName` (OTEL_SERVICE_NAME wins). Spans go
+ * over OTLP/HTTP to OTEL_EXPORTER_OTLP_ENDPOINT or
+ * OTEL_EXPORTER_OTLP_TRACES_ENDPOINT, batched; tests pass an `exporter`
+ * instead, e.g. an InMemorySpanExporter, and get every span as it ends.
+ * Without either, or with OTEL_SDK_DISABLED=true, tracing stays off.
+ *
+ * Instrumentations patch modules as they are required, so this has to run
+ * before http, express or mongodb are loaded. `instrumentations` returns
+ * them; it is only called when tracing is on. Returns the provider, or null.
+ */
+const startTracing = (serviceName, { exporter, instrumentations = () => [] } = {}) => {
+  const endpoint = process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT || process.env.OTEL_EXPORTER_OTLP_ENDPOINT;
+  if (process.env.OTEL_SDK_DISABLED === 'true' || (!exporter && !endpoint)) {
+    return null;
+  }
+
+  const { NodeTracerProvider } = require('@opentelemetry/sdk-trace-node');
+  const { BatchSpanProcessor, SimpleSpanProcessor } = require('@opentelemetry/sdk-trace-base');
+  const { resourceFromAttributes } = require('@opentelemetry/resources');
+  const { registerInstrumentations } = require('@opentelemetry/instrumentation');
+
+  let spanProcessor;
+  if (exporter) {
+    spanProcessor = new SimpleSpanProcessor(exporter);
+  } else {
+    const { OTLPTraceExporter } = require('@opentelemetry/exporter-trace-otlp-http');
+    spanProcessor = new BatchSpanProcessor(new OTLPTraceExporter());
+  }
+
+  // Sampling follows OTEL_TRACES_SAMPLER and OTEL_TRACES_SAMPLER_ARG.
+  const provider = new NodeTracerProvider({
+    resource: resourceFromAttributes({ 'service.name': process.env.OTEL_SERVICE_NAME || serviceName }),
+    spanProcessors: [spanProcessor]
+  });
+  provider.register();
+  registerInstrumentations({ tracerProvider: provider, instrumentations: instrumentations() });
+
+  return provider;
+};
+
+/**
+ * Runs `fn(span)` in a new active span, ended when `fn` settles. Throwing
+ * marks the span as failed unless `isFailure` says otherwise, e.g. for
+ * BullMQ's DelayedError, which is how a retry is scheduled. `parent` is a
+ * context from contextFrom; by default the span joins the active trace.
+ */
+const withSpan = (name, { kind = SpanKind.INTERNAL, attributes = {}, parent, isFailure = () => true } = {}, fn) => {
+  const tracer = trace.getTracer(TRACER_NAME);
+  return tracer.startActiveSpan(name, { kind, attributes }, parent || context.active(), async (span) => {
+    try {
+      return await fn(span);
+    } catch (error) {
+      if (isFailure(error)) {
+        span.recordException(error);
+        span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      }
+      throw error;
+    } finally {
+      span.end();
+    }
+  });
+};
+
+// The active trace context as W3C headers, `traceparent` and possibly
+// `tracestate`; empty outside a span or with tracing off.
+const traceCarrier = () => {
+  const carrier = {};
+  propagation.inject(context.active(), carrier);
+  return carrier;
+};
+
+// Job data carrying the active trace context, for an outbox entry or a job.
+// Unchanged when there is none, so untraced jobs keep what they came with.
+const withTraceContext = (data) => {
+  const carrier = traceCarrier();
+  return Object.keys(carrier).length > 0 ? { ...data, trace: carrier } : data;
+};
+
+// The context a job's `data.trace` was recorded in, as a span parent.
+const contextFrom = (carrier) => propagation.extract(ROOT_CONTEXT, carrier || {});
+
+// Adds `traceparent` (and `tracestate`) for the active span to outgoing
+// request headers.
+const injectTraceHeaders = (headers) => {
+  propagation.inject(context.active(), headers);
+  return headers;
+};
+
+module.exports = {
+  SpanKind,
+  SpanStatusCode,
+  startTracing,
+  withSpan,
+  traceCarrier,
+  withTraceContext,
+  contextFrom,
+  injectTraceHeaders
+};